@@ -0,0 +1,154 @@
+// Aerodynamic coefficient databases for SpaceX Starship Simulator
+// CD, CL and Cm tabulated against Mach number and angle of attack, interpolated at runtime
+
+const COEFFICIENTS = ['CD', 'CL', 'Cm'];
+
+// Index of the grid cell containing a value and the fraction across it (clamped to the grid)
+function locate(grid, value) {
+    if (value <= grid[0]) return { index: 0, fraction: 0 };
+    if (value >= grid[grid.length - 1]) return { index: grid.length - 2, fraction: 1 };
+
+    const index = grid.findIndex(point => point > value) - 1;
+    return { index, fraction: (value - grid[index]) / (grid[index + 1] - grid[index]) };
+}
+
+/**
+ * Mach and angle-of-attack lookup of aerodynamic coefficients
+ * Coefficients use the vehicle's cross-sectional area as reference area and its length
+ * as reference length; Cm is about the geometric center and positive when it raises the
+ * angle of attack. Lookups outside the table hold the edge values.
+ */
+export class AeroDatabase {
+    /**
+     * @param {Object} table - Aerodynamic table
+     * @param {string} table.name - Configuration name (e.g. 'stack')
+     * @param {Array<number>} table.mach - Mach breakpoints, ascending
+     * @param {Array<number>} table.alpha - Angle-of-attack breakpoints in degrees (0-180), ascending
+     * @param {Array<Array<number>>} table.CD - Drag coefficient, one row per Mach breakpoint
+     * @param {Array<Array<number>>} table.CL - Lift coefficient, one row per Mach breakpoint
+     * @param {Array<Array<number>>} table.Cm - Pitching moment coefficient, one row per Mach breakpoint
+     */
+    constructor(table) {
+        const ascending = grid => Array.isArray(grid) && grid.length >= 2 &&
+            grid.every((value, i) => i === 0 || value > grid[i - 1]);
+        if (!ascending(table.mach) || !ascending(table.alpha)) {
+            throw new Error(`Aero table ${table.name || ''} needs ascending Mach and alpha breakpoints`);
+        }
+        COEFFICIENTS.forEach(coefficient => {
+            const rows = table[coefficient];
+            if (!rows || rows.length !== table.mach.length ||
+                rows.some(row => row.length !== table.alpha.length)) {
+                throw new Error(`Aero table ${table.name || ''} ${coefficient} must be ${table.mach.length} x ${table.alpha.length}`);
+            }
+        });
+
+        this.name = table.name || 'custom';
+        this.table = table;
+    }
+
+    /**
+     * Interpolate the coefficients at a flight condition
+     * @param {number} mach - Mach number
+     * @param {number} angleOfAttack - Angle of attack in radians (0 to π)
+     * @returns {Object} { CD, CL, Cm }
+     */
+    getCoefficients(mach, angleOfAttack) {
+        const m = locate(this.table.mach, mach);
+        const a = locate(this.table.alpha, angleOfAttack * 180 / Math.PI);
+
+        const result = {};
+        COEFFICIENTS.forEach(coefficient => {
+            const rows = this.table[coefficient];
+            const lower = rows[m.index][a.index] * (1 - a.fraction) + rows[m.index][a.index + 1] * a.fraction;
+            const upper = rows[m.index + 1][a.index] * (1 - a.fraction) + rows[m.index + 1][a.index + 1] * a.fraction;
+            result[coefficient] = lower * (1 - m.fraction) + upper * m.fraction;
+        });
+        return result;
+    }
+
+    /**
+     * Load a database from JSON text (the constructor's table format)
+     * @param {string} text - JSON text
+     * @param {string} name - Configuration name, in place of the table's own if given
+     * @returns {AeroDatabase} Database
+     */
+    static fromJSON(text, name) {
+        const table = JSON.parse(text);
+        return new AeroDatabase(name ? { ...table, name } : table);
+    }
+
+    /**
+     * Load a database from CSV text
+     * One row per grid point with columns mach, alpha (degrees), CD, CL and Cm; every Mach
+     * and alpha combination must be present. A header row and '#' comments are skipped.
+     * @param {string} text - CSV text
+     * @param {string} name - Configuration name
+     * @returns {AeroDatabase} Database
+     */
+    static fromCSV(text, name = 'custom') {
+        const rows = text.split('\n')
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(line => line.length > 0)
+            .map(line => line.split(',').map(Number))
+            .filter(values => values.length >= 5 && values.slice(0, 5).every(Number.isFinite));
+
+        const mach = [...new Set(rows.map(row => row[0]))].sort((a, b) => a - b);
+        const alpha = [...new Set(rows.map(row => row[1]))].sort((a, b) => a - b);
+        const table = { name, mach, alpha };
+
+        COEFFICIENTS.forEach((coefficient, column) => {
+            table[coefficient] = mach.map(m => alpha.map(a => {
+                const row = rows.find(candidate => candidate[0] === m && candidate[1] === a);
+                if (!row) {
+                    throw new Error(`Aero table ${name} is missing Mach ${m}, alpha ${a}`);
+                }
+                return row[2 + column];
+            }));
+        });
+
+        return new AeroDatabase(table);
+    }
+
+    /**
+     * Load a database from JSON or CSV text, detected from its first character
+     * @param {string} text - Table text
+     * @param {string} name - Configuration name
+     * @returns {AeroDatabase} Database
+     */
+    static parse(text, name) {
+        return text.trim().startsWith('{') ? AeroDatabase.fromJSON(text, name) : AeroDatabase.fromCSV(text, name);
+    }
+}
+
+/**
+ * Build a table from Mach profiles of a slender body
+ * Drag blends from the axial to the crossflow coefficient with sin²(α), lift follows
+ * sin(2α) and the pitching moment sin(2α), each scaled by its value at that Mach number.
+ * @param {Object} profile - Configuration profile
+ * @param {string} profile.name - Configuration name
+ * @param {Array<number>} profile.mach - Mach breakpoints
+ * @param {Array<number>} profile.alpha - Angle-of-attack breakpoints in degrees
+ * @param {Array<number>} profile.axialDrag - Drag coefficient at 0° per Mach breakpoint
+ * @param {Array<number>} profile.crossflowDrag - Drag coefficient at 90° per Mach breakpoint
+ * @param {Array<number>} profile.tailFirstDrag - Drag coefficient at 180° (defaults to axialDrag)
+ * @param {Array<number>} profile.peakLift - Lift coefficient at 45° per Mach breakpoint
+ * @param {Array<number>} profile.peakMoment - Pitching moment coefficient at 45° per Mach breakpoint
+ * @returns {Object} Table for the AeroDatabase constructor
+ */
+export function buildAeroTable(profile) {
+    const { name, mach, alpha, axialDrag, crossflowDrag, peakLift, peakMoment } = profile;
+    const tailFirstDrag = profile.tailFirstDrag || axialDrag;
+    const radians = alpha.map(a => a * Math.PI / 180);
+
+    return {
+        name,
+        mach,
+        alpha,
+        CD: mach.map((_, i) => radians.map(a => {
+            const endDrag = a <= Math.PI / 2 ? axialDrag[i] : tailFirstDrag[i];
+            return endDrag + (crossflowDrag[i] - endDrag) * Math.pow(Math.sin(a), 2);
+        })),
+        CL: mach.map((_, i) => radians.map(a => peakLift[i] * Math.sin(2 * a))),
+        Cm: mach.map((_, i) => radians.map(a => peakMoment[i] * Math.sin(2 * a)))
+    };
+}
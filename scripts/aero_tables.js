@@ -0,0 +1,58 @@
+// Default aerodynamic databases for SpaceX Starship Simulator
+// Stacked vehicle, Super Heavy alone and Starship alone; drag peaks in the transonic
+// region and settles toward Newtonian crossflow values at hypersonic speed
+import { AeroDatabase, buildAeroTable } from './aero_database.js';
+
+const MACH = [0, 0.5, 0.8, 0.95, 1.05, 1.2, 1.5, 2, 3, 5, 10, 25];
+const ALPHA = [0, 5, 10, 20, 30, 45, 60, 75, 90, 105, 120, 135, 150, 160, 170, 175, 180]; // degrees
+
+// Nose-first ascent of the full stack
+export const STACK_AERO_TABLE = buildAeroTable({
+    name: 'stack',
+    mach: MACH,
+    alpha: ALPHA,
+    axialDrag: [0.50, 0.50, 0.55, 0.80, 1.00, 0.95, 0.85, 0.72, 0.60, 0.52, 0.48, 0.48],
+    tailFirstDrag: [0.80, 0.80, 0.85, 1.05, 1.25, 1.20, 1.10, 1.00, 0.92, 0.88, 0.85, 0.85],
+    crossflowDrag: [1.20, 1.20, 1.30, 1.50, 1.70, 1.80, 1.75, 1.65, 1.55, 1.45, 1.35, 1.33],
+    peakLift: [0.10, 0.10, 0.11, 0.13, 0.15, 0.15, 0.14, 0.13, 0.12, 0.11, 0.10, 0.10],
+    peakMoment: [0.020, 0.020, 0.022, 0.026, 0.030, 0.030, 0.028, 0.026, 0.024, 0.022, 0.020, 0.020]
+});
+
+// Super Heavy after separation: blunt interstage on top, returns engines first
+export const BOOSTER_AERO_TABLE = buildAeroTable({
+    name: 'booster',
+    mach: MACH,
+    alpha: ALPHA,
+    axialDrag: [0.60, 0.60, 0.66, 0.90, 1.10, 1.05, 0.98, 0.90, 0.82, 0.78, 0.76, 0.76],
+    tailFirstDrag: [0.85, 0.85, 0.90, 1.10, 1.30, 1.25, 1.15, 1.05, 0.98, 0.95, 0.92, 0.92],
+    crossflowDrag: [1.20, 1.20, 1.30, 1.50, 1.70, 1.80, 1.75, 1.65, 1.55, 1.45, 1.35, 1.33],
+    peakLift: [0.10, 0.10, 0.11, 0.13, 0.15, 0.15, 0.14, 0.13, 0.12, 0.11, 0.10, 0.10],
+    peakMoment: [0.015, 0.015, 0.017, 0.020, 0.024, 0.024, 0.022, 0.020, 0.018, 0.016, 0.015, 0.015]
+});
+
+// Starship alone: flaps raise belly-first drag and lift for entry and the belly flop
+export const SHIP_AERO_TABLE = buildAeroTable({
+    name: 'ship',
+    mach: MACH,
+    alpha: ALPHA,
+    axialDrag: [0.55, 0.55, 0.60, 0.85, 1.05, 1.00, 0.90, 0.78, 0.66, 0.58, 0.54, 0.54],
+    tailFirstDrag: [0.95, 0.95, 1.00, 1.20, 1.35, 1.30, 1.20, 1.10, 1.00, 0.95, 0.90, 0.90],
+    crossflowDrag: [1.40, 1.40, 1.50, 1.70, 1.85, 1.90, 1.85, 1.75, 1.65, 1.55, 1.45, 1.40],
+    peakLift: [0.10, 0.10, 0.12, 0.15, 0.18, 0.20, 0.22, 0.25, 0.28, 0.30, 0.30, 0.30],
+    peakMoment: [0.010, 0.010, 0.012, 0.015, 0.018, 0.018, 0.016, 0.015, 0.014, 0.012, 0.010, 0.010]
+});
+
+/**
+ * Create the default databases for each flight configuration
+ * @param {Object} overrides - Tables or AeroDatabase instances keyed by stack, booster or ship
+ * @returns {Object} { stack, booster, ship } AeroDatabase instances
+ */
+export function createAeroDatabases(overrides = {}) {
+    const defaults = { stack: STACK_AERO_TABLE, booster: BOOSTER_AERO_TABLE, ship: SHIP_AERO_TABLE };
+
+    return Object.fromEntries(Object.entries(defaults).map(([configuration, table]) => {
+        const override = overrides[configuration];
+        const database = override instanceof AeroDatabase ? override : new AeroDatabase(override || table);
+        return [configuration, database];
+    }));
+}
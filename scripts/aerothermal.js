@@ -0,0 +1,221 @@
+// Aerothermal heating for SpaceX Starship Simulator
+// Stagnation-point heating spread over a grid of heat-shield regions by how squarely each faces
+// the flow, with every region radiating its heat away and soaking some into the steel behind it
+import * as THREE from 'three';
+import { ThermalModel } from './vehicle_dynamics.js';
+
+const DEGREES = Math.PI / 180;
+
+/**
+ * Lay out a heat shield's regions on the hull
+ * Rows run along the vehicle, columns around it. A region's surface normal leans from the radial
+ * direction toward the nose by its row's inclination; azimuths are measured about the long axis
+ * from the windward side, the direction the belly faces, toward body +X. A row inclined a full
+ * 90° either way is a cap (the nose or the base) and has a single region.
+ * @param {Object} specs - Heat shield specs (see vehicle_specs.js)
+ * @param {string} longAxis - Body axis the vehicle's nose lies along, 'y' or 'z'
+ * @returns {Array<Object>} Regions: { id, row, column (null on a cap), normal (unit, body frame),
+ *   heating (row's and column's factors on the stagnation heating), tiled }
+ */
+export function createRegions(specs, longAxis = 'y') {
+    const regions = [];
+    specs.rows.forEach(row => {
+        const inclination = (row.inclination ?? 0) * DEGREES;
+        const normalAt = azimuth => new THREE.Vector3(Math.sin(azimuth), 0, Math.cos(azimuth))
+            .multiplyScalar(Math.cos(inclination))
+            .setY(Math.sin(inclination));
+        const tiled = row.tiled ?? true;
+
+        if (Math.abs(row.inclination ?? 0) === 90) {
+            regions.push({ id: row.id, row: row.id, column: null, normal: normalAt(0), heating: row.heating, tiled });
+            return;
+        }
+        specs.columns.forEach(column => regions.push({
+            id: `${row.id}_${column.id}`,
+            row: row.id,
+            column: column.id,
+            normal: normalAt(column.azimuth * DEGREES),
+            heating: row.heating * (column.heating ?? 1),
+            tiled: tiled && (column.tiled ?? true)
+        }));
+    });
+
+    // Nose along +Z: a quarter turn about +X carries +Y onto +Z and the belly from +Z onto -Y
+    if (longAxis === 'z') {
+        const noseZ = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
+        regions.forEach(region => region.normal.applyQuaternion(noseZ));
+    }
+    return regions;
+}
+
+/**
+ * Heat shield as a grid of regions
+ * The stagnation-point flux is Sutton-Graves on the vehicle's effective nose radius. Each region
+ * takes a share of it that falls off with the angle between its normal and the direction of
+ * flight as a power of the cosine, down to a floor for surfaces in the separated flow on the lee
+ * side. A tiled region is two layers: the tile surface, which radiates to the surrounding air,
+ * and the steel behind it, which the tile conducts heat into and which only cools back through
+ * the tile. An untiled region is bare steel radiating on its own. Surfaces radiate to the colder of
+ * the surrounding air and the sky: high up the air is hot but far too thin to warm anything. A
+ * region burns through when its
+ * surface goes over its limit or the steel behind it over the steel's; the first one to do so is
+ * kept.
+ */
+export class HeatShield {
+    /**
+     * @param {Object} specs - Heat shield specs (see vehicle_specs.js): { noseRadius (m), leewardHeating
+     *   (share of the stagnation flux on surfaces facing away from the flow), distributionExponent,
+     *   rows, columns, tile: { emissivity, arealHeatCapacity (J/(m²·K)), conductance (W/(m²·K)),
+     *   maxTemperature (K) }, steel: { emissivity, arealHeatCapacity, maxTemperature } }
+     * @param {Object} options - Layout and model options
+     * @param {string} options.longAxis - Body axis the vehicle's nose lies along, 'y' (default) or 'z'
+     * @param {ThermalModel} options.thermal - Heating and radiative cooling model
+     * @param {number} options.initialTemperature - Temperature (K) of the whole shield before flight
+     * @param {number} options.skyTemperature - Temperature (K) of the Earth and space the shield sees
+     */
+    constructor(specs, options = {}) {
+        this.noseRadius = specs.noseRadius;
+        this.leewardHeating = specs.leewardHeating;
+        this.distributionExponent = specs.distributionExponent ?? 1;
+        this.tile = specs.tile;
+        this.steel = specs.steel;
+        this.thermal = options.thermal || new ThermalModel();
+        this.initialTemperature = options.initialTemperature ?? 293;
+        this.skyTemperature = options.skyTemperature ?? 250;
+        this.regions = createRegions(specs, options.longAxis);
+        this.reset();
+    }
+
+    /**
+     * Cool the whole shield back to its pre-flight temperature
+     */
+    reset() {
+        this.state = Object.fromEntries(this.regions.map(region => [region.id, {
+            temperature: this.initialTemperature, // K, tile surface (or bare steel)
+            structureTemperature: this.initialTemperature, // K, steel behind the tile
+            heatFlux: 0, // W/m²
+            peakTemperature: this.initialTemperature,
+            peakStructureTemperature: this.initialTemperature,
+            heatLoad: 0 // J/m², integrated flux
+        }]));
+        this.stagnationHeatFlux = 0;
+        this.peakStagnationHeatFlux = 0;
+        this.burnThrough = null;
+    }
+
+    /**
+     * Temperature a region may reach at its surface
+     * @param {Object} region - Region from createRegions
+     * @returns {number} Limit in K
+     */
+    getLimit(region) {
+        return region.tiled ? this.tile.maxTemperature : this.steel.maxTemperature;
+    }
+
+    /**
+     * Share of the stagnation-point flux a surface takes
+     * @param {THREE.Vector3} normal - Unit surface normal
+     * @param {THREE.Vector3} direction - Unit direction of flight through the air, same frame
+     * @returns {number} Share, from the leeward floor up to 1 for a surface square to the flow
+     */
+    getDistribution(normal, direction) {
+        const facing = Math.max(0, normal.dot(direction));
+        return this.leewardHeating + (1 - this.leewardHeating) * Math.pow(facing, this.distributionExponent);
+    }
+
+    /**
+     * Heat the shield for one step
+     * @param {Object} flow - Flow conditions
+     * @param {number} flow.density - Air density in kg/m³
+     * @param {THREE.Vector3} flow.airVelocity - Velocity through the air in m/s, body frame
+     * @param {number} flow.ambientTemperature - Temperature of the surrounding air in K
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} { stagnationHeatFlux (W/m²), burnThrough (see getState) }
+     */
+    update(flow, dt) {
+        const speed = flow.airVelocity.length();
+        const direction = speed > 0 ? flow.airVelocity.clone().divideScalar(speed) : new THREE.Vector3();
+        this.stagnationHeatFlux = speed > 0 ? this.thermal.getHeatFlux(flow.density, speed, this.noseRadius) : 0;
+        this.peakStagnationHeatFlux = Math.max(this.peakStagnationHeatFlux, this.stagnationHeatFlux);
+        const sink = Math.min(flow.ambientTemperature, this.skyTemperature);
+
+        this.regions.forEach(region => {
+            const state = this.state[region.id];
+            const heatFlux = this.stagnationHeatFlux * region.heating * this.getDistribution(region.normal, direction);
+
+            if (region.tiled) {
+                // Heat soaks through the tile at a rate set by its conductance
+                const soak = this.tile.conductance * (state.temperature - state.structureTemperature);
+                state.temperature = this.thermal.updateTemperature(
+                    state.temperature, heatFlux - soak, sink, dt, this.tile);
+                state.structureTemperature += soak * dt / this.steel.arealHeatCapacity;
+            } else {
+                state.temperature = this.thermal.updateTemperature(
+                    state.temperature, heatFlux, sink, dt, this.steel);
+                state.structureTemperature = state.temperature;
+            }
+
+            state.heatFlux = heatFlux;
+            state.heatLoad += heatFlux * dt;
+            state.peakTemperature = Math.max(state.peakTemperature, state.temperature);
+            state.peakStructureTemperature = Math.max(state.peakStructureTemperature, state.structureTemperature);
+
+            if (!this.burnThrough) {
+                const limit = this.getLimit(region);
+                if (state.temperature > limit) {
+                    this.burnThrough = { region: region.id, layer: 'surface', temperature: state.temperature, limit };
+                } else if (state.structureTemperature > this.steel.maxTemperature) {
+                    this.burnThrough = {
+                        region: region.id,
+                        layer: 'structure',
+                        temperature: state.structureTemperature,
+                        limit: this.steel.maxTemperature
+                    };
+                }
+            }
+        });
+
+        return { stagnationHeatFlux: this.stagnationHeatFlux, burnThrough: this.burnThrough };
+    }
+
+    /**
+     * Hottest region surface right now
+     * @returns {number} Temperature in K
+     */
+    getMaxTemperature() {
+        return Math.max(...Object.values(this.state).map(state => state.temperature));
+    }
+
+    /**
+     * Largest heat load any region has taken
+     * @returns {number} Heat load in J/m²
+     */
+    getMaxHeatLoad() {
+        return Math.max(...Object.values(this.state).map(state => state.heatLoad));
+    }
+
+    /**
+     * Heat shield state for telemetry
+     * @returns {Object} { stagnationHeatFlux and peakStagnationHeatFlux (W/m²), maxTemperature (K, hottest
+     *   surface now), peakTemperature (K, hottest surface so far), maxHeatLoad (J/m²), burnThrough ({ region,
+     *   layer ('surface' or 'structure'), temperature, limit } or null), regions keyed by id: { tiled,
+     *   temperature, structureTemperature, peakTemperature, peakStructureTemperature, limit (K),
+     *   heatFlux (W/m²), heatLoad (J/m²) } }
+     */
+    getState() {
+        const regions = Object.fromEntries(this.regions.map(region => [region.id, {
+            tiled: region.tiled,
+            ...this.state[region.id],
+            limit: this.getLimit(region)
+        }]));
+        return {
+            stagnationHeatFlux: this.stagnationHeatFlux,
+            peakStagnationHeatFlux: this.peakStagnationHeatFlux,
+            maxTemperature: this.getMaxTemperature(),
+            peakTemperature: Math.max(...Object.values(regions).map(region => region.peakTemperature)),
+            maxHeatLoad: this.getMaxHeatLoad(),
+            burnThrough: this.burnThrough ? { ...this.burnThrough } : null,
+            regions
+        };
+    }
+}
@@ -0,0 +1,440 @@
+// Ascent guidance for SpaceX Starship Simulator
+// Pitch program and gravity turn for the stack, then closed-loop Powered Explicit Guidance
+// (PEG) for Starship to a target perigee, apogee and inclination
+import * as THREE from 'three';
+import { OrbitalMechanics } from './orbital_mechanics.js';
+
+const DEGREES = Math.PI / 180;
+
+export const GUIDANCE_MODES = {
+    VERTICAL_RISE: 'vertical_rise',
+    PITCH_KICK: 'pitch_kick',
+    GRAVITY_TURN: 'gravity_turn',
+    CLOSED_LOOP: 'closed_loop', // PEG updating its steering every major cycle
+    TERMINAL: 'terminal', // Last seconds: steering frozen until the orbit has the target energy
+    CUTOFF: 'cutoff'
+};
+
+/**
+ * Ascent guidance from liftoff to orbit insertion
+ * The stack rises vertically, kicks over toward the launch azimuth and then flies a gravity
+ * turn along its Earth-relative velocity. After separation Starship steers with PEG in the
+ * Earth-centered inertial frame: the radial component of the thrust direction is linear in
+ * time (A + B·t) so radius and radial rate reach the insertion point together, the burn time
+ * is re-estimated from the angular momentum still needed, and yaw closes any out-of-plane
+ * velocity. Directions in and out are in the launch site's local frame.
+ */
+export class AscentGuidance {
+    /**
+     * @param {EarthFrame} earthFrame - Launch site and Earth rotation
+     * @param {Object} options - Guidance options
+     * @param {Object} options.target - { perigeeAltitude, apogeeAltitude } in m and inclination in degrees
+     *   (defaults to a 200 km circular orbit at the launch latitude)
+     * @param {number} options.pitchOverAltitude - Altitude (m) where the pitch kick starts
+     * @param {number} options.pitchKickAngle - Tilt from vertical (degrees) before the gravity turn
+     * @param {number} options.pitchRate - Pitch rate during the kick (degrees/s)
+     * @param {number} options.cycleTime - Seconds between PEG major cycles
+     * @param {number} options.terminalTime - Time to go (s) below which steering is frozen
+     */
+    constructor(earthFrame, options = {}) {
+        this.earthFrame = earthFrame;
+        this.orbitalMechanics = new OrbitalMechanics();
+        this.mu = this.orbitalMechanics.EARTH_MU;
+
+        this.pitchOverAltitude = options.pitchOverAltitude ?? 1000;
+        this.pitchKickAngle = (options.pitchKickAngle ?? 1.5) * DEGREES;
+        this.pitchRate = (options.pitchRate ?? 0.5) * DEGREES;
+        this.cycleTime = options.cycleTime ?? 1;
+        this.terminalTime = options.terminalTime ?? 5;
+
+        this.setTarget(options.target || {});
+    }
+
+    /**
+     * Set the insertion target
+     * @param {Object} target - { perigeeAltitude, apogeeAltitude } in m and inclination in degrees
+     */
+    setTarget(target) {
+        const perigeeAltitude = target.perigeeAltitude ?? 200000;
+        const apogeeAltitude = Math.max(perigeeAltitude, target.apogeeAltitude ?? perigeeAltitude);
+        const inclination = target.inclination ?? Math.abs(this.earthFrame.site.latitude);
+
+        this.target = { perigeeAltitude, apogeeAltitude, inclination };
+        this.insertion = this.orbitalMechanics.calculateOrbitalInsertion(
+            perigeeAltitude, inclination * DEGREES, apogeeAltitude
+        );
+        this.launchAzimuth = this.calculateLaunchAzimuth();
+        this.reset();
+    }
+
+    /**
+     * Start over for a new launch
+     */
+    reset() {
+        this.mode = GUIDANCE_MODES.VERTICAL_RISE;
+        this.pitch = 0;
+        this.peg = null;
+        this.prediction = null;
+        this.result = null;
+    }
+
+    /**
+     * Launch azimuth for the target inclination, corrected for the pad's eastward rotation speed
+     * Aims north of east unless the target needs a southerly plane; an inclination below the
+     * site latitude cannot be reached directly, so the launch goes due east.
+     * @returns {number} Azimuth in radians clockwise from north, relative to the rotating Earth
+     */
+    calculateLaunchAzimuth() {
+        const latitude = this.earthFrame.site.latitude * DEGREES;
+        const ratio = Math.cos(this.target.inclination * DEGREES) / Math.cos(latitude);
+        const inertialAzimuth = Math.asin(Math.max(-1, Math.min(1, ratio)));
+
+        const speed = this.insertion.insertionVelocity;
+        const surfaceSpeed = this.earthFrame.rotationRate * this.earthFrame.radius * Math.cos(latitude);
+        return Math.atan2(speed * Math.sin(inertialAzimuth) - surfaceSpeed, speed * Math.cos(inertialAzimuth));
+    }
+
+    /**
+     * Thrust direction for the stack
+     * @param {Object} state - { velocity (Earth-relative, local), altitude, up (local vertical) }
+     * @param {number} dt - Time step in seconds
+     * @returns {THREE.Vector3} Unit thrust direction (local)
+     */
+    getBoosterDirection(state, dt) {
+        const up = state.up;
+        if (this.mode === GUIDANCE_MODES.VERTICAL_RISE) {
+            if (state.altitude < this.pitchOverAltitude) return up.clone();
+            this.mode = GUIDANCE_MODES.PITCH_KICK;
+        }
+
+        if (this.mode === GUIDANCE_MODES.PITCH_KICK) {
+            this.pitch = Math.min(this.pitchKickAngle, this.pitch + this.pitchRate * dt);
+
+            // Hand over to the gravity turn once the flight path has followed the tilt
+            const speed = state.velocity.length();
+            const flightPathTilt = speed > 0 ? Math.acos(Math.min(1, state.velocity.dot(up) / speed)) : 0;
+            if (this.pitch >= this.pitchKickAngle && flightPathTilt >= this.pitchKickAngle) {
+                this.mode = GUIDANCE_MODES.GRAVITY_TURN;
+            } else {
+                const downrange = this.getDownrangeDirection(up);
+                return up.clone().multiplyScalar(Math.cos(this.pitch)).addScaledVector(downrange, Math.sin(this.pitch));
+            }
+        }
+
+        // Gravity turn: thrust along the velocity so gravity alone bends the trajectory
+        return state.velocity.clone().normalize();
+    }
+
+    /**
+     * Horizontal direction of the launch azimuth at a point
+     * @param {THREE.Vector3} up - Local vertical at the vehicle
+     * @returns {THREE.Vector3} Unit vector (local)
+     */
+    getDownrangeDirection(up) {
+        const direction = this.earthFrame.enuToLocal({
+            east: Math.sin(this.launchAzimuth),
+            north: Math.cos(this.launchAzimuth),
+            up: 0
+        });
+        return direction.addScaledVector(up, -direction.dot(up)).normalize();
+    }
+
+    /**
+     * Steering for Starship's orbital insertion burn
+     * @param {Object} state - Vehicle state
+     * @param {THREE.Vector3} state.position - Local position in m
+     * @param {THREE.Vector3} state.velocity - Local (Earth-relative) velocity in m/s
+     * @param {number} state.thrust - Current thrust in N
+     * @param {number} state.massFlow - Current propellant flow in kg/s
+     * @param {number} state.mass - Current mass in kg
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} { direction (unit vector, local) or null to hold attitude, cutoff }
+     */
+    getShipSteering(state, dt) {
+        if (this.mode === GUIDANCE_MODES.CUTOFF) {
+            return { direction: null, cutoff: true };
+        }
+
+        const inertial = this.earthFrame.localToEci(state.position, state.velocity);
+        const r = inertial.position;
+        const v = inertial.velocity;
+
+        // Cut off as soon as the orbit has the target's energy
+        const energy = v.lengthSq() / 2 - this.mu / r.length();
+        if (energy >= -this.mu / (2 * this.insertion.semiMajorAxis)) {
+            return this.cutoff(r, v);
+        }
+
+        if (!(state.thrust > 0) || !(state.massFlow > 0)) {
+            return { direction: null, cutoff: false };
+        }
+
+        const acceleration = state.thrust / state.mass;
+        const exhaustVelocity = state.thrust / state.massFlow;
+        const frame = this.getSteeringFrame(r, v);
+
+        if (!this.peg) {
+            // First pass: iterate until the burn time settles
+            this.mode = GUIDANCE_MODES.CLOSED_LOOP;
+            this.peg = { A: 0, B: 0, T: this.estimateBurnTime(frame, acceleration, exhaustVelocity), elapsed: 0 };
+            for (let i = 0; i < 20; i++) {
+                this.updatePEG(frame, acceleration, exhaustVelocity);
+            }
+            this.predictInsertion(r, v, acceleration, exhaustVelocity);
+        } else {
+            this.peg.elapsed += dt;
+            // Cutoff itself waits for the target energy: the burn time assumes full thrust, which
+            // runs short once the load manager throttles back to hold an acceleration limit
+            const timeToGo = this.peg.T - this.peg.elapsed;
+            if (this.mode === GUIDANCE_MODES.CLOSED_LOOP && this.peg.elapsed >= this.cycleTime) {
+                if (timeToGo > this.terminalTime) {
+                    this.peg.A += this.peg.B * this.peg.elapsed;
+                    this.peg.T = timeToGo;
+                    this.peg.elapsed = 0;
+                    this.updatePEG(frame, acceleration, exhaustVelocity);
+                    this.predictInsertion(r, v, acceleration, exhaustVelocity);
+                } else {
+                    this.mode = GUIDANCE_MODES.TERMINAL;
+                }
+            }
+        }
+
+        const direction = this.getThrustDirection(frame, acceleration, exhaustVelocity, this.peg.elapsed);
+        return { direction: this.earthFrame.eciToLocalDirection(direction), cutoff: false };
+    }
+
+    /**
+     * Radial, downrange and orbit-normal axes of the target plane through the vehicle
+     * @param {THREE.Vector3} r - ECI position
+     * @param {THREE.Vector3} v - ECI velocity
+     * @returns {Object} Axes and the velocity and radius in them
+     */
+    getSteeringFrame(r, v) {
+        const radial = r.clone().normalize();
+        const normal = this.getTargetNormal(radial, v);
+        const downrange = normal.clone().cross(radial);
+
+        return {
+            radial,
+            downrange,
+            normal,
+            radius: r.length(),
+            radialVelocity: v.dot(radial),
+            downrangeVelocity: v.dot(downrange),
+            normalVelocity: v.dot(normal)
+        };
+    }
+
+    /**
+     * Normal of the target orbit plane through the vehicle's position
+     * Of the two planes with the target inclination, the one closer to the current motion is used.
+     * @param {THREE.Vector3} radial - Unit ECI position
+     * @param {THREE.Vector3} v - ECI velocity
+     * @returns {THREE.Vector3} Unit orbit normal
+     */
+    getTargetNormal(radial, v) {
+        const pole = new THREE.Vector3(0, 0, 1);
+        const east = pole.clone().cross(radial).normalize();
+        const north = radial.clone().cross(east);
+
+        const cosLatitude = Math.sqrt(1 - radial.z * radial.z);
+        const ratio = Math.cos(this.target.inclination * DEGREES) / Math.max(cosLatitude, 1e-6);
+        const azimuth = Math.asin(Math.max(-1, Math.min(1, ratio)));
+
+        // Northerly or southerly pass, whichever the vehicle is already heading for
+        const headingNorth = v.dot(north) >= 0;
+        const heading = headingNorth ? azimuth : Math.PI - azimuth;
+        const direction = north.multiplyScalar(Math.cos(heading)).addScaledVector(east, Math.sin(heading));
+
+        return radial.clone().cross(direction).normalize();
+    }
+
+    /**
+     * First guess of the burn time from the ideal rocket equation
+     * @param {Object} frame - Steering frame
+     * @param {number} acceleration - Thrust acceleration in m/s²
+     * @param {number} exhaustVelocity - Effective exhaust velocity in m/s
+     * @returns {number} Burn time in seconds
+     */
+    estimateBurnTime(frame, acceleration, exhaustVelocity) {
+        const tau = exhaustVelocity / acceleration;
+        const deltaV = Math.max(0, this.insertion.insertionVelocity - frame.downrangeVelocity);
+        return tau * (1 - Math.exp(-deltaV / exhaustVelocity));
+    }
+
+    /**
+     * One PEG major cycle: solve the radial steering and update the time to go
+     * @param {Object} frame - Steering frame
+     * @param {number} acceleration - Thrust acceleration in m/s²
+     * @param {number} exhaustVelocity - Effective exhaust velocity in m/s
+     */
+    updatePEG(frame, acceleration, exhaustVelocity) {
+        const peg = this.peg;
+        const tau = exhaustVelocity / acceleration;
+        const T = Math.min(Math.max(peg.T, 1), 0.99 * tau);
+        const targetRadius = this.insertion.insertionRadius;
+        const targetSpeed = this.insertion.insertionVelocity;
+
+        // Thrust integrals over the remaining burn
+        const b0 = -exhaustVelocity * Math.log(1 - T / tau);
+        const b1 = b0 * tau - exhaustVelocity * T;
+        const c0 = b0 * T - b1;
+        const c1 = c0 * tau - exhaustVelocity * T * T / 2;
+
+        // Radial steering that reaches the insertion radius with zero radial rate
+        const radialRateError = -frame.radialVelocity;
+        const radiusError = targetRadius - frame.radius - frame.radialVelocity * T;
+        const determinant = b0 * c1 - b1 * c0;
+        if (Math.abs(determinant) > 1e-9) {
+            peg.A = (radialRateError * c1 - b1 * radiusError) / determinant;
+            peg.B = (b0 * radiusError - c0 * radialRateError) / determinant;
+        }
+
+        // Burn time from the angular momentum still to gain
+        const angularMomentum = frame.radius * frame.downrangeVelocity;
+        const targetAngularMomentum = targetRadius * targetSpeed;
+        const meanRadius = (frame.radius + targetRadius) / 2;
+
+        const omega = frame.downrangeVelocity / frame.radius;
+        const fr = peg.A + (this.mu / (frame.radius * frame.radius) - omega * omega * frame.radius) / acceleration;
+        const finalAcceleration = acceleration / (1 - T / tau);
+        const finalOmega = targetSpeed / targetRadius;
+        const frFinal = peg.A + peg.B * T +
+            (this.mu / (targetRadius * targetRadius) - finalOmega * finalOmega * targetRadius) / finalAcceleration;
+        const frRate = (frFinal - fr) / T;
+
+        const fTheta = 1 - fr * fr / 2;
+        const fThetaRate = -fr * frRate;
+        const fThetaAcceleration = -frRate * frRate / 2;
+
+        const deficit = (targetAngularMomentum - angularMomentum) / meanRadius;
+        const denominator = fTheta + fThetaRate * tau + fThetaAcceleration * tau * tau;
+
+        // The steering-loss correction breaks down when the thrust drops sharply (an engine out);
+        // fall back to the bare deficit for this cycle
+        let deltaV = deficit;
+        if (denominator > 0.5) {
+            deltaV = (deficit + exhaustVelocity * T * (fThetaRate + fThetaAcceleration * tau) +
+                fThetaAcceleration * exhaustVelocity * T * T / 2) / denominator;
+        }
+        if (Number.isFinite(deltaV)) {
+            peg.T = tau * (1 - Math.exp(-Math.max(0, deltaV) / exhaustVelocity));
+        }
+    }
+
+    /**
+     * Thrust direction from the current PEG solution
+     * @param {Object} frame - Steering frame
+     * @param {number} acceleration - Thrust acceleration in m/s²
+     * @param {number} exhaustVelocity - Effective exhaust velocity in m/s
+     * @param {number} elapsed - Seconds since the last major cycle
+     * @returns {THREE.Vector3} Unit ECI direction
+     */
+    getThrustDirection(frame, acceleration, exhaustVelocity, elapsed) {
+        const omega = frame.downrangeVelocity / frame.radius;
+        const gravityTerm = (this.mu / (frame.radius * frame.radius) - omega * omega * frame.radius) / acceleration;
+        const fr = Math.max(-0.9, Math.min(0.9, this.peg.A + this.peg.B * elapsed + gravityTerm));
+
+        // Spread the out-of-plane correction over the rest of the burn
+        const tau = exhaustVelocity / acceleration;
+        const timeToGo = Math.max(this.peg.T - elapsed, 1);
+        const remainingDeltaV = -exhaustVelocity * Math.log(1 - Math.min(timeToGo, 0.99 * tau) / tau);
+        const fh = Math.max(-0.3, Math.min(0.3, -frame.normalVelocity / remainingDeltaV));
+
+        const fTheta = Math.sqrt(Math.max(0, 1 - fr * fr - fh * fh));
+        return frame.radial.clone().multiplyScalar(fr)
+            .addScaledVector(frame.downrange, fTheta)
+            .addScaledVector(frame.normal, fh)
+            .normalize();
+    }
+
+    /**
+     * Fly the current PEG solution forward to predict the insertion orbit
+     * Point-mass gravity and a constant thrust level; drag is neglected.
+     * @param {THREE.Vector3} r - ECI position
+     * @param {THREE.Vector3} v - ECI velocity
+     * @param {number} acceleration - Thrust acceleration in m/s²
+     * @param {number} exhaustVelocity - Effective exhaust velocity in m/s
+     */
+    predictInsertion(r, v, acceleration, exhaustVelocity) {
+        const tau = exhaustVelocity / acceleration;
+        const targetEnergy = -this.mu / (2 * this.insertion.semiMajorAxis);
+        const position = r.clone();
+        const velocity = v.clone();
+        const step = 1;
+
+        // Midpoint steps, stopping at whichever cutoff the burn itself would reach first
+        const accelerationAt = (p, q, t) => {
+            const thrustAcceleration = acceleration / (1 - t / tau);
+            const direction = this.getThrustDirection(this.getSteeringFrame(p, q), thrustAcceleration, exhaustVelocity, t);
+            return p.clone().multiplyScalar(-this.mu / Math.pow(p.length(), 3))
+                .addScaledVector(direction, thrustAcceleration);
+        };
+        for (let t = 0; t < this.peg.T; t += step) {
+            if (velocity.lengthSq() / 2 - this.mu / position.length() >= targetEnergy) break;
+
+            const h = Math.min(step, this.peg.T - t);
+            const a1 = accelerationAt(position, velocity, t);
+            const midPosition = position.clone().addScaledVector(velocity, h / 2);
+            const midVelocity = velocity.clone().addScaledVector(a1, h / 2);
+            const a2 = accelerationAt(midPosition, midVelocity, t + h / 2);
+
+            position.addScaledVector(midVelocity, h);
+            velocity.addScaledVector(a2, h);
+        }
+
+        this.prediction = this.describeOrbit(position, velocity);
+    }
+
+    /**
+     * Perigee, apogee and inclination of an ECI state, and their errors from the target
+     * @param {THREE.Vector3} r - ECI position
+     * @param {THREE.Vector3} v - ECI velocity
+     * @returns {Object} { perigeeAltitude, apogeeAltitude, inclination, errors }
+     */
+    describeOrbit(r, v) {
+        const elements = this.orbitalMechanics.stateVectorsToOrbitalElements(r, v);
+        const radius = this.earthFrame.radius;
+        const orbit = {
+            perigeeAltitude: elements.semiMajorAxis * (1 - elements.eccentricity) - radius,
+            apogeeAltitude: elements.eccentricity < 1 ?
+                elements.semiMajorAxis * (1 + elements.eccentricity) - radius : Infinity,
+            inclination: elements.inclination / DEGREES
+        };
+
+        orbit.errors = {
+            perigeeAltitude: orbit.perigeeAltitude - this.target.perigeeAltitude,
+            apogeeAltitude: orbit.apogeeAltitude - this.target.apogeeAltitude,
+            inclination: orbit.inclination - this.target.inclination
+        };
+        return orbit;
+    }
+
+    /**
+     * Command engine cutoff and record the insertion orbit
+     * @param {THREE.Vector3} r - ECI position
+     * @param {THREE.Vector3} v - ECI velocity
+     * @returns {Object} Steering with cutoff set
+     */
+    cutoff(r, v) {
+        this.mode = GUIDANCE_MODES.CUTOFF;
+        this.result = this.describeOrbit(r, v);
+        return { direction: null, cutoff: true };
+    }
+
+    /**
+     * Guidance status for telemetry
+     * @returns {Object} { mode, launchAzimuth (degrees), target, timeToGo, predicted, insertion }
+     */
+    getState() {
+        return {
+            mode: this.mode,
+            launchAzimuth: this.launchAzimuth / DEGREES,
+            target: { ...this.target },
+            timeToGo: this.peg && this.mode !== GUIDANCE_MODES.CUTOFF ?
+                Math.max(0, this.peg.T - this.peg.elapsed) : null,
+            predicted: this.prediction,
+            insertion: this.result
+        };
+    }
+}
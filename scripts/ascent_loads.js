@@ -0,0 +1,267 @@
+// Ascent load management for SpaceX Starship Simulator
+// Max-Q throttle bucket, acceleration limiting and structural load monitoring
+import * as THREE from 'three';
+import { getEngineInputs } from './engine_cluster.js';
+import { EARTH_CONSTANTS } from './vehicle_dynamics.js';
+import { STARSHIP_SPECS, SUPER_HEAVY_SPECS } from './vehicle_specs.js';
+
+// Monitored loads, matching the keys of structuralLimits in the vehicle specs
+export const LOAD_TYPES = ['dynamicPressure', 'qAlpha', 'axialG', 'lateralG'];
+
+/**
+ * Watches the loads on the ascending vehicles and shapes their throttle to stay inside them
+ * The booster throttles down through a dynamic-pressure bucket around max-Q, and either vehicle
+ * throttles back to hold a sustained acceleration limit. A load past its structural limit is an
+ * exceedance; past the limit times breakupFactor the vehicle breaks up.
+ */
+export class AscentLoadManager {
+    /**
+     * Create a load manager
+     * @param {Object} physicsEngine - ImprovedPhysicsEngine flying the vehicles
+     * @param {Object} options - Load manager options
+     * @param {Object} options.bucket - Throttle bucket { onsetPressure, fullPressure } in Pa and the
+     *   { minThrottle } reached at fullPressure; the throttle ramps down linearly in between
+     * @param {number} options.accelerationLimit - Sustained axial acceleration (g) the throttle holds
+     * @param {number} options.breakupFactor - Multiple of a structural limit that breaks the vehicle up
+     * @param {Object} options.limits - Structural limit overrides keyed by vehicle (superHeavy, starship)
+     * @param {Function} options.onEvent - Called with each load event (max_q, exceedance, breakup)
+     */
+    constructor(physicsEngine, options = {}) {
+        this.physicsEngine = physicsEngine;
+        this.bucket = {
+            onsetPressure: 15000,
+            fullPressure: 22000,
+            minThrottle: 0.6,
+            ...options.bucket
+        };
+        this.accelerationLimit = options.accelerationLimit ?? 4;
+        this.breakupFactor = options.breakupFactor ?? 1.5;
+        this.onEvent = options.onEvent || null;
+
+        this.limits = {
+            superHeavy: { ...SUPER_HEAVY_SPECS.structuralLimits, ...options.limits?.superHeavy },
+            starship: { ...STARSHIP_SPECS.structuralLimits, ...options.limits?.starship }
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Clear load history for a new launch
+     */
+    reset() {
+        this.loads = {};
+        this.peaks = {};
+        this.throttle = {};
+        this.active = {}; // Exceedances in progress, keyed by vehicle and load
+        this.history = [];
+        this.maxQPassed = false;
+        this.breakup = null;
+    }
+
+    /**
+     * Structural limits that apply to a vehicle
+     * The stack is checked against the stricter of the booster's and the ship's limits.
+     * @param {string} vehicleId - 'superHeavy' or 'starship'
+     * @returns {Object} Limits keyed by load type
+     */
+    getLimits(vehicleId) {
+        if (vehicleId !== 'superHeavy' || !this.physicsEngine.combinedStage) {
+            return this.limits[vehicleId];
+        }
+
+        const limits = {};
+        LOAD_TYPES.forEach(type => {
+            limits[type] = Math.min(this.limits.superHeavy[type], this.limits.starship[type]);
+        });
+        return limits;
+    }
+
+    /**
+     * Calculate the current loads on a vehicle (the whole stack while stacked)
+     * @param {string} vehicleId - 'superHeavy' or 'starship'
+     * @returns {Object} { dynamicPressure (Pa), angleOfAttack (rad), qAlpha (Pa·rad), axialG, lateralG, mach }
+     */
+    calculateLoads(vehicleId) {
+        const physicsEngine = this.physicsEngine;
+        const vehicle = physicsEngine.vehicles[vehicleId];
+        const bodyLoads = physicsEngine.calculateBodyLoads(vehicle, getEngineInputs(vehicle.engines));
+
+        // Sensed acceleration: everything but gravity and the frame's fictitious forces
+        const sensed = bodyLoads.thrust.clone().add(bodyLoads.drag).add(bodyLoads.lift)
+            .applyQuaternion(vehicle.quaternion.clone().invert())
+            .divideScalar(physicsEngine.getTotalMass(vehicle) * EARTH_CONSTANTS.STANDARD_GRAVITY);
+
+        return {
+            dynamicPressure: bodyLoads.dynamicPressure,
+            angleOfAttack: bodyLoads.angleOfAttack,
+            qAlpha: bodyLoads.dynamicPressure * bodyLoads.angleOfAttack,
+            axialG: sensed.y,
+            lateralG: new THREE.Vector2(sensed.x, sensed.z).length(),
+            mach: bodyLoads.mach
+        };
+    }
+
+    /**
+     * Throttle for a vehicle's ascent burn after the bucket and the acceleration limit
+     * Works from the loads of the last update, so call it before stepping the physics.
+     * @param {string} vehicleId - 'superHeavy' or 'starship'
+     * @param {number} nominalThrottle - Throttle guidance would fly (0-1)
+     * @returns {number} Throttle to command (0-1)
+     */
+    getThrottle(vehicleId, nominalThrottle) {
+        const loads = this.loads[vehicleId];
+        let throttle = nominalThrottle;
+
+        if (loads) {
+            if (vehicleId === 'superHeavy' && this.physicsEngine.combinedStage) {
+                const { onsetPressure, fullPressure, minThrottle } = this.bucket;
+                const depth = Math.max(0, Math.min(1,
+                    (loads.dynamicPressure - onsetPressure) / (fullPressure - onsetPressure)));
+                throttle -= (nominalThrottle - minThrottle) * depth;
+            }
+
+            // Thrust acceleration scales with throttle, so scale to the limit every step, under it as well
+            // as over: dropping back to nominal once under would overshoot again on the next step
+            const lastThrottle = this.throttle[vehicleId];
+            if (lastThrottle > 0 && loads.axialG > 0) {
+                throttle = Math.min(throttle, lastThrottle * this.accelerationLimit / loads.axialG);
+            }
+        }
+
+        this.throttle[vehicleId] = throttle;
+        return throttle;
+    }
+
+    /**
+     * Update loads on the ascending vehicles and check them against their limits
+     * @param {number} missionTime - Mission time in seconds
+     * @param {Array<string>} vehicleIds - Vehicles under power on ascent
+     * @returns {Object|null} Breakup record if a vehicle broke up this update
+     */
+    update(missionTime, vehicleIds) {
+        for (const vehicleId of Object.keys(this.loads)) {
+            if (!vehicleIds.includes(vehicleId)) {
+                delete this.loads[vehicleId];
+                this.endExceedances(vehicleId, missionTime);
+            }
+        }
+
+        for (const vehicleId of vehicleIds) {
+            const loads = this.calculateLoads(vehicleId);
+            this.loads[vehicleId] = loads;
+            this.updatePeaks(vehicleId, loads, missionTime);
+
+            const limits = this.getLimits(vehicleId);
+            for (const type of LOAD_TYPES) {
+                const breakup = this.checkLimit(vehicleId, type, Math.abs(loads[type]), limits[type], missionTime);
+                if (breakup) return breakup;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Track peak loads and announce max-Q once the stack's dynamic pressure starts to fall
+     * @param {string} vehicleId - Vehicle key
+     * @param {Object} loads - Current loads
+     * @param {number} missionTime - Mission time in seconds
+     */
+    updatePeaks(vehicleId, loads, missionTime) {
+        const peaks = this.peaks[vehicleId] || (this.peaks[vehicleId] = {});
+        for (const type of LOAD_TYPES) {
+            const value = Math.abs(loads[type]);
+            if (!peaks[type] || value > peaks[type].value) {
+                peaks[type] = { value, missionTime };
+            }
+        }
+
+        const maxQ = peaks.dynamicPressure;
+        if (!this.maxQPassed && vehicleId === 'superHeavy' && maxQ.value > 1000 &&
+            loads.dynamicPressure < 0.98 * maxQ.value) {
+            this.maxQPassed = true;
+            this.emitEvent({ type: 'max_q', vehicleId, value: maxQ.value, missionTime: maxQ.missionTime });
+        }
+    }
+
+    /**
+     * Compare one load with its limit, opening or closing an exceedance
+     * @param {string} vehicleId - Vehicle key
+     * @param {string} type - Load type
+     * @param {number} value - Current magnitude of the load
+     * @param {number} limit - Structural limit
+     * @param {number} missionTime - Mission time in seconds
+     * @returns {Object|null} Breakup record if the load broke the vehicle up
+     */
+    checkLimit(vehicleId, type, value, limit, missionTime) {
+        const key = `${vehicleId}.${type}`;
+        let exceedance = this.active[key];
+
+        if (value <= limit) {
+            if (exceedance) this.endExceedance(key, missionTime);
+            return null;
+        }
+
+        if (!exceedance) {
+            exceedance = { vehicleId, load: type, limit, peak: value, startTime: missionTime, endTime: null };
+            this.active[key] = exceedance;
+            this.history.push(exceedance);
+            this.emitEvent({ type: 'exceedance', vehicleId, load: type, value, limit, missionTime });
+            console.warn(`${vehicleId}: ${type} ${value.toFixed(2)} exceeds limit ${limit}`);
+        }
+        exceedance.peak = Math.max(exceedance.peak, value);
+
+        if (value > limit * this.breakupFactor && !this.breakup) {
+            this.breakup = { vehicleId, load: type, value, limit, missionTime };
+            this.emitEvent({ type: 'breakup', ...this.breakup });
+            console.error(`${vehicleId} broke up: ${type} ${value.toFixed(2)} against limit ${limit}`);
+            return this.breakup;
+        }
+        return null;
+    }
+
+    /**
+     * Close an exceedance once the load is back inside its limit
+     * @param {string} key - Exceedance key (vehicle.load)
+     * @param {number} missionTime - Mission time in seconds
+     */
+    endExceedance(key, missionTime) {
+        this.active[key].endTime = missionTime;
+        delete this.active[key];
+    }
+
+    /**
+     * Close every open exceedance of a vehicle that is no longer monitored
+     * @param {string} vehicleId - Vehicle key
+     * @param {number} missionTime - Mission time in seconds
+     */
+    endExceedances(vehicleId, missionTime) {
+        Object.keys(this.active)
+            .filter(key => this.active[key].vehicleId === vehicleId)
+            .forEach(key => this.endExceedance(key, missionTime));
+    }
+
+    /**
+     * Report a load event
+     * @param {Object} event - Event record
+     */
+    emitEvent(event) {
+        if (this.onEvent) {
+            this.onEvent(event);
+        }
+    }
+
+    /**
+     * Load state for telemetry
+     * @returns {Object} { loads, peaks, exceedances, breakup } with loads and peaks keyed by vehicle
+     */
+    getState() {
+        return {
+            loads: { ...this.loads },
+            peaks: { ...this.peaks },
+            exceedances: this.history.map(exceedance => ({ ...exceedance })),
+            breakup: this.breakup
+        };
+    }
+}
@@ -0,0 +1,288 @@
+// US Standard Atmosphere 1976 for SpaceX Starship Simulator
+// Seven hydrostatic layers up to 86 km and the tabulated upper atmosphere to 1000 km,
+// with optional hot or cold day offsets and custom launch-day tables
+const EARTH_RADIUS = 6356766; // m (US76 effective radius for geopotential altitude)
+const G0 = 9.80665; // m/s²
+const GAS_CONSTANT = 8.31432 / 0.0289644; // J/(kg·K), sea-level mean molecular weight
+const HEAT_CAPACITY_RATIO = 1.4;
+const SUTHERLAND_BETA = 1.458e-6; // kg/(m·s·K^½)
+const SUTHERLAND_CONSTANT = 110.4; // K
+const LOWER_ATMOSPHERE_TOP = 86000; // m geometric
+const OFFSET_TAPER_BASE = 51000; // m geopotential; a temperature offset fades out from here to 86 km
+
+// Lower atmosphere layers: base geopotential altitude (m) and lapse rate (K/m)
+const LAYERS = [
+    { base: 0, lapseRate: -0.0065 }, // Troposphere
+    { base: 11000, lapseRate: 0 }, // Tropopause
+    { base: 20000, lapseRate: 0.001 }, // Stratosphere
+    { base: 32000, lapseRate: 0.0028 },
+    { base: 47000, lapseRate: 0 }, // Stratopause
+    { base: 51000, lapseRate: -0.0028 }, // Mesosphere
+    { base: 71000, lapseRate: -0.002 }
+];
+
+// Base temperature and pressure of each layer follow from sea level by hydrostatics
+LAYERS.forEach((layer, i) => {
+    if (i === 0) {
+        layer.temperature = 288.15;
+        layer.pressure = 101325;
+        return;
+    }
+    const below = LAYERS[i - 1];
+    layer.temperature = below.temperature + below.lapseRate * (layer.base - below.base);
+    layer.pressure = layerPressure(below, layer.base);
+});
+
+// Upper atmosphere: geometric altitude (m), density (kg/m³) and pressure (Pa)
+const UPPER_ATMOSPHERE = [
+    [86000, 6.958e-6, 3.7338e-1],
+    [90000, 3.416e-6, 1.8359e-1],
+    [100000, 5.604e-7, 3.2011e-2],
+    [110000, 9.708e-8, 7.1042e-3],
+    [120000, 2.222e-8, 2.5382e-3],
+    [130000, 8.152e-9, 1.2505e-3],
+    [150000, 2.076e-9, 4.5422e-4],
+    [200000, 2.541e-10, 8.4736e-5],
+    [250000, 6.073e-11, 2.4767e-5],
+    [300000, 1.916e-11, 8.7704e-6],
+    [400000, 2.803e-12, 1.4518e-6],
+    [500000, 5.215e-13, 3.0236e-7],
+    [600000, 1.137e-13, 8.2130e-8],
+    [700000, 3.070e-14, 3.1908e-8],
+    [800000, 1.136e-14, 1.7036e-8],
+    [900000, 5.759e-15, 1.0873e-8],
+    [1000000, 3.561e-15, 7.5138e-9]
+];
+
+// Pressure at a geopotential altitude within a layer
+function layerPressure(layer, geopotential) {
+    const dh = geopotential - layer.base;
+    if (layer.lapseRate === 0) {
+        return layer.pressure * Math.exp(-G0 * dh / (GAS_CONSTANT * layer.temperature));
+    }
+    const temperature = layer.temperature + layer.lapseRate * dh;
+    return layer.pressure * Math.pow(layer.temperature / temperature, G0 / (GAS_CONSTANT * layer.lapseRate));
+}
+
+// Log-linear interpolation between bracketing rows (extrapolates past either end)
+function interpolateLog(rows, altitude, column) {
+    let i = rows.findIndex(row => row[0] > altitude);
+    if (i === -1) i = rows.length - 1;
+    i = Math.max(1, i);
+
+    const [h0, h1] = [rows[i - 1][0], rows[i][0]];
+    const [v0, v1] = [rows[i - 1][column], rows[i][column]];
+    return v0 * Math.pow(v1 / v0, (altitude - h0) / (h1 - h0));
+}
+
+/**
+ * Kinetic temperature of the upper atmosphere (US76 thermosphere profile)
+ * @param {number} altitude - Geometric altitude in m, at least 86 km
+ * @returns {number} Temperature in Kelvin
+ */
+function upperTemperature(altitude) {
+    const z = altitude / 1000; // km
+    if (z < 91) {
+        return 186.8673;
+    } else if (z < 110) {
+        // Elliptical transition into the thermosphere
+        return 263.1905 - 76.3232 * Math.sqrt(Math.max(0, 1 - Math.pow((z - 91) / 19.9429, 2)));
+    } else if (z < 120) {
+        return 240 + 0.012 * (altitude - 110000);
+    }
+    // Exponential approach to the exospheric temperature
+    const r0 = EARTH_RADIUS / 1000;
+    const xi = (z - 120) * (r0 + 120) / (r0 + z);
+    return 1000 - 640 * Math.exp(-0.01875 * xi);
+}
+
+/**
+ * Layered US Standard Atmosphere 1976
+ * A temperature offset shifts the lower atmosphere for hot or cold days at unchanged
+ * pressure, fading out above the stratopause; a custom table replaces the model up to
+ * its top row and is blended into the standard atmosphere above it.
+ */
+export class StandardAtmosphere {
+    /**
+     * @param {Object} options - Optional launch-day conditions
+     * @param {number} options.temperatureOffset - Temperature offset from standard in K, in full up
+     *   to 51 km and tapering to none at 86 km
+     * @param {Array<Object>} options.table - Custom rows { altitude, temperature, pressure, density },
+     *   ascending in altitude (m); density is optional (see parseAtmosphereTable)
+     */
+    constructor(options = {}) {
+        this.gasConstant = GAS_CONSTANT;
+        this.heatCapacityRatio = HEAT_CAPACITY_RATIO;
+        this.temperatureOffset = options.temperatureOffset || 0;
+        this.table = null;
+
+        if (options.table) {
+            this.setTable(options.table);
+        }
+    }
+
+    /**
+     * Replace the lower atmosphere with a custom table
+     * @param {Array<Object>} table - Rows { altitude, temperature, pressure, density } ascending in
+     *   altitude; null restores the standard atmosphere
+     * @returns {boolean} True if the table was accepted
+     */
+    setTable(table) {
+        if (!table) {
+            this.table = null;
+            return true;
+        }
+
+        const valid = table.length >= 2 && table.every((row, i) =>
+            row.temperature > 0 && row.pressure > 0 && (i === 0 || row.altitude > table[i - 1].altitude));
+        if (!valid) {
+            console.warn('Ignoring atmosphere table: needs two or more rows ascending in altitude ' +
+                'with positive temperature and pressure');
+            return false;
+        }
+
+        this.table = table.map(row => ({
+            ...row,
+            density: row.density || row.pressure / (GAS_CONSTANT * row.temperature)
+        }));
+
+        // Scale the standard atmosphere above the table so conditions stay continuous
+        const top = this.table[this.table.length - 1];
+        const standard = this.getStandardConditions(top.altitude);
+        this.blend = {
+            altitude: top.altitude,
+            temperature: top.temperature - standard.temperature,
+            pressure: top.pressure / standard.pressure,
+            density: top.density / standard.density
+        };
+        return true;
+    }
+
+    /**
+     * Standard temperature, pressure and density at an altitude (with the temperature offset)
+     * @param {number} altitude - Geometric altitude in m
+     * @returns {Object} { temperature, pressure, density }
+     */
+    getStandardConditions(altitude) {
+        const h = Math.max(0, altitude);
+
+        if (h < LOWER_ATMOSPHERE_TOP) {
+            const geopotential = EARTH_RADIUS * h / (EARTH_RADIUS + h);
+            const layer = LAYERS.reduce((found, candidate) => candidate.base <= geopotential ? candidate : found);
+
+            // The offset tapers through the mesosphere so conditions meet the upper atmosphere at 86 km
+            const top = EARTH_RADIUS * LOWER_ATMOSPHERE_TOP / (EARTH_RADIUS + LOWER_ATMOSPHERE_TOP);
+            const taper = Math.min(1, Math.max(0, (top - geopotential) / (top - OFFSET_TAPER_BASE)));
+            const temperature = layer.temperature + layer.lapseRate * (geopotential - layer.base) +
+                this.temperatureOffset * taper;
+            const pressure = layerPressure(layer, geopotential);
+
+            return { temperature, pressure, density: pressure / (GAS_CONSTANT * temperature) };
+        }
+
+        return {
+            temperature: upperTemperature(h),
+            pressure: interpolateLog(UPPER_ATMOSPHERE, h, 2),
+            density: interpolateLog(UPPER_ATMOSPHERE, h, 1)
+        };
+    }
+
+    /**
+     * Temperature, pressure and density at an altitude, from the custom table if one is loaded
+     * @param {number} altitude - Geometric altitude in m
+     * @returns {Object} { temperature, pressure, density }
+     */
+    getState(altitude) {
+        if (!this.table) {
+            return this.getStandardConditions(altitude);
+        }
+
+        const h = Math.max(this.table[0].altitude, altitude);
+        if (h > this.blend.altitude) {
+            const standard = this.getStandardConditions(h);
+            return {
+                temperature: standard.temperature + this.blend.temperature,
+                pressure: standard.pressure * this.blend.pressure,
+                density: standard.density * this.blend.density
+            };
+        }
+
+        const i = Math.max(1, this.table.findIndex(row => row.altitude >= h));
+        const [below, above] = [this.table[i - 1], this.table[i]];
+        const fraction = (h - below.altitude) / (above.altitude - below.altitude);
+
+        // Temperature varies linearly; pressure and density exponentially
+        return {
+            temperature: below.temperature + (above.temperature - below.temperature) * fraction,
+            pressure: below.pressure * Math.pow(above.pressure / below.pressure, fraction),
+            density: below.density * Math.pow(above.density / below.density, fraction)
+        };
+    }
+
+    /**
+     * Air density at an altitude
+     * @param {number} altitude - Altitude in meters
+     * @returns {number} Density in kg/m³
+     */
+    getDensity(altitude) {
+        return this.getState(altitude).density;
+    }
+
+    /**
+     * Air temperature at an altitude
+     * @param {number} altitude - Altitude in meters
+     * @returns {number} Temperature in Kelvin
+     */
+    getTemperature(altitude) {
+        return this.getState(altitude).temperature;
+    }
+
+    /**
+     * Static pressure at an altitude
+     * @param {number} altitude - Altitude in meters
+     * @returns {number} Pressure in Pa
+     */
+    getPressure(altitude) {
+        return this.getState(altitude).pressure;
+    }
+
+    /**
+     * Atmospheric state at an altitude
+     * Speed of sound and viscosity are defined by the standard only up to 86 km and are
+     * extended above it from the kinetic temperature.
+     * @param {number} altitude - Altitude in meters
+     * @returns {Object} { density, temperature, pressure, speedOfSound, viscosity }
+     */
+    getConditions(altitude) {
+        const { temperature, pressure, density } = this.getState(altitude);
+
+        return {
+            density,
+            temperature,
+            pressure,
+            speedOfSound: Math.sqrt(HEAT_CAPACITY_RATIO * GAS_CONSTANT * temperature),
+            viscosity: SUTHERLAND_BETA * Math.pow(temperature, 1.5) / (temperature + SUTHERLAND_CONSTANT) // Pa·s
+        };
+    }
+}
+
+/**
+ * Parse a launch-day atmosphere table
+ * One row per line: altitude (m), temperature (K), pressure (Pa) and optionally density (kg/m³),
+ * separated by commas or whitespace. Blank lines, '#' comments and a header row are skipped.
+ * @param {string} text - Table text (e.g. a CSV file)
+ * @returns {Array<Object>} Rows { altitude, temperature, pressure, density } for StandardAtmosphere
+ */
+export function parseAtmosphereTable(text) {
+    return text.split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(line => line.length > 0)
+        .map(line => line.split(/[\s,]+/).map(Number))
+        .filter(values => values.length >= 3 && values.slice(0, 3).every(Number.isFinite))
+        .map(([altitude, temperature, pressure, density]) => ({
+            altitude,
+            temperature,
+            pressure,
+            density: Number.isFinite(density) ? density : undefined
+        }));
+}
@@ -0,0 +1,303 @@
+// Boostback guidance for SpaceX Starship Simulator
+// Solves the flip and return burn that put Super Heavy's ballistic arc down on the landing target
+import * as THREE from 'three';
+
+const DEGREES = Math.PI / 180;
+
+export const BOOSTBACK_PHASES = {
+    COAST: 'coast', // Clearing the ship after separation
+    FLIP: 'flip', // Turning the engines toward the burn direction
+    BURN: 'burn',
+    CUTOFF: 'cutoff' // Ballistic toward the target
+};
+
+/**
+ * Boostback targeting for the booster
+ * The solver keeps the booster's vertical velocity and searches for the horizontal velocity whose
+ * ballistic arc (gravity, Coriolis and drag in the rotating pad frame) comes down on the target,
+ * correcting it by the predicted miss over the time of flight. The burn thrusts along the velocity
+ * still to be gained, is re-solved every cycle, and cuts off once that velocity is used up.
+ */
+export class BoostbackGuidance {
+    /**
+     * @param {VehicleDynamics} dynamics - Gravity, atmosphere and aerodynamics of the rotating frame
+     * @param {Object} options - Guidance options
+     * @param {number} options.coastTime - Seconds after separation before the flip
+     * @param {number} options.flipRate - Turn rate of the flip and of the burn steering (degrees/s)
+     * @param {number} options.burnAlignment - Largest pointing error (degrees) at which the burn starts
+     * @param {number} options.cycleTime - Seconds between re-solves
+     * @param {number} options.cutoffLead - Seconds of thrust left in the shutdown transient, taken off the
+     *   cutoff so the tail-off does not overshoot
+     * @param {number} options.missTolerance - Miss distance (m) the solver stops iterating at
+     * @param {number} options.predictionStep - Integration step (s) of the impact prediction
+     */
+    constructor(dynamics, options = {}) {
+        this.dynamics = dynamics;
+        this.coastTime = options.coastTime ?? 2;
+        this.flipRate = (options.flipRate ?? 10) * DEGREES;
+        this.burnAlignment = (options.burnAlignment ?? 5) * DEGREES;
+        this.cycleTime = options.cycleTime ?? 1;
+        this.cutoffLead = options.cutoffLead ?? 0.2;
+        this.missTolerance = options.missTolerance ?? 10;
+        this.predictionStep = options.predictionStep ?? 1;
+        this.maxIterations = 12;
+
+        this.target = new THREE.Vector3();
+        this.reset();
+    }
+
+    /**
+     * Start over for a new return
+     * @param {THREE.Vector3} target - Landing target in the local frame (optional)
+     */
+    reset(target = null) {
+        if (target) {
+            this.target.copy(target);
+        }
+        this.phase = BOOSTBACK_PHASES.COAST;
+        this.elapsed = 0;
+        this.sinceSolve = Infinity;
+        this.axis = null; // Commanded thrust axis (local)
+        this.solution = null;
+        this.prediction = null;
+        this.velocityToGain = null;
+        this.propellantMargin = null;
+        this.cutoffTime = null;
+    }
+
+    /**
+     * Whether the return burn is over
+     * @returns {boolean} True after cutoff
+     */
+    isComplete() {
+        return this.phase === BOOSTBACK_PHASES.CUTOFF;
+    }
+
+    /**
+     * Advance the boostback
+     * @param {Object} state - Booster state
+     * @param {THREE.Vector3} state.position - Local position in m
+     * @param {THREE.Vector3} state.velocity - Local velocity in m/s
+     * @param {THREE.Vector3} state.axis - Current thrust axis (body +Y, local)
+     * @param {number} state.mass - Current mass in kg
+     * @param {number} state.thrust - Thrust now being produced in N
+     * @param {Object} state.burn - Boostback engines at full throttle: { thrust, massFlow }
+     * @param {number} state.propellant - Propellant the burn can draw on in kg
+     * @param {Object} state.aerodynamics - Booster aerodynamic coefficients for the impact prediction
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} { phase, direction (thrust axis to hold, local, or null), throttle }
+     */
+    update(state, dt) {
+        this.elapsed += dt;
+        this.sinceSolve += dt;
+        if (!this.axis) {
+            this.axis = state.axis.clone();
+        }
+
+        // The last cycle of the burn and the tail-off after cutoff are solved every step, so the
+        // cutoff works from a fresh solution and the prediction includes the tail-off
+        const acceleration = state.thrust / state.mass;
+        const finalCycle = this.phase === BOOSTBACK_PHASES.BURN &&
+            this.velocityToGain <= acceleration * this.cycleTime * 1.5;
+        const tailOff = this.phase === BOOSTBACK_PHASES.CUTOFF && state.thrust > 0;
+        if (this.sinceSolve >= this.cycleTime || finalCycle || tailOff) {
+            this.sinceSolve = 0;
+            if (this.phase === BOOSTBACK_PHASES.CUTOFF) {
+                this.prediction = this.predictImpact(state.position, state.velocity, state.mass, state.aerodynamics);
+            } else {
+                this.solve(state);
+            }
+        }
+
+        if (this.phase === BOOSTBACK_PHASES.CUTOFF) {
+            return { phase: this.phase, direction: null, throttle: 0 };
+        }
+        if (this.phase === BOOSTBACK_PHASES.COAST) {
+            if (this.elapsed < this.coastTime) {
+                return { phase: this.phase, direction: null, throttle: 0 };
+            }
+            this.phase = BOOSTBACK_PHASES.FLIP;
+        }
+
+        const velocityToGain = this.solution.requiredVelocity.clone().sub(state.velocity);
+        const remaining = velocityToGain.length();
+        this.velocityToGain = remaining;
+        this.turnAxis(velocityToGain.clone().normalize(), dt);
+
+        if (this.phase === BOOSTBACK_PHASES.FLIP) {
+            if (this.axis.angleTo(velocityToGain) > this.burnAlignment) {
+                return { phase: this.phase, direction: this.axis.clone(), throttle: 0 };
+            }
+            this.phase = BOOSTBACK_PHASES.BURN;
+        }
+
+        // Cut off early by the velocity the engines still add while they shut down
+        if (state.thrust > 0 && (remaining <= acceleration * this.cutoffLead ||
+            velocityToGain.dot(this.axis) <= 0)) {
+            this.phase = BOOSTBACK_PHASES.CUTOFF;
+            this.cutoffTime = this.elapsed;
+            this.velocityToGain = 0;
+            this.prediction = this.predictImpact(state.position, state.velocity, state.mass, state.aerodynamics);
+            return { phase: this.phase, direction: null, throttle: 0 };
+        }
+
+        return { phase: this.phase, direction: this.axis.clone(), throttle: 1 };
+    }
+
+    /**
+     * Re-solve the burn from the current state
+     * @param {Object} state - Booster state (see update)
+     */
+    solve(state) {
+        this.solution = this.solveRequiredVelocity(
+            state.position, state.velocity, state.mass, state.aerodynamics, this.solution
+        );
+        this.prediction = this.predictImpact(state.position, state.velocity, state.mass, state.aerodynamics);
+
+        // Propellant left once the rest of the burn is flown
+        const deltaV = this.solution.requiredVelocity.distanceTo(state.velocity);
+        const exhaustVelocity = state.burn.massFlow > 0 ? state.burn.thrust / state.burn.massFlow : 0;
+        const needed = exhaustVelocity > 0 ? state.mass * (1 - Math.exp(-deltaV / exhaustVelocity)) : Infinity;
+        const margin = state.propellant - needed;
+        if (margin < 0 && !(this.propellantMargin < 0)) {
+            console.warn(`Boostback short of propellant by ${(-margin / 1000).toFixed(1)} t`);
+        }
+        this.propellantMargin = margin;
+    }
+
+    /**
+     * Find the velocity whose ballistic arc comes down on the target
+     * The vertical velocity is kept; the horizontal velocity is corrected by the miss divided by the
+     * time of flight until the prediction lands within missTolerance.
+     * @param {THREE.Vector3} position - Local position in m
+     * @param {THREE.Vector3} velocity - Local velocity in m/s
+     * @param {number} mass - Mass in kg
+     * @param {Object} aerodynamics - Aerodynamic coefficients
+     * @param {Object} previous - Last solution, used as the first guess
+     * @returns {Object} { requiredVelocity, impact, iterations }
+     */
+    solveRequiredVelocity(position, velocity, mass, aerodynamics, previous = null) {
+        const up = this.dynamics.getLocalUp(position);
+        const vertical = velocity.dot(up);
+        const horizontal = (previous ? previous.requiredVelocity : velocity).clone();
+        horizontal.addScaledVector(up, -horizontal.dot(up));
+
+        let requiredVelocity = null;
+        let impact = null;
+        let iterations = 0;
+        while (iterations < this.maxIterations) {
+            iterations++;
+            requiredVelocity = horizontal.clone().addScaledVector(up, vertical);
+            impact = this.predictImpact(position, requiredVelocity, mass, aerodynamics);
+            if (impact.missDistance <= this.missTolerance || !(impact.time > 0)) break;
+
+            const correction = impact.miss.clone().divideScalar(impact.time);
+            horizontal.add(correction.addScaledVector(up, -correction.dot(up)));
+        }
+
+        return { requiredVelocity, impact, iterations };
+    }
+
+    /**
+     * Fly a ballistic arc to the ground
+     * @param {THREE.Vector3} position - Local position in m
+     * @param {THREE.Vector3} velocity - Local velocity in m/s
+     * @param {number} mass - Mass in kg
+     * @param {Object} aerodynamics - Aerodynamic coefficients (drag only; the booster falls engines first)
+     * @returns {Object} { position, time, miss (horizontal vector to the target), missDistance, geodetic }
+     */
+    predictImpact(position, velocity, mass, aerodynamics) {
+        const dynamics = this.dynamics;
+        const p = position.clone();
+        const v = velocity.clone();
+        const step = this.predictionStep;
+        const acceleration = (r, u) => {
+            const a = dynamics.getGravityAcceleration(r).add(dynamics.getCoriolisAcceleration(u));
+            const environment = dynamics.getEnvironment(r);
+            if (aerodynamics && environment.density > 0) {
+                const aero = dynamics.aerodynamics.calculateForces({
+                    airVelocity: u,
+                    axis: null,
+                    density: environment.density,
+                    mach: u.length() / environment.speedOfSound,
+                    coefficients: aerodynamics
+                });
+                a.addScaledVector(aero.drag, 1 / mass);
+            }
+            return a;
+        };
+
+        let time = 0;
+        let altitude = dynamics.getAltitude(p);
+        const targetAltitude = dynamics.getAltitude(this.target);
+        while (altitude > targetAltitude && time < 3600) {
+            // Midpoint step
+            const a1 = acceleration(p, v);
+            const midPosition = p.clone().addScaledVector(v, step / 2);
+            const midVelocity = v.clone().addScaledVector(a1, step / 2);
+            const a2 = acceleration(midPosition, midVelocity);
+
+            const previousPosition = p.clone();
+            const previousAltitude = altitude;
+            p.addScaledVector(midVelocity, step);
+            v.addScaledVector(a2, step);
+            altitude = dynamics.getAltitude(p);
+
+            if (altitude <= targetAltitude) {
+                // Back up to the crossing
+                const fraction = (previousAltitude - targetAltitude) / (previousAltitude - altitude);
+                p.lerpVectors(previousPosition, p, fraction);
+                time += step * fraction;
+                break;
+            }
+            time += step;
+        }
+
+        const up = dynamics.getLocalUp(this.target);
+        const miss = this.target.clone().sub(p);
+        miss.addScaledVector(up, -miss.dot(up));
+
+        return {
+            position: p,
+            time,
+            miss,
+            missDistance: miss.length(),
+            geodetic: dynamics.earthFrame ? dynamics.earthFrame.localToGeodetic(p) : null
+        };
+    }
+
+    /**
+     * Turn the commanded thrust axis toward a direction at the flip rate
+     * @param {THREE.Vector3} direction - Unit direction (local)
+     * @param {number} dt - Time step in seconds
+     */
+    turnAxis(direction, dt) {
+        const angle = this.axis.angleTo(direction);
+        const maxTurn = this.flipRate * dt;
+        if (angle <= maxTurn) {
+            this.axis.copy(direction);
+            return;
+        }
+
+        const turn = new THREE.Quaternion().setFromUnitVectors(this.axis, direction);
+        this.axis.applyQuaternion(new THREE.Quaternion().slerp(turn, maxTurn / angle)).normalize();
+    }
+
+    /**
+     * Boostback status for telemetry
+     * @returns {Object} { phase, velocityToGain (m/s), predictedImpact, missDistance, timeToImpact,
+     *   propellantMargin (kg), cutoffTime }
+     */
+    getState() {
+        const impact = this.prediction;
+        return {
+            phase: this.phase,
+            velocityToGain: this.velocityToGain,
+            predictedImpact: impact ? { position: impact.position.clone(), geodetic: impact.geodetic } : null,
+            missDistance: impact ? impact.missDistance : null,
+            timeToImpact: impact ? impact.time : null,
+            propellantMargin: this.propellantMargin,
+            cutoffTime: this.cutoffTime
+        };
+    }
+}
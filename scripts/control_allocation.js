@@ -0,0 +1,252 @@
+// Control allocation for SpaceX Starship Simulator
+// Spreads commanded body moments over flaps, grid fins and engine gimbal within each actuator's
+// deflection range, slew rate and the power its drive can deliver
+import * as THREE from 'three';
+
+const DEGREES = Math.PI / 180;
+
+export const ACTUATOR_FAILURES = {
+    STUCK: 'stuck' // Frozen at the angle it had when it failed
+};
+
+/**
+ * Allocates body moments to a set of rotary actuators
+ * Actuator i at angle δ_i adds m_i·sin(δ_i) to the body moment, with the moment arm m_i (moment at
+ * full deflection, which moves with dynamic pressure or thrust) supplied every step. The allocator
+ * looks for the sines u_i nearest each actuator's trim whose moments add up to the command: it
+ * follows the pseudo-inverse correction until an actuator reaches the end of the range it can
+ * cover this step (its stops, or its slew rate), holds that actuator there and re-solves what is
+ * left over the rest. Actuators sharing a power supply then slow down together if their hinge
+ * moments times their rates ask for more than it delivers. Whatever moment goes unmet is reported
+ * as saturation.
+ */
+export class ControlAllocator {
+    /**
+     * @param {Array<Object>} actuators - Actuators: { id, minAngle, maxAngle, trim (rad), slewRate (rad/s),
+     *   group (name of the power supply, or null for none) }
+     * @param {Object} options - Allocator options
+     * @param {Object} options.powerBudgets - Power in W of each supply, keyed by group
+     * @param {number} options.tolerance - Fraction of the commanded moment that may go unmet before
+     *   the allocation counts as saturated
+     */
+    constructor(actuators, options = {}) {
+        this.actuators = actuators.map(actuator => ({ trim: 0, group: null, ...actuator }));
+        this.powerBudgets = options.powerBudgets || {};
+        this.tolerance = options.tolerance ?? 0.05;
+        this.reset();
+    }
+
+    /**
+     * Return every actuator to trim and clear failures
+     */
+    reset() {
+        this.angles = Object.fromEntries(this.actuators.map(actuator => [actuator.id, actuator.trim]));
+        this.rates = Object.fromEntries(this.actuators.map(actuator => [actuator.id, 0]));
+        this.failures = {};
+        this.power = Object.fromEntries(Object.keys(this.powerBudgets).map(group => [group, 0]));
+        this.commandedTorque = new THREE.Vector3();
+        this.achievedTorque = new THREE.Vector3();
+        this.limits = { deflection: false, rate: false, power: false };
+        this.saturated = false;
+    }
+
+    /**
+     * Fail an actuator
+     * @param {string} id - Actuator id
+     * @param {string} type - Failure type from ACTUATOR_FAILURES
+     * @returns {boolean} True if the failure was applied
+     */
+    failActuator(id, type = ACTUATOR_FAILURES.STUCK) {
+        if (!(id in this.angles)) {
+            console.warn(`Cannot fail actuator: unknown actuator ${id}`);
+            return false;
+        }
+        if (!Object.values(ACTUATOR_FAILURES).includes(type)) {
+            console.warn(`Cannot fail actuator: unknown failure type ${type}`);
+            return false;
+        }
+        this.failures[id] = { type, angle: this.angles[id] };
+        this.rates[id] = 0;
+        return true;
+    }
+
+    /**
+     * Move the actuators toward the deflections that best produce a body moment
+     * @param {THREE.Vector3} torque - Commanded body moment in N·m
+     * @param {Object} arms - Per actuator id: { moment (THREE.Vector3, body moment in N·m at sin δ = 1),
+     *   hingeMoment (N·m the drive works against at sin δ = 1) }; actuators left out have no authority
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} { angles (rad by id), torque (THREE.Vector3 achieved), saturated }
+     */
+    allocate(torque, arms, dt) {
+        const actuators = this.actuators;
+        const zero = new THREE.Vector3();
+        const moments = actuators.map(actuator => arms[actuator.id]?.moment || zero);
+        const limits = { deflection: false, rate: false, power: false };
+
+        // Sines each actuator can reach this step, and why it stops there
+        const bounds = actuators.map(actuator => {
+            const angle = this.angles[actuator.id];
+            if (this.failures[actuator.id]) {
+                return { low: Math.sin(angle), high: Math.sin(angle), lowStop: true, highStop: true };
+            }
+            const travel = actuator.slewRate * dt;
+            return {
+                low: Math.sin(Math.max(actuator.minAngle, angle - travel)),
+                high: Math.sin(Math.min(actuator.maxAngle, angle + travel)),
+                lowStop: angle - travel <= actuator.minAngle,
+                highStop: angle + travel >= actuator.maxAngle
+            };
+        });
+
+        // Start from trim, or as near it as each actuator gets this step
+        const efforts = actuators.map((actuator, i) =>
+            Math.max(bounds[i].low, Math.min(bounds[i].high, Math.sin(actuator.trim))));
+
+        allocateWithinBounds(torque, moments, efforts, bounds).forEach((held, i) => {
+            if (held) {
+                limits[(held === 'low' ? bounds[i].lowStop : bounds[i].highStop) ? 'deflection' : 'rate'] = true;
+            }
+        });
+
+        // New angles, then slow each power group down to what its supply delivers
+        const targets = actuators.map((actuator, i) => Math.asin(Math.max(-1, Math.min(1, efforts[i]))));
+        const power = {};
+        actuators.forEach((actuator, i) => {
+            if (!actuator.group) return;
+            const angle = this.angles[actuator.id];
+            const load = (arms[actuator.id]?.hingeMoment || 0) *
+                Math.max(Math.abs(Math.sin(angle)), Math.abs(efforts[i]));
+            power[actuator.group] = (power[actuator.group] || 0) + load * Math.abs(targets[i] - angle) / dt;
+        });
+        Object.entries(power).forEach(([group, demand]) => {
+            const budget = this.powerBudgets[group];
+            if (!(budget >= 0) || demand <= budget) return;
+
+            const scale = budget / demand;
+            actuators.forEach((actuator, i) => {
+                if (actuator.group !== group) return;
+                const angle = this.angles[actuator.id];
+                targets[i] = angle + (targets[i] - angle) * scale;
+            });
+            power[group] = budget;
+            limits.power = true;
+        });
+
+        // Move, and add up what the actuators actually deliver
+        const achieved = new THREE.Vector3();
+        actuators.forEach((actuator, i) => {
+            this.rates[actuator.id] = (targets[i] - this.angles[actuator.id]) / dt;
+            this.angles[actuator.id] = targets[i];
+            achieved.addScaledVector(moments[i], Math.sin(targets[i]));
+        });
+
+        this.power = { ...Object.fromEntries(Object.keys(this.powerBudgets).map(group => [group, 0])), ...power };
+        this.commandedTorque.copy(torque);
+        this.achievedTorque.copy(achieved);
+        this.limits = limits;
+        this.saturated = achieved.distanceTo(torque) > this.tolerance * torque.length();
+
+        return { angles: { ...this.angles }, torque: achieved.clone(), saturated: this.saturated };
+    }
+
+    /**
+     * Current angle of every actuator
+     * @returns {Object} Angles in rad keyed by actuator id
+     */
+    getAngles() {
+        return { ...this.angles };
+    }
+
+    /**
+     * Allocation state for telemetry
+     * @returns {Object} { angles and rates (degrees, degrees/s by id), power (W by group), saturated,
+     *   limits { deflection, rate, power } hit on the last step, commandedTorque and achievedTorque
+     *   (N·m), stuck (ids of stuck actuators) }
+     */
+    getState() {
+        const inDegrees = values => Object.fromEntries(Object.entries(values).map(([id, value]) => [id, value / DEGREES]));
+        return {
+            angles: inDegrees(this.angles),
+            rates: inDegrees(this.rates),
+            power: { ...this.power },
+            saturated: this.saturated,
+            limits: { ...this.limits },
+            commandedTorque: this.commandedTorque.clone(),
+            achievedTorque: this.achievedTorque.clone(),
+            stuck: Object.keys(this.failures).filter(id => this.failures[id].type === ACTUATOR_FAILURES.STUCK)
+        };
+    }
+}
+
+/**
+ * Move efforts toward producing a moment without leaving their bounds
+ * Follows the pseudo-inverse correction of the moment error until the first effort reaches a bound,
+ * holds it there and re-solves what is left over the rest.
+ * @param {THREE.Vector3} torque - Commanded moment
+ * @param {Array<THREE.Vector3>} moments - Moment of each effort at 1
+ * @param {Array<number>} efforts - Starting efforts, moved in place
+ * @param {Array<Object>} bounds - { low, high } of each effort
+ * @returns {Array<string|null>} Per effort, 'low' or 'high' if it ended held at that bound
+ */
+export function allocateWithinBounds(torque, moments, efforts, bounds) {
+    const held = efforts.map(() => null);
+    const free = moments.map((moment, i) => moment.lengthSq() > 0 && bounds[i].high > bounds[i].low);
+
+    for (let pass = 0; pass < efforts.length && free.some(Boolean); pass++) {
+        const correction = solveCorrection(torque, moments, efforts, free);
+        if (!correction) break;
+
+        // Go along the correction until the first effort runs out of room, then hold it there
+        const rooms = efforts.map((effort, i) => {
+            if (!free[i] || correction[i] === 0) return Infinity;
+            return ((correction[i] > 0 ? bounds[i].high : bounds[i].low) - effort) / correction[i];
+        });
+        const step = Math.max(0, Math.min(1, ...rooms));
+        efforts.forEach((effort, i) => {
+            if (!free[i]) return;
+            if (rooms[i] <= step) {
+                held[i] = correction[i] < 0 ? 'low' : 'high';
+                efforts[i] = bounds[i][held[i]];
+                free[i] = false;
+            } else {
+                efforts[i] += step * correction[i];
+            }
+        });
+        if (step >= 1) break;
+    }
+
+    return held;
+}
+
+/**
+ * Least-norm change of the free efforts that removes the moment error
+ * @param {THREE.Vector3} torque - Commanded moment
+ * @param {Array<THREE.Vector3>} moments - Moment of each effort at 1
+ * @param {Array<number>} efforts - Current efforts
+ * @param {Array<boolean>} free - Efforts still free to move
+ * @returns {Array<number>|null} Change per effort, null if the free set has no authority
+ */
+function solveCorrection(torque, moments, efforts, free) {
+    const error = torque.clone();
+    moments.forEach((moment, i) => error.addScaledVector(moment, -efforts[i]));
+
+    // Δu = Bᵀ (B Bᵀ)⁻¹ e over the free columns, lightly damped for directions none of them reach
+    const gram = new Array(9).fill(0);
+    moments.forEach((moment, i) => {
+        if (!free[i]) return;
+        const m = moment.toArray();
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 3; column++) {
+                gram[row * 3 + column] += m[row] * m[column];
+            }
+        }
+    });
+    const trace = gram[0] + gram[4] + gram[8];
+    if (!(trace > 0)) return null;
+    [0, 4, 8].forEach(index => { gram[index] += trace * 1e-9; });
+
+    const inverse = new THREE.Matrix3().set(...gram).invert();
+    const multiplier = error.applyMatrix3(inverse);
+    return moments.map((moment, i) => free[i] ? moment.dot(multiplier) : 0);
+}
@@ -0,0 +1,307 @@
+// Earth reference frames for SpaceX Starship Simulator
+// Earth-centered inertial (ECI), Earth-centered Earth-fixed (ECEF) and the launch site's
+// local frame on a spherical, rotating Earth
+import * as THREE from 'three';
+import { EARTH_CONSTANTS } from './vehicle_dynamics.js';
+
+// Launch sites: geodetic latitude and longitude in degrees, pad altitude in m
+export const LAUNCH_SITES = {
+    starbase: { name: 'Starbase', latitude: 25.9972, longitude: -97.1560, altitude: 0 },
+    kennedy: { name: 'LC-39A', latitude: 28.6082, longitude: -80.6041, altitude: 0 }
+};
+
+const DEGREES = Math.PI / 180;
+
+/**
+ * Frames of a spherical Earth spinning about its polar axis
+ * - ECI: origin at the Earth's center, +Z through the north pole, +X fixed in space
+ *   (the Greenwich meridian at rotation angle 0)
+ * - ECEF: same origin and +Z, +X through the Greenwich meridian, turning with the Earth
+ * - Local: the scene and physics frame at the pad, origin on the ground at the launch site;
+ *   +X west, +Y up and +Z north, so an eastward launch flies downrange along -X
+ * Local and ECEF are both Earth-fixed, so they differ by a constant rotation and offset.
+ */
+export class EarthFrame {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.site - Launch site { latitude, longitude, altitude } (degrees, m),
+     *   defaults to Starbase
+     * @param {number} options.radius - Earth radius in m
+     * @param {number} options.rotationRate - Sidereal rotation rate in rad/s
+     * @param {number} options.rotationAngle - Earth rotation angle (Greenwich from ECI +X) at time 0 in rad
+     */
+    constructor(options = {}) {
+        this.radius = options.radius ?? EARTH_CONSTANTS.RADIUS;
+        this.rotationRate = options.rotationRate ?? EARTH_CONSTANTS.ROTATION_RATE;
+        this.rotationAngle = options.rotationAngle ?? 0;
+        this.setSite(options.site || LAUNCH_SITES.starbase);
+    }
+
+    /**
+     * Move the launch site
+     * @param {Object} site - { latitude, longitude, altitude } in degrees and m
+     */
+    setSite(site) {
+        this.site = { altitude: 0, ...site };
+
+        const latitude = this.site.latitude * DEGREES;
+        const longitude = this.site.longitude * DEGREES;
+        const east = new THREE.Vector3(-Math.sin(longitude), Math.cos(longitude), 0);
+        const north = new THREE.Vector3(
+            -Math.sin(latitude) * Math.cos(longitude),
+            -Math.sin(latitude) * Math.sin(longitude),
+            Math.cos(latitude)
+        );
+        const up = new THREE.Vector3(
+            Math.cos(latitude) * Math.cos(longitude),
+            Math.cos(latitude) * Math.sin(longitude),
+            Math.sin(latitude)
+        );
+
+        // Columns are the local axes (west, up, north) expressed in ECEF
+        this.localToEcefMatrix = new THREE.Matrix3().set(
+            -east.x, up.x, north.x,
+            -east.y, up.y, north.y,
+            -east.z, up.z, north.z
+        );
+        this.ecefToLocalMatrix = this.localToEcefMatrix.clone().transpose();
+
+        this.siteEcef = up.clone().multiplyScalar(this.radius + this.site.altitude);
+        this.center = new THREE.Vector3(0, -(this.radius + this.site.altitude), 0); // Earth's center, local
+        this.spin = new THREE.Vector3(0, 0, this.rotationRate).applyMatrix3(this.ecefToLocalMatrix); // local
+    }
+
+    /**
+     * Earth rotation angle at a time
+     * @param {number} time - Seconds since time 0
+     * @returns {number} Angle of the Greenwich meridian from ECI +X in rad
+     */
+    getRotationAngle(time = 0) {
+        return this.rotationAngle + this.rotationRate * time;
+    }
+
+    /**
+     * Convert a local direction to east, north and up components
+     * @param {THREE.Vector3|Object} vector - Local vector
+     * @returns {Object} { east, north, up }
+     */
+    localToEnu(vector) {
+        return { east: -vector.x, north: vector.z, up: vector.y };
+    }
+
+    /**
+     * Convert east, north and up components to a local vector
+     * @param {Object} enu - { east, north, up }
+     * @returns {THREE.Vector3} Local vector
+     */
+    enuToLocal(enu) {
+        return new THREE.Vector3(-enu.east, enu.up, enu.north);
+    }
+
+    /**
+     * Local position to ECEF
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @returns {THREE.Vector3} ECEF position in m
+     */
+    localToEcef(position) {
+        return new THREE.Vector3(position.x, position.y, position.z)
+            .applyMatrix3(this.localToEcefMatrix).add(this.siteEcef);
+    }
+
+    /**
+     * ECEF position to local
+     * @param {THREE.Vector3|Object} position - ECEF position in m
+     * @returns {THREE.Vector3} Local position in m
+     */
+    ecefToLocal(position) {
+        return new THREE.Vector3(position.x, position.y, position.z)
+            .sub(this.siteEcef).applyMatrix3(this.ecefToLocalMatrix);
+    }
+
+    /**
+     * ECEF position and velocity to ECI
+     * The inertial velocity adds the Earth's rotation (ω × r) to the Earth-relative velocity.
+     * @param {THREE.Vector3|Object} position - ECEF position in m
+     * @param {THREE.Vector3|Object} velocity - Earth-relative velocity in m/s
+     * @param {number} time - Seconds since time 0
+     * @returns {Object} { position, velocity } in ECI
+     */
+    ecefToEci(position, velocity, time = 0) {
+        const rotation = new THREE.Matrix4().makeRotationZ(this.getRotationAngle(time));
+        const r = new THREE.Vector3(position.x, position.y, position.z);
+        const v = new THREE.Vector3(velocity.x, velocity.y, velocity.z)
+            .add(new THREE.Vector3(0, 0, this.rotationRate).cross(r));
+
+        return {
+            position: r.applyMatrix4(rotation),
+            velocity: v.applyMatrix4(rotation)
+        };
+    }
+
+    /**
+     * ECI position and velocity to ECEF
+     * @param {THREE.Vector3|Object} position - ECI position in m
+     * @param {THREE.Vector3|Object} velocity - Inertial velocity in m/s
+     * @param {number} time - Seconds since time 0
+     * @returns {Object} { position, velocity } in ECEF, velocity relative to the Earth
+     */
+    eciToEcef(position, velocity, time = 0) {
+        const rotation = new THREE.Matrix4().makeRotationZ(-this.getRotationAngle(time));
+        const r = new THREE.Vector3(position.x, position.y, position.z).applyMatrix4(rotation);
+        const v = new THREE.Vector3(velocity.x, velocity.y, velocity.z).applyMatrix4(rotation)
+            .sub(new THREE.Vector3(0, 0, this.rotationRate).cross(r));
+
+        return { position: r, velocity: v };
+    }
+
+    /**
+     * Local position and velocity to ECI
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @param {THREE.Vector3|Object} velocity - Local (Earth-relative) velocity in m/s
+     * @param {number} time - Seconds since time 0
+     * @returns {Object} { position, velocity } in ECI
+     */
+    localToEci(position, velocity, time = 0) {
+        const ecefVelocity = new THREE.Vector3(velocity.x, velocity.y, velocity.z)
+            .applyMatrix3(this.localToEcefMatrix);
+        return this.ecefToEci(this.localToEcef(position), ecefVelocity, time);
+    }
+
+    /**
+     * ECI position and velocity to local
+     * @param {THREE.Vector3|Object} position - ECI position in m
+     * @param {THREE.Vector3|Object} velocity - Inertial velocity in m/s
+     * @param {number} time - Seconds since time 0
+     * @returns {Object} { position, velocity } in the local frame, velocity relative to the Earth
+     */
+    eciToLocal(position, velocity, time = 0) {
+        const ecef = this.eciToEcef(position, velocity, time);
+        return {
+            position: this.ecefToLocal(ecef.position),
+            velocity: ecef.velocity.applyMatrix3(this.ecefToLocalMatrix)
+        };
+    }
+
+    /**
+     * Rotate an ECI direction into the local frame
+     * @param {THREE.Vector3|Object} direction - ECI vector
+     * @param {number} time - Seconds since time 0
+     * @returns {THREE.Vector3} Local vector
+     */
+    eciToLocalDirection(direction, time = 0) {
+        return new THREE.Vector3(direction.x, direction.y, direction.z)
+            .applyMatrix4(new THREE.Matrix4().makeRotationZ(-this.getRotationAngle(time)))
+            .applyMatrix3(this.ecefToLocalMatrix);
+    }
+
+    /**
+     * Rotate a local direction into ECI
+     * @param {THREE.Vector3|Object} direction - Local vector
+     * @param {number} time - Seconds since time 0
+     * @returns {THREE.Vector3} ECI vector
+     */
+    localToEciDirection(direction, time = 0) {
+        return new THREE.Vector3(direction.x, direction.y, direction.z)
+            .applyMatrix3(this.localToEcefMatrix)
+            .applyMatrix4(new THREE.Matrix4().makeRotationZ(this.getRotationAngle(time)));
+    }
+
+    /**
+     * Latitude, longitude and altitude of an ECEF position
+     * @param {THREE.Vector3|Object} position - ECEF position in m
+     * @returns {Object} { latitude, longitude, altitude } in degrees and m
+     */
+    ecefToGeodetic(position) {
+        const distance = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+        return {
+            latitude: Math.asin(position.z / distance) / DEGREES,
+            longitude: Math.atan2(position.y, position.x) / DEGREES,
+            altitude: distance - this.radius
+        };
+    }
+
+    /**
+     * Latitude, longitude and altitude of a local position
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @returns {Object} { latitude, longitude, altitude } in degrees and m
+     */
+    localToGeodetic(position) {
+        return this.ecefToGeodetic(this.localToEcef(position));
+    }
+
+    /**
+     * Local position of a latitude, longitude and altitude
+     * @param {Object} geodetic - { latitude, longitude, altitude } in degrees and m (altitude defaults to 0)
+     * @returns {THREE.Vector3} Local position in m
+     */
+    geodeticToLocal(geodetic) {
+        const latitude = geodetic.latitude * DEGREES;
+        const longitude = geodetic.longitude * DEGREES;
+        const distance = this.radius + (geodetic.altitude ?? 0);
+        return this.ecefToLocal({
+            x: distance * Math.cos(latitude) * Math.cos(longitude),
+            y: distance * Math.cos(latitude) * Math.sin(longitude),
+            z: distance * Math.sin(latitude)
+        });
+    }
+
+    /**
+     * Altitude of a local position above the spherical surface
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @returns {number} Altitude in m
+     */
+    getAltitude(position) {
+        return Math.sqrt(
+            position.x * position.x +
+            (position.y - this.center.y) * (position.y - this.center.y) +
+            position.z * position.z
+        ) - this.radius;
+    }
+
+    /**
+     * Local vertical at a local position
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @returns {THREE.Vector3} Unit vector away from the Earth's center
+     */
+    getLocalUp(position) {
+        return new THREE.Vector3(position.x, position.y, position.z).sub(this.center).normalize();
+    }
+
+    /**
+     * The point on the surface directly below (or above) a local position
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @returns {THREE.Vector3} Local position at zero altitude
+     */
+    projectToSurface(position) {
+        return this.getLocalUp(position).multiplyScalar(this.radius).add(this.center);
+    }
+
+    /**
+     * Centrifugal acceleration of the Earth-fixed frame, -ω × (ω × r)
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @returns {THREE.Vector3} Acceleration in m/s² (local)
+     */
+    getCentrifugalAcceleration(position) {
+        const r = new THREE.Vector3(position.x, position.y, position.z).sub(this.center);
+        return this.spin.clone().cross(this.spin.clone().cross(r)).negate();
+    }
+
+    /**
+     * Centrifugal potential of the Earth-fixed frame, -½|ω × r|²
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @returns {number} Specific potential energy in J/kg
+     */
+    getCentrifugalPotential(position) {
+        const r = new THREE.Vector3(position.x, position.y, position.z).sub(this.center);
+        return -0.5 * this.spin.clone().cross(r).lengthSq();
+    }
+
+    /**
+     * Coriolis acceleration of the Earth-fixed frame, -2ω × v
+     * @param {THREE.Vector3|Object} velocity - Local velocity in m/s
+     * @returns {THREE.Vector3} Acceleration in m/s² (local)
+     */
+    getCoriolisAcceleration(velocity) {
+        return this.spin.clone().cross(new THREE.Vector3(velocity.x, velocity.y, velocity.z)).multiplyScalar(-2);
+    }
+}
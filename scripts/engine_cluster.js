@@ -0,0 +1,356 @@
+// Raptor engine cluster model for SpaceX Starship Simulator
+// Per-engine state, start and shutdown transients, throttle and gimbal commands,
+// and engine failures
+import * as THREE from 'three';
+
+export const ENGINE_STATES = {
+    OFF: 'off',
+    STARTING: 'starting',
+    RUNNING: 'running',
+    STOPPING: 'stopping'
+};
+
+export const FAILURE_TYPES = {
+    SHUTDOWN: 'shutdown', // Engine out; it cannot be restarted
+    THRUST_LOSS: 'thrust_loss', // Engine keeps running at reduced thrust
+    GIMBAL_STUCK: 'gimbal_stuck' // Gimbal actuator frozen at its current angle
+};
+
+const NOMINAL_CHAMBER_PRESSURE = 3.0e7; // Pa (300 bar)
+
+// Radius of each engine ring in meters
+const RING_RADIUS = {
+    center: 0.6,
+    inner: 2.0,
+    outer: 3.6,
+    seaLevel: 1.2,
+    vacuum: 3.0
+};
+
+/**
+ * Calculate an engine's mount position in the body frame
+ * @param {string} type - Engine type (ring)
+ * @param {number} index - Engine index within its ring
+ * @param {number} total - Engines in the ring
+ * @param {number} mountHeight - Body Y of the engine plane (e.g. -length / 2)
+ * @returns {THREE.Vector3} Engine position relative to the vehicle's geometric center
+ */
+export function calculateEnginePosition(type, index, total, mountHeight = 0) {
+    const radius = RING_RADIUS[type] ?? 2.5;
+    const angle = (index / total) * Math.PI * 2;
+
+    return new THREE.Vector3(
+        Math.cos(angle) * radius,
+        mountHeight,
+        Math.sin(angle) * radius
+    );
+}
+
+/**
+ * Create per-engine state from vehicle engine specifications
+ * @param {Object} engineSpecs - Engine groups keyed by type (see vehicle_specs.js)
+ * @param {number} mountHeight - Body Y of the engine plane
+ * @returns {Array<Object>} Engines
+ */
+export function createEngines(engineSpecs, mountHeight = 0) {
+    const engines = [];
+
+    Object.entries(engineSpecs).forEach(([type, specs]) => {
+        for (let i = 0; i < specs.count; i++) {
+            engines.push({
+                type: type,
+                id: `${type}_${i}`,
+                thrust: specs.thrust, // N at sea level
+                isp: specs.isp, // s at sea level
+                vacuumIsp: specs.vacuumIsp, // s
+                throttle: 0, // Commanded throttle
+                throttleRange: specs.throttleRange,
+                gimbal: specs.gimbaled ? new THREE.Vector2(0, 0) : null,
+                gimbalTrim: specs.gimbaled ? new THREE.Vector2(0, 0) : null, // Added to the commanded gimbal
+                gimbalRange: specs.gimbalRange || 0, // degrees
+                lit: false,
+                state: ENGINE_STATES.OFF,
+                spool: 0, // 0-1 fraction of commanded thrust during start and shutdown
+                starts: 0,
+                startupTime: specs.startupTime, // seconds
+                shutdownTime: specs.shutdownTime, // seconds
+                restartCapable: !!specs.restartCapable,
+                fuelFlow: 0, // kg/s
+                oxidFlow: 0, // kg/s
+                chamberPressure: 0, // Pa
+                nozzleExpansionRatio: type === 'vacuum' ? 80 : 40,
+                position: calculateEnginePosition(type, i, specs.count, mountHeight),
+                health: 1.0, // 0-1 fraction of rated thrust the engine can still deliver
+                failed: false, // Engine out
+                inhibited: false, // Held off by guidance (e.g. to balance an engine out)
+                gimbalStuck: false
+            });
+        }
+    });
+
+    return engines;
+}
+
+/**
+ * Pick engines by id
+ * @param {Array<Object>} engines - Engines
+ * @param {Array<string>} engineIds - Engine ids, or null for every engine
+ * @returns {Array<Object>} Selected engines
+ */
+export function selectEngines(engines, engineIds = null) {
+    return engineIds ? engines.filter(engine => engineIds.includes(engine.id)) : engines;
+}
+
+/**
+ * Start engines; they spool up over their startup time at minimum throttle
+ * Engines that have already run and are not restart capable stay off.
+ * @param {Array<Object>} engines - Engines
+ * @param {Array<string>} engineIds - Engines to start, or null for all
+ * @returns {Array<Object>} Engines that were started
+ */
+export function startEngines(engines, engineIds = null) {
+    const started = [];
+
+    selectEngines(engines, engineIds).forEach(engine => {
+        if (isEngineBurning(engine)) return;
+        
+        if (engine.failed) {
+            console.warn(`Engine ${engine.id} has failed and cannot be started`);
+            return;
+        }
+
+        // Relighting an engine that is still spooling down is not a new start
+        if (engine.state === ENGINE_STATES.OFF) {
+            if (engine.starts > 0 && !engine.restartCapable) {
+                console.warn(`Engine ${engine.id} cannot be restarted in flight`);
+                return;
+            }
+            engine.starts++;
+        }
+
+        engine.lit = true;
+        engine.state = ENGINE_STATES.STARTING;
+        engine.throttle = engine.throttleRange[0]; // Minimum throttle
+        started.push(engine);
+    });
+
+    return started;
+}
+
+/**
+ * Set engine throttle, limited to each engine's throttle range
+ * @param {Array<Object>} engines - Engines
+ * @param {number} throttle - Throttle value (0-1)
+ * @param {Array<string>} engineIds - Specific engines, or null for every lit engine
+ */
+export function setThrottle(engines, throttle, engineIds = null) {
+    const selected = engineIds ? selectEngines(engines, engineIds) : engines.filter(e => e.lit);
+
+    selected.forEach(engine => {
+        const minThrottle = engine.throttleRange[0];
+        const maxThrottle = engine.throttleRange[1];
+        engine.throttle = Math.max(0, Math.min(maxThrottle,
+            throttle > 0 ? Math.max(minThrottle, throttle) : 0));
+    });
+}
+
+/**
+ * Set engine gimbal angles, limited to each engine's gimbal range
+ * @param {Array<Object>} engines - Engines
+ * @param {THREE.Vector2} gimbal - Gimbal angles in radians
+ * @param {Array<string>} engineIds - Specific engines, or null for every gimbaled engine
+ */
+export function setGimbal(engines, gimbal, engineIds = null) {
+    selectEngines(engines, engineIds).forEach(engine => {
+        if (engine.gimbal && !engine.gimbalStuck) {
+            const maxGimbal = engine.gimbalRange * Math.PI / 180;
+            engine.gimbal.x = Math.max(-maxGimbal, Math.min(maxGimbal, gimbal.x));
+            engine.gimbal.y = Math.max(-maxGimbal, Math.min(maxGimbal, gimbal.y));
+        }
+    });
+}
+
+/**
+ * Set the trim added to the commanded gimbal of every gimbaled engine that still moves
+ * @param {Array<Object>} engines - Engines
+ * @param {THREE.Vector2} trim - Trim angles in radians
+ */
+export function setGimbalTrim(engines, trim) {
+    engines.forEach(engine => {
+        if (engine.gimbal && !engine.gimbalStuck) {
+            engine.gimbalTrim.copy(trim);
+        }
+    });
+}
+
+/**
+ * Shut engines down; thrust tails off over their shutdown time
+ * @param {Array<Object>} engines - Engines
+ * @param {Array<string>} engineIds - Engines to shut down, or null for all
+ */
+export function shutdownEngines(engines, engineIds = null) {
+    selectEngines(engines, engineIds).forEach(engine => {
+        if (engine.lit) {
+            engine.state = ENGINE_STATES.STOPPING;
+        }
+    });
+}
+
+/**
+ * Advance start and shutdown transients
+ * @param {Array<Object>} engines - Engines
+ * @param {number} dt - Time step in seconds
+ */
+export function updateEngines(engines, dt) {
+    engines.forEach(engine => {
+        if (engine.state === ENGINE_STATES.STARTING) {
+            engine.spool = Math.min(1, engine.spool + dt / engine.startupTime);
+            if (engine.spool >= 1) {
+                engine.state = ENGINE_STATES.RUNNING;
+            }
+        } else if (engine.state === ENGINE_STATES.STOPPING) {
+            engine.spool = Math.max(0, engine.spool - dt / engine.shutdownTime);
+            if (engine.spool <= 0) {
+                engine.state = ENGINE_STATES.OFF;
+                engine.lit = false;
+                engine.throttle = 0;
+            }
+        }
+
+        engine.chamberPressure = NOMINAL_CHAMBER_PRESSURE * getEngineThrottle(engine);
+    });
+}
+
+/**
+ * Fail an engine
+ * @param {Object} engine - Engine
+ * @param {string} type - Failure type from FAILURE_TYPES
+ * @param {Object} options - Failure options
+ * @param {number} options.thrustFraction - Remaining fraction of rated thrust for THRUST_LOSS (default 0.5)
+ * @returns {boolean} True if the failure was applied
+ */
+export function failEngine(engine, type, options = {}) {
+    switch (type) {
+        case FAILURE_TYPES.SHUTDOWN:
+            engine.failed = true;
+            if (engine.lit) {
+                engine.state = ENGINE_STATES.STOPPING;
+            }
+            return true;
+            
+        case FAILURE_TYPES.THRUST_LOSS: {
+            const thrustFraction = options.thrustFraction ?? 0.5;
+            engine.health = Math.max(0, Math.min(engine.health, thrustFraction));
+            return true;
+        }
+            
+        case FAILURE_TYPES.GIMBAL_STUCK:
+            if (!engine.gimbal) {
+                console.warn(`Engine ${engine.id} does not gimbal`);
+                return false;
+            }
+            engine.gimbalStuck = true;
+            return true;
+            
+        default:
+            console.warn(`Unknown engine failure type: ${type}`);
+            return false;
+    }
+}
+
+/**
+ * Whether an engine is starting or running (not off or spooling down)
+ * @param {Object} engine - Engine
+ * @returns {boolean} True if the engine is burning
+ */
+export function isEngineBurning(engine) {
+    return engine.state === ENGINE_STATES.STARTING || engine.state === ENGINE_STATES.RUNNING;
+}
+
+/**
+ * Whether guidance may use an engine
+ * @param {Object} engine - Engine
+ * @returns {boolean} True if the engine has not failed and is not held off
+ */
+export function isEngineAvailable(engine) {
+    return !engine.failed && !engine.inhibited;
+}
+
+/**
+ * Find the burning engine across the ring from another, used to keep thrust centered after an engine out
+ * @param {Array<Object>} engines - Engines
+ * @param {Object} engine - Engine to balance
+ * @returns {Object|null} Opposite engine of the same type, or null if none is more than 90° around the ring
+ */
+export function findOppositeEngine(engines, engine) {
+    const direction = new THREE.Vector2(engine.position.x, engine.position.z).normalize();
+    let opposite = null;
+    let lowestDot = 0;
+    
+    engines.forEach(candidate => {
+        if (candidate === engine || candidate.type !== engine.type ||
+            !isEngineBurning(candidate) || !isEngineAvailable(candidate)) return;
+        
+        const dot = direction.dot(new THREE.Vector2(candidate.position.x, candidate.position.z).normalize());
+        if (dot < lowestDot) {
+            lowestDot = dot;
+            opposite = candidate;
+        }
+    });
+    
+    return opposite;
+}
+
+/**
+ * Fraction of rated thrust an engine is producing, including transients and damage
+ * @param {Object} engine - Engine
+ * @returns {number} Effective throttle (0-1)
+ */
+export function getEngineThrottle(engine) {
+    return engine.lit ? engine.throttle * engine.spool * engine.health : 0;
+}
+
+/**
+ * Thrust direction of an engine, accounting for gimbal and trim
+ * @param {Object} engine - Engine
+ * @param {boolean} includeCommand - Include the commanded gimbal; without it only trim and
+ *   a stuck actuator's angle deflect the thrust
+ * @returns {THREE.Vector3} Unit thrust direction (body frame)
+ */
+export function getThrustDirection(engine, includeCommand = true) {
+    const direction = new THREE.Vector3(0, 1, 0);
+
+    if (engine.gimbal) {
+        const maxGimbal = engine.gimbalRange * Math.PI / 180;
+        const clamp = angle => Math.max(-maxGimbal, Math.min(maxGimbal, angle));
+        const gimbal = engine.gimbalStuck ? engine.gimbal : engine.gimbalTrim.clone();
+        if (includeCommand && !engine.gimbalStuck) {
+            gimbal.add(engine.gimbal);
+        }
+
+        direction.x = Math.sin(clamp(gimbal.x));
+        direction.z = Math.sin(clamp(gimbal.y));
+        direction.normalize();
+    }
+
+    return direction;
+}
+
+/**
+ * Describe producing engines for VehicleDynamics force and torque calculations
+ * @param {Array<Object>} engines - Engines
+ * @param {boolean} includeCommand - Include commanded gimbal angles (see getThrustDirection)
+ * @returns {Array<Object>} { thrust, isp, vacuumIsp, throttle, direction, position } per engine
+ */
+export function getEngineInputs(engines, includeCommand = true) {
+    return engines
+        .filter(engine => getEngineThrottle(engine) > 0)
+        .map(engine => ({
+            thrust: engine.thrust,
+            isp: engine.isp,
+            vacuumIsp: engine.vacuumIsp,
+            throttle: getEngineThrottle(engine),
+            direction: getThrustDirection(engine, includeCommand),
+            position: engine.position
+        }));
+}
@@ -255,7 +255,8 @@ export function createRaptorEngineEffect(engineMesh, power = 0) {
 /**
  * Creates engine effects for a group of engines
  * @param {Array} engines - Array of engine meshes
- * @returns {Object} Object containing effect update function
+ * @returns {Object} Object containing effect update function; update takes one power level
+ *   for every engine or an array with a power level per engine mesh
  */
 export function createEngineEffects(engines) {
     const engineEffects = [];
@@ -268,8 +269,8 @@ export function createEngineEffects(engines) {
     // Return update function for all effects
     return {
         update: function(deltaTime, power) {
-            engineEffects.forEach(effect => {
-                effect.update(deltaTime, power);
+            engineEffects.forEach((effect, i) => {
+                effect.update(deltaTime, Array.isArray(power) ? power[i] : power);
             });
         }
     };
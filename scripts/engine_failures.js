@@ -0,0 +1,158 @@
+// Engine failure injection for SpaceX Starship Simulator
+// Scheduled and random engine outs, thrust losses and stuck gimbals for flight-test scenarios
+import { FAILURE_TYPES, isEngineAvailable, isEngineBurning } from './engine_cluster.js';
+
+/**
+ * Injects engine failures into an ImprovedPhysicsEngine as a mission runs
+ */
+export class EngineFailureInjector {
+    /**
+     * Create a failure injector
+     * @param {Object} physicsEngine - ImprovedPhysicsEngine whose engines can fail
+     * @param {Object} options - Injector options
+     * @param {Array<Object>} options.failures - Failures to schedule (see scheduleFailure)
+     * @param {number} options.randomFailureRate - Random failures per burning engine per second
+     * @param {Array<string>} options.randomFailureTypes - Failure types drawn for random failures
+     * @param {Function} options.random - Random number source in [0, 1) (defaults to Math.random)
+     * @param {Function} options.onFailure - Called with each failure record as it happens
+     */
+    constructor(physicsEngine, options = {}) {
+        this.physicsEngine = physicsEngine;
+        this.random = options.random || Math.random;
+        this.onFailure = options.onFailure || null;
+
+        this.schedule = [];
+        this.randomFailureRate = 0;
+        this.randomFailureTypes = [FAILURE_TYPES.SHUTDOWN];
+
+        (options.failures || []).forEach(failure => this.scheduleFailure(failure));
+        if (options.randomFailureRate) {
+            this.setRandomFailureRate(options.randomFailureRate, options.randomFailureTypes);
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Re-arm every scheduled failure and clear the failure history (e.g. for a new launch)
+     */
+    reset() {
+        this.pending = this.schedule.map(failure => ({ ...failure }));
+        this.history = [];
+    }
+
+    /**
+     * Schedule a failure at a mission time
+     * @param {Object} failure - Failure description
+     * @param {number} failure.time - Mission time in seconds
+     * @param {string} failure.vehicleId - 'superHeavy' or 'starship'
+     * @param {string} failure.engineId - Engine id (e.g. 'outer_4'), or null for a random burning engine
+     * @param {string} failure.type - Failure type from FAILURE_TYPES (default shutdown)
+     * @param {number} failure.thrustFraction - Remaining thrust fraction for thrust losses
+     * @returns {boolean} True if the failure was scheduled
+     */
+    scheduleFailure(failure) {
+        const type = failure.type || FAILURE_TYPES.SHUTDOWN;
+        if (!Object.values(FAILURE_TYPES).includes(type)) {
+            console.warn(`Cannot schedule engine failure: unknown type ${type}`);
+            return false;
+        }
+        if (!this.physicsEngine.vehicles[failure.vehicleId]) {
+            console.warn(`Cannot schedule engine failure: unknown vehicle ${failure.vehicleId}`);
+            return false;
+        }
+        if (!Number.isFinite(failure.time)) {
+            console.warn('Cannot schedule engine failure: missing time');
+            return false;
+        }
+
+        const scheduled = { engineId: null, ...failure, type };
+        this.schedule.push(scheduled);
+        if (this.pending) {
+            this.pending.push({ ...scheduled });
+        }
+        return true;
+    }
+
+    /**
+     * Enable random failures
+     * @param {number} rate - Failures per burning engine per second (0 disables)
+     * @param {Array<string>} types - Failure types to draw from (default engine outs only)
+     */
+    setRandomFailureRate(rate, types = [FAILURE_TYPES.SHUTDOWN]) {
+        this.randomFailureRate = Math.max(0, rate);
+        this.randomFailureTypes = types;
+    }
+
+    /**
+     * Fire any failures due by this mission time
+     * @param {number} missionTime - Current mission time in seconds
+     * @param {number} dt - Time step in seconds
+     */
+    update(missionTime, dt) {
+        const due = this.pending.filter(failure => failure.time <= missionTime);
+        if (due.length > 0) {
+            this.pending = this.pending.filter(failure => failure.time > missionTime);
+            due.forEach(failure => this.inject(failure, missionTime));
+        }
+
+        if (this.randomFailureRate > 0) {
+            const probability = this.randomFailureRate * dt;
+            for (const [vehicleId, vehicle] of Object.entries(this.physicsEngine.vehicles)) {
+                for (const engine of vehicle.engines) {
+                    if (isEngineBurning(engine) && isEngineAvailable(engine) && this.random() < probability) {
+                        const type = this.randomFailureTypes[Math.floor(this.random() * this.randomFailureTypes.length)];
+                        this.inject({ vehicleId, engineId: engine.id, type }, missionTime);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Apply one failure now
+     * @param {Object} failure - Failure description (see scheduleFailure)
+     * @param {number} missionTime - Current mission time in seconds
+     * @returns {Object|null} Failure record, or null if no engine failed
+     */
+    inject(failure, missionTime) {
+        const engineId = failure.engineId || this.pickBurningEngine(failure.vehicleId);
+        if (!engineId) {
+            console.warn(`No burning engine on ${failure.vehicleId} to fail at T+${missionTime.toFixed(1)}s`);
+            return null;
+        }
+
+        const result = this.physicsEngine.failEngine(failure.vehicleId, engineId, failure.type, {
+            thrustFraction: failure.thrustFraction
+        });
+        if (!result) return null;
+
+        const record = { missionTime, ...result };
+        this.history.push(record);
+        if (this.onFailure) this.onFailure(record);
+
+        return record;
+    }
+
+    /**
+     * Pick a random burning engine on a vehicle
+     * @param {string} vehicleId - Vehicle key
+     * @returns {string|null} Engine id
+     */
+    pickBurningEngine(vehicleId) {
+        const vehicle = this.physicsEngine.vehicles[vehicleId];
+        const candidates = vehicle ?
+            vehicle.engines.filter(engine => isEngineBurning(engine) && isEngineAvailable(engine)) : [];
+        if (candidates.length === 0) return null;
+
+        return candidates[Math.floor(this.random() * candidates.length)].id;
+    }
+
+    /**
+     * Get the failures that have happened this mission
+     * @returns {Array<Object>} Failure records in order
+     */
+    getHistory() {
+        return this.history.slice();
+    }
+}
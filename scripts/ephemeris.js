@@ -0,0 +1,182 @@
+// Analytic planetary ephemeris for SpaceX Starship Simulator
+// Heliocentric positions and velocities of Earth and Mars for any date from mean orbital
+// elements with secular rates, the planets' rotation, and the Earth's rotation angle
+import { OrbitalMechanics } from './orbital_mechanics.js';
+import { EARTH_CONSTANTS } from './vehicle_dynamics.js';
+
+export const SUN_MU = 1.32712440018e20; // m³/s²
+export const ASTRONOMICAL_UNIT = 1.495978707e11; // m
+export const J2000 = 2451545.0; // Julian date of 2000-01-01 12:00
+export const OBLIQUITY = 23.4392911 * Math.PI / 180; // Tilt of the ecliptic to the equator at J2000
+
+const DAY = 86400; // s
+const CENTURY = 36525; // days
+const UNIX_EPOCH = 2440587.5; // Julian date of 1970-01-01 00:00
+const DEGREES = Math.PI / 180;
+
+/**
+ * Planets the ephemeris covers
+ * Elements are the mean heliocentric elements in the J2000 ecliptic at J2000 and their rates per
+ * Julian century (Standish, valid 1800-2050): semi-major axis (AU), eccentricity, inclination, mean
+ * longitude, longitude of perihelion and longitude of the ascending node (degrees). Earth's are the
+ * Earth-Moon barycenter's. Rotation is the IAU prime meridian angle at J2000 and its rate (degrees
+ * and degrees/day) and the pole's right ascension and declination (degrees) in the J2000 equator.
+ */
+export const PLANETS = {
+    earth: {
+        name: 'Earth',
+        mu: EARTH_CONSTANTS.MU, // m³/s²
+        radius: EARTH_CONSTANTS.RADIUS, // m
+        elements: {
+            semiMajorAxis: [1.00000261, 0.00000562],
+            eccentricity: [0.01671123, -0.00004392],
+            inclination: [-0.00001531, -0.01294668],
+            meanLongitude: [100.46457166, 35999.37244981],
+            longitudeOfPerihelion: [102.93768193, 0.32327364],
+            longitudeOfAscendingNode: [0, 0]
+        },
+        rotation: { primeMeridian: 190.147, rate: 360.9856235, pole: { rightAscension: 0, declination: 90 } }
+    },
+    mars: {
+        name: 'Mars',
+        mu: 4.282837e13, // m³/s²
+        radius: 3389500, // m
+        elements: {
+            semiMajorAxis: [1.52371034, 0.00001847],
+            eccentricity: [0.09339410, 0.00007882],
+            inclination: [1.84969142, -0.00813131],
+            meanLongitude: [-4.55343205, 19140.30268499],
+            longitudeOfPerihelion: [-23.94362959, 0.44441088],
+            longitudeOfAscendingNode: [49.55953891, -0.29257343]
+        },
+        rotation: { primeMeridian: 176.630, rate: 350.89198226, pole: { rightAscension: 317.68143, declination: 52.88650 } }
+    }
+};
+
+const heliocentric = new OrbitalMechanics({ mu: SUN_MU });
+
+/**
+ * Julian date of a calendar date
+ * @param {Date|string|number} date - Date, ISO date string or milliseconds since 1970
+ * @returns {number} Julian date in days
+ */
+export function toJulianDate(date) {
+    return new Date(date).getTime() / (DAY * 1000) + UNIX_EPOCH;
+}
+
+/**
+ * Calendar date of a Julian date
+ * @param {number} julianDate - Julian date in days
+ * @returns {Date} Date
+ */
+export function fromJulianDate(julianDate) {
+    return new Date((julianDate - UNIX_EPOCH) * DAY * 1000);
+}
+
+/**
+ * Orbital elements of a planet on a date
+ * @param {Object} planet - PLANETS entry
+ * @param {number} julianDate - Julian date in days
+ * @returns {Object} { semiMajorAxis (m), eccentricity, inclination, longitudeOfAscendingNode,
+ *   argumentOfPeriapsis, meanAnomaly (radians) } in the J2000 ecliptic
+ */
+export function getPlanetElements(planet, julianDate) {
+    const centuries = (julianDate - J2000) / CENTURY;
+    const element = name => planet.elements[name][0] + planet.elements[name][1] * centuries;
+    const perihelion = element('longitudeOfPerihelion');
+    const node = element('longitudeOfAscendingNode');
+
+    return {
+        semiMajorAxis: element('semiMajorAxis') * ASTRONOMICAL_UNIT,
+        eccentricity: element('eccentricity'),
+        inclination: element('inclination') * DEGREES,
+        longitudeOfAscendingNode: node * DEGREES,
+        argumentOfPeriapsis: (perihelion - node) * DEGREES,
+        meanAnomaly: (element('meanLongitude') - perihelion) * DEGREES
+    };
+}
+
+/**
+ * Heliocentric position and velocity of a planet on a date
+ * @param {Object} planet - PLANETS entry
+ * @param {number} julianDate - Julian date in days
+ * @returns {Object} { position, velocity } in the J2000 ecliptic, in m and m/s
+ */
+export function getPlanetState(planet, julianDate) {
+    const { meanAnomaly, ...elements } = getPlanetElements(planet, julianDate);
+    return heliocentric.orbitalElementsToStateVectors({
+        ...elements,
+        trueAnomaly: heliocentric.calculateTrueAnomaly(meanAnomaly, elements.eccentricity)
+    });
+}
+
+/**
+ * Rotate a vector from the J2000 ecliptic to the J2000 equator
+ * @param {Object} vector - {x, y, z} in the ecliptic
+ * @returns {Object} {x, y, z} in the equator, +Z through the north pole
+ */
+export function eclipticToEquatorial(vector) {
+    const cos = Math.cos(OBLIQUITY);
+    const sin = Math.sin(OBLIQUITY);
+    return {
+        x: vector.x,
+        y: cos * vector.y - sin * vector.z,
+        z: sin * vector.y + cos * vector.z
+    };
+}
+
+/**
+ * Position and velocity of one planet seen from another
+ * @param {Object} planet - PLANETS entry observed
+ * @param {Object} observer - PLANETS entry observed from
+ * @param {number} julianDate - Julian date in days
+ * @returns {Object} { position, velocity } in the J2000 equator, in m and m/s
+ */
+export function getRelativeState(planet, observer, julianDate) {
+    const target = getPlanetState(planet, julianDate);
+    const origin = getPlanetState(observer, julianDate);
+    const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+
+    return {
+        position: eclipticToEquatorial(subtract(target.position, origin.position)),
+        velocity: eclipticToEquatorial(subtract(target.velocity, origin.velocity))
+    };
+}
+
+/**
+ * Rotation of a planet about its pole on a date
+ * @param {Object} planet - PLANETS entry
+ * @param {number} julianDate - Julian date in days
+ * @returns {number} Prime meridian angle in radians, within one turn
+ */
+export function getPlanetRotation(planet, julianDate) {
+    const { primeMeridian, rate } = planet.rotation;
+    const angle = (primeMeridian + rate * (julianDate - J2000)) % 360;
+    return (angle < 0 ? angle + 360 : angle) * DEGREES;
+}
+
+/**
+ * Direction of a planet's north pole
+ * @param {Object} planet - PLANETS entry
+ * @returns {Object} Unit vector {x, y, z} in the J2000 equator
+ */
+export function getPlanetPole(planet) {
+    const rightAscension = planet.rotation.pole.rightAscension * DEGREES;
+    const declination = planet.rotation.pole.declination * DEGREES;
+    return {
+        x: Math.cos(declination) * Math.cos(rightAscension),
+        y: Math.cos(declination) * Math.sin(rightAscension),
+        z: Math.sin(declination)
+    };
+}
+
+/**
+ * Earth rotation angle on a date: the Greenwich meridian's angle from the J2000 equinox direction
+ * (to within the drift of the equinox since J2000), for EarthFrame's rotationAngle
+ * @param {number} julianDate - Julian date in days (UT)
+ * @returns {number} Angle in radians, within one turn
+ */
+export function getEarthRotationAngle(julianDate) {
+    const turns = 0.7790572732640 + 1.00273781191135448 * (julianDate - J2000);
+    return (turns - Math.floor(turns)) * 2 * Math.PI;
+}
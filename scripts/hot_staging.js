@@ -0,0 +1,217 @@
+// Hot staging for SpaceX Starship Simulator
+// The booster throttles down to its center and inner engines, the ship lights on the vent ring while still
+// latched, and the ship's plume beats on the booster's forward dome until the two are clear
+import { STARSHIP_SPECS, SUPER_HEAVY_SPECS } from './vehicle_specs.js';
+
+const DEGREES = Math.PI / 180;
+
+export const HOT_STAGING_PHASES = {
+    THROTTLE_DOWN: 'throttle_down', // Booster cutting its outer engines, ship dark
+    IGNITION: 'ignition', // Ship engines spooling up against the vent ring, still latched
+    SEPARATION: 'separation', // Latches open, ship climbing away through its own plume's reflection
+    CLEAR: 'clear' // Ship clear of the booster; the booster shuts down for the boostback
+};
+
+// Distance between the vehicle centers along the booster's axis while stacked
+export const STACK_SEPARATION = SUPER_HEAVY_SPECS.length / 2 + SUPER_HEAVY_SPECS.ventRing.height +
+    STARSHIP_SPECS.length / 2;
+
+/**
+ * Hot-staging sequence
+ * The ship's engines light while it still sits on the booster's vent ring; the latches open once
+ * they are near full thrust. Of the exhaust, the vents let some out sideways and the forward dome
+ * stops the rest of what lands on it: the plume spreads with distance, so the dome catches all of
+ * it at first and less and less as the ship pulls away. The dome load pushes the booster back and
+ * part of it, turned back off the dome, pushes the ship on. Separation is clean if the ship never
+ * comes back onto the ring and gets clear before the timeout.
+ */
+export class HotStaging {
+    /**
+     * @param {Object} options - Sequence options
+     * @param {number} options.ignitionDelay - Seconds from the booster's throttle-down to ship ignition
+     * @param {number} options.boosterThrottle - Throttle of the booster engines that fire through separation
+     * @param {number} options.releaseThrust - Fraction of its rated thrust the ship reaches before the latches open
+     * @param {number} options.clearDistance - Clearance (m) at which the ship counts as clear
+     * @param {number} options.timeout - Seconds after the throttle-down at which separation ends, clear or not
+     * @param {number} options.plumeRadius - Radius (m) of the ship's exhaust at the nozzle exits
+     * @param {number} options.plumeHalfAngle - Half-angle (degrees) the plume spreads at
+     * @param {number} options.reflectedLoad - Share of the dome load turned back onto the ship's aft end
+     */
+    constructor(options = {}) {
+        this.ignitionDelay = options.ignitionDelay ?? 0.5;
+        this.boosterThrottle = options.boosterThrottle ?? 0.4;
+        this.releaseThrust = options.releaseThrust ?? 0.9;
+        this.clearDistance = options.clearDistance ?? 30;
+        this.timeout = options.timeout ?? 10;
+        this.plumeRadius = options.plumeRadius ?? 4;
+        this.plumeHalfAngle = (options.plumeHalfAngle ?? 12) * DEGREES;
+        this.reflectedLoad = options.reflectedLoad ?? 0.1;
+
+        const ventRing = SUPER_HEAVY_SPECS.ventRing;
+        this.ringHeight = ventRing.height;
+        this.ventedFraction = ventRing.ventedFraction;
+        this.domeRadius = SUPER_HEAVY_SPECS.diameter / 2;
+        this.reset();
+    }
+
+    /**
+     * Stand down: no separation in progress
+     */
+    reset() {
+        this.phase = null;
+        this.elapsed = 0;
+        this.clearance = 0;
+        this.pulledAway = false; // Whether the gap has started opening since the latches opened
+        this.minimumClearance = null; // Closest approach once pulled away, while the gap closes again
+        this.relativeDistance = STACK_SEPARATION;
+        this.openingRate = 0;
+        this.plumeLoad = 0;
+        this.peakPlumeLoad = 0;
+        this.shipLoad = 0;
+        this.releaseTime = null;
+        this.clearTime = null;
+        this.recontact = false;
+        this.clean = null;
+    }
+
+    /**
+     * Begin separation with the booster's throttle-down
+     */
+    start() {
+        this.reset();
+        this.phase = HOT_STAGING_PHASES.THROTTLE_DOWN;
+    }
+
+    /**
+     * Whether the ship is clear and the sequence is over
+     * @returns {boolean} True once clear (or timed out)
+     */
+    isComplete() {
+        return this.phase === HOT_STAGING_PHASES.CLEAR;
+    }
+
+    /**
+     * Whether the ship is still latched to the vent ring
+     * @returns {boolean} True before the latches open
+     */
+    isLatched() {
+        return this.phase === HOT_STAGING_PHASES.THROTTLE_DOWN || this.phase === HOT_STAGING_PHASES.IGNITION;
+    }
+
+    /**
+     * Axial load the ship's plume puts on the booster's forward dome
+     * @param {number} thrust - Ship thrust in N
+     * @param {number} clearance - Gap between the top of the vent ring and the ship's aft end in m
+     * @returns {number} Load in N
+     */
+    getPlumeLoad(thrust, clearance) {
+        const standoff = Math.max(0, clearance) + this.ringHeight;
+        const footprint = this.plumeRadius + standoff * Math.tan(this.plumeHalfAngle);
+        const intercepted = Math.min(1, (this.domeRadius / footprint) ** 2);
+        return thrust * intercepted * (1 - this.ventedFraction);
+    }
+
+    /**
+     * Advance the sequence
+     * @param {Object} state - Vehicle states
+     * @param {THREE.Vector3} state.boosterPosition - Booster center, local, m
+     * @param {THREE.Vector3} state.boosterVelocity - Booster velocity, local, m/s
+     * @param {THREE.Vector3} state.boosterAxis - Booster body +Y, local
+     * @param {THREE.Vector3} state.shipPosition - Ship center, local, m
+     * @param {THREE.Vector3} state.shipVelocity - Ship velocity, local, m/s
+     * @param {number} state.shipThrust - Thrust the ship's engines are producing in N
+     * @param {number} state.shipRatedThrust - Ship's thrust at full throttle in N
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} { phase, latched, boosterThrottle and shipThrottle (commanded, 0-1), plumeLoad
+     *   (N pushing the booster back) and shipLoad (N pushing the ship on), both along the booster's axis }
+     */
+    update(state, dt) {
+        this.elapsed += dt;
+
+        const offset = state.shipPosition.clone().sub(state.boosterPosition);
+        this.relativeDistance = offset.length();
+        this.clearance = offset.dot(state.boosterAxis) - STACK_SEPARATION;
+        this.openingRate = state.shipVelocity.clone().sub(state.boosterVelocity).dot(state.boosterAxis);
+
+        switch (this.phase) {
+            case HOT_STAGING_PHASES.THROTTLE_DOWN:
+                if (this.elapsed >= this.ignitionDelay) {
+                    this.phase = HOT_STAGING_PHASES.IGNITION;
+                }
+                break;
+
+            case HOT_STAGING_PHASES.IGNITION:
+                if (state.shipThrust >= this.releaseThrust * state.shipRatedThrust) {
+                    this.phase = HOT_STAGING_PHASES.SEPARATION;
+                    this.releaseTime = this.elapsed;
+                }
+                break;
+
+            case HOT_STAGING_PHASES.SEPARATION:
+                // The ship leaves the ring at no clearance; what counts is how close it falls back
+                if (this.openingRate > 0) {
+                    this.pulledAway = true;
+                } else if (this.pulledAway) {
+                    this.minimumClearance = Math.min(this.minimumClearance ?? this.clearance, this.clearance);
+                }
+                if (this.clearance < 0) {
+                    this.recontact = true;
+                }
+                if (this.clearance >= this.clearDistance) {
+                    this.phase = HOT_STAGING_PHASES.CLEAR;
+                    this.clearTime = this.elapsed;
+                    this.clean = !this.recontact;
+                }
+                break;
+        }
+
+        // Out of time: whatever state the ship is in, the booster has to get on with its return
+        if (!this.isComplete() && this.elapsed >= this.timeout) {
+            this.phase = HOT_STAGING_PHASES.CLEAR;
+            this.clearTime = this.elapsed;
+            this.clean = false;
+        }
+
+        this.plumeLoad = state.shipThrust > 0 ? this.getPlumeLoad(state.shipThrust, this.clearance) : 0;
+        this.shipLoad = this.plumeLoad * this.reflectedLoad;
+        this.peakPlumeLoad = Math.max(this.peakPlumeLoad, this.plumeLoad);
+
+        return {
+            phase: this.phase,
+            latched: this.isLatched(),
+            boosterThrottle: this.isComplete() ? 0 : this.boosterThrottle,
+            shipThrottle: this.phase === HOT_STAGING_PHASES.THROTTLE_DOWN ? 0 : 1,
+            plumeLoad: this.plumeLoad,
+            shipLoad: this.shipLoad
+        };
+    }
+
+    /**
+     * Separation state for telemetry
+     * @returns {Object} { phase, elapsed (s since the throttle-down), latched, relativeDistance (m between
+     *   centers), openingRate (m/s along the booster's axis), clearance (m between the vent ring and the
+     *   ship's aft end), minimumClearance (m, the closest the ship came back after pulling away; null if
+     *   the gap never closed), recontact (the ship came back onto the ring), plumeLoad, peakPlumeLoad and
+     *   shipLoad (N), domePressure (Pa, mean over the dome), releaseTime and clearTime (s), clean (null
+     *   until clear) }
+     */
+    getState() {
+        return {
+            phase: this.phase,
+            elapsed: this.elapsed,
+            latched: this.isLatched(),
+            relativeDistance: this.relativeDistance,
+            openingRate: this.openingRate,
+            clearance: this.clearance,
+            minimumClearance: this.minimumClearance,
+            recontact: this.recontact,
+            plumeLoad: this.plumeLoad,
+            peakPlumeLoad: this.peakPlumeLoad,
+            shipLoad: this.shipLoad,
+            domePressure: this.plumeLoad / (Math.PI * this.domeRadius ** 2),
+            releaseTime: this.releaseTime,
+            clearTime: this.clearTime,
+            clean: this.clean
+        };
+    }
+}
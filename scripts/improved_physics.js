@@ -1,33 +1,138 @@
 // Advanced physics engine for Starship Simulator
 import * as THREE from 'three';
+import { INTEGRATOR_TYPES, integrateState, isIntegratorType, DriftMonitor } from './integrators.js';
+import { calculateMassProperties, calculateTorque, integrateAttitude, setEulerFromQuaternionNear } from './rigid_body.js';
+import { VehicleDynamics } from './vehicle_dynamics.js';
+import { STARSHIP_SPECS, SUPER_HEAVY_SPECS } from './vehicle_specs.js';
+import { createAeroDatabases } from './aero_tables.js';
+import { EarthFrame } from './earth_frame.js';
+import { OrbitalMechanics } from './orbital_mechanics.js';
+import { AscentGuidance } from './ascent_guidance.js';
+import { BoostbackGuidance } from './boostback_guidance.js';
+import { PoweredDescentGuidance, DESCENT_PHASES } from './powered_descent.js';
+import {
+    FAILURE_TYPES, createEngines, failEngine, findOppositeEngine, getEngineInputs, getEngineThrottle,
+    isEngineAvailable, isEngineBurning, setGimbal, setGimbalTrim, setThrottle, shutdownEngines,
+    startEngines, updateEngines
+} from './engine_cluster.js';
+import {
+    PROPELLANT_FEEDS, createTanks, drawPropellant, getPropellantMass, hasPropellant, splitPropellant
+} from './propellant_tanks.js';
+import { ControlAllocator } from './control_allocation.js';
+import { ReactionControlSystem } from './rcs.js';
+import { HotStaging, STACK_SEPARATION } from './hot_staging.js';
+import { HeatShield } from './aerothermal.js';
+
+const VEHICLE_SPECS = {
+    starship: STARSHIP_SPECS,
+    superHeavy: SUPER_HEAVY_SPECS
+};
+
+// Engine types lit for each kind of burn
+const ENGINE_GROUPS = {
+    superHeavy: {
+        ascent: ['center', 'inner', 'outer'],
+        boostback: ['center', 'inner'],
+        landing: ['center', 'inner'],
+        staging: ['center', 'inner'] // Fire through hot staging
+    },
+    starship: {
+        ascent: ['seaLevel', 'vacuum'],
+        landing: ['seaLevel']
+    }
+};
+
+// Grid fins around the top of the booster, by azimuth from body +X toward +Z; each pivots about its
+// radial arm and pushes tangentially
+const GRID_FINS = [
+    { id: 'grid_fin_1', azimuth: 0 },
+    { id: 'grid_fin_2', azimuth: Math.PI / 2 },
+    { id: 'grid_fin_3', azimuth: Math.PI },
+    { id: 'grid_fin_4', azimuth: Math.PI * 3 / 2 }
+];
+
+// Repeatable noise in [0, 1) for an integer index: a seed and index always give the same value
+function windNoise(seed, index) {
+    let hash = Math.imul(seed ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(index | 0, 0xc2b2ae35);
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+}
 
 /**
  * Enhanced physics engine with realistic dynamics for Starship simulation
  */
 export class ImprovedPhysicsEngine {
-    constructor() {
-        // Gravity constant (Earth gravity is 9.81 m/s²)
-        this.gravity = 9.81;
+    /**
+     * @param {Object} options - Optional environment overrides
+     * @param {StandardAtmosphere} options.atmosphere - Launch-day atmosphere (defaults to US Standard 1976)
+     * @param {Object} options.aeroTables - Aero tables or AeroDatabase instances replacing the defaults,
+     *   keyed by configuration (stack, booster, ship)
+     * @param {EarthFrame} options.earthFrame - Launch site and Earth rotation (defaults to Starbase)
+     * @param {Object} options.ascentGuidance - AscentGuidance options, e.g. the insertion { target }
+     * @param {Object} options.hotStaging - HotStaging options (ignition delay, clear distance, ...)
+     * @param {Object} options.boostback - BoostbackGuidance options (flip rate, coast time, ...)
+     * @param {Object} options.poweredDescent - PoweredDescentGuidance options (glide slope, tilt, replan rate, ...)
+     * @param {Object} options.wind - Wind options: seed (the same seed gives the same gusts), gustRate (gusts
+     *   per second), maxGust (m/s) and gustDecayTime (s)
+     */
+    constructor(options = {}) {
+        // Shared gravity, atmosphere, aerodynamics, propulsion and thermal models in the
+        // launch site's Earth-fixed frame: +Y is up at the pad and the Earth curves and turns beneath it
+        this.earthFrame = options.earthFrame || new EarthFrame();
+        this.dynamics = new VehicleDynamics({
+            frame: 'rotating',
+            earthFrame: this.earthFrame,
+            atmosphere: options.atmosphere
+        });
+        this.orbitalMechanics = new OrbitalMechanics();
+        this.orbitPerigeeAltitude = 100000; // m, lowest perigee that counts as orbit
+        
+        // Gravity turn for the stack, PEG for Starship's insertion burn
+        this.ascentGuidance = new AscentGuidance(this.earthFrame, options.ascentGuidance);
+        
+        // Ship ignition on the vent ring and the plume's push on the booster through separation
+        this.hotStaging = new HotStaging(options.hotStaging);
+        
+        // Return burn targeting the booster's ballistic arc at the tower
+        this.boostbackGuidance = new BoostbackGuidance(this.dynamics, options.boostback);
+        
+        // Mach and angle-of-attack aero databases for each flight configuration
+        this.aeroDatabases = createAeroDatabases(options.aeroTables);
+        
+        // Surface gravity, used by guidance estimates
+        this.gravity = this.dynamics.gravity.getMagnitude(0);
         
         // Flag to indicate if stages are combined or separated
         this.combinedStage = true; // Default to combined stages on launch
         
-        // Atmospheric density factors
-        this.atmosphericDensity = 1.225; // Earth atmosphere density at sea level
-        
         // Vehicle properties
         this.vehicles = {
             starship: {
-                mass: 120000, // kg (dry mass)
-                fuel: 1200000, // kg
-                maxThrust: 7500000, // N (6 Raptor engines)
-                dragCoefficient: 0.82,
-                crossSectionalArea: Math.PI * 4.5 * 4.5, // m²
+                mass: STARSHIP_SPECS.dryMass, // kg (dry mass)
+                fuel: STARSHIP_SPECS.propellantMass, // kg, total across tanks
+                fuelCapacity: STARSHIP_SPECS.propellantMass, // kg
+                tanks: createTanks(STARSHIP_SPECS.tanks, STARSHIP_SPECS.diameter, -STARSHIP_SPECS.length / 2),
+                propellantFeed: PROPELLANT_FEEDS.MAIN, // Tanks the engines draw from
+                engines: createEngines(STARSHIP_SPECS.engines, -STARSHIP_SPECS.length / 2), // 3 sea-level + 3 vacuum Raptors
+                dragCoefficient: STARSHIP_SPECS.dragCoefficient,
+                broadsideDragCoefficient: STARSHIP_SPECS.broadsideDragCoefficient,
+                liftCoefficient: STARSHIP_SPECS.liftCoefficient,
+                crossSectionalArea: STARSHIP_SPECS.crossSectionalArea, // m²
+                length: STARSHIP_SPECS.length, // m
+                diameter: STARSHIP_SPECS.diameter, // m
                 position: new THREE.Vector3(0, 0, 0),
                 velocity: new THREE.Vector3(0, 0, 0),
+                impactSpeed: 0, // m/s, hardest ground contact so far
                 acceleration: new THREE.Vector3(0, 0, 0),
                 rotation: new THREE.Euler(0, 0, 0),
-                angularVelocity: new THREE.Vector3(0, 0, 0),
+                quaternion: new THREE.Quaternion(), // Attitude (body to world)
+                angularVelocity: new THREE.Vector3(0, 0, 0), // Body frame, rad/s
+                externalTorque: new THREE.Vector3(0, 0, 0), // Body frame, N·m of the last RCS firing
+                rcs: new ReactionControlSystem(STARSHIP_SPECS.rcs, { diameter: STARSHIP_SPECS.diameter }),
+                rcsAttitude: null, // Attitude the RCS holds (body to world), null to leave the thrusters idle
+                rcsForce: new THREE.Vector3(0, 0, 0), // Body frame, N, push of the last RCS firing
+                stagingForce: new THREE.Vector3(0, 0, 0), // Body frame, N, from the other stage during hot staging
                 throttle: 0,
                 active: false,
                 // Aerodynamic properties
@@ -41,31 +146,39 @@ export class ImprovedPhysicsEngine {
                     deploymentProgress: 0.0 // 0-1 range
                 },
                 // Engine control properties
-                engineStartupTime: 2.5, // seconds to reach stable thrust
-                engineShutdownTime: 1.2, // seconds to shutdown
-                gimbalAuthority: 15, // degrees
-                gimbalPosition: new THREE.Vector2(0, 0), // x,y normalized -1 to 1
-                // Thermal properties
-                heatShield: {
-                    temperature: 300, // Kelvin
-                    maxTemperature: 1800, // Kelvin
-                    coolingRate: 4 // K/s in normal conditions
-                }
+                gimbalAuthority: 15, // degrees used by guidance
+                // Tile regions over the belly, bare steel on the lee side
+                heatShield: new HeatShield(STARSHIP_SPECS.heatShield, { thermal: this.dynamics.thermal })
             },
             superHeavy: {
                 position: new THREE.Vector3(0, 0, 0),
                 velocity: new THREE.Vector3(0, 0, 0),
+                impactSpeed: 0, // m/s, hardest ground contact so far
                 acceleration: new THREE.Vector3(0, 0, 0),
                 rotation: new THREE.Euler(0, 0, 0),
-                angularVelocity: new THREE.Vector3(0, 0, 0),
-                mass: 200000, // kg (dry mass)
-                fuel: 3400000, // kg (propellant)
-                maxThrust: 72000000, // N (33 Raptor engines)
+                quaternion: new THREE.Quaternion(), // Attitude (body to world)
+                angularVelocity: new THREE.Vector3(0, 0, 0), // Body frame, rad/s
+                externalTorque: new THREE.Vector3(0, 0, 0), // Body frame, N·m of the last RCS firing
+                gridFinTorque: new THREE.Vector3(0, 0, 0), // Body frame, N·m commanded of the grid fins
+                rcs: new ReactionControlSystem(SUPER_HEAVY_SPECS.rcs, { diameter: SUPER_HEAVY_SPECS.diameter }),
+                rcsAttitude: null, // Attitude the RCS holds (body to world), null to leave the thrusters idle
+                rcsForce: new THREE.Vector3(0, 0, 0), // Body frame, N, push of the last RCS firing
+                stagingForce: new THREE.Vector3(0, 0, 0), // Body frame, N, from the other stage during hot staging
+                mass: SUPER_HEAVY_SPECS.dryMass, // kg (dry mass)
+                fuel: SUPER_HEAVY_SPECS.propellantMass, // kg, total across tanks
+                fuelCapacity: SUPER_HEAVY_SPECS.propellantMass, // kg
+                tanks: createTanks(SUPER_HEAVY_SPECS.tanks, SUPER_HEAVY_SPECS.diameter, -SUPER_HEAVY_SPECS.length / 2),
+                propellantFeed: PROPELLANT_FEEDS.MAIN, // Tanks the engines draw from
+                length: SUPER_HEAVY_SPECS.length, // m
+                diameter: SUPER_HEAVY_SPECS.diameter, // m
+                engines: createEngines(SUPER_HEAVY_SPECS.engines, -SUPER_HEAVY_SPECS.length / 2), // 33 Raptors
                 throttle: 0,
                 active: false,
                 // Aerodynamic properties
-                dragCoefficient: 0.8, // Baseline drag coefficient
-                crossSectionalArea: 100, // m² (approximate)
+                dragCoefficient: SUPER_HEAVY_SPECS.dragCoefficient, // Baseline drag coefficient
+                broadsideDragCoefficient: SUPER_HEAVY_SPECS.broadsideDragCoefficient,
+                liftCoefficient: SUPER_HEAVY_SPECS.liftCoefficient,
+                crossSectionalArea: SUPER_HEAVY_SPECS.crossSectionalArea, // m²
                 gridFins: {
                     deployed: false,
                     effectiveness: 0.0, // 0-1 range, increases with deployment
@@ -78,23 +191,12 @@ export class ImprovedPhysicsEngine {
                     deploymentRate: 0.3  // How quickly they deploy (0-1 per second)
                 },
                 // Engine control properties
-                engineStartupTime: 2.0, // seconds to reach stable thrust
-                engineShutdownTime: 1.0, // seconds to shutdown
-                gimbalAuthority: 10, // degrees
-                gimbalPosition: new THREE.Vector2(0, 0), // x,y normalized -1 to 1
-                // Thermal properties
-                heatShield: {
-                    temperature: 300, // Kelvin
-                    maxTemperature: 2000, // Kelvin
-                    coolingRate: 5 // K/s in normal conditions
-                }
+                gimbalAuthority: 10, // degrees used by guidance
+                // Tiles on the base, bare steel up the sides
+                heatShield: new HeatShield(SUPER_HEAVY_SPECS.heatShield, { thermal: this.dynamics.thermal })
             }
         };
         
-        // Constants
-        this.G = 9.81; // m/s^2
-        this.airDensitySeaLevel = 1.225; // kg/m^3
-        
         // Launch parameters
         this.launchStartTime = 0;
         this.launchElapsedTime = 0;
@@ -102,21 +204,21 @@ export class ImprovedPhysicsEngine {
         
         // Landing parameters
         this.landingTarget = new THREE.Vector3(0, 0, 0);
-        this.landingPhase = 'none'; // none, coast, boostback, entry, descent, landing, touchdown
+        this.landingPhase = 'none'; // none, coast, entry, descent, landing, touchdown
         
         // Detailed landing parameters
         this.landingParams = {
             // Phase altitude triggers
             coastAltitude: 70000,    // m - Start coast phase after stage separation
-            boostbackAltitude: 65000, // m - Start boostback burn
             entryAltitude: 40000,    // m - Start entry burn
             descentAltitude: 20000,   // m - Begin controlled descent
-            landingAltitude: 3000,    // m - Start landing burn
-            hoverAltitude: 50,        // m - Altitude for hover maneuver
             touchdownSpeed: 2.0,      // m/s - Target touchdown velocity
+            catchHeight: 100,         // m - Height of the Mechazilla arms above the landing target
+            catchRadius: 10,          // m - Distance from the catch point the arms can close at
+            catchSpeed: 5,            // m/s - Fastest the booster can be moving when the arms close
+            crashSpeed: 6,            // m/s - Fastest ground contact the booster survives
             
-            // Burn durations
-            boostbackBurnDuration: 20, // seconds
+            // Burn durations (the boostback is solved by BoostbackGuidance)
             entryBurnDuration: 15,     // seconds
             
             // Grid fin deployment settings
@@ -128,16 +230,36 @@ export class ImprovedPhysicsEngine {
             
             // Thrust profiles for each phase
             coastThrottle: 0.0,       // No thrust during coast
-            boostbackThrottle: 0.6,   // Medium thrust for boostback
             entryThrottle: 0.4,       // Lower thrust for entry burn
+            entryLeanTime: 1,         // s - Time the entry burn takes to close its aim error
+            entryMaxLean: 45,         // degrees - Largest lean of the entry burn off retrograde
             descentThrottle: 0.0,     // No thrust during guided descent
-            landingBaseThrottle: 0.3, // Base landing throttle (will be adjusted by PID)
             
             // Timing variables
             phaseStartTime: 0,        // Time when current phase started
             currentPhaseTime: 0       // Elapsed time in current phase
         };
-        
+
+        // Fuel-optimal landing burn, re-planned through the burn
+        this.poweredDescent = new PoweredDescentGuidance({
+            throttleRange: SUPER_HEAVY_SPECS.engines.center.throttleRange,
+            finalSpeed: this.landingParams.touchdownSpeed,
+            ...options.poweredDescent
+        });
+
+        // Spreads the grid fins' commanded moment over the four fins
+        const gridFins = SUPER_HEAVY_SPECS.gridFins;
+        this.gridFinControl = new ControlAllocator(GRID_FINS.map(({ id }) => ({
+            id,
+            minAngle: -gridFins.maxDeflection * Math.PI / 180,
+            maxAngle: gridFins.maxDeflection * Math.PI / 180,
+            slewRate: gridFins.slewRate * Math.PI / 180,
+            group: 'gridFins'
+        })), { powerBudgets: { gridFins: gridFins.actuatorPower } });
+
+        this.entrySolution = null; // Aim of the entry burn: boostback velocity solution and solve time
+        this.boosterCaught = false; // Mechazilla's arms have closed on the booster
+
         // PID controllers for landing
         this.pidControllers = {
             // Vertical velocity control
@@ -180,13 +302,30 @@ export class ImprovedPhysicsEngine {
             }
         };
         
-        // Atmospheric model constants
-        this.atmosphereScaleHeight = 8500; // meters, scale height of Earth's atmosphere
-        this.airDensitySeaLevel = 1.225; // kg/m³, sea level air density
-        this.gravity = 9.81; // m/s², Earth gravity
         this.simulationTime = 0; // Track total simulation time
         
-        // Wind model
+        // Largest time step integrated in one go; longer steps are sub-stepped
+        this.maxTimeStep = 0.1; // seconds
+        
+        // Translational integrator used by vehicles without their own `integrator` setting
+        this.defaultIntegrator = INTEGRATOR_TYPES.SEMI_IMPLICIT_EULER;
+        this.integratorOptions = {
+            relativeTolerance: 1e-6, // RK45 only
+            absoluteTolerance: 1e-3  // RK45 only
+        };
+        
+        // Energy and momentum drift bookkeeping for integrator selection
+        this.driftMonitor = new DriftMonitor();
+        
+        // Wind model: gusts follow the time since launch, so they are the same at any simulation speed
+        this.windParams = {
+            seed: options.wind?.seed ?? 1,
+            gustRate: options.wind?.gustRate ?? 0.2, // Gusts per second
+            maxGust: options.wind?.maxGust ?? 5.0, // m/s
+            gustDecayTime: options.wind?.gustDecayTime ?? 1.0, // s
+            directionDrift: 0.2 // rad, how far the direction wanders
+        };
+        this.windTime = 0;
         this.windSpeed = 0;
         this.windDirection = 0;
         this.gustStrength = 0;
@@ -210,6 +349,7 @@ export class ImprovedPhysicsEngine {
         if (!vehicle) return;
         
         this.landingPhase = 'approach';
+        this.setPropellantFeed(vehicleId, PROPELLANT_FEEDS.HEADER);
         
         // Reset PID controllers
         if (this.pidControllers) {
@@ -236,7 +376,7 @@ export class ImprovedPhysicsEngine {
         }
         
         // Set initial approach parameters
-        vehicle.throttle = 0.3;
+        this.setThrottle(vehicleId, 0.3);
         
         // Calculate initial rotation to point toward landing target
         const direction = new THREE.Vector3().subVectors(this.landingTarget, vehicle.position).normalize();
@@ -245,19 +385,574 @@ export class ImprovedPhysicsEngine {
         
         return {
             phase: this.landingPhase,
-            altitude: vehicle.position.y,
+            altitude: this.getAltitude(vehicle),
             distance: vehicle.position.distanceTo(this.landingTarget)
         };
     }
     
+    /**
+     * Start a vehicle's engines
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {Array<string>} engineIds - Engine ids to start, or null for all
+     */
+    startEngines(vehicleId, engineIds = null) {
+        const vehicle = this.vehicles[vehicleId];
+        if (!vehicle) return;
+        
+        startEngines(vehicle.engines, engineIds);
+        this.updateThrottleState(vehicle);
+    }
+    
+    /**
+     * Set a vehicle's engine throttle
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {number} throttle - Throttle value (0-1), limited to each engine's range
+     * @param {Array<string>} engineIds - Specific engines, or null for every lit engine
+     */
+    setThrottle(vehicleId, throttle, engineIds = null) {
+        const vehicle = this.vehicles[vehicleId];
+        if (!vehicle) return;
+        
+        setThrottle(vehicle.engines, throttle, engineIds);
+        this.updateThrottleState(vehicle);
+    }
+    
+    /**
+     * Set a vehicle's engine gimbal angles
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {THREE.Vector2} gimbal - Gimbal angles in radians
+     * @param {Array<string>} engineIds - Specific engines, or null for every gimbaled engine
+     */
+    setGimbal(vehicleId, gimbal, engineIds = null) {
+        const vehicle = this.vehicles[vehicleId];
+        if (!vehicle) return;
+        
+        setGimbal(vehicle.engines, gimbal, engineIds);
+    }
+    
+    /**
+     * Shut down a vehicle's engines
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {Array<string>} engineIds - Engine ids to shut down, or null for all
+     */
+    shutdownEngines(vehicleId, engineIds = null) {
+        const vehicle = this.vehicles[vehicleId];
+        if (!vehicle) return;
+        
+        shutdownEngines(vehicle.engines, engineIds);
+        this.updateThrottleState(vehicle);
+    }
+    
+    /**
+     * Command a burn on a group of engines, lighting or shutting them down as needed
+     * A positive throttle starts any of the group's engines that are off; zero shuts them down.
+     * Thrust lost to failed, held-off or degraded engines is made up by the rest of the group.
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {number} throttle - Throttle value (0-1) the full group would fly
+     * @param {string} group - Burn type from ENGINE_GROUPS (ascent, boostback, landing)
+     */
+    throttleEngines(vehicleId, throttle, group) {
+        const vehicle = this.vehicles[vehicleId];
+        if (!vehicle) return;
+        
+        const engineIds = this.getEngineIds(vehicleId, group);
+        if (throttle > 0 && hasPropellant(vehicle.tanks, vehicle.propellantFeed)) {
+            this.startEngines(vehicleId, engineIds);
+            this.setThrottle(vehicleId, throttle * this.getThrustRatio(vehicleId, group), engineIds);
+        } else {
+            this.shutdownEngines(vehicleId, engineIds);
+        }
+    }
+    
+    /**
+     * Get the key of a vehicle in this.vehicles
+     * @param {Object} vehicle - Vehicle object
+     * @returns {string} Vehicle key, or 'vehicle' if it is not registered
+     */
+    getVehicleId(vehicle) {
+        return Object.keys(this.vehicles).find(key => this.vehicles[key] === vehicle) || 'vehicle';
+    }
+    
+    /**
+     * Get the ids of the usable engines a vehicle has for a kind of burn
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {string} group - Burn type from ENGINE_GROUPS (ascent, boostback, landing)
+     * @returns {Array<string>} Ids of engines that have not failed or been held off
+     */
+    getEngineIds(vehicleId, group) {
+        return this.getGroupEngines(vehicleId, group)
+            .filter(isEngineAvailable)
+            .map(engine => engine.id);
+    }
+    
+    /**
+     * Get every engine a vehicle would use for a kind of burn, whatever its condition
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {string} group - Burn type from ENGINE_GROUPS
+     * @returns {Array<Object>} Engines
+     */
+    getGroupEngines(vehicleId, group) {
+        const vehicle = this.vehicles[vehicleId];
+        const types = ENGINE_GROUPS[vehicleId] && ENGINE_GROUPS[vehicleId][group];
+        if (!vehicle || !types) return [];
+        
+        return vehicle.engines.filter(engine => types.includes(engine.type));
+    }
+    
+    /**
+     * Ratio of a burn group's rated thrust to the thrust its usable engines can still deliver
+     * Guidance multiplies throttle and burn time by this to re-plan around engine outs.
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {string} group - Burn type from ENGINE_GROUPS
+     * @returns {number} 1 with every engine healthy, larger with engines lost; Infinity if none remain
+     */
+    getThrustRatio(vehicleId, group) {
+        const engines = this.getGroupEngines(vehicleId, group);
+        const rated = engines.reduce((sum, engine) => sum + engine.thrust, 0);
+        const available = engines
+            .filter(isEngineAvailable)
+            .reduce((sum, engine) => sum + engine.thrust * engine.health, 0);
+        
+        return available > 0 ? rated / available : Infinity;
+    }
+    
+    /**
+     * Fail one of a vehicle's engines
+     * An engine out also shuts down the engine across the ring so thrust stays centered;
+     * later burns make up the lost thrust through throttleEngines.
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {string} engineId - Engine id
+     * @param {string} type - Failure type from FAILURE_TYPES
+     * @param {Object} options - Failure options (thrustFraction for THRUST_LOSS)
+     * @returns {Object|null} { vehicleId, engineId, type, balancingEngineId } or null if nothing failed
+     */
+    failEngine(vehicleId, engineId, type = FAILURE_TYPES.SHUTDOWN, options = {}) {
+        const vehicle = this.vehicles[vehicleId];
+        const engine = vehicle && vehicle.engines.find(e => e.id === engineId);
+        if (!engine) {
+            console.warn(`Cannot fail engine: unknown engine ${engineId} on ${vehicleId}`);
+            return null;
+        }
+        
+        const wasBurning = isEngineBurning(engine);
+        if (!failEngine(engine, type, options)) return null;
+        
+        console.warn(`Engine failure on ${vehicleId}: ${engineId} (${type})`);
+        
+        let balancingEngine = null;
+        if (type === FAILURE_TYPES.SHUTDOWN && wasBurning) {
+            balancingEngine = findOppositeEngine(vehicle.engines, engine);
+            if (balancingEngine) {
+                balancingEngine.inhibited = true;
+                shutdownEngines(vehicle.engines, [balancingEngine.id]);
+                console.log(`Shutting down ${balancingEngine.id} to balance thrust`);
+            }
+        }
+        this.updateThrottleState(vehicle);
+        
+        const usable = vehicle.engines.filter(isEngineAvailable).length;
+        console.log(`${vehicleId}: ${usable} of ${vehicle.engines.length} engines available, re-planning burns`);
+        
+        return {
+            vehicleId,
+            engineId,
+            type,
+            balancingEngineId: balancingEngine ? balancingEngine.id : null
+        };
+    }
+    
+    /**
+     * Refresh a vehicle's summary throttle: the mean commanded throttle of its burning engines
+     * @param {Object} vehicle - Vehicle object
+     */
+    updateThrottleState(vehicle) {
+        const burning = vehicle.engines.filter(isEngineBurning);
+        vehicle.throttle = burning.length > 0 ?
+            burning.reduce((sum, engine) => sum + engine.throttle, 0) / burning.length : 0;
+    }
+    
+    /**
+     * Get the thrust a vehicle's engines are producing
+     * @param {Object} vehicle - Vehicle object
+     * @returns {number} Net thrust magnitude in N
+     */
+    getThrust(vehicle) {
+        const pressure = this.dynamics.getEnvironment(vehicle.position).pressure;
+        return this.dynamics.calculateThrust(getEngineInputs(vehicle.engines), pressure).force.length();
+    }
+    
+    /**
+     * Get the propellant flow of a vehicle's engines
+     * @param {Object} vehicle - Vehicle object
+     * @returns {number} Mass flow in kg/s
+     */
+    getMassFlow(vehicle) {
+        return this.dynamics.calculateThrust(getEngineInputs(vehicle.engines), 0).massFlow;
+    }
+    
+    /**
+     * Thrust and propellant flow of a burn group's usable engines at full throttle
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {string} group - Burn type from ENGINE_GROUPS (ascent, boostback, landing)
+     * @returns {Object} { thrust (N), massFlow (kg/s) } at the vehicle's ambient pressure
+     */
+    getGroupPerformance(vehicleId, group) {
+        const vehicle = this.vehicles[vehicleId];
+        const pressure = this.dynamics.getEnvironment(vehicle.position).pressure;
+        const propulsion = this.dynamics.propulsion;
+        
+        return this.getGroupEngines(vehicleId, group)
+            .filter(isEngineAvailable)
+            .reduce((total, engine) => ({
+                thrust: total.thrust + propulsion.getThrust(engine, pressure, 1) * engine.health,
+                massFlow: total.massFlow + propulsion.getMassFlow(engine, 1) * engine.health
+            }), { thrust: 0, massFlow: 0 });
+    }
+    
+    /**
+     * Booster state for the boostback solver
+     * @param {Object} vehicle - Super Heavy
+     * @returns {Object} State as described in BoostbackGuidance.update
+     */
+    getBoostbackState(vehicle) {
+        return {
+            position: vehicle.position,
+            velocity: vehicle.velocity,
+            axis: new THREE.Vector3(0, 1, 0).applyQuaternion(vehicle.quaternion),
+            mass: this.getTotalMass(vehicle),
+            thrust: this.getThrust(vehicle),
+            burn: this.getGroupPerformance('superHeavy', 'boostback'),
+            propellant: getPropellantMass(vehicle.tanks, PROPELLANT_FEEDS.MAIN),
+            aerodynamics: this.getAerodynamicCoefficients(vehicle)
+        };
+    }
+    
+    /**
+     * Thrust direction for the entry burn
+     * Braking alone shortens the arc the boostback aimed at the tower, so the thrust leans off
+     * retrograde toward the horizontal velocity that still comes down on the landing target.
+     * @param {Object} vehicle - Vehicle object
+     * @returns {THREE.Vector3} Unit direction in the local frame
+     */
+    getEntryBurnDirection(vehicle) {
+        const guidance = this.boostbackGuidance;
+        if (!this.entrySolution || this.simulationTime - this.entrySolution.time >= guidance.cycleTime) {
+            const state = this.getBoostbackState(vehicle);
+            this.entrySolution = {
+                ...guidance.solveRequiredVelocity(state.position, state.velocity, state.mass,
+                    state.aerodynamics, this.entrySolution),
+                time: this.simulationTime
+            };
+        }
+
+        // Close the velocity error over entryLeanTime, leaning no further than entryMaxLean
+        const braking = vehicle.velocity.clone().normalize().negate();
+        const thrustAcceleration = this.landingParams.entryThrottle *
+            this.getGroupPerformance('superHeavy', 'landing').thrust / this.getTotalMass(vehicle);
+        const correction = this.entrySolution.requiredVelocity.clone().sub(vehicle.velocity)
+            .divideScalar(this.landingParams.entryLeanTime);
+        correction.addScaledVector(braking, -correction.dot(braking));
+        const maxCorrection = thrustAcceleration * Math.sin(this.landingParams.entryMaxLean * Math.PI / 180);
+        if (correction.length() > maxCorrection) {
+            correction.setLength(maxCorrection);
+        }
+
+        const along = Math.sqrt(thrustAcceleration * thrustAcceleration - correction.lengthSq());
+        return braking.multiplyScalar(along).add(correction).normalize();
+    }
+
+    /**
+     * Vehicle state for the powered-descent guidance
+     * @param {Object} vehicle - Vehicle object
+     * @returns {Object} State as described in PoweredDescentGuidance.update
+     */
+    getDescentState(vehicle) {
+        const vehicleId = this.getVehicleId(vehicle);
+        const landing = this.getGroupPerformance(vehicleId, 'landing');
+        const coefficients = this.getAerodynamicCoefficients(vehicle);
+        const drag = (position, velocity) => {
+            const environment = this.dynamics.getEnvironment(position);
+            if (!(environment.density > 0)) return new THREE.Vector3();
+            return this.dynamics.aerodynamics.calculateForces({
+                airVelocity: velocity,
+                axis: null,
+                density: environment.density,
+                mach: velocity.length() / environment.speedOfSound,
+                coefficients
+            }).drag;
+        };
+        return {
+            position: vehicle.position,
+            velocity: vehicle.velocity,
+            mass: this.getTotalMass(vehicle),
+            up: this.dynamics.getLocalUp(this.poweredDescent.target),
+            gravity: this.dynamics.getGravityAcceleration(vehicle.position),
+            maxThrust: landing.thrust,
+            massFlow: landing.massFlow,
+            propellant: getPropellantMass(vehicle.tanks),
+            drag
+        };
+    }
+
+    /**
+     * Fly the powered-descent guidance with a vehicle's landing engines
+     * The engines stay off until the guidance lights the burn and once it has brought the vehicle down.
+     * @param {Object} vehicle - Vehicle object
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} Guidance command { phase, direction, throttle }
+     */
+    flyPoweredDescent(vehicle, dt) {
+        const vehicleId = this.getVehicleId(vehicle);
+        const steering = this.poweredDescent.update(this.getDescentState(vehicle), dt);
+        this.divertFromTower(vehicle);
+        if (!steering.direction) {
+            this.shutdownEngines(vehicleId, this.getEngineIds(vehicleId, 'landing'));
+            return steering;
+        }
+
+        // Burn what is left in the main tanks first and keep the header tanks for the end
+        const landing = this.getGroupPerformance(vehicleId, 'landing');
+        if (vehicle.propellantFeed === PROPELLANT_FEEDS.MAIN &&
+            getPropellantMass(vehicle.tanks, PROPELLANT_FEEDS.MAIN) < 2 * landing.massFlow * dt) {
+            this.setPropellantFeed(vehicleId, PROPELLANT_FEEDS.HEADER);
+        }
+
+        // The guidance throttles the usable engines; throttleEngines scales for the ones lost
+        this.throttleEngines(vehicleId, steering.throttle / this.getThrustRatio(vehicleId, 'landing'), 'landing');
+        this.pointVehicle(vehicle, steering.direction);
+        return steering;
+    }
+
+    /**
+     * Retarget a landing burn the arms cannot catch to the ground below the vehicle
+     * Lost engines can leave the burn unable to reach the catch point, or stopped at the arms'
+     * height out of their reach; it then sets down beside the tower instead of falling from there.
+     * @param {Object} vehicle - Vehicle object
+     */
+    divertFromTower(vehicle) {
+        const guidance = this.poweredDescent;
+        if (guidance.phase === DESCENT_PHASES.WAITING || guidance.target.distanceTo(this.getCatchPoint()) > 1) {
+            return;
+        }
+
+        const plan = guidance.getState();
+        const unreachable = guidance.phase === DESCENT_PHASES.COMPLETE ?
+            vehicle.position.distanceTo(guidance.target) >= this.landingParams.catchRadius :
+            guidance.phase === DESCENT_PHASES.BURN &&
+            (!plan.mode || (plan.mode === 'error' && plan.landingError >= this.landingParams.catchRadius));
+        if (!unreachable) return;
+
+        const up = this.dynamics.getLocalUp(vehicle.position);
+        guidance.setTarget(vehicle.position.clone().addScaledVector(up, -this.getAltitude(vehicle)));
+        console.log('Catch point out of reach: landing beside the tower');
+    }
+
+    /**
+     * Where the booster is caught: the Mechazilla arms above the landing target
+     * @returns {THREE.Vector3} Catch point in the local frame
+     */
+    getCatchPoint() {
+        return this.dynamics.getLocalUp(this.landingTarget)
+            .multiplyScalar(this.landingParams.catchHeight)
+            .add(this.landingTarget);
+    }
+
+    /**
+     * Point a vehicle's thrust axis (body +Y) along a direction
+     * Writes the Euler angles, which updateAttitude takes as a commanded attitude.
+     * @param {Object} vehicle - Vehicle object
+     * @param {THREE.Vector3} direction - Unit direction in the local frame
+     */
+    pointVehicle(vehicle, direction) {
+        const attitude = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        setEulerFromQuaternionNear(vehicle.rotation, attitude, vehicle.rotation);
+    }
+    
+    /**
+     * Trim the movable gimbals so the cluster balances the torque about the center of mass
+     * Cancels the torque left by a degraded engine or a stuck gimbal and holds the
+     * aerodynamically unstable vehicle against its pitching moment; commanded gimbal
+     * angles are left out so steering torque is not trimmed away.
+     * @param {Object} vehicle - Vehicle object
+     */
+    trimThrust(vehicle) {
+        const trim = new THREE.Vector2(0, 0);
+        setGimbalTrim(vehicle.engines, trim);
+        
+        const centerOfMass = vehicle.centerOfMass || new THREE.Vector3();
+        const loads = this.calculateBodyLoads(vehicle, getEngineInputs(vehicle.engines, false));
+        const pressure = loads.environment.pressure;
+        const torque = loads.thrustTorque.clone().add(loads.aeroTorque);
+        
+        // Deflecting by a small angle moves the thrust sideways at the engine plane
+        const trimThrust = getEngineInputs(vehicle.engines.filter(e => e.gimbal && !e.gimbalStuck))
+            .reduce((sum, engine) => sum + this.dynamics.propulsion.getThrust(engine, pressure, engine.throttle), 0);
+        const arm = vehicle.length / 2 + centerOfMass.y;
+        if (trimThrust <= 0 || arm <= 0) return;
+        
+        trim.set(-torque.z / (trimThrust * arm), torque.x / (trimThrust * arm));
+        setGimbalTrim(vehicle.engines, trim);
+    }
+    
+    /**
+     * Get the mass a vehicle's engines have to accelerate
+     * While stacked, Super Heavy also carries Starship.
+     * @param {Object} vehicle - Vehicle object
+     * @returns {number} Mass in kg
+     */
+    getTotalMass(vehicle) {
+        const starship = this.vehicles.starship;
+        let mass = vehicle.mass + vehicle.fuel + (vehicle.rcs?.propellant || 0);
+        if (this.combinedStage && vehicle === this.vehicles.superHeavy) {
+            mass += starship.mass + starship.fuel + (starship.rcs?.propellant || 0);
+        }
+        return mass;
+    }
+    
+    /**
+     * Altitude of a vehicle's center above the curved surface
+     * @param {Object} vehicle - Vehicle object
+     * @returns {number} Altitude in m
+     */
+    getAltitude(vehicle) {
+        return this.dynamics.getAltitude(vehicle.position);
+    }
+    
+    /**
+     * Climb rate along the local vertical
+     * @param {Object} vehicle - Vehicle object
+     * @returns {number} Vertical speed in m/s (positive up)
+     */
+    getVerticalSpeed(vehicle) {
+        return vehicle.velocity.dot(this.dynamics.getLocalUp(vehicle.position));
+    }
+    
+    /**
+     * Earth-centered inertial state and orbit of a vehicle
+     * @param {Object} vehicle - Vehicle object
+     * @param {number} time - Mission time in seconds, which sets the Earth's rotation angle
+     * @returns {Object} { position, velocity } in ECI, the orbital elements and { perigeeAltitude,
+     *   apogeeAltitude } in m (apogee is Infinity on an escape trajectory)
+     */
+    getOrbitalState(vehicle, time = 0) {
+        const inertial = this.earthFrame.localToEci(vehicle.position, vehicle.velocity, time);
+        const elements = this.orbitalMechanics.stateVectorsToOrbitalElements(inertial.position, inertial.velocity);
+        const radius = this.earthFrame.radius;
+        
+        return {
+            ...inertial,
+            ...elements,
+            perigeeAltitude: elements.semiMajorAxis * (1 - elements.eccentricity) - radius,
+            apogeeAltitude: elements.eccentricity < 1 ?
+                elements.semiMajorAxis * (1 + elements.eccentricity) - radius : Infinity
+        };
+    }
+    
+    /**
+     * Resolve contact with the ground: a vehicle below the surface is put back on it at rest
+     * The speed it hit at is kept in impactSpeed (the hardest contact so far), since the state no longer shows it.
+     * @param {Object} vehicle - Vehicle object
+     * @returns {boolean} True if the vehicle touched the ground this step
+     */
+    resolveGroundContact(vehicle) {
+        if (this.getAltitude(vehicle) >= 0) return false;
+        
+        vehicle.impactSpeed = Math.max(vehicle.impactSpeed ?? 0, vehicle.velocity.length());
+        vehicle.position.copy(this.dynamics.projectToSurface(vehicle.position));
+        vehicle.velocity.set(0, 0, 0);
+        vehicle.acceleration.set(0, 0, 0);
+        vehicle.angularVelocity.set(0, 0, 0);
+        return true;
+    }
+    
+    /**
+     * Switch the tanks a vehicle's engines draw from
+     * Landing burns run from the header tanks, which stay full while the main tanks drain.
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {string} feed - PROPELLANT_FEEDS value
+     */
+    setPropellantFeed(vehicleId, feed) {
+        const vehicle = this.vehicles[vehicleId];
+        if (!vehicle || vehicle.propellantFeed === feed) return;
+        
+        vehicle.propellantFeed = feed;
+        console.log(`${vehicleId} engines feeding from ${feed} tanks`);
+    }
+    
+    /**
+     * Burn propellant for one step; engines shut down when the feeding tanks run dry
+     * Each engine's flow follows from its Isp and is split into LOX and methane at the mixture ratio.
+     * @param {Object} vehicle - Vehicle object
+     * @param {number} dt - Time step
+     */
+    consumePropellant(vehicle, dt) {
+        let massFlow = 0; // kg/s
+        vehicle.engines.forEach(engine => {
+            const throttle = getEngineThrottle(engine);
+            const flow = splitPropellant(throttle > 0 ? this.dynamics.propulsion.getMassFlow(engine, throttle) : 0);
+            engine.oxidFlow = flow.lox;
+            engine.fuelFlow = flow.ch4;
+            massFlow += flow.lox + flow.ch4;
+        });
+        
+        const fed = drawPropellant(vehicle.tanks, vehicle.propellantFeed, massFlow * dt);
+        vehicle.fuel = getPropellantMass(vehicle.tanks);
+        
+        if (!fed && vehicle.throttle > 0) {
+            const tanks = vehicle.propellantFeed === PROPELLANT_FEEDS.HEADER ? 'Header tanks' : 'Main tanks';
+            console.warn(`${tanks} depleted - shutting down engines`);
+            shutdownEngines(vehicle.engines);
+            this.updateThrottleState(vehicle);
+        }
+    }
+    
+    /**
+     * Select the numerical integrator for one vehicle
+     * @param {string} vehicleId - Vehicle key in this.vehicles
+     * @param {string} type - Integrator type from INTEGRATOR_TYPES
+     * @returns {boolean} True if the integrator was set
+     */
+    setIntegrator(vehicleId, type) {
+        const vehicle = this.vehicles[vehicleId];
+        if (!vehicle) {
+            console.warn(`Cannot set integrator: unknown vehicle ${vehicleId}`);
+            return false;
+        }
+        if (!isIntegratorType(type)) {
+            console.warn(`Cannot set integrator: unknown type ${type}`);
+            return false;
+        }
+        
+        vehicle.integrator = type;
+        vehicle.integratorStepSize = undefined;
+        return true;
+    }
+    
+    /**
+     * Get the energy and momentum drift report for all vehicles
+     * @returns {Object} Drift per vehicle and mission phase
+     */
+    getDriftReport() {
+        return this.driftMonitor.getReport();
+    }
+    
     /**
      * Update the physics simulation
      * @param {number} deltaTime - Time step in seconds
      * @param {Object} scene - The THREE.js scene for visual updates
      */
     update(deltaTime, scene) {
-        // Cap delta time to prevent instability
-        const dt = Math.min(deltaTime, 0.1);
+        // Sub-step long time steps instead of silently dropping simulated time
+        if (deltaTime > this.maxTimeStep) {
+            const steps = Math.ceil(deltaTime / this.maxTimeStep);
+            let state;
+            for (let i = 0; i < steps; i++) {
+                state = this.update(deltaTime / steps, scene);
+            }
+            return state;
+        }
+        
+        const dt = deltaTime;
         
         // Update wind model
         this.updateWind(dt);
@@ -267,6 +962,13 @@ export class ImprovedPhysicsEngine {
             // Skip if vehicle is not active
             if (!vehicle.active) continue;
             
+            // Advance engine start and shutdown transients
+            updateEngines(vehicle.engines, dt);
+            this.updateThrottleState(vehicle);
+            this.trimThrust(vehicle);
+            this.updateGridFins(vehicle, dt);
+            this.updateRcs(vehicle, dt);
+            
             // Calculate forces
             const forces = this.calculateForces(vehicle, dt);
             
@@ -275,38 +977,18 @@ export class ImprovedPhysicsEngine {
                 this.updateLandingControl(vehicle, dt);
             }
             
-            // Update acceleration (F = ma)
-            const totalMass = vehicle.mass + vehicle.fuel;
-            vehicle.acceleration.x = forces.x / totalMass;
-            vehicle.acceleration.y = forces.y / totalMass;
-            vehicle.acceleration.z = forces.z / totalMass;
-            
-            // Update velocity (v = v0 + a*t)
-            vehicle.velocity.x += vehicle.acceleration.x * dt;
-            vehicle.velocity.y += vehicle.acceleration.y * dt;
-            vehicle.velocity.z += vehicle.acceleration.z * dt;
+            // Integrate position and velocity
+            const before = this.integrateTranslation(vehicle, forces, dt);
             
-            // Update position (p = p0 + v*t)
-            vehicle.position.x += vehicle.velocity.x * dt;
-            vehicle.position.y += vehicle.velocity.y * dt;
-            vehicle.position.z += vehicle.velocity.z * dt;
-            
-            // Update rotation based on angular velocity
-            vehicle.rotation.x += vehicle.angularVelocity.x * dt;
-            vehicle.rotation.y += vehicle.angularVelocity.y * dt;
-            vehicle.rotation.z += vehicle.angularVelocity.z * dt;
+            // Integrate rigid-body attitude
+            this.updateAttitude(vehicle, dt);
             
             // Update fuel consumption
-            if (vehicle.throttle > 0) {
-                // Fuel consumption rate is proportional to throttle
-                const fuelRate = vehicle.maxThrust * vehicle.throttle / 3000; // kg/s
-                vehicle.fuel = Math.max(0, vehicle.fuel - fuelRate * dt);
-            }
+            this.consumePropellant(vehicle, dt);
             
-            // Create quaternion from Euler angles
-            vehicle.quaternion = new THREE.Quaternion().setFromEuler(
-                new THREE.Euler(vehicle.rotation.x, vehicle.rotation.y, vehicle.rotation.z, 'XYZ')
-            );
+            if (this.getAltitude(vehicle) >= 0) {
+                this.recordDrift(id, vehicle, before, dt);
+            }
             
             // Calculate Euler angles for telemetry
             vehicle.eulerAngles = {
@@ -316,12 +998,7 @@ export class ImprovedPhysicsEngine {
             };
             
             // Ground collision detection
-            if (vehicle.position.y < 0) {
-                vehicle.position.y = 0;
-                vehicle.velocity.set(0, 0, 0);
-                vehicle.acceleration.set(0, 0, 0);
-                vehicle.angularVelocity.set(0, 0, 0);
-                
+            if (this.resolveGroundContact(vehicle)) {
                 // Set landing phase to touchdown if we were landing
                 if (this.landingPhase === 'final') {
                     this.landingPhase = 'touchdown';
@@ -354,99 +1031,289 @@ export class ImprovedPhysicsEngine {
      * Calculate all forces acting on a vehicle
      * @param {Object} vehicle - Vehicle object
      * @param {number} dt - Time step
+     * @param {THREE.Vector3} position - Position to evaluate at (defaults to the vehicle's)
+     * @param {THREE.Vector3} velocity - Velocity to evaluate at (defaults to the vehicle's)
      * @returns {THREE.Vector3} Net force vector
      */
-    calculateForces(vehicle, dt) {
-        const forces = new THREE.Vector3(0, 0, 0);
+    calculateForces(vehicle, dt, position = vehicle.position, velocity = vehicle.velocity) {
+        // Gravity, per-engine thrust, drag and body lift from the shared dynamics model;
+        // the commanded Euler angles set the attitude for this step
+        const result = this.dynamics.calculateForces({
+            mass: this.getTotalMass(vehicle),
+            position,
+            velocity,
+            attitude: new THREE.Quaternion().setFromEuler(vehicle.rotation),
+            engines: getEngineInputs(vehicle.engines),
+            aerodynamics: this.getAerodynamicCoefficients(vehicle),
+            windVelocity: this.getWindVelocity()
+        });
+        const forces = result.total;
+        
+        // Grid fin side forces (only if deployed and in atmosphere; their torque is handled in calculateTorques)
+        const attitude = new THREE.Quaternion().setFromEuler(vehicle.rotation);
+        const gridFinForce = this.calculateGridFinLoads(vehicle, result.environment.density, velocity).force;
+        forces.add(gridFinForce.applyQuaternion(attitude));
+        
+        // RCS thrusters push as well as turn
+        if (vehicle.rcsForce) {
+            forces.add(vehicle.rcsForce.clone().applyQuaternion(attitude));
+        }
         
-        // Gravity force (F = mg)
-        const gravityForce = this.gravity * (vehicle.mass + vehicle.fuel);
-        forces.y -= gravityForce;
+        // The ship's thrust and plume through hot staging, along the long axis
+        if (vehicle.stagingForce) {
+            forces.add(vehicle.stagingForce.clone().applyQuaternion(attitude));
+        }
         
-        // Thrust force
-        if (vehicle.throttle > 0) {
-            // Calculate thrust direction based on vehicle orientation and gimbal
-            // By default, thrust should point upward (positive y) when the rocket is upright
-            
-            // Check if gimbalPosition exists, otherwise initialize it
-            if (!vehicle.gimbalPosition) {
-                vehicle.gimbalPosition = new THREE.Vector2(0, 0);
-            }
-            
-            // For vertical launch, thrust should point straight up (positive Y)
-            // Apply vehicle rotation and gimbal for steering
-            const thrustDirection = new THREE.Vector3(
-                vehicle.gimbalPosition.x * 0.1, // Small gimbal effect on X
-                1.0, // Main thrust upward
-                vehicle.gimbalPosition.y * 0.1  // Small gimbal effect on Z
-            );
-            
-            // Apply vehicle rotation to thrust direction
-            const rotationQuaternion = new THREE.Quaternion().setFromEuler(vehicle.rotation);
-            thrustDirection.applyQuaternion(rotationQuaternion).normalize();
-            
-            // Apply thrust force (F = T * direction)
-            const thrustMagnitude = vehicle.maxThrust * vehicle.throttle;
-            const thrustForce = thrustDirection.multiplyScalar(thrustMagnitude);
-            
-            // Removed excessive debug logging for performance
-            
-            forces.add(thrustForce);
+        return forces;
+    }
+    
+    /**
+     * Get the aerodynamic configuration a vehicle is flying in
+     * Super Heavy flies as the full stack until stage separation splits the vehicles.
+     * @param {Object} vehicle - Vehicle object
+     * @returns {string} 'stack', 'booster' or 'ship'
+     */
+    getAeroConfiguration(vehicle) {
+        if (vehicle === this.vehicles.superHeavy) {
+            return this.combinedStage ? 'stack' : 'booster';
+        }
+        return 'ship';
+    }
+    
+    /**
+     * Get a vehicle's aerodynamic coefficients, including deployed grid fins or flaps
+     * @param {Object} vehicle - Vehicle object
+     * @returns {Object} Aero database, drag increment and reference geometry for the aerodynamics model
+     */
+    getAerodynamicCoefficients(vehicle) {
+        let dragIncrement = 0;
+        
+        // Add contribution from grid fins if deployed (for superHeavy)
+        if (vehicle.gridFins && vehicle.gridFins.deployed) {
+            dragIncrement += vehicle.gridFins.dragContribution * vehicle.gridFins.effectiveness;
+        }
+        // Add contribution from flaps if deployed (for starship)
+        else if (vehicle.flaps && vehicle.flaps.deployed) {
+            dragIncrement += vehicle.flaps.dragContribution * vehicle.flaps.effectiveness;
         }
         
-        // Aerodynamic drag
-        // Calculate atmospheric density at current altitude
-        const altitude = vehicle.position.y;
-        const densityFactor = Math.exp(-altitude / 11000) * this.atmosphericDensity;
+        const configuration = this.getAeroConfiguration(vehicle);
+        const coefficients = {
+            database: this.aeroDatabases[configuration],
+            dragIncrement,
+            referenceArea: vehicle.crossSectionalArea,
+            referenceLength: vehicle.length
+        };
         
-        // Calculate drag force magnitude (F = 0.5 * rho * v^2 * Cd * A)
-        const velocitySquared = vehicle.velocity.lengthSq();
-        if (velocitySquared > 0) {
-            const dragMagnitude = 0.5 * densityFactor * velocitySquared * 
-                                 vehicle.dragCoefficient * vehicle.crossSectionalArea;
-            
-            // Drag direction is opposite to velocity
-            const dragDirection = vehicle.velocity.clone().normalize().negate();
-            forces.add(dragDirection.multiplyScalar(dragMagnitude));
+        // The stack's geometric center is half a ship length above the booster's
+        if (configuration === 'stack') {
+            const shipLength = this.vehicles.starship.length;
+            coefficients.referenceLength += shipLength;
+            coefficients.referencePoint = new THREE.Vector3(0, shipLength / 2, 0);
         }
         
-        // Grid fin forces (only if deployed and in atmosphere)
-        if (vehicle.gridFinDeflection !== 0 && densityFactor > 0.001) {
-            // Calculate lift and control forces from grid fins
-            const finForce = new THREE.Vector3(
-                vehicle.gridFinDeflection * velocitySquared * 0.01 * densityFactor,
-                0,
-                0
-            );
-            
-            // Apply fin force
-            forces.add(finForce);
-            
-            // Add torque effect (simplified)
-            vehicle.angularVelocity.z += vehicle.gridFinDeflection * velocitySquared * 0.0001 * densityFactor * dt;
+        return coefficients;
+    }
+    
+    /**
+     * Get the current wind velocity, including gusts
+     * @returns {THREE.Vector3} Wind velocity in m/s
+     */
+    getWindVelocity() {
+        const speed = this.windSpeed + this.gustStrength;
+        return new THREE.Vector3(
+            Math.cos(this.windDirection) * speed,
+            0,
+            Math.sin(this.windDirection) * speed
+        );
+    }
+    
+    /**
+     * Evaluate the shared dynamics model at a vehicle's current state and attitude
+     * @param {Object} vehicle - Vehicle object
+     * @param {Array<Object>} engines - Engine inputs (see getEngineInputs)
+     * @returns {Object} Loads from VehicleDynamics.calculateForces, torques about the center of mass
+     */
+    calculateBodyLoads(vehicle, engines) {
+        return this.dynamics.calculateForces({
+            mass: this.getTotalMass(vehicle),
+            position: vehicle.position,
+            velocity: vehicle.velocity,
+            attitude: vehicle.quaternion,
+            engines,
+            centerOfMass: vehicle.centerOfMass || new THREE.Vector3(),
+            aerodynamics: this.getAerodynamicCoefficients(vehicle),
+            windVelocity: this.getWindVelocity()
+        });
+    }
+    
+    /**
+     * Calculate the net torque on a vehicle about its center of mass
+     * Sums engine gimbal, aerodynamic, grid fin and RCS torques.
+     * @param {Object} vehicle - Vehicle object
+     * @returns {THREE.Vector3} Torque in the body frame (N·m)
+     */
+    calculateTorques(vehicle) {
+        const torque = new THREE.Vector3(0, 0, 0);
+        
+        // Each engine pushes from its mount point, so gimbal and uneven throttle both turn the vehicle;
+        // the aero database's pitching moment and the offset of the center of pressure add to it
+        const loads = this.calculateBodyLoads(vehicle, getEngineInputs(vehicle.engines));
+        const environment = loads.environment;
+        torque.add(loads.thrustTorque).add(loads.aeroTorque);
+        
+        // Grid fin side forces act near the top of the booster
+        torque.add(this.calculateGridFinLoads(vehicle, environment.density, vehicle.velocity).torque);
+        
+        if (vehicle.externalTorque) {
+            torque.add(vehicle.externalTorque);
+        }
+        
+        return torque;
+    }
+    
+    /**
+     * Get each grid fin's pivot, push direction and side force at full deflection
+     * @param {Object} vehicle - Booster
+     * @param {number} density - Air density in kg/m³
+     * @param {THREE.Vector3} velocity - Velocity for the dynamic pressure
+     * @returns {Array<Object>} Per fin: { id, position and direction (body frame), force (N at sin δ = 1) }
+     */
+    getGridFins(vehicle, density, velocity) {
+        const specs = SUPER_HEAVY_SPECS.gridFins;
+        const dynamicPressure = 0.5 * density * velocity.lengthSq();
+        const force = dynamicPressure * specs.area / GRID_FINS.length * specs.effectiveness *
+            vehicle.gridFins.effectiveness;
+        const radius = vehicle.diameter / 2;
+        
+        return GRID_FINS.map(({ id, azimuth }) => ({
+            id,
+            position: new THREE.Vector3(radius * Math.cos(azimuth), vehicle.length / 2, radius * Math.sin(azimuth)),
+            direction: new THREE.Vector3(-Math.sin(azimuth), 0, Math.cos(azimuth)),
+            force
+        }));
+    }
+    
+    /**
+     * Calculate the grid fins' combined load at their current deflections
+     * @param {Object} vehicle - Vehicle object
+     * @param {number} density - Air density in kg/m³
+     * @param {THREE.Vector3} velocity - Velocity for the dynamic pressure
+     * @returns {Object} { force, torque } in the body frame (N, N·m about the center of mass); zero
+     *   for vehicles without grid fins, stowed fins or thin air
+     */
+    calculateGridFinLoads(vehicle, density, velocity) {
+        const loads = { force: new THREE.Vector3(), torque: new THREE.Vector3() };
+        if (!vehicle.gridFins || vehicle.gridFins.effectiveness <= 0 || density <= 0.001) return loads;
+        
+        const centerOfMass = vehicle.centerOfMass || new THREE.Vector3();
+        const angles = this.gridFinControl.getAngles();
+        this.getGridFins(vehicle, density, velocity).forEach(fin => {
+            const force = fin.direction.multiplyScalar(fin.force * Math.sin(angles[fin.id]));
+            loads.force.add(force);
+            loads.torque.add(calculateTorque(fin.position, force, centerOfMass));
+        });
+        return loads;
+    }
+    
+    /**
+     * Deflect the grid fins toward the booster's commanded grid fin moment
+     * @param {Object} vehicle - Vehicle object; only the booster has grid fins
+     * @param {number} dt - Time step in seconds
+     */
+    updateGridFins(vehicle, dt) {
+        if (!vehicle.gridFins) return;
+        
+        // Stowed fins, or fins in air too thin to bite, have no authority and drift back to neutral
+        const arms = {};
+        const density = this.calculateAirDensity(this.getAltitude(vehicle));
+        if (vehicle.gridFins.effectiveness > 0 && density > 0.001) {
+            const centerOfMass = vehicle.centerOfMass || new THREE.Vector3();
+            this.getGridFins(vehicle, density, vehicle.velocity).forEach(fin => {
+                arms[fin.id] = {
+                    moment: calculateTorque(fin.position, fin.direction.clone().multiplyScalar(fin.force), centerOfMass),
+                    hingeMoment: fin.force * SUPER_HEAVY_SPECS.gridFins.hingeArm
+                };
+            });
+        }
+        this.gridFinControl.allocate(vehicle.gridFinTorque, arms, dt);
+    }
+    
+    /**
+     * Fire a vehicle's RCS toward the attitude it is asked to hold, or let its valves close
+     * The thrusters' torque goes into externalTorque and their push into rcsForce.
+     * @param {Object} vehicle - Vehicle object
+     * @param {number} dt - Time step in seconds
+     */
+    updateRcs(vehicle, dt) {
+        if (!vehicle.rcs) return;
+        
+        const centerOfMass = vehicle.centerOfMass || new THREE.Vector3();
+        const torque = vehicle.rcsAttitude && vehicle.inertiaTensor ?
+            vehicle.rcs.getHoldTorque(
+                vehicle.quaternion, vehicle.rcsAttitude, vehicle.angularVelocity, vehicle.inertiaTensor, centerOfMass
+            ) :
+            new THREE.Vector3();
+        const loads = vehicle.rcs.fire(torque, dt, centerOfMass);
+        vehicle.externalTorque.copy(loads.torque);
+        vehicle.rcsForce.copy(loads.force);
+    }
+    
+    /**
+     * Update a vehicle's center of mass and inertia tensor from its tank fill levels
+     * @param {Object} vehicle - Vehicle object
+     * @param {number} dt - Time step, used for the inertia rate of change
+     */
+    updateMassProperties(vehicle, dt) {
+        const properties = calculateMassProperties({
+            dryMass: vehicle.mass,
+            propellantMass: vehicle.fuel,
+            propellantCapacity: vehicle.fuelCapacity || vehicle.fuel,
+            length: vehicle.length,
+            diameter: vehicle.diameter,
+            tanks: vehicle.tanks
+        });
+        
+        // dI/dt feeds the variable-mass term of Euler's equations
+        if (vehicle.inertiaTensor && dt > 0) {
+            const rate = properties.inertia.elements.map((value, i) =>
+                (value - vehicle.inertiaTensor.elements[i]) / dt);
+            vehicle.inertiaRate = new THREE.Matrix3().fromArray(rate);
+        } else {
+            vehicle.inertiaRate = null;
+        }
+        
+        vehicle.inertiaTensor = properties.inertia;
+        vehicle.centerOfMass = properties.centerOfMass;
+    }
+    
+    /**
+     * Integrate a vehicle's attitude as a rigid body
+     * Guidance code that writes `vehicle.rotation` directly sets the attitude;
+     * otherwise the quaternion evolves under the applied torques.
+     * @param {Object} vehicle - Vehicle object
+     * @param {number} dt - Time step
+     */
+    updateAttitude(vehicle, dt) {
+        if (!vehicle.quaternion) {
+            vehicle.quaternion = new THREE.Quaternion();
         }
         
-        // Wind forces
-        if (this.windSpeed > 0 && densityFactor > 0.001) {
-            const windDirection = new THREE.Vector3(
-                Math.cos(this.windDirection),
-                0,
-                Math.sin(this.windDirection)
-            );
-            
-            // Add gust component
-            const gustVector = windDirection.clone().multiplyScalar(this.gustStrength);
-            
-            // Calculate wind force (simplified)
-            const windForce = windDirection.multiplyScalar(
-                this.windSpeed * densityFactor * vehicle.crossSectionalArea * 0.5
-            );
-            windForce.add(gustVector);
-            
-            forces.add(windForce);
+        // Euler angles changed since the last integration: treat them as a commanded attitude
+        if (!vehicle.integratedRotation || !vehicle.rotation.equals(vehicle.integratedRotation)) {
+            vehicle.quaternion.setFromEuler(vehicle.rotation);
         }
         
-        return forces;
+        this.updateMassProperties(vehicle, dt);
+        
+        const torque = this.calculateTorques(vehicle);
+        vehicle.angularAcceleration = integrateAttitude(
+            vehicle, torque, vehicle.inertiaTensor, dt, vehicle.inertiaRate
+        );
+        
+        // Keep Euler angles in sync (and continuous) for guidance and rendering
+        setEulerFromQuaternionNear(vehicle.rotation, vehicle.quaternion, vehicle.rotation);
+        vehicle.integratedRotation = vehicle.rotation.clone();
     }
     
     /**
@@ -455,6 +1322,8 @@ export class ImprovedPhysicsEngine {
      * @param {number} dt - Time step
      */
     updateLandingControl(vehicle, dt) {
+        const vehicleId = this.getVehicleId(vehicle);
+        
         // Calculate distance to target
         const horizontalDistance = new THREE.Vector2(
             vehicle.position.x - this.landingTarget.x,
@@ -462,8 +1331,10 @@ export class ImprovedPhysicsEngine {
         ).length();
         
         // Update landing phase based on altitude
-        if (this.landingPhase === 'approach' && vehicle.position.y < this.landingStartAltitude / 2) {
+        const altitude = this.getAltitude(vehicle);
+        if (this.landingPhase === 'approach' && altitude < this.landingStartAltitude / 2) {
             this.landingPhase = 'final';
+            this.poweredDescent.reset(this.landingTarget);
         }
         
         // PID control for altitude
@@ -472,7 +1343,7 @@ export class ImprovedPhysicsEngine {
         
         if (this.landingPhase === 'approach') {
             // During approach, maintain a controlled descent rate based on altitude
-            const descentRate = Math.max(-50, -vehicle.position.y / 20);
+            const descentRate = Math.max(-50, -altitude / 20);
             targetAltitudeRate = descentRate;
             
             // Aim toward landing target
@@ -524,109 +1395,52 @@ export class ImprovedPhysicsEngine {
             
             const horizontalOutput = this.updatePID(this.pidControllers.horizontalPosition, 
                                                  new THREE.Vector2(horizontalDistance, 0), dt);
-            vehicle.gridFinDeflection = horizontalOutput.x * 0.1;
+            
+            // Ask the fins for the moment of a sideways push on the top of the booster
+            const sideForce = new THREE.Vector3(
+                horizontalOutput.x * 0.1 * vehicle.velocity.lengthSq() * 0.01 * this.calculateAirDensity(altitude),
+                0,
+                0
+            ).applyQuaternion(vehicle.quaternion.clone().invert());
+            const finPosition = new THREE.Vector3(0, vehicle.length / 2, 0);
+            vehicle.gridFinTorque.copy(calculateTorque(finPosition, sideForce, vehicle.centerOfMass || new THREE.Vector3()));
         } 
         else if (this.landingPhase === 'final') {
-            // Final approach - slow descent and precise positioning
-            
-            // Target hover at specified altitude, then descend slowly
-            const hoverError = vehicle.position.y - this.hoverAltitude;
-            if (hoverError > 0) {
-                // Still descending to hover altitude
-                targetAltitudeRate = -Math.min(20, hoverError / 2);
-            } else {
-                // At or below hover altitude, descend very slowly
-                targetAltitudeRate = -this.touchdownSpeed;
-            }
-            
-            // Horizontal position control - aim directly at target
-            const horizontalError = new THREE.Vector2(
-                this.landingTarget.x - vehicle.position.x,
-                this.landingTarget.z - vehicle.position.z
-            );
-            
-            // Apply horizontal correction using engine gimbal
-            // Check if gimbalPosition exists, otherwise initialize it
-            if (!vehicle.gimbalPosition) {
-                vehicle.gimbalPosition = new THREE.Vector2(0, 0);
-            }
-            
-            // Use pidControllers for horizontal position control
-            if (!this.pidControllers || !this.pidControllers.horizontalPosition) {
-                // Initialize if missing (should be created in constructor/reset, but this is a fallback)
-                if (!this.pidControllers) {
-                    this.pidControllers = {};
-                }
-                this.pidControllers.horizontalPosition = {
-                    kP: 0.1, kI: 0.005, kD: 0.05,
-                    setpoint: new THREE.Vector2(0, 0),
-                    integral: new THREE.Vector2(0, 0),
-                    previousError: new THREE.Vector2(0, 0),
-                    output: new THREE.Vector2(0, 0),
-                    maxOutput: 0.2, minOutput: -0.2
-                };
-            }
-            
-            // Set the horizontal position error for PID control
-            const error = new THREE.Vector2(horizontalError.x, horizontalError.y);
-            const output = this.updatePID(this.pidControllers.horizontalPosition, error, dt);
-            
-            // Apply to gimbal with scaling factor
-            vehicle.gimbalPosition.x = output.x * 0.05;
-            vehicle.gimbalPosition.y = output.y * 0.05;
-            
-            // Keep vehicle vertical during final descent
-            const attitudeError = -vehicle.rotation.z;
-            
-            // Make sure attitude PID controller exists
-            if (!this.pidControllers || !this.pidControllers.attitude) {
+            // Final approach - the powered-descent guidance lights and flies the landing burn
+            this.flyPoweredDescent(vehicle, dt);
+        }
+        
+        // Altitude rate control during the approach
+        if (this.landingPhase === 'approach') {
+            const currentAltitudeRate = this.getVerticalSpeed(vehicle);
+            const altitudeRateError = targetAltitudeRate - currentAltitudeRate;
+        
+            // Initialize vertical velocity PID controller if needed
+            if (!this.pidControllers || !this.pidControllers.verticalVelocity) {
                 if (!this.pidControllers) {
                     this.pidControllers = {};
                 }
-                this.pidControllers.attitude = {
-                    kP: 0.5, kI: 0.01, kD: 0.2,
-                    setpoint: new THREE.Euler(0, 0, 0),
-                    integral: new THREE.Vector3(0, 0, 0),
-                    previousError: new THREE.Vector3(0, 0, 0),
-                    output: new THREE.Vector3(0, 0, 0),
-                    maxOutput: 0.1, minOutput: -0.1
+                this.pidControllers.verticalVelocity = {
+                    kP: 0.2, kI: 0.01, kD: 0.1,
+                    setpoint: 0,
+                    integral: 0, previousError: 0, output: 0,
+                    maxOutput: 0.3, minOutput: -0.3
                 };
             }
-            
-            // Apply PID control for attitude
-            const attitudeOutput = this.updatePID(this.pidControllers.attitude, new THREE.Vector3(0, 0, attitudeError), dt);
-            vehicle.angularVelocity.z = attitudeOutput.z;
-        }
         
-        // Altitude rate control
-        const currentAltitudeRate = vehicle.velocity.y;
-        const altitudeRateError = targetAltitudeRate - currentAltitudeRate;
+            // Calculate throttle using PID controller
+            const throttleOutput = this.updatePID(this.pidControllers.verticalVelocity, altitudeRateError, dt);
+            const throttleAdjustment = throttleOutput;
         
-        // Initialize vertical velocity PID controller if needed
-        if (!this.pidControllers || !this.pidControllers.verticalVelocity) {
-            if (!this.pidControllers) {
-                this.pidControllers = {};
-            }
-            this.pidControllers.verticalVelocity = {
-                kP: 0.2, kI: 0.01, kD: 0.1,
-                setpoint: 0,
-                integral: 0, previousError: 0, output: 0,
-                maxOutput: 0.3, minOutput: -0.3
-            };
+            // Apply throttle with limits
+            targetThrottle = 0.5 + throttleAdjustment;
+            this.throttleEngines(vehicleId, Math.max(0.1, Math.min(1.0, targetThrottle)), 'landing');
         }
         
-        // Calculate throttle using PID controller
-        const throttleOutput = this.updatePID(this.pidControllers.verticalVelocity, altitudeRateError, dt);
-        const throttleAdjustment = throttleOutput;
-        
-        // Apply throttle with limits
-        targetThrottle = 0.5 + throttleAdjustment;
-        vehicle.throttle = Math.max(0.1, Math.min(1.0, targetThrottle));
-        
         return {
             phase: this.landingPhase,
             throttle: vehicle.throttle,
-            altitude: vehicle.position.y,
+            altitude: altitude,
             distance: horizontalDistance
         };
     }
@@ -637,8 +1451,7 @@ export class ImprovedPhysicsEngine {
      * @returns {number} Air density in kg/m³
      */
     calculateAirDensity(altitude) {
-        // Exponential atmospheric model based on scale height
-        return this.airDensitySeaLevel * Math.exp(-altitude / this.atmosphereScaleHeight);
+        return this.dynamics.atmosphere.getDensity(altitude);
     }
     
     /**
@@ -647,108 +1460,34 @@ export class ImprovedPhysicsEngine {
      * @returns {number} Temperature in Kelvin
      */
     calculateAtmosphericTemperature(altitude) {
-        // Simple atmospheric temperature model
-        const seaLevelTemp = 288.15; // K (15°C)
-        const lapseRate = 0.0065; // K/m, standard temperature lapse rate
-        
-        // Temperature decreases with altitude in troposphere (up to ~11km)
-        if (altitude < 11000) {
-            return seaLevelTemp - (lapseRate * altitude);
-        } else if (altitude < 20000) {
-            // Approximately constant in lower stratosphere
-            return 216.65;
-        } else if (altitude < 50000) {
-            // Increases slightly in upper stratosphere
-            return 216.65 + 0.001 * (altitude - 20000);
-        } else {
-            // Decreases in mesosphere
-            return 270.65 - 0.0025 * (altitude - 50000);
-        }
-    }
-    
-    /**
-     * Calculate aerodynamic drag force
-     * @param {Object} vehicle - Vehicle to calculate drag for
-     * @param {number} altitude - Current altitude in meters
-     * @returns {THREE.Vector3} Drag force vector in Newtons
-     */
-    calculateDrag(vehicle, altitude) {
-        // Get velocity magnitude
-        const velocityMagnitude = vehicle.velocity.length();
-        if (velocityMagnitude < 0.01) return new THREE.Vector3(0, 0, 0);
-        
-        // Calculate air density at current altitude
-        const airDensity = this.calculateAirDensity(altitude);
-        
-        // Calculate base drag coefficient
-        let dragCoefficient = vehicle.dragCoefficient;
-        
-        // Add contribution from grid fins if deployed (for superHeavy)
-        if (vehicle === this.vehicles.superHeavy && vehicle.gridFins && vehicle.gridFins.deployed) {
-            dragCoefficient += vehicle.gridFins.dragContribution * vehicle.gridFins.effectiveness;
-        }
-        // Add contribution from flaps if deployed (for starship)
-        else if (vehicle === this.vehicles.starship && vehicle.flaps && vehicle.flaps.deployed) {
-            dragCoefficient += vehicle.flaps.dragContribution * vehicle.flaps.effectiveness;
-        }
-        
-        // Calculate drag force magnitude
-        // F_drag = 0.5 * ρ * v² * Cd * A
-        const dragForceMagnitude = 0.5 * airDensity * velocityMagnitude * velocityMagnitude * 
-                                dragCoefficient * vehicle.crossSectionalArea;
-        
-        // Drag force is opposite to velocity direction
-        const dragForce = vehicle.velocity.clone().normalize().multiplyScalar(-dragForceMagnitude);
-        
-        return dragForce;
-    }
-    
-    /**
-     * Calculate heating rate during atmospheric entry
-     * @param {Object} vehicle - Vehicle to calculate heating for
-     * @param {number} altitude - Current altitude in meters
-     * @returns {number} Heating rate in Kelvin/second
-     */
-    calculateHeatingRate(vehicle, altitude) {
-        const velocityMagnitude = vehicle.velocity.length();
-        const airDensity = this.calculateAirDensity(altitude);
-        
-        // Simple heating model based on velocity³ and √airDensity
-        const heatingRate = 1e-10 * Math.pow(velocityMagnitude, 3) * Math.sqrt(airDensity);
-        
-        return heatingRate;
+        return this.dynamics.atmosphere.getTemperature(altitude);
     }
     
     /**
      * Update vehicle thermal state
+     * Heats the heat shield's regions at the vehicle's attitude and warns once when one burns through
      * @param {Object} vehicle - Vehicle to update
      * @param {number} altitude - Current altitude
      * @param {number} deltaTime - Time step in seconds
+     * @returns {Object|null} Burn-through (see HeatShield.getState), or null while the shield holds
      */
     updateThermalState(vehicle, altitude, deltaTime) {
-        if (!vehicle.heatShield) return; // Skip if vehicle doesn't have a heat shield
-        
-        // Calculate heating rate
-        const heatingRate = this.calculateHeatingRate(vehicle, altitude);
-        
-        // Update vehicle heat shield temperature
-        vehicle.heatShield.temperature += heatingRate * deltaTime;
-        
-        // Apply cooling based on altitude (cooling is more effective at lower altitudes)
-        const coolingFactor = 1.0 - Math.min(1.0, (altitude / 100000));
-        const cooling = vehicle.heatShield.coolingRate * coolingFactor * deltaTime;
-        
-        // Temperature can't go below ambient
-        const ambientTemp = this.calculateAtmosphericTemperature(altitude);
-        vehicle.heatShield.temperature = Math.max(
-            ambientTemp,
-            vehicle.heatShield.temperature - cooling
-        );
-        
-        // Check for overheating (could add consequences later)
-        if (vehicle.heatShield.temperature > vehicle.heatShield.maxTemperature) {
-            console.warn('Vehicle heat shield temperature exceeding maximum!');
+        if (!vehicle.heatShield) return null; // Skip if vehicle doesn't have a heat shield
+        
+        const wasIntact = !vehicle.heatShield.burnThrough;
+        const airVelocity = vehicle.velocity.clone().sub(this.getWindVelocity())
+            .applyQuaternion(vehicle.quaternion.clone().invert());
+        const { burnThrough } = vehicle.heatShield.update({
+            density: this.calculateAirDensity(altitude),
+            airVelocity,
+            ambientTemperature: this.calculateAtmosphericTemperature(altitude)
+        }, deltaTime);
+        
+        if (burnThrough && wasIntact) {
+            console.warn(`Heat shield burn-through at ${burnThrough.region}: ${burnThrough.layer} ` +
+                `${burnThrough.temperature.toFixed(0)} K against a limit of ${burnThrough.limit} K`);
         }
+        return burnThrough;
     }
     
     /**
@@ -871,44 +1610,22 @@ export class ImprovedPhysicsEngine {
      * @param {number} deltaTime - Time step in seconds
      */
     updateWind(deltaTime) {
-        // Simple wind model with gusts
+        const { seed, gustRate, maxGust, gustDecayTime, directionDrift } = this.windParams;
+        this.windTime += deltaTime;
+        const time = this.windTime;
+
         // Wind direction varies slowly
-        this.windDirection += (Math.random() - 0.5) * 0.01;
-        
-        // Wind speed varies with gusts
-        const gustProbability = 0.01; // Probability of a gust each update
-        if (Math.random() < gustProbability) {
-            this.gustStrength = Math.random() * 5.0; // Gust strength 0-5 m/s
-        } else {
-            this.gustStrength *= 0.95; // Gust dissipation
+        this.windDirection = directionDrift * Math.sin(time / 100 + 2 * Math.PI * windNoise(seed, -1));
+
+        // A gust may start at each whole second; the latest one dies away until the next
+        this.gustStrength = 0;
+        for (let second = Math.floor(time); second >= Math.max(0, time - 10 * gustDecayTime); second--) {
+            if (windNoise(seed, 2 * second) < Math.min(gustRate, 1)) {
+                this.gustStrength = windNoise(seed, 2 * second + 1) * maxGust * Math.exp(-(time - second) / gustDecayTime);
+                break;
+            }
         }
-        this.turbulenceIntensity = Math.random() * this.windSpeed * 0.1;
-    }
-    
-    /**
-     * PID controller implementation
-     * @param {Object} controller - PID controller parameters
-     * @param {number} error - Current error
-     * @param {number} dt - Time step
-     * @returns {number} Control output
-     */
-    pidControl(controller, error, dt) {
-        // Proportional term
-        const p = controller.kP * error;
-        
-        // Integral term
-        controller.integral += error * dt;
-        const i = controller.kI * controller.integral;
-        
-        // Derivative term
-        const errorRate = (error - controller.lastError) / dt;
-        const d = controller.kD * errorRate;
-        
-        // Update last error
-        controller.lastError = error;
-        
-        // Return combined control output
-        return p + i + d;
+        this.turbulenceIntensity = windNoise(seed + 1, Math.floor(time * 10)) * this.windSpeed * 0.1;
     }
     
     /**
@@ -941,7 +1658,7 @@ export class ImprovedPhysicsEngine {
     updateLaunch(deltaTime) {
         // Set Super Heavy to active and ensure correct initialization
         this.vehicles.superHeavy.active = true;
-        this.vehicles.superHeavy.throttle = 1.0; // Full throttle for launch
+        this.throttleEngines('superHeavy', 1.0, 'ascent'); // Full throttle for launch
         
         // Ensure rotation is properly set for vertical launch
         this.vehicles.superHeavy.rotation.set(0, 0, 0);
@@ -961,7 +1678,7 @@ export class ImprovedPhysicsEngine {
             acceleration: this.vehicles.superHeavy.acceleration.clone(),
             quaternion: this.vehicles.superHeavy.quaternion,
             eulerAngles: this.vehicles.superHeavy.eulerAngles,
-            thrust: this.vehicles.superHeavy.throttle * this.vehicles.superHeavy.maxThrust,
+            thrust: this.getThrust(this.vehicles.superHeavy),
             fuel: this.vehicles.superHeavy.fuel
         };
     }
@@ -969,21 +1686,24 @@ export class ImprovedPhysicsEngine {
     /**
      * Update physics for ascent phase
      * @param {number} deltaTime - Time step in seconds
+     * @param {number} throttle - Booster throttle, e.g. from the max-Q bucket (0-1)
      * @returns {Object} Current physics state
      */
-    updateAscent(deltaTime) {
+    updateAscent(deltaTime, throttle = 0.9) {
         // Continue with ascent physics
-        this.vehicles.superHeavy.throttle = 0.9; // Slightly reduced throttle after initial launch
+        this.throttleEngines('superHeavy', throttle, 'ascent');
         
         // Run general update
         this.update(deltaTime);
         
-        // Apply slight pitch maneuver for gravity turn
-        if (this.vehicles.superHeavy.position.y > 500) {
-            // Gradually pitch over based on altitude
-            const pitchAngle = Math.min(0.2, (this.vehicles.superHeavy.position.y - 500) / 10000);
-            this.vehicles.superHeavy.rotation.z = pitchAngle;
-        }
+        // Vertical rise, pitch kick and gravity turn
+        const booster = this.vehicles.superHeavy;
+        const direction = this.ascentGuidance.getBoosterDirection({
+            velocity: booster.velocity,
+            altitude: this.getAltitude(booster),
+            up: this.dynamics.getLocalUp(booster.position)
+        }, deltaTime);
+        this.pointVehicle(booster, direction);
         
         // Return current state for the main simulation
         return {
@@ -992,13 +1712,35 @@ export class ImprovedPhysicsEngine {
             acceleration: this.vehicles.superHeavy.acceleration.clone(),
             quaternion: this.vehicles.superHeavy.quaternion,
             eulerAngles: this.vehicles.superHeavy.eulerAngles,
-            thrust: this.vehicles.superHeavy.throttle * this.vehicles.superHeavy.maxThrust,
+            thrust: this.getThrust(this.vehicles.superHeavy),
             fuel: this.vehicles.superHeavy.fuel
         };
     }
 
+    /**
+     * Keep Starship attached to the top of Super Heavy, sitting on the vent ring
+     * The ship moves with the booster as one rigid body, turning with it.
+     */
+    syncStackedStarship() {
+        const booster = this.vehicles.superHeavy;
+        const starship = this.vehicles.starship;
+        const attitude = new THREE.Quaternion().setFromEuler(booster.rotation);
+        const offset = new THREE.Vector3(0, STACK_SEPARATION, 0).applyQuaternion(attitude);
+        const spin = booster.angularVelocity.clone().applyQuaternion(attitude);
+        
+        starship.position.copy(booster.position).add(offset);
+        starship.velocity.copy(booster.velocity).add(spin.cross(offset));
+        starship.acceleration.copy(booster.acceleration);
+        starship.rotation.copy(booster.rotation);
+        starship.angularVelocity.copy(booster.angularVelocity);
+    }
+
     /**
      * Update physics for stage separation phase
+     * Hot staging: the booster throttles down to its center and inner engines and the ship lights while still
+     * latched to the vent ring, so the stack flies on the ship's thrust less what its plume loses on
+     * the booster's dome. Once the latches open each vehicle flies on its own, the booster pushed
+     * back by the plume, until the ship is clear and the booster shuts down for the boostback.
      * @param {number} deltaTime - Time step in seconds
      * @returns {Object} Current physics state for both vehicles
      */
@@ -1012,73 +1754,82 @@ export class ImprovedPhysicsEngine {
             };
         }
         
-        // Initialize separation if not already started
-        if (!this.separationTimer) {
-            console.log('Stage separation initiated - setting up clean separation');
-            
-            // Set combined stage to false to indicate separation
-            this.combinedStage = false;
-            
-            // Get current Super Heavy state
-            const currentPosition = this.vehicles.superHeavy.position.clone();
-            const currentVelocity = this.vehicles.superHeavy.velocity.clone();
-            const currentRotation = this.vehicles.superHeavy.rotation.clone();
-            
-            // Position Starship exactly on top of Super Heavy
-            this.vehicles.starship.position.copy(currentPosition);
-            this.vehicles.starship.position.y += 60; // Proper stacked height
-            
-            // Both vehicles start with same velocity and rotation
-            this.vehicles.starship.velocity.copy(currentVelocity);
-            this.vehicles.starship.rotation.copy(currentRotation);
-            
-            // Set separation timer
-            this.separationTimer = 3.0;
-            
-            // Initial separation impulses
-            this.vehicles.superHeavy.velocity.y -= 2.0; // Booster slows down
-            this.vehicles.starship.velocity.y += 3.0;   // Starship speeds up
-            
-            // Set throttle states for separation
-            this.vehicles.superHeavy.throttle = 0.0; // Booster engines off initially
-            this.vehicles.starship.throttle = 0.9;   // Starship engines on
-            
-            console.log('Separation initialized:', {
-                boosterPos: this.vehicles.superHeavy.position.y,
-                starshipPos: this.vehicles.starship.position.y,
-                boosterVel: this.vehicles.superHeavy.velocity.y,
-                starshipVel: this.vehicles.starship.velocity.y
-            });
+        const booster = this.vehicles.superHeavy;
+        const starship = this.vehicles.starship;
+        
+        // Throttle the booster down to the engines that fire through separation
+        if (!this.hotStaging.phase) {
+            console.log('Hot staging initiated - booster throttling down to its center and inner engines');
+            this.hotStaging.start();
+            const staging = this.getGroupEngines('superHeavy', 'staging');
+            this.shutdownEngines('superHeavy', booster.engines
+                .filter(engine => !staging.includes(engine))
+                .map(engine => engine.id));
         }
-
-        // Update separation timer
-        this.separationTimer -= deltaTime;
-        const separationComplete = this.separationTimer <= 0;
-
-        // Update physics for both vehicles
-        this.updateVehiclePhysics(this.vehicles.superHeavy, deltaTime, this.vehicles.superHeavy.throttle > 0);
-        this.updateVehiclePhysics(this.vehicles.starship, deltaTime, this.vehicles.starship.throttle > 0);
         
-        // Continue separation forces
-        if (!separationComplete) {
-            // Gradual force diminishing over time
-            const forceStrength = this.separationTimer / 3.0;
-            this.vehicles.superHeavy.acceleration.y -= forceStrength * 0.5;
-            this.vehicles.starship.acceleration.y += forceStrength * 0.8;
+        const sequence = this.hotStaging.update({
+            boosterPosition: booster.position,
+            boosterVelocity: booster.velocity,
+            boosterAxis: new THREE.Vector3(0, 1, 0).applyEuler(booster.rotation),
+            shipPosition: starship.position,
+            shipVelocity: starship.velocity,
+            shipThrust: this.getThrust(starship),
+            shipRatedThrust: this.getGroupPerformance('starship', 'ascent').thrust
+        }, deltaTime);
+        this.throttleEngines('superHeavy', sequence.boosterThrottle, 'staging');
+        this.throttleEngines('starship', sequence.shipThrottle, 'ascent');
+        
+        if (sequence.latched) {
+            // The stack carries the ship's thrust, less what the dome takes out of its plume
+            updateEngines(starship.engines, deltaTime);
+            this.updateThrottleState(starship);
+            const pressure = this.dynamics.getEnvironment(starship.position).pressure;
+            booster.stagingForce.copy(this.dynamics.calculateThrust(getEngineInputs(starship.engines), pressure).force);
+            booster.stagingForce.y += sequence.shipLoad - sequence.plumeLoad;
+            
+            this.updateVehiclePhysics(booster, deltaTime);
+            this.consumePropellant(starship, deltaTime);
+            this.syncStackedStarship();
+        } else {
+            if (this.combinedStage) {
+                console.log(`Latches released ${this.hotStaging.elapsed.toFixed(2)} s into hot staging`);
+                this.combinedStage = false;
+                starship.active = true;
+            }
+            
+            // The plume pushes the booster back along its axis and the exhaust turned back off the dome
+            // pushes the ship on
+            booster.stagingForce.set(0, -sequence.plumeLoad, 0);
+            starship.stagingForce.set(0, sequence.shipLoad, 0);
+            
+            this.updateVehiclePhysics(booster, deltaTime);
+            this.updateVehiclePhysics(starship, deltaTime);
         }
         
         // Complete separation setup
+        const separationComplete = this.hotStaging.isComplete();
         if (separationComplete && !this.separationCompleted) {
-            console.log('Stage separation complete - setting up post-separation phases');
+            const staging = this.hotStaging.getState();
+            const report = `${staging.clearance.toFixed(1)} m clear after ${staging.elapsed.toFixed(1)} s, ` +
+                `peak plume load ${(staging.peakPlumeLoad / 1e6).toFixed(1)} MN`;
+            if (staging.clean) {
+                console.log(`Stage separation clean: ${report}`);
+            } else {
+                console.warn(`Stage separation not clean: ${report}` +
+                    (staging.recontact ? ', ship came back onto the vent ring' : ''));
+            }
             this.separationCompleted = true;
+            this.combinedStage = false;
+            booster.stagingForce.set(0, 0, 0);
+            starship.stagingForce.set(0, 0, 0);
             
             // Starship continues ascent
-            this.vehicles.starship.throttle = 1.0;
-            this.vehicles.starship.active = true;
+            this.throttleEngines('starship', 1.0, 'ascent');
+            starship.active = true;
             
             // Super Heavy begins return trajectory
-            this.vehicles.superHeavy.throttle = 0.0; // Coast first
-            this.vehicles.superHeavy.active = true;
+            this.shutdownEngines('superHeavy'); // Coast first
+            booster.active = true;
             
             // Initialize booster return to Mechazilla
             this.initializeBoosterReturn();
@@ -1086,31 +1837,32 @@ export class ImprovedPhysicsEngine {
         
         // Return comprehensive state
         return {
-            boosterPosition: this.vehicles.superHeavy.position.clone(),
-            boosterQuaternion: new THREE.Quaternion().setFromEuler(this.vehicles.superHeavy.rotation),
-            boosterVelocity: this.vehicles.superHeavy.velocity.clone(),
+            boosterPosition: booster.position.clone(),
+            boosterQuaternion: new THREE.Quaternion().setFromEuler(booster.rotation),
+            boosterVelocity: booster.velocity.clone(),
             boosterEulerAngles: {
-                x: this.vehicles.superHeavy.rotation.x,
-                y: this.vehicles.superHeavy.rotation.y,
-                z: this.vehicles.superHeavy.rotation.z
+                x: booster.rotation.x,
+                y: booster.rotation.y,
+                z: booster.rotation.z
             },
-            boosterAcceleration: this.vehicles.superHeavy.acceleration.clone(),
-            boosterThrottle: this.vehicles.superHeavy.throttle,
+            boosterAcceleration: booster.acceleration.clone(),
+            boosterThrottle: booster.throttle,
             
-            starshipPosition: this.vehicles.starship.position.clone(),
-            starshipQuaternion: new THREE.Quaternion().setFromEuler(this.vehicles.starship.rotation),
-            starshipVelocity: this.vehicles.starship.velocity.clone(),
+            starshipPosition: starship.position.clone(),
+            starshipQuaternion: new THREE.Quaternion().setFromEuler(starship.rotation),
+            starshipVelocity: starship.velocity.clone(),
             starshipEulerAngles: {
-                x: this.vehicles.starship.rotation.x,
-                y: this.vehicles.starship.rotation.y,
-                z: this.vehicles.starship.rotation.z
+                x: starship.rotation.x,
+                y: starship.rotation.y,
+                z: starship.rotation.z
             },
-            starshipAcceleration: this.vehicles.starship.acceleration.clone(),
-            starshipThrottle: this.vehicles.starship.throttle,
+            starshipAcceleration: starship.acceleration.clone(),
+            starshipThrottle: starship.throttle,
             
             separationComplete: separationComplete,
-            separationTime: this.separationTimer,
-            combinedStage: this.combinedStage
+            separationTime: this.hotStaging.elapsed,
+            combinedStage: this.combinedStage,
+            hotStaging: this.hotStaging.getState()
         };
     }
 
@@ -1124,14 +1876,12 @@ export class ImprovedPhysicsEngine {
         this.landingTarget = new THREE.Vector3(-120, 0, 0); // Mechazilla position
         this.landingPhase = 'return'; // Start return phase
         
-        // Initialize return trajectory parameters
+        // The boostback solver flies the coast, flip and burn; approach follows cutoff
         this.returnParams = {
             startTime: this.simulationTime,
-            coastDuration: 10.0, // seconds of ballistic coast
-            turnDuration: 5.0,   // seconds to flip around
-            burnDuration: 15.0,  // seconds of return burn
             phase: 'coast'       // coast, flip, burn, approach
         };
+        this.boostbackGuidance.reset(this.landingTarget);
         
         console.log('Booster return initialized with target:', this.landingTarget);
     }
@@ -1153,74 +1903,41 @@ export class ImprovedPhysicsEngine {
             
             switch (this.returnParams.phase) {
                 case 'coast':
-                    // Ballistic coast phase - engines off, minimal attitude control
-                    vehicle.throttle = 0.0;
-                    
-                    // Check if coast duration is complete
-                    if (timeInPhase >= this.returnParams.coastDuration) {
-                        console.log('Booster coast phase complete, starting flip maneuver');
-                        this.returnParams.phase = 'flip';
-                        this.returnParams.startTime = this.simulationTime;
-                    }
-                    break;
-                    
                 case 'flip':
-                    // Flip maneuver to point engines toward Mechazilla
-                    vehicle.throttle = 0.2; // Light thrust for attitude control
-                    
-                    // Calculate direction to Mechazilla
-                    const directionToTarget = new THREE.Vector3();
-                    directionToTarget.subVectors(this.landingTarget, vehicle.position).normalize();
-                    
-                    // Calculate target rotation (engines pointing toward trajectory)
-                    const targetPitch = Math.atan2(-directionToTarget.y, 
-                        Math.sqrt(directionToTarget.x * directionToTarget.x + directionToTarget.z * directionToTarget.z));
-                    const targetYaw = Math.atan2(directionToTarget.x, directionToTarget.z);
-                    
-                    // Apply rotation toward target gradually
-                    const flipRate = 0.8 * deltaTime; // radians per second
-                    vehicle.rotation.x = this.lerp(vehicle.rotation.x, targetPitch, flipRate);
-                    vehicle.rotation.y = this.lerp(vehicle.rotation.y, targetYaw, flipRate);
-                    
-                    // Check if flip is complete
-                    if (timeInPhase >= this.returnParams.turnDuration) {
-                        console.log('Booster flip maneuver complete, starting return burn');
-                        this.returnParams.phase = 'burn';
-                        this.returnParams.startTime = this.simulationTime;
+                case 'burn': {
+                    const steering = this.boostbackGuidance.update(this.getBoostbackState(vehicle), deltaTime);
+                    if (steering.throttle > 0) {
+                        this.throttleEngines('superHeavy', steering.throttle, 'boostback');
+                    } else {
+                        this.shutdownEngines('superHeavy');
+                    }
+                    if (steering.direction) {
+                        this.pointVehicle(vehicle, steering.direction);
+                        vehicle.rcsAttitude = null;
+                    } else if (!vehicle.rcsAttitude) {
+                        // Coasting: the RCS holds the attitude the coast began in
+                        vehicle.rcsAttitude = vehicle.quaternion.clone();
                     }
-                    break;
-                    
-                case 'burn':
-                    // Return burn - thrust toward Mechazilla
-                    vehicle.throttle = 0.6; // Medium thrust for trajectory correction
-                    
-                    // Continuously adjust attitude to point toward Mechazilla
-                    const burnDirection = new THREE.Vector3();
-                    burnDirection.subVectors(this.landingTarget, vehicle.position).normalize();
-                    
-                    const burnPitch = Math.atan2(-burnDirection.y, 
-                        Math.sqrt(burnDirection.x * burnDirection.x + burnDirection.z * burnDirection.z));
-                    const burnYaw = Math.atan2(burnDirection.x, burnDirection.z);
-                    
-                    // Smoother attitude adjustment during burn
-                    const burnRate = 0.5 * deltaTime;
-                    vehicle.rotation.x = this.lerp(vehicle.rotation.x, burnPitch, burnRate);
-                    vehicle.rotation.y = this.lerp(vehicle.rotation.y, burnYaw, burnRate);
                     
-                    // Check if burn duration is complete
-                    if (timeInPhase >= this.returnParams.burnDuration) {
-                        console.log('Booster return burn complete, entering approach phase');
+                    // Hand over once the engines have tailed off along the burn direction
+                    if (this.boostbackGuidance.isComplete() && this.getThrust(vehicle) === 0) {
+                        const boostback = this.boostbackGuidance.getState();
+                        console.log(`Boostback cutoff: predicted impact ${boostback.missDistance.toFixed(0)} m ` +
+                            `from the target, ${(boostback.propellantMargin / 1000).toFixed(1)} t propellant margin`);
                         this.returnParams.phase = 'approach';
                         this.returnParams.startTime = this.simulationTime;
-                        
-                        // Start landing sequence automatically
                         this.landingPhase = 'approach';
-                        console.log('Automatically starting landing sequence');
+                    } else if (steering.phase !== this.returnParams.phase && !this.boostbackGuidance.isComplete()) {
+                        console.log(`Booster boostback ${steering.phase} phase`);
+                        this.returnParams.phase = steering.phase;
+                        this.returnParams.startTime = this.simulationTime;
                     }
                     break;
+                }
                     
                 case 'approach':
                     // Approach phase - use existing landing control system
+                    vehicle.rcsAttitude = null;
                     if (this.landingPhase === 'none') {
                         this.landingPhase = 'approach';
                         console.log('Starting approach phase for landing');
@@ -1233,7 +1950,7 @@ export class ImprovedPhysicsEngine {
         }
         
         // Apply general physics for all phases
-        this.updateVehiclePhysics(vehicle, deltaTime, vehicle.throttle > 0);
+        this.updateVehiclePhysics(vehicle, deltaTime);
         
         // If landing phase is active but return params aren't, use landing control
         if (this.landingPhase !== 'none' && this.landingPhase !== 'touchdown' && 
@@ -1254,36 +1971,63 @@ export class ImprovedPhysicsEngine {
             fuel: vehicle.fuel,
             throttle: vehicle.throttle,
             landingComplete: this.landingPhase === 'touchdown',
-            readyForCatch: this.landingPhase === 'final' && vehicle.position.y < 100,
+            readyForCatch: this.landingPhase === 'final' && this.getAltitude(vehicle) < 100,
             returnPhase: this.returnParams ? this.returnParams.phase : 'none',
-            distanceToTarget: vehicle.position.distanceTo(this.landingTarget)
+            distanceToTarget: vehicle.position.distanceTo(this.landingTarget),
+            boostback: this.boostbackGuidance.getState()
         };
     }
 
     /**
      * Update physics for Starship ascent phase
      * @param {number} deltaTime - Time step in seconds
+     * @param {number} throttle - Throttle while guidance keeps the engines burning (0-1)
      * @returns {Object} Current physics state for Starship
      */
-    updateStarshipAscent(deltaTime) {
+    updateStarshipAscent(deltaTime, throttle = 1.0) {
         if (!this.vehicles.starship) {
             return null;
         }
         
         const vehicle = this.vehicles.starship;
-        vehicle.throttle = 1.0; // Full throttle for ascent
+        
+        // Closed-loop insertion: steer with PEG and cut off once the target orbit is reached
+        const steering = this.ascentGuidance.getShipSteering({
+            position: vehicle.position,
+            velocity: vehicle.velocity,
+            thrust: this.getThrust(vehicle),
+            massFlow: this.getMassFlow(vehicle),
+            mass: this.getTotalMass(vehicle)
+        }, deltaTime);
+        
+        if (steering.cutoff) {
+            if (vehicle.throttle > 0) {
+                this.shutdownEngines('starship');
+            }
+        } else {
+            this.throttleEngines('starship', throttle, 'ascent');
+            if (steering.direction) {
+                this.pointVehicle(vehicle, steering.direction);
+            }
+        }
         
         // Apply physics
-        this.updateVehiclePhysics(vehicle, deltaTime, true); // Enable engines
+        this.updateVehiclePhysics(vehicle, deltaTime);
+        
+        // Orbit means engine cutoff with a trajectory that no longer dips back into the atmosphere
+        const orbit = this.getOrbitalState(vehicle);
         
         return {
             position: vehicle.position.clone(),
             velocity: vehicle.velocity.clone(),
             quaternion: new THREE.Quaternion().setFromEuler(vehicle.rotation),
-            thrust: vehicle.maxThrust * vehicle.throttle,
+            thrust: this.getThrust(vehicle),
             throttle: vehicle.throttle,
-            fuel: vehicle.fuel,
-            orbitReached: vehicle.position.y > 200000 // Example: 200km for orbit
+            fuel: getPropellantMass(vehicle.tanks, PROPELLANT_FEEDS.MAIN), // Header tanks are kept for landing
+            perigeeAltitude: orbit.perigeeAltitude,
+            apogeeAltitude: orbit.apogeeAltitude,
+            guidance: this.ascentGuidance.getState(),
+            orbitReached: steering.cutoff && orbit.perigeeAltitude >= this.orbitPerigeeAltitude
         };
     }
 
@@ -1308,7 +2052,8 @@ export class ImprovedPhysicsEngine {
                 landingComplete: false,
                 gridFinDeployment: 0,
                 landingLegDeployment: 0,
-                heatShieldTemperature: 300
+                heatShieldTemperature: 300,
+                heatShield: null
             };
         }
         
@@ -1322,7 +2067,7 @@ export class ImprovedPhysicsEngine {
         this.simulationTime += dt;
         
         // Calculate current altitude and horizontal distance to landing target
-        const altitude = booster.position.y;
+        const altitude = this.getAltitude(booster);
         const horizontalPosition = new THREE.Vector2(
             booster.position.x - this.landingTarget.x,
             booster.position.z - this.landingTarget.z
@@ -1333,6 +2078,7 @@ export class ImprovedPhysicsEngine {
         if (this.landingPhase === 'none') {
             this.landingPhase = 'descent'; // Start with descent phase
             this.landingParams.phaseStartTime = this.simulationTime;
+            this.poweredDescent.reset(this.getCatchPoint());
             console.log('Landing phase initialized to descent at altitude:', altitude);
         }
         
@@ -1340,26 +2086,26 @@ export class ImprovedPhysicsEngine {
         this.landingParams.currentPhaseTime = this.simulationTime - this.landingParams.phaseStartTime;
         
         // Transition between phases based on altitude
-        if (this.landingPhase === 'coast' && altitude <= this.landingParams.boostbackAltitude) {
-            this.landingPhase = 'boostback';
-            this.landingParams.phaseStartTime = this.simulationTime;
-            console.log('Transition to boostback phase');
-        } else if (this.landingPhase === 'boostback' && 
-                  (this.landingParams.currentPhaseTime >= this.landingParams.boostbackBurnDuration || 
-                   altitude <= this.landingParams.entryAltitude)) {
+        if (this.landingPhase === 'coast' && altitude <= this.landingParams.entryAltitude) {
             this.landingPhase = 'entry';
             this.landingParams.phaseStartTime = this.simulationTime;
+            this.entrySolution = null;
             console.log('Transition to entry phase');
         } else if (this.landingPhase === 'entry' && 
                   (this.landingParams.currentPhaseTime >= this.landingParams.entryBurnDuration || 
                    altitude <= this.landingParams.descentAltitude)) {
             this.landingPhase = 'descent';
             this.landingParams.phaseStartTime = this.simulationTime;
+            this.poweredDescent.reset(this.getCatchPoint());
             console.log('Transition to descent phase');
-        } else if (this.landingPhase === 'descent' && altitude <= this.landingParams.landingAltitude) {
+        } else if (this.landingPhase === 'descent' &&
+                   this.poweredDescent.phase !== DESCENT_PHASES.WAITING) {
+            // The guidance lights the burn on the last cycle the catch point is still reachable
             this.landingPhase = 'landing';
             this.landingParams.phaseStartTime = this.simulationTime;
-            console.log('Transition to landing phase');
+            const plan = this.poweredDescent.getState();
+            console.log(plan.mode ? `Transition to landing phase: ${plan.timeToGo.toFixed(1)} s burn, ` +
+                `${(plan.fuel / 1000).toFixed(1)} t propellant planned` : 'Transition to landing phase');
         } else if (this.landingPhase === 'landing' && altitude <= 0) {
             this.landingPhase = 'touchdown';
             this.landingParams.phaseStartTime = this.simulationTime;
@@ -1410,114 +2156,42 @@ export class ImprovedPhysicsEngine {
         
         // Update PID setpoints and target attitudes based on current phase
         if (this.landingPhase === 'coast') {
-            // Ballistic coast phase - engines off, preparing for boostback
+            // Ballistic coast after the boostback - engines off, impact prediction kept current
             baseThrottle = this.landingParams.coastThrottle;
+            this.boostbackGuidance.update(this.getBoostbackState(booster), dt);
             
-            // Set target attitude to prepare for boostback burn
-            // Point retrograde relative to velocity for most efficient deceleration
+            // The RCS turns the engines into the direction of travel for the entry burn, keeping the roll
             if (booster.velocity.length() > 10) {
-                const retrogradeDir = booster.velocity.clone().normalize().negate();
-                // Align Y axis with retrograde vector
-                const targetAttitude = new THREE.Euler();
-                targetAttitude.x = Math.atan2(retrogradeDir.y, Math.sqrt(retrogradeDir.x * retrogradeDir.x + retrogradeDir.z * retrogradeDir.z));
-                targetAttitude.z = Math.atan2(retrogradeDir.x, retrogradeDir.z);
-                this.pidControllers.attitude.setpoint = targetAttitude;
+                const nose = new THREE.Vector3(0, 1, 0).applyQuaternion(booster.quaternion);
+                const retrograde = booster.velocity.clone().normalize().negate();
+                booster.rcsAttitude = new THREE.Quaternion().setFromUnitVectors(nose, retrograde)
+                    .multiply(booster.quaternion);
             }
         } 
-        else if (this.landingPhase === 'boostback') {
-            // Boostback burn - firing engines to cancel horizontal velocity
-            baseThrottle = this.landingParams.boostbackThrottle;
-            
-            // Target attitude to cancel horizontal velocity
-            const horizontalVel = new THREE.Vector2(booster.velocity.x, booster.velocity.z);
-            if (horizontalVel.length() > 2) {
-                const cancelDir = horizontalVel.clone().normalize().negate();
-                const targetAttitude = new THREE.Euler();
-                // Calculate tilt angle to target horizontal cancellation while maintaining some vertical stability
-                const tiltAngle = Math.min(Math.PI * 0.25, horizontalVel.length() * 0.01); // Max 45 degree tilt
-                targetAttitude.x = cancelDir.y * tiltAngle;
-                targetAttitude.z = -cancelDir.x * tiltAngle;
-                this.pidControllers.attitude.setpoint = targetAttitude;
-            } else {
-                // If horizontal velocity is nearly zero, start transitioning to vertical orientation
-                this.pidControllers.attitude.setpoint = new THREE.Euler(0, 0, 0);
-            }
-        }
         else if (this.landingPhase === 'entry') {
             // Entry burn - slowing down in the atmosphere
             baseThrottle = this.landingParams.entryThrottle;
             
-            // Target attitude should be engines pointed in velocity direction for entry burn
-            const velDir = booster.velocity.clone().normalize();
-            const targetAttitude = new THREE.Euler();
-            // Align with velocity vector for most efficient braking
-            targetAttitude.x = Math.atan2(-velDir.y, Math.sqrt(velDir.x * velDir.x + velDir.z * velDir.z));
-            targetAttitude.z = Math.atan2(-velDir.x, -velDir.z);
-            this.pidControllers.attitude.setpoint = targetAttitude;
-            
-            // Vertical velocity control - aim for controlled entry speed
-            const entrySpeed = -50; // m/s, terminal velocity target during entry
-            this.pidControllers.verticalVelocity.setpoint = entrySpeed;
+            // Engines into the airflow, leaning to keep the arc on the tower
+            this.pointVehicle(booster, this.getEntryBurnDirection(booster));
+            this.pidControllers.attitude.setpoint = booster.rotation.clone();
         }
         else if (this.landingPhase === 'descent') {
             // Guided descent - using aerodynamic control surfaces
             baseThrottle = this.landingParams.descentThrottle;
             
-            // Set vertical attitude (engines down)
-            this.pidControllers.attitude.setpoint = new THREE.Euler(0, 0, 0);
-            
-            // Begin targeting landing position horizontally
-            this.pidControllers.horizontalPosition.setpoint = new THREE.Vector2(0, 0);
-            
-            // Calculate horizontal position offset
-            const horizontalPosControl = this.updatePID(
-                this.pidControllers.horizontalPosition,
-                horizontalPosition,
-                dt
-            );
-            
-            // Apply horizontal control via grid fin effect (simulated by applying slight rotation)
-            if (booster.gridFins.effectiveness > 0.1) {
-                const controlEffectiveness = booster.gridFins.effectiveness * 0.1;
-                booster.rotation.x = -horizontalPosControl.y * controlEffectiveness;
-                booster.rotation.z = horizontalPosControl.x * controlEffectiveness;
+            // Engines first into the airflow: no lift to carry the booster off the arc the entry burn aimed
+            if (booster.velocity.length() > 10) {
+                this.pointVehicle(booster, booster.velocity.clone().normalize().negate());
+                this.pidControllers.attitude.setpoint = booster.rotation.clone();
             }
+            
+            // Falling toward the tower until the guidance lights the landing burn
+            this.flyPoweredDescent(booster, dt);
         }
         else if (this.landingPhase === 'landing') {
-            // Landing burn - precision control for touchdown
-            baseThrottle = this.landingParams.landingBaseThrottle;
-            
-            // Set completely vertical attitude
-            this.pidControllers.attitude.setpoint = new THREE.Euler(0, 0, 0);
-            
-            // Target vertical velocity based on altitude (hover-slam profile)
-            const targetSpeed = Math.min(
-                -this.landingParams.touchdownSpeed,
-                -Math.sqrt(2 * 0.5 * this.gravity * altitude) // sqrt(2*0.5*g*h) gives velocity to brake to zero at ground
-            );
-            this.pidControllers.verticalVelocity.setpoint = targetSpeed;
-            
-            // Horizontal position control becomes more aggressive near ground
-            this.pidControllers.horizontalPosition.setpoint = new THREE.Vector2(0, 0);
-            this.pidControllers.horizontalPosition.kP = 0.1 + (0.2 * (1.0 - Math.min(1.0, altitude / 1000)));
-            
-            // Calculate horizontal position correction
-            const horizontalPosControl = this.updatePID(
-                this.pidControllers.horizontalPosition,
-                horizontalPosition,
-                dt
-            );
-            
-            // Apply gimbal control for horizontal positioning
-            const gimbalLimit = booster.gimbalAuthority * (Math.PI / 180); // Convert to radians
-            booster.gimbalPosition = new THREE.Vector2(
-                Math.max(-1, Math.min(1, horizontalPosControl.x * 5)),
-                Math.max(-1, Math.min(1, horizontalPosControl.y * 5))
-            );
-            
-            // Apply engine gimbal effect to attitude
-            booster.rotation.x = booster.gimbalPosition.y * gimbalLimit * 0.3;
-            booster.rotation.z = -booster.gimbalPosition.x * gimbalLimit * 0.3;
+            // Landing burn - the powered-descent guidance steers and throttles toward the catch point
+            this.flyPoweredDescent(booster, dt);
         }
         else if (this.landingPhase === 'touchdown') {
             // Touchdown phase - maintain minimum thrust for soft landing
@@ -1536,48 +2210,49 @@ export class ImprovedPhysicsEngine {
             }
         }
         
-        // Apply vertical velocity PID control to adjust throttle for landing burn and touchdown
-        if (this.landingPhase === 'landing' || this.landingPhase === 'touchdown') {
+        // Apply vertical velocity PID control to adjust throttle for touchdown
+        let throttle = baseThrottle;
+        if (this.landingPhase === 'touchdown') {
             // Update PID controller for vertical velocity
             const verticalControl = this.updatePID(
                 this.pidControllers.verticalVelocity,
-                booster.velocity.y,
+                this.getVerticalSpeed(booster),
                 dt
             );
             
             // Apply PID output to throttle
-            booster.throttle = baseThrottle + verticalControl;
-        } else {
-            // For other phases, just use the base throttle
-            booster.throttle = baseThrottle;
+            throttle = baseThrottle + verticalControl;
         }
         
-        // Clamp throttle between 0 and 1
-        booster.throttle = Math.min(1.0, Math.max(0.0, booster.throttle));
-        
-        // Apply attitude control (in all phases)
-        const attitudeControl = this.updatePID(
-            this.pidControllers.attitude,
-            booster.rotation,
-            dt
-        );
-        
-        // Apply attitude control as angular acceleration
-        booster.angularVelocity.x += attitudeControl.x;
-        booster.angularVelocity.y += attitudeControl.y;
-        booster.angularVelocity.z += attitudeControl.z;
+        // Only the coast is flown on the RCS
+        if (this.landingPhase !== 'coast') {
+            booster.rcsAttitude = null;
+        }
         
-        // Simulate gimbal engine thrust vectoring effect
-        if (booster.throttle > 0.1) {
-            // Additional rotational effect from engine thrust
-            const thrustVectoringStrength = 0.5 * booster.throttle;
-            booster.angularVelocity.x += booster.gimbalPosition.y * thrustVectoringStrength;
-            booster.angularVelocity.z -= booster.gimbalPosition.x * thrustVectoringStrength;
+        // Once lit, the landing burn's engines and attitude belong to the guidance
+        const guided = this.landingPhase === 'landing' ||
+            (this.landingPhase === 'descent' && this.poweredDescent.phase !== DESCENT_PHASES.WAITING);
+        if (!guided) {
+            // Clamp throttle between 0 and 1; engines light or shut down to follow it
+            this.throttleEngines('superHeavy', Math.min(1.0, Math.max(0.0, throttle)), 'landing');
+        }
+        if (!guided && this.landingPhase !== 'coast') {
+            // Apply attitude control as angular acceleration
+            const attitudeControl = this.updatePID(
+                this.pidControllers.attitude,
+                booster.rotation,
+                dt
+            );
+            booster.angularVelocity.x += attitudeControl.x;
+            booster.angularVelocity.y += attitudeControl.y;
+            booster.angularVelocity.z += attitudeControl.z;
         }
         
-        // Dampen angular velocity (aerodynamic stability)
-        const angularDamping = 0.95 - (0.1 * booster.gridFins.effectiveness); // more damping with grid fins
-        booster.angularVelocity.multiplyScalar(angularDamping);
+        // Dampen angular velocity (aerodynamic stability) once back in the air
+        if (this.landingPhase !== 'coast') {
+            const angularDamping = 0.95 - (0.1 * booster.gridFins.effectiveness); // more damping with grid fins
+            booster.angularVelocity.multiplyScalar(angularDamping);
+        }
         
         // Simulate ground effect when close to landing
         if (altitude < 20 && booster.throttle > 0.1) {
@@ -1589,14 +2264,21 @@ export class ImprovedPhysicsEngine {
             booster.angularVelocity.multiplyScalar(0.9);
         }
         
+        // Deployed grid fins hold the attitude each phase asks for against the aerodynamic moment
+        if (booster.gridFins.effectiveness > 0) {
+            booster.gridFinTorque.copy(this.calculateBodyLoads(booster, []).aeroTorque).negate();
+        } else {
+            booster.gridFinTorque.set(0, 0, 0);
+        }
+        
         // Update vehicle physics
-        this.updateVehiclePhysics(booster, deltaTime, booster.throttle > 0);
+        this.updateVehiclePhysics(booster, deltaTime);
         
         // Check if landing is complete
         const landingComplete = this.landingPhase === 'touchdown' && 
                               this.landingParams.currentPhaseTime > 3.0 &&
                               altitude <= 0.1 && 
-                              Math.abs(booster.velocity.y) < 0.1;
+                              Math.abs(this.getVerticalSpeed(booster)) < 0.1;
         
         // Create quaternion from euler rotation for return value
         const quaternion = new THREE.Quaternion().setFromEuler(booster.rotation);
@@ -1613,17 +2295,20 @@ export class ImprovedPhysicsEngine {
             landingPhase: this.landingPhase,
             landingComplete: landingComplete,
             gridFinDeployment: booster.gridFins.effectiveness,
+            gridFins: this.gridFinControl.getState(),
             landingLegDeployment: booster.landingLegs.deploymentProgress,
-            heatShieldTemperature: booster.heatShield.temperature,
+            heatShieldTemperature: booster.heatShield.getMaxTemperature(),
+            heatShield: booster.heatShield.getState(),
+            poweredDescent: this.poweredDescent.getState(),
             telemetry: {
                 phase: this.landingPhase,
                 phaseTime: this.landingParams.currentPhaseTime.toFixed(1) + 's',
                 altitude: altitude.toFixed(1) + 'm',
                 velocity: booster.velocity.length().toFixed(1) + 'm/s',
-                verticalVelocity: booster.velocity.y.toFixed(1) + 'm/s',
+                verticalVelocity: this.getVerticalSpeed(booster).toFixed(1) + 'm/s',
                 horizontalDistance: horizontalDistance.toFixed(1) + 'm',
                 throttle: (booster.throttle * 100).toFixed(0) + '%',
-                temperature: booster.heatShield.temperature.toFixed(0) + 'K'
+                temperature: booster.heatShield.getMaxTemperature().toFixed(0) + 'K'
             }
         };
     }
@@ -1652,56 +2337,27 @@ export class ImprovedPhysicsEngine {
         const dt = Math.min(deltaTime, 0.05);
         
         // Guide booster to Mechazilla catch position
-        const catchPosition = new THREE.Vector3(-120, 100, 0); // Position of Mechazilla arms
-        
-        // Calculate distance to catch position
-        const distanceToCatch = booster.position.distanceTo(catchPosition);
-        
-        // Gradually slow down as we approach Mechazilla
-        // More gradual approach with better scaling
-        let desiredSpeed = Math.min(5, distanceToCatch * 0.1);
-        
-        // Direction to Mechazilla
-        const direction = new THREE.Vector3();
-        direction.subVectors(catchPosition, booster.position).normalize();
-        
-        // Adjust velocity to approach Mechazilla with smoother damping
-        const currentSpeed = booster.velocity.length();
-        const speedDiff = desiredSpeed - currentSpeed;
-        
-        // Smoother acceleration with damping factor
-        const accelerationFactor = Math.min(2.0, 1.0 + (distanceToCatch * 0.01));
-        const acceleration = direction.clone().multiplyScalar(speedDiff * accelerationFactor);
-        
-        // Limit maximum acceleration to prevent erratic movement
-        const maxAccel = 5.0;
-        if (acceleration.length() > maxAccel) {
-            acceleration.normalize().multiplyScalar(maxAccel);
-        }
-        
-        booster.acceleration.lerp(acceleration, 0.2); // Smooth acceleration changes
-        
-        // Gradually adjust throttle based on distance
-        booster.throttle = 0.1 + (0.2 * Math.min(1.0, distanceToCatch / 50));
-        
-        // Ensure vertical position is maintained with stability
-        if (Math.abs(booster.position.y - catchPosition.y) > 5) {
-            const verticalCorrection = (catchPosition.y - booster.position.y) * 0.1;
-            booster.acceleration.y += verticalCorrection;
+        const catchPosition = this.getCatchPoint();
+        
+        // The landing burn carries on into the arms
+        if (!this.boosterCaught) {
+            this.flyPoweredDescent(booster, dt);
+            this.updateVehiclePhysics(booster, deltaTime);
+            this.boosterCaught = booster.position.distanceTo(catchPosition) < this.landingParams.catchRadius &&
+                booster.velocity.length() < this.landingParams.catchSpeed;
         }
         
-        // Apply physics update with smaller time steps for stability
-        this.updateVehiclePhysics(booster, deltaTime, true);
-        
-        // Check if catch is complete with a more forgiving threshold
-        const catchComplete = distanceToCatch < 10;
-        
-        // Keep the booster upright during catch sequence
-        if (distanceToCatch < 50) {
-            // Gradually rotate to vertical orientation
-            booster.rotation.x = booster.rotation.x * 0.95;
-            booster.rotation.z = booster.rotation.z * 0.95;
+        // Closed arms hold the booster at the catch point with its engines off
+        if (this.boosterCaught) {
+            this.shutdownEngines('superHeavy');
+            updateEngines(booster.engines, dt);
+            this.updateThrottleState(booster);
+            booster.position.copy(catchPosition);
+            booster.velocity.set(0, 0, 0);
+            booster.angularVelocity.set(0, 0, 0);
         }
+        const catchComplete = this.boosterCaught;
+        const distanceToCatch = booster.position.distanceTo(catchPosition);
         
         // Convert Euler rotation to quaternion for return value
         const quaternion = new THREE.Quaternion().setFromEuler(booster.rotation);
@@ -1719,56 +2375,123 @@ export class ImprovedPhysicsEngine {
             acceleration: booster.acceleration.clone(),
             distanceToCatch: distanceToCatch,
             catchComplete: catchComplete,
-            engineThrottle: booster.throttle
+            engineThrottle: booster.throttle,
+            poweredDescent: this.poweredDescent.getState()
+        };
+    }
+    
+    /**
+     * Integrate a vehicle's position and velocity over one step with its selected integrator
+     * @param {Object} vehicle - Vehicle object
+     * @param {THREE.Vector3} forces - Net force at the start of the step
+     * @param {number} dt - Time step
+     * @returns {Object} Position, velocity, acceleration and gravity at the start of the step
+     */
+    integrateTranslation(vehicle, forces, dt) {
+        const totalMass = this.getTotalMass(vehicle);
+        const integrator = vehicle.integrator || this.defaultIntegrator;
+        
+        // F = ma at the start of the step
+        vehicle.acceleration.copy(forces).divideScalar(totalMass);
+        const before = {
+            position: vehicle.position.clone(),
+            velocity: vehicle.velocity.clone(),
+            acceleration: vehicle.acceleration.clone(),
+            gravity: this.dynamics.getGravityAcceleration(vehicle.position),
+            potential: this.dynamics.getGravityPotential(vehicle.position)
         };
+        
+        // Higher-order integrators re-evaluate forces at intermediate states
+        const probePosition = new THREE.Vector3();
+        const probeVelocity = new THREE.Vector3();
+        const accelerationAt = (t, position, velocity) => {
+            probePosition.set(position.x, position.y, position.z);
+            probeVelocity.set(velocity.x, velocity.y, velocity.z);
+            return this.calculateForces(vehicle, 0, probePosition, probeVelocity).divideScalar(totalMass);
+        };
+        
+        const result = integrateState(integrator, vehicle, this.simulationTime, dt, accelerationAt, {
+            ...this.integratorOptions,
+            acceleration: before.acceleration,
+            stepSize: vehicle.integratorStepSize
+        });
+        
+        vehicle.position.set(result.position.x, result.position.y, result.position.z);
+        vehicle.velocity.set(result.velocity.x, result.velocity.y, result.velocity.z);
+        vehicle.integratorStepSize = result.stepSize;
+        
+        return before;
+    }
+    
+    /**
+     * Record the energy and momentum balance of the step just integrated
+     * @param {string} id - Vehicle key
+     * @param {Object} vehicle - Vehicle object
+     * @param {Object} before - State at the start of the step from integrateTranslation
+     * @param {number} dt - Time step
+     */
+    recordDrift(id, vehicle, before, dt) {
+        const totalMass = this.getTotalMass(vehicle);
+        this.driftMonitor.record(id, {
+            integrator: vehicle.integrator || this.defaultIntegrator,
+            dt,
+            before,
+            after: {
+                position: vehicle.position,
+                velocity: vehicle.velocity,
+                acceleration: this.calculateForces(vehicle, 0).divideScalar(totalMass),
+                gravity: this.dynamics.getGravityAcceleration(vehicle.position),
+                potential: this.dynamics.getGravityPotential(vehicle.position)
+            }
+        });
     }
     
     /**
      * Helper to apply common physics updates to a vehicle
+     * @param {Object} vehicle - Vehicle object
      * @param {number} deltaTime - Time step
-     * @param {boolean} enginesOn - Whether to calculate thrust and fuel consumption
      */
-    updateVehiclePhysics(vehicle, deltaTime, enginesOn) {
-        const dt = Math.min(deltaTime, 0.1); // Cap delta time
+    updateVehiclePhysics(vehicle, deltaTime) {
+        // Sub-step long time steps instead of silently dropping simulated time
+        if (deltaTime > this.maxTimeStep) {
+            const steps = Math.ceil(deltaTime / this.maxTimeStep);
+            for (let i = 0; i < steps; i++) {
+                this.updateVehiclePhysics(vehicle, deltaTime / steps);
+            }
+            return;
+        }
+        
+        const dt = deltaTime;
+
+        // Advance engine start and shutdown transients
+        updateEngines(vehicle.engines, dt);
+        this.updateThrottleState(vehicle);
+        this.trimThrust(vehicle);
+        this.updateGridFins(vehicle, dt);
+        this.updateRcs(vehicle, dt);
 
         // Calculate forces
-        const forces = this.calculateForces(vehicle, dt); // calculateForces already handles throttle for thrust
+        const forces = this.calculateForces(vehicle, dt);
 
-        // Update acceleration (F = ma)
-        const totalMass = vehicle.mass + vehicle.fuel;
+        // Integrate position and velocity
+        const totalMass = this.getTotalMass(vehicle);
         if (totalMass <= 0) return; // Avoid division by zero if fuel is exhausted and mass is zero
 
-        vehicle.acceleration.x = forces.x / totalMass;
-        vehicle.acceleration.y = forces.y / totalMass;
-        vehicle.acceleration.z = forces.z / totalMass;
-        
-        // Update velocity (v = v0 + a*t)
-        vehicle.velocity.x += vehicle.acceleration.x * dt;
-        vehicle.velocity.y += vehicle.acceleration.y * dt;
-        vehicle.velocity.z += vehicle.acceleration.z * dt;
-        
-        // Update position (p = p0 + v*t)
-        vehicle.position.x += vehicle.velocity.x * dt;
-        vehicle.position.y += vehicle.velocity.y * dt;
-        vehicle.position.z += vehicle.velocity.z * dt;
-        
-        // Update rotation based on angular velocity
-        vehicle.rotation.x += vehicle.angularVelocity.x * dt;
-        vehicle.rotation.y += vehicle.angularVelocity.y * dt;
-        vehicle.rotation.z += vehicle.angularVelocity.z * dt;
-        
-        // Update fuel consumption if engines are on
-        if (enginesOn && vehicle.throttle > 0) {
-            const fuelRate = vehicle.maxThrust * vehicle.throttle / 3000; // kg/s (example specific impulse)
-            vehicle.fuel = Math.max(0, vehicle.fuel - fuelRate * dt);
+        const before = this.integrateTranslation(vehicle, forces, dt);
+        
+        // Integrate rigid-body attitude
+        this.updateAttitude(vehicle, dt);
+        
+        // Update fuel consumption
+        this.consumePropellant(vehicle, dt);
+
+        // Ground contact resets the state, so only free flight counts toward drift
+        if (this.getAltitude(vehicle) >= 0) {
+            this.recordDrift(this.getVehicleId(vehicle), vehicle, before, dt);
         }
 
         // Ground collision detection
-        if (vehicle.position.y < 0) {
-            vehicle.position.y = 0;
-            vehicle.velocity.set(0, 0, 0);
-            vehicle.acceleration.set(0, 0, 0);
-            vehicle.angularVelocity.set(0, 0, 0);
+        if (this.resolveGroundContact(vehicle)) {
             if (vehicle === this.vehicles.superHeavy && this.landingPhase === 'final') {
                 this.landingPhase = 'touchdown';
             }
@@ -1782,7 +2505,7 @@ export class ImprovedPhysicsEngine {
         console.log('Resetting physics engine state');
         
         // Reset separation state
-        this.separationTimer = null;
+        this.hotStaging.reset();
         this.separationCompleted = false;
         this.combinedStage = true;
         
@@ -1797,10 +2520,9 @@ export class ImprovedPhysicsEngine {
                     angularVelocity: new THREE.Vector3(0, 0, 0),
                     mass: 100000, // kg (dry mass)
                     fuel: 1200000, // kg (propellant)
-                    maxThrust: 16000000, // N
+                    length: STARSHIP_SPECS.length, // m
                     throttle: 0,
                     active: true,
-                    gimbalPosition: new THREE.Vector2(0, 0),
                     quaternion: new THREE.Quaternion(),
                     eulerAngles: { x: 0, y: 0, z: 0 }
                 },
@@ -1812,10 +2534,9 @@ export class ImprovedPhysicsEngine {
                     angularVelocity: new THREE.Vector3(0, 0, 0),
                     mass: 200000, // kg (dry mass)
                     fuel: 3400000, // kg (propellant)
-                    maxThrust: 45000000, // N
+                    length: SUPER_HEAVY_SPECS.length, // m
                     throttle: 0,
                     active: true,
-                    gimbalPosition: new THREE.Vector2(0, 0),
                     quaternion: new THREE.Quaternion(),
                     eulerAngles: { x: 0, y: 0, z: 0 }
                 }
@@ -1830,18 +2551,33 @@ export class ImprovedPhysicsEngine {
                 if (vehicle) {
                     if (vehicle.position) vehicle.position.set(0, vehicleKey === 'superHeavy' ? 0.1 : 60.75, 0); // Starship positioned properly on top
                     if (vehicle.velocity) vehicle.velocity.set(0, 0, 0);
+                    vehicle.impactSpeed = 0;
                     if (vehicle.acceleration) vehicle.acceleration.set(0, 0, 0);
                     if (vehicle.rotation) vehicle.rotation.set(0, 0, 0);
                     if (vehicle.angularVelocity) vehicle.angularVelocity.set(0, 0, 0);
                     vehicle.throttle = 0;
-                    vehicle.gridFinDeflection = 0;
+                    if (vehicle.gridFinTorque) vehicle.gridFinTorque.set(0, 0, 0);
+                    if (vehicle.externalTorque) vehicle.externalTorque.set(0, 0, 0);
+                    vehicle.integratedRotation = null;
+                    vehicle.inertiaTensor = null;
                     
-                    // Use gimbalPosition if it exists
-                    if (vehicle.gimbalPosition) {
-                        vehicle.gimbalPosition.set(0, 0);
-                    } else {
-                        vehicle.gimbalPosition = new THREE.Vector2(0, 0);
-                    }
+                    // Fresh engines: all off, centered, no starts used
+                    vehicle.engines = createEngines(VEHICLE_SPECS[vehicleKey].engines, -vehicle.length / 2);
+                    
+                    // Full tanks, feeding from the main tanks
+                    const specs = VEHICLE_SPECS[vehicleKey];
+                    vehicle.tanks = createTanks(specs.tanks, specs.diameter, -vehicle.length / 2);
+                    vehicle.fuel = getPropellantMass(vehicle.tanks);
+                    vehicle.propellantFeed = PROPELLANT_FEEDS.MAIN;
+                    
+                    // Full RCS propellant, valves closed
+                    vehicle.rcs = new ReactionControlSystem(specs.rcs, { diameter: specs.diameter });
+                    vehicle.rcsAttitude = null;
+                    vehicle.rcsForce = new THREE.Vector3(0, 0, 0);
+                    vehicle.stagingForce = new THREE.Vector3(0, 0, 0);
+                    
+                    // Heat shield back at ambient
+                    vehicle.heatShield = new HeatShield(specs.heatShield, { thermal: this.dynamics.thermal });
                     
                     vehicle.active = true; // Make sure vehicles are active
                     
@@ -1933,14 +2669,25 @@ export class ImprovedPhysicsEngine {
         this.pid = null;
         
         // Reset wind
+        this.windTime = 0;
         this.windSpeed = 0;
         this.gustStrength = 0;
         this.turbulenceIntensity = 0;
         
-        // Reset separation timer
-        this.separationTimer = null;
-        
         // Reset simulation time
         this.simulationTime = 0;
+        
+        this.ascentGuidance.reset();
+        this.boostbackGuidance.reset();
+        this.poweredDescent.reset();
+        this.gridFinControl.reset();
+        this.entrySolution = null;
+        this.boosterCaught = false;
+        
+        // Clear drift bookkeeping and adaptive step sizes
+        this.driftMonitor.reset();
+        for (const vehicle of Object.values(this.vehicles)) {
+            vehicle.integratorStepSize = undefined;
+        }
     }
 }
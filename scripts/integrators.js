@@ -0,0 +1,409 @@
+// Numerical integrators for Starship Simulator vehicle dynamics
+// Every integrator advances a second-order state { position, velocity } under an
+// acceleration function a(t, position, velocity). Vectors are plain {x, y, z}
+// objects, so THREE.Vector3 and the reentry module's state objects both work.
+
+/**
+ * Available integrator types
+ */
+export const INTEGRATOR_TYPES = {
+    EULER: 'euler',
+    SEMI_IMPLICIT_EULER: 'semi-implicit-euler',
+    RK4: 'rk4',
+    RK45: 'rk45'
+};
+
+// Dormand-Prince 5(4) tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+const DEFAULT_RK45_OPTIONS = {
+    relativeTolerance: 1e-6,
+    absoluteTolerance: 1e-3,
+    minStep: 1e-4,
+    maxSubsteps: 1000
+};
+
+/**
+ * Check whether an integrator type is supported
+ * @param {string} type - Integrator type
+ * @returns {boolean} True if the type is one of INTEGRATOR_TYPES
+ */
+export function isIntegratorType(type) {
+    return Object.values(INTEGRATOR_TYPES).includes(type);
+}
+
+// Pack a { position, velocity } state into [px, py, pz, vx, vy, vz]
+function pack(state) {
+    return [
+        state.position.x, state.position.y, state.position.z,
+        state.velocity.x, state.velocity.y, state.velocity.z
+    ];
+}
+
+// Unpack [px, py, pz, vx, vy, vz] into a { position, velocity } state
+function unpack(y) {
+    return {
+        position: { x: y[0], y: y[1], z: y[2] },
+        velocity: { x: y[3], y: y[4], z: y[5] }
+    };
+}
+
+// Time derivative of a packed state
+function derivative(accelerationFn, t, y) {
+    const { position, velocity } = unpack(y);
+    const a = accelerationFn(t, position, velocity);
+    return [y[3], y[4], y[5], a.x, a.y, a.z];
+}
+
+// Acceleration at a packed state
+function derivativeAcceleration(accelerationFn, t, y) {
+    const { position, velocity } = unpack(y);
+    return accelerationFn(t, position, velocity);
+}
+
+// y + sum(weights[i] * k[i]) * h
+function combine(y, k, weights, h) {
+    const out = y.slice();
+    for (let i = 0; i < weights.length; i++) {
+        if (weights[i] === 0) continue;
+        for (let j = 0; j < out.length; j++) {
+            out[j] += weights[i] * k[i][j] * h;
+        }
+    }
+    return out;
+}
+
+/**
+ * Explicit (forward) Euler: position and velocity both use start-of-step values
+ */
+function eulerStep(y, t, dt, accelerationFn, a0) {
+    const a = a0 || derivativeAcceleration(accelerationFn, t, y);
+    return {
+        y: [
+            y[0] + y[3] * dt, y[1] + y[4] * dt, y[2] + y[5] * dt,
+            y[3] + a.x * dt, y[4] + a.y * dt, y[5] + a.z * dt
+        ],
+        evaluations: a0 ? 0 : 1
+    };
+}
+
+/**
+ * Semi-implicit (symplectic) Euler: velocity first, then position with the new velocity
+ */
+function semiImplicitEulerStep(y, t, dt, accelerationFn, a0) {
+    const a = a0 || derivativeAcceleration(accelerationFn, t, y);
+    const vx = y[3] + a.x * dt;
+    const vy = y[4] + a.y * dt;
+    const vz = y[5] + a.z * dt;
+    return {
+        y: [y[0] + vx * dt, y[1] + vy * dt, y[2] + vz * dt, vx, vy, vz],
+        evaluations: a0 ? 0 : 1
+    };
+}
+
+/**
+ * Classic fourth-order Runge-Kutta
+ */
+function rk4Step(y, t, dt, accelerationFn, a0) {
+    const k1 = a0 ? [y[3], y[4], y[5], a0.x, a0.y, a0.z] : derivative(accelerationFn, t, y);
+    const k2 = derivative(accelerationFn, t + dt / 2, combine(y, [k1], [0.5], dt));
+    const k3 = derivative(accelerationFn, t + dt / 2, combine(y, [k2], [0.5], dt));
+    const k4 = derivative(accelerationFn, t + dt, combine(y, [k3], [1], dt));
+    return {
+        y: combine(y, [k1, k2, k3, k4], [1 / 6, 1 / 3, 1 / 3, 1 / 6], dt),
+        evaluations: a0 ? 3 : 4
+    };
+}
+
+/**
+ * Adaptive Dormand-Prince RK45 across [t, t + dt]
+ * Takes as many error-controlled substeps as needed to cover dt and returns the
+ * step size to try first on the next call.
+ */
+function rk45Step(y, t, dt, accelerationFn, a0, options) {
+    const settings = { ...DEFAULT_RK45_OPTIONS, ...options };
+    const tEnd = t + dt;
+    let h = Math.min(settings.stepSize || dt, dt);
+    let k1 = a0 ? [y[3], y[4], y[5], a0.x, a0.y, a0.z] : null;
+    let evaluations = 0;
+    let substeps = 0;
+    let maxError = 0;
+
+    while (t < tEnd && substeps < settings.maxSubsteps) {
+        // Don't leave a sliver at the end of the interval
+        if (t + h > tEnd || tEnd - (t + h) < settings.minStep) {
+            h = tEnd - t;
+        }
+
+        if (!k1) {
+            k1 = derivative(accelerationFn, t, y);
+            evaluations++;
+        }
+
+        const k = [k1];
+        for (let stage = 1; stage < 7; stage++) {
+            k.push(derivative(accelerationFn, t + DP_C[stage] * h, combine(y, k, DP_A[stage], h)));
+            evaluations++;
+        }
+
+        const y5 = combine(y, k, DP_B5, h);
+        const y4 = combine(y, k, DP_B4, h);
+
+        // Scaled RMS error norm
+        let sum = 0;
+        for (let j = 0; j < y.length; j++) {
+            const scale = settings.absoluteTolerance +
+                settings.relativeTolerance * Math.max(Math.abs(y[j]), Math.abs(y5[j]));
+            sum += Math.pow((y5[j] - y4[j]) / scale, 2);
+        }
+        const error = Math.sqrt(sum / y.length);
+
+        // Accept the step if within tolerance, or if it can't be made smaller
+        if (error <= 1 || h <= settings.minStep) {
+            t = h >= tEnd - t ? tEnd : t + h;
+            y = y5;
+            k1 = k[6]; // First-same-as-last
+            substeps++;
+            maxError = Math.max(maxError, error);
+        }
+
+        // Standard step size controller with safety factor
+        const factor = error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(error, -0.2)));
+        h = Math.max(settings.minStep, h * factor);
+    }
+
+    if (t < tEnd) {
+        console.warn(`RK45 gave up after ${substeps} substeps, ${(tEnd - t).toFixed(6)}s short of the requested step`);
+    }
+
+    return { y, evaluations, substeps, stepSize: h, error: maxError };
+}
+
+const STEPPERS = {
+    [INTEGRATOR_TYPES.EULER]: eulerStep,
+    [INTEGRATOR_TYPES.SEMI_IMPLICIT_EULER]: semiImplicitEulerStep,
+    [INTEGRATOR_TYPES.RK4]: rk4Step,
+    [INTEGRATOR_TYPES.RK45]: rk45Step
+};
+
+/**
+ * Advance a { position, velocity } state by one time step
+ * @param {string} type - Integrator type from INTEGRATOR_TYPES
+ * @param {Object} state - Current state with position and velocity {x, y, z}
+ * @param {number} t - Current time in seconds
+ * @param {number} dt - Time step in seconds
+ * @param {Function} accelerationFn - (t, position, velocity) => acceleration {x, y, z}
+ * @param {Object} options - Optional settings
+ * @param {Object} options.acceleration - Acceleration at the start state, if already computed
+ * @param {number} options.stepSize - RK45 initial substep size (from the previous call)
+ * @param {number} options.relativeTolerance - RK45 relative error tolerance
+ * @param {number} options.absoluteTolerance - RK45 absolute error tolerance
+ * @returns {Object} New position and velocity, acceleration evaluations used and, for RK45, the next stepSize
+ */
+export function integrateState(type, state, t, dt, accelerationFn, options = {}) {
+    let stepper = STEPPERS[type];
+    if (!stepper) {
+        console.warn(`Unknown integrator "${type}", falling back to ${INTEGRATOR_TYPES.SEMI_IMPLICIT_EULER}`);
+        stepper = STEPPERS[INTEGRATOR_TYPES.SEMI_IMPLICIT_EULER];
+    }
+
+    const result = stepper(pack(state), t, dt, accelerationFn, options.acceleration, options);
+    return { ...result, ...unpack(result.y) };
+}
+
+/**
+ * Tracks energy and momentum drift of integrated vehicles, per mission phase
+ *
+ * Each step is checked against the balance implied by the forces acting on the
+ * vehicle: the change in specific mechanical energy should equal the work done
+ * by non-gravitational forces, and the change in velocity should equal the
+ * applied impulse. Both budgets use the trapezoidal rule over the step, so the
+ * accumulated residual measures how far the integrator wanders from them.
+ */
+export class DriftMonitor {
+    constructor() {
+        this.phase = 'none';
+        this.vehicles = {};
+    }
+
+    /**
+     * Set the mission phase that subsequent samples are attributed to
+     * @param {string} phase - Mission phase name
+     */
+    setPhase(phase) {
+        this.phase = phase;
+    }
+
+    /**
+     * Record one integration step
+     * @param {string} id - Vehicle identifier
+     * @param {Object} sample - Step data
+     * @param {string} sample.integrator - Integrator used for the step
+     * @param {number} sample.dt - Step length in seconds
+     * @param {Object} sample.before - { position, velocity, acceleration, gravity, potential } at the start of the step
+     * @param {Object} sample.after - { position, velocity, acceleration, gravity, potential } at the end of the step
+     *   where gravity is the gravitational acceleration vector and potential the specific potential energy (J/kg)
+     */
+    record(id, sample) {
+        const { dt, before, after } = sample;
+
+        if (!this.vehicles[id]) {
+            this.vehicles[id] = { integrator: sample.integrator, phases: {} };
+        }
+        const vehicle = this.vehicles[id];
+        vehicle.integrator = sample.integrator;
+
+        if (!vehicle.phases[this.phase]) {
+            vehicle.phases[this.phase] = {
+                integrator: sample.integrator,
+                steps: 0,
+                duration: 0,
+                energyDrift: 0,
+                maxEnergyResidual: 0,
+                momentumDrift: { x: 0, y: 0, z: 0 },
+                peakSpecificEnergy: 0
+            };
+        }
+        const phase = vehicle.phases[this.phase];
+
+        // Specific mechanical energy (J/kg)
+        const energy = state => 0.5 * dot(state.velocity, state.velocity) + state.potential;
+
+        // Power of non-gravitational forces per unit mass (W/kg)
+        const power = state => dot(state.velocity, state.acceleration) - dot(state.velocity, state.gravity);
+
+        const energyResidual = (energy(after) - energy(before)) - 0.5 * (power(before) + power(after)) * dt;
+
+        phase.integrator = sample.integrator;
+        phase.steps++;
+        phase.duration += dt;
+        phase.energyDrift += energyResidual;
+        phase.maxEnergyResidual = Math.max(phase.maxEnergyResidual, Math.abs(energyResidual));
+        phase.peakSpecificEnergy = Math.max(phase.peakSpecificEnergy, Math.abs(energy(after)));
+
+        for (const axis of ['x', 'y', 'z']) {
+            phase.momentumDrift[axis] += (after.velocity[axis] - before.velocity[axis]) -
+                0.5 * (before.acceleration[axis] + after.acceleration[axis]) * dt;
+        }
+    }
+
+    /**
+     * Summarize drift per vehicle and mission phase
+     * @returns {Object} Report keyed by vehicle id; energy drift in J/kg, momentum drift in m/s
+     */
+    getReport() {
+        const report = {};
+
+        for (const [id, vehicle] of Object.entries(this.vehicles)) {
+            const phases = {};
+            const total = { steps: 0, duration: 0, energyDrift: 0, momentumDrift: 0 };
+
+            for (const [name, phase] of Object.entries(vehicle.phases)) {
+                const momentumDrift = Math.sqrt(dot(phase.momentumDrift, phase.momentumDrift));
+                phases[name] = {
+                    integrator: phase.integrator,
+                    steps: phase.steps,
+                    duration: phase.duration,
+                    energyDrift: phase.energyDrift,
+                    relativeEnergyDrift: phase.peakSpecificEnergy > 0 ?
+                        Math.abs(phase.energyDrift) / phase.peakSpecificEnergy : 0,
+                    maxEnergyResidual: phase.maxEnergyResidual,
+                    momentumDrift: momentumDrift
+                };
+
+                total.steps += phase.steps;
+                total.duration += phase.duration;
+                total.energyDrift += phase.energyDrift;
+                total.momentumDrift += momentumDrift;
+            }
+
+            report[id] = { integrator: vehicle.integrator, phases, total };
+        }
+
+        return report;
+    }
+
+    /**
+     * Clear all recorded samples
+     */
+    reset() {
+        this.phase = 'none';
+        this.vehicles = {};
+    }
+}
+
+/**
+ * Compare integrators on a circular two-body orbit, where energy and angular
+ * momentum are exactly conserved
+ * @param {Object} options - Benchmark settings
+ * @param {number} options.altitude - Orbit altitude in meters (default 200 km)
+ * @param {number} options.orbits - Number of orbits to propagate
+ * @param {number} options.timeStep - Integrator step in seconds
+ * @param {Array<string>} options.integrators - Integrator types to compare
+ * @returns {Array<Object>} Relative energy and angular momentum drift per integrator
+ */
+export function benchmarkIntegrators(options = {}) {
+    const mu = 3.986004418e14; // m³/s²
+    const radius = 6371000 + (options.altitude ?? 200000);
+    const orbits = options.orbits ?? 1;
+    const timeStep = options.timeStep ?? 1;
+    const integrators = options.integrators ?? Object.values(INTEGRATOR_TYPES);
+
+    const speed = Math.sqrt(mu / radius);
+    const period = 2 * Math.PI * Math.sqrt(Math.pow(radius, 3) / mu);
+    const steps = Math.ceil(orbits * period / timeStep);
+
+    const gravity = (t, p) => {
+        const r3 = Math.pow(Math.sqrt(dot(p, p)), 3);
+        return { x: -mu * p.x / r3, y: -mu * p.y / r3, z: -mu * p.z / r3 };
+    };
+    const energy = s => 0.5 * dot(s.velocity, s.velocity) - mu / Math.sqrt(dot(s.position, s.position));
+    const angularMomentum = s => Math.sqrt(dot(cross(s.position, s.velocity), cross(s.position, s.velocity)));
+
+    return integrators.map(type => {
+        let state = { position: { x: radius, y: 0, z: 0 }, velocity: { x: 0, y: speed, z: 0 } };
+        const e0 = energy(state);
+        const h0 = angularMomentum(state);
+        let stepSize;
+        let evaluations = 0;
+
+        for (let i = 0; i < steps; i++) {
+            const result = integrateState(type, state, i * timeStep, timeStep, gravity, { stepSize });
+            state = { position: result.position, velocity: result.velocity };
+            stepSize = result.stepSize;
+            evaluations += result.evaluations;
+        }
+
+        return {
+            integrator: type,
+            steps,
+            evaluations,
+            relativeEnergyDrift: Math.abs((energy(state) - e0) / e0),
+            relativeAngularMomentumDrift: Math.abs((angularMomentum(state) - h0) / h0),
+            radiusError: Math.abs(Math.sqrt(dot(state.position, state.position)) - radius)
+        };
+    });
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
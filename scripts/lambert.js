@@ -0,0 +1,107 @@
+// Lambert's problem for SpaceX Starship Simulator
+// The orbit that takes a body from one position to another in a given time, solved with
+// universal variables so elliptic, parabolic and hyperbolic transfers are handled alike
+
+const DEFAULT_LAMBERT_OPTIONS = {
+    prograde: true,
+    tolerance: 1e-8,
+    maxIterations: 200
+};
+
+// Stumpff functions C(z) and S(z), with their series near z = 0
+function stumpffC(z) {
+    if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+    if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+    return 1 / 2 - z / 24 + z * z / 720;
+}
+
+function stumpffS(z) {
+    if (z > 1e-6) {
+        const root = Math.sqrt(z);
+        return (root - Math.sin(root)) / (root * z);
+    }
+    if (z < -1e-6) {
+        const root = Math.sqrt(-z);
+        return (Math.sinh(root) - root) / (root * -z);
+    }
+    return 1 / 6 - z / 120 + z * z / 5040;
+}
+
+/**
+ * Solve Lambert's problem for a transfer of less than one revolution
+ * The universal variable z is bisected between the hyperbolic and the one-revolution limit, where
+ * the time of flight grows steadily with z, so the solution cannot be missed the way Newton's
+ * method can miss it on long transfers.
+ * @param {Object} r1 - Departure position {x, y, z} in m
+ * @param {Object} r2 - Arrival position {x, y, z} in m
+ * @param {number} timeOfFlight - Transfer time in seconds
+ * @param {number} mu - Gravitational parameter of the central body in m³/s²
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.prograde - Transfer in the direction of motion about +Z (default true)
+ * @param {number} options.tolerance - Relative error in the time of flight to stop at
+ * @param {number} options.maxIterations - Bisection steps before giving up
+ * @returns {Object|null} { v1, v2 } velocities {x, y, z} in m/s at departure and arrival, and the
+ *   iterations used; null if there is no solution (a transfer through exactly 180° or no time)
+ */
+export function solveLambert(r1, r2, timeOfFlight, mu, options = {}) {
+    const { prograde, tolerance, maxIterations } = { ...DEFAULT_LAMBERT_OPTIONS, ...options };
+    if (!(timeOfFlight > 0)) return null;
+
+    const r1Magnitude = Math.sqrt(r1.x * r1.x + r1.y * r1.y + r1.z * r1.z);
+    const r2Magnitude = Math.sqrt(r2.x * r2.x + r2.y * r2.y + r2.z * r2.z);
+    const crossZ = r1.x * r2.y - r1.y * r2.x;
+    const cosAngle = Math.max(-1, Math.min(1, (r1.x * r2.x + r1.y * r2.y + r1.z * r2.z) / (r1Magnitude * r2Magnitude)));
+
+    // Transfer angle, the long way round when the motion runs against the positions' order
+    let angle = Math.acos(cosAngle);
+    if (prograde ? crossZ < 0 : crossZ >= 0) {
+        angle = 2 * Math.PI - angle;
+    }
+    const A = Math.sin(angle) * Math.sqrt(r1Magnitude * r2Magnitude / (1 - cosAngle));
+    if (!Number.isFinite(A) || Math.abs(A) < 1e-9) return null;
+
+    const getY = z => r1Magnitude + r2Magnitude + A * (z * stumpffS(z) - 1) / Math.sqrt(stumpffC(z));
+    let low = -4 * Math.PI * Math.PI;
+    let high = 4 * Math.PI * Math.PI;
+    let z = 0;
+    let y = getY(z);
+
+    let iteration = 0;
+    for (; iteration < maxIterations; iteration++) {
+        z = (low + high) / 2;
+        y = getY(z);
+        if (y < 0) {
+            // Too short a transfer for any orbit at this z
+            low = z;
+            continue;
+        }
+        const x = Math.sqrt(y / stumpffC(z));
+        const time = (x * x * x * stumpffS(z) + A * Math.sqrt(y)) / Math.sqrt(mu);
+        if (Math.abs(time - timeOfFlight) <= tolerance * timeOfFlight) break;
+        if (time < timeOfFlight) {
+            low = z;
+        } else {
+            high = z;
+        }
+    }
+    if (iteration === maxIterations || !(y > 0)) return null;
+
+    // Lagrange coefficients
+    const f = 1 - y / r1Magnitude;
+    const g = A * Math.sqrt(y / mu);
+    const gDot = 1 - y / r2Magnitude;
+
+    return {
+        v1: {
+            x: (r2.x - f * r1.x) / g,
+            y: (r2.y - f * r1.y) / g,
+            z: (r2.z - f * r1.z) / g
+        },
+        v2: {
+            x: (gDot * r2.x - r1.x) / g,
+            y: (gDot * r2.y - r1.y) / g,
+            z: (gDot * r2.z - r1.z) / g
+        },
+        iterations: iteration + 1
+    };
+}
@@ -1,33 +1,37 @@
 // Main entry point for the SpaceX Starship Simulator
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { createStarshipModel, createSuperHeavyModel, createMechazillaModel } from './starship_model.js';
-import { ImprovedPhysicsEngine } from './improved_physics.js';
-import { AerospacePhysicsEngine } from './aerospace_physics.js';
+import {
+    createStarshipModel, createSuperHeavyModel, createMechazillaModel, createRcsPlumes, updateRcsPlumes
+} from './starship_model.js';
+import { SimulationCore, MISSION_PHASES } from './simulation_core.js';
 import { StarshipGLTFLoader } from './gltf_model_loader.js';
 import { ISRUSystem } from './isru_system.js';
 import { createMars, updateMars } from './planets.js';
+import { generatePorkchop, drawPorkchop } from './porkchop.js';
+import { PLANETS, getRelativeState, getPlanetRotation, getPlanetPole } from './ephemeris.js';
 import { createEngineEffects } from './engine_effects.js';
 import { loadTextures } from './texture_loader.js';
 import { CameraController } from './camera_controller.js';
-import { MechazillaCatchSimulation } from './mechazilla_catch.js';
+import { createThrusters } from './rcs.js';
+import { STARSHIP_SPECS, SUPER_HEAVY_SPECS } from './vehicle_specs.js';
 
 // Global variables
 let scene, camera, renderer, controls, cameraController;
 let starship, superHeavy, mechazilla, mars;
-let physicsEngine, aerospacePhysics;
+let simulationCore;
 let gltfLoader;
 let isruSystem;
+let porkchop;
 let clock = new THREE.Clock();
 let simulationSpeed = 1.0;
-let missionTime = 0;
 let animationFrameId;
-let isSimulationRunning = false;
-let mechazillaCatch;
 let useHighFidelityModel = true;
 
 // Engine effects
 let starshipEngineEffects, superHeavyEngineEffects;
+let starshipEngineCount = 0, superHeavyEngineCount = 0;
+let starshipRcsPlumes, superHeavyRcsPlumes;
 
 // Textures
 let textures;
@@ -41,22 +45,6 @@ const CAMERA_POSITIONS = {
     tracking: { position: new THREE.Vector3(150, 100, 150), target: new THREE.Vector3(0, 0, 0) }
 };
 
-// Mission phases
-const MISSION_PHASES = {
-    READY: 'ready',
-    LAUNCH: 'launch',
-    ASCENT: 'ascent',
-    STAGE_SEPARATION: 'stage_separation',
-    BOOSTER_RETURN: 'booster_return',
-    STARSHIP_ASCENT: 'starship_ascent',
-    BOOSTER_LANDING: 'booster_landing',
-    MECHAZILLA_CATCH: 'mechazilla_catch',
-    MISSION_COMPLETE: 'mission_complete'
-};
-
-let currentPhase = MISSION_PHASES.READY;
-let starshipAscending = false;
-
 // Initialize the simulator
 async function init() {
     try {
@@ -143,16 +131,15 @@ async function init() {
     // Create models (will load high-fidelity GLTF or fallback to procedural)
     await createModels();
     
-    // Initialize dual physics engines
-    physicsEngine = new ImprovedPhysicsEngine();
-    aerospacePhysics = new AerospacePhysicsEngine();
+    // Initialize simulation core (mission phases and vehicle physics at a fixed 100 Hz)
+    simulationCore = new SimulationCore({ physicsRate: 100 });
+    simulationCore.setTimeScale(simulationSpeed);
     
-    // Reset physics engines
-    physicsEngine.reset();
-    aerospacePhysics.reset();
+    // Transfer windows are swept from the simulation epoch
+    document.getElementById('porkchop-departure').value = simulationCore.getDate(0).toISOString().slice(0, 10);
     
-    // Set landing target to mechazilla position
-    physicsEngine.setLandingTarget(new THREE.Vector3(-120, 0, 0));
+    // Reflect mission phase and status changes in the UI
+    bindSimulationEvents();
     
     // Add event listeners
     addEventListeners();
@@ -447,11 +434,6 @@ async function createModels() {
         mechazilla.receiveShadow = true;
         scene.add(mechazilla);
         
-        // Create Mars in the distance
-        console.log('Creating Mars planet...');
-        mars = createMars(3000, 100000);
-        scene.add(mars);
-        
         // Set up enhanced engine effects
         console.log('Setting up aerospace-grade engine effects...');
         const starshipEngines = [];
@@ -473,9 +455,16 @@ async function createModels() {
         // Create enhanced engine effects
         starshipEngineEffects = createEngineEffects(starshipEngines);
         superHeavyEngineEffects = createEngineEffects(superHeavyEngines);
+        starshipEngineCount = starshipEngines.length;
+        superHeavyEngineCount = superHeavyEngines.length;
         
-        // Initialize physics engines
-        initPhysics();
+        // RCS plumes at the thrusters the physics fires
+        starshipRcsPlumes = createRcsPlumes(
+            createThrusters(STARSHIP_SPECS.rcs, STARSHIP_SPECS.diameter), STARSHIP_SPECS.rcs.type);
+        superHeavyRcsPlumes = createRcsPlumes(
+            createThrusters(SUPER_HEAVY_SPECS.rcs, SUPER_HEAVY_SPECS.diameter), SUPER_HEAVY_SPECS.rcs.type);
+        starship.add(starshipRcsPlumes);
+        superHeavy.add(superHeavyRcsPlumes);
         
         console.log('All aerospace-grade models created successfully');
         console.log('Starship engines found:', starshipEngines.length);
@@ -487,39 +476,6 @@ async function createModels() {
     }
 }
 
-// Initialize physics engine
-function initPhysics() {
-    try {
-        console.log('Initializing physics engine...');
-        
-        // Ensure physics engine is created
-        if (!physicsEngine) {
-            physicsEngine = new ImprovedPhysicsEngine();
-        }
-        
-        // Set Earth gravity instead of Mars for testing
-        physicsEngine.gravity = 9.81;
-        
-        // Increase thrust on Super Heavy for better liftoff
-        physicsEngine.vehicles.superHeavy.maxThrust = 45000000; // Increased thrust
-        
-        // Reduce mass for testing to ensure successful liftoff
-        physicsEngine.vehicles.superHeavy.mass = 200000;
-        physicsEngine.vehicles.superHeavy.fuel = 3400000;
-        
-        // Reset the physics state
-        physicsEngine.reset(); // Ensure we start with a clean state
-        
-        console.log('Physics engine initialized with:', {
-            gravity: physicsEngine.gravity,
-            superHeavyThrust: physicsEngine.vehicles.superHeavy.maxThrust,
-            superHeavyMass: physicsEngine.vehicles.superHeavy.mass + physicsEngine.vehicles.superHeavy.fuel
-        });
-    } catch (error) {
-        console.error('Error initializing physics engine:', error);
-    }
-}
-
 // Set camera position based on view mode
 function setCameraPosition(viewMode) {
     if (!CAMERA_POSITIONS[viewMode]) {
@@ -542,14 +498,15 @@ function setCameraPosition(viewMode) {
 }
 
 // Update engine effects based on current mission phase
-function updateEngineEffects(delta) {
+function updateEngineEffects(delta, snapshot) {
     if (!starshipEngineEffects || !superHeavyEngineEffects) return;
     
+    const missionTime = snapshot.missionTime;
     let starshipPower = 0;
     let superHeavyPower = 0;
     
     // Set engine power based on mission phase
-    switch (currentPhase) {
+    switch (snapshot.phase) {
         case MISSION_PHASES.READY:
             // Engines off
             break;
@@ -567,9 +524,9 @@ function updateEngineEffects(delta) {
             break;
             
         case MISSION_PHASES.STAGE_SEPARATION:
-            // Engines transitioning
-            superHeavyPower = Math.max(0, 1.0 - (missionTime - physicsEngine.stageSeparationTime) * 2);
-            starshipPower = Math.min(1.0, (missionTime - physicsEngine.stageSeparationTime) * 2);
+            // Hot staging: each plume follows its engine's own start or shutdown (see below)
+            superHeavyPower = 1.0;
+            starshipPower = 1.0;
             break;
             
         case MISSION_PHASES.BOOSTER_RETURN:
@@ -596,6 +553,12 @@ function updateEngineEffects(delta) {
             starshipPower = 0;
             break;
             
+        case MISSION_PHASES.STARSHIP_RETURN:
+            // Booster on the tower; Starship's burns follow its throttle below
+            superHeavyPower = 0;
+            starshipPower = 0;
+            break;
+            
         case MISSION_PHASES.MISSION_COMPLETE:
             // All engines off
             superHeavyPower = 0;
@@ -603,9 +566,34 @@ function updateEngineEffects(delta) {
             break;
     }
     
-    // Update the engine effects
-    starshipEngineEffects.update(delta, starshipPower);
-    superHeavyEngineEffects.update(delta, superHeavyPower);
+    // Starship engines follow its own throttle once it flies independently
+    if (snapshot.starshipAscending || snapshot.starshipReturning) {
+        starshipPower = snapshot.vehicles.starship.throttle;
+    }
+    
+    // Update the engine effects; failed and shut-down engines go dark. Through hot staging the
+    // booster's outer engines tail off and the ship's light one by one, so each plume follows the
+    // thrust its engine is producing
+    const perEngine = snapshot.phase === MISSION_PHASES.STAGE_SEPARATION ? 'engineThrottle' : 'engineHealth';
+    starshipEngineEffects.update(delta,
+        getEnginePowers(starshipPower, snapshot.vehicles.starship[perEngine], starshipEngineCount));
+    superHeavyEngineEffects.update(delta,
+        getEnginePowers(superHeavyPower, snapshot.vehicles.superHeavy[perEngine], superHeavyEngineCount));
+    
+    // RCS puffs follow the thrusters fired on the last physics step
+    if (starshipRcsPlumes && superHeavyRcsPlumes) {
+        updateRcsPlumes(starshipRcsPlumes, snapshot.vehicles.starship.rcs?.firing);
+        updateRcsPlumes(superHeavyRcsPlumes, snapshot.vehicles.superHeavy.rcs?.firing);
+    }
+}
+
+// Scale a vehicle's plume power by the health of each engine, spreading the
+// physics engines over however many engine meshes the model has
+function getEnginePowers(power, engineHealth, meshCount) {
+    if (!engineHealth || engineHealth.length === 0) return power;
+    
+    return Array.from({ length: meshCount }, (_, i) =>
+        power * engineHealth[Math.floor(i * engineHealth.length / meshCount)]);
 }
 
 // Add event listeners
@@ -636,190 +624,124 @@ function addEventListeners() {
     speedSlider.addEventListener('input', () => {
         simulationSpeed = parseFloat(speedSlider.value);
         speedValue.textContent = `${simulationSpeed.toFixed(1)}x`;
+        
+        if (simulationCore) {
+            simulationCore.setTimeScale(simulationSpeed);
+        }
+    });
+    
+    // Time warp, which only takes effect while Starship coasts on the rails
+    const timeWarpSelect = document.getElementById('time-warp');
+    
+    timeWarpSelect.addEventListener('change', () => {
+        if (simulationCore) {
+            simulationCore.setTimeWarp(parseFloat(timeWarpSelect.value));
+        }
     });
+    
+    // Mars transfer windows, swept when the panel first opens and whenever the date changes
+    const porkchopPanel = document.getElementById('porkchop-panel');
+    
+    document.getElementById('btn-porkchop').addEventListener('click', () => {
+        porkchopPanel.hidden = !porkchopPanel.hidden;
+        if (!porkchopPanel.hidden && !porkchop) {
+            updatePorkchop();
+        }
+    });
+    document.getElementById('porkchop-departure').addEventListener('change', updatePorkchop);
+    document.getElementById('porkchop-quantity').addEventListener('change', renderPorkchop);
 }
 
 // Start launch sequence
 function startLaunch() {
-    if (currentPhase !== MISSION_PHASES.READY) return;
-    
-    console.log('Starting launch sequence...');
-    
-    // Ensure physics engine is ready
-    if (!physicsEngine) {
-        console.error('Physics engine not initialized - cannot start launch');
+    if (!simulationCore) {
+        console.error('Simulation core not initialized - cannot start launch');
         return;
     }
     
-    // Reset clock and mission time
-    clock.start();
-    missionTime = 0;
-    
-    // Reset physics engine to ensure clean state
-    physicsEngine.reset();
-    starshipAscending = false; // Reset starship ascent flag
-    
-    // Position vehicles properly in physics engine
-    physicsEngine.vehicles.superHeavy.position.copy(superHeavy.position);
-    physicsEngine.vehicles.starship.position.copy(starship.position);
-    
-    // Set to launch phase and start simulation
-    currentPhase = MISSION_PHASES.LAUNCH;
-    isSimulationRunning = true;
-    
     // Reset clock to ensure smooth animation
     clock.start();
     
-    // Enable stage separation button
-    document.getElementById('btn-stage').disabled = false;
-    
-    // Set initial throttle
-    if (physicsEngine) {
-        physicsEngine.vehicles.superHeavy.throttle = 1.0;
-    }
-    
-    console.log('Launch sequence initiated');
-    updateMissionStatus('Launch sequence initiated');
-    
-    // Disable launch button
-    document.getElementById('btn-launch').disabled = true;
+    simulationCore.launch();
 }
 
 // Trigger stage separation
 function triggerStageSeparation() {
-    if (currentPhase !== MISSION_PHASES.ASCENT) return;
-    
-    console.log('Manual stage separation triggered by user');
-    
-    // Set explicit positions for both vehicles before separation
-    // This ensures they're in the right positions relative to each other
-    if (starship && superHeavy) {
-        // Calculate the proper offset for Starship (on top of Super Heavy)
-        const starshipOffset = new THREE.Vector3(0, (71/2) + (50/2) + 0.5, 0);
-        
-        // Position Starship explicitly on top of Super Heavy
-        starship.position.copy(superHeavy.position).add(starshipOffset);
-        starship.quaternion.copy(superHeavy.quaternion);
-        
-        // Update physics engine positions to match
-        physicsEngine.vehicles.superHeavy.position.copy(superHeavy.position);
-        physicsEngine.vehicles.starship.position.copy(starship.position);
-        
-        // Set physics engine velocities to be the same before separation
-        const currentVelocity = physicsEngine.vehicles.superHeavy.velocity.clone();
-        physicsEngine.vehicles.starship.velocity.copy(currentVelocity);
+    if (simulationCore) {
+        simulationCore.triggerStageSeparation();
     }
-    
-    // Now change phase to STAGE_SEPARATION
-    currentPhase = MISSION_PHASES.STAGE_SEPARATION;
-    updateMissionStatus('Stage separation in progress');
-    
-    // Enable landing button
-    document.getElementById('btn-landing').disabled = false;
-    
-    // Disable stage separation button
-    document.getElementById('btn-stage').disabled = true;
 }
 
 // Start landing sequence
 function startLandingSequence() {
-    if (currentPhase !== MISSION_PHASES.BOOSTER_RETURN) {
-        console.warn('Cannot start landing sequence - not in booster return phase');
-        return;
-    }
-    
-    console.log('Starting booster landing sequence');
-    
-    try {
-        // Ensure the physics engine initiates landing
-        if (physicsEngine && physicsEngine.vehicles && physicsEngine.vehicles.superHeavy) {
-            // Initialize the landing target (landing pad location)
-            if (!physicsEngine.landingTarget) {
-                physicsEngine.landingTarget = new THREE.Vector3(0, 0, 0);
-            }
-            
-            // Set necessary landing parameters if not already set
-            if (!physicsEngine.landingStartAltitude) {
-                physicsEngine.landingStartAltitude = 5000; // Meters
-                physicsEngine.hoverAltitude = 50;         // Meters
-                physicsEngine.touchdownSpeed = 2;         // Meters per second
-            }
-            
-            // Adjust booster for landing
-            physicsEngine.vehicles.superHeavy.throttle = 0.3; // Initial throttle for descent
-            
-            // Start the physics engine landing sequence
-            // Instead of calling startLandingSequence (which doesn't exist), set the landing phase directly
-            physicsEngine.landingPhase = 'coast';
-            physicsEngine.landingParams.phaseStartTime = missionTime;
-            physicsEngine.landingParams.currentPhaseTime = 0;
-            console.log('Landing sequence initialized with phase:', physicsEngine.landingPhase);
-            
-            // Switch camera to booster view for landing
-            setCameraPosition('booster');
-            
-            // Update UI
-            currentPhase = MISSION_PHASES.BOOSTER_LANDING;
-            updateMissionStatus('Booster landing sequence initiated');
-            
-            // Enable catch button
-            document.getElementById('btn-catch').disabled = false;
-            
-            // Disable landing button
-            document.getElementById('btn-landing').disabled = true;
-        } else {
-            console.error('Cannot start landing - physics engine or booster not available');
-        }
-    } catch (error) {
-        console.error('Error starting landing sequence:', error);
+    if (simulationCore) {
+        simulationCore.startLandingSequence();
     }
 }
 
 // Start Mechazilla catch
 function startMechazillaCatch() {
-    if (currentPhase !== MISSION_PHASES.BOOSTER_LANDING) {
-        console.warn('Cannot start Mechazilla catch - not in booster landing phase');
-        return;
+    if (simulationCore) {
+        simulationCore.startMechazillaCatch();
     }
+}
+
+// Update buttons and camera when the simulation core changes phase
+function bindSimulationEvents() {
+    simulationCore.on('status', ({ status }) => updateMissionStatus(status));
     
-    console.log('Starting Mechazilla catch sequence');
-    
-    try {
-        // Initialize Mechazilla catch if needed
-        if (!mechazillaCatch) {
-            mechazillaCatch = new MechazillaCatchSimulation();
-            console.log('Mechazilla catch simulation initialized');
+    // Breakups report through the status; call out max-Q and limit exceedances here
+    simulationCore.on('load', event => {
+        if (event.type === 'max_q') {
+            updateMissionStatus(`Max-Q: ${(event.value / 1000).toFixed(1)} kPa`);
+        } else if (event.type === 'exceedance') {
+            updateMissionStatus(`Warning: ${event.load} over limit on ${event.vehicleId}`);
         }
-        
-        // Reset and prepare the catch system
-        mechazillaCatch.reset();
-        mechazillaCatch.initialize();
-        
-        // Set up catch parameters
-        if (physicsEngine && physicsEngine.vehicles && physicsEngine.vehicles.superHeavy) {
-            const booster = physicsEngine.vehicles.superHeavy;
-            
-            // Initialize tracking
-            mechazillaCatch.startTracking(booster.position, booster.velocity);
-            mechazillaCatch.prepareForCatch();
-            
-            console.log('Mechazilla catch sequence prepared');
-            
-            // Switch to tower camera view for better catch visibility
-            setCameraPosition('tower');
-            
-            // Update phase and UI
-            currentPhase = MISSION_PHASES.MECHAZILLA_CATCH;
-            updateMissionStatus('Mechazilla catch sequence initiated');
-            
-            // Disable catch button
-            document.getElementById('btn-catch').disabled = true;
-        } else {
-            console.error('Cannot start Mechazilla catch - booster not available');
+    });
+    
+    simulationCore.on('phase', ({ phase }) => {
+        switch (phase) {
+            case MISSION_PHASES.LAUNCH:
+                document.getElementById('btn-launch').disabled = true;
+                document.getElementById('btn-stage').disabled = false;
+                break;
+                
+            case MISSION_PHASES.ASCENT:
+                // Switch to tracking camera if not already
+                if (cameraController.currentMode !== 'tracking') {
+                    setCameraPosition('tracking');
+                }
+                break;
+                
+            case MISSION_PHASES.STAGE_SEPARATION:
+                document.getElementById('btn-stage').disabled = true;
+                document.getElementById('btn-landing').disabled = false;
+                break;
+                
+            case MISSION_PHASES.BOOSTER_RETURN:
+                // Switch camera to track booster
+                setCameraPosition('booster');
+                break;
+                
+            case MISSION_PHASES.BOOSTER_LANDING:
+                // Switch camera to booster view for landing
+                setCameraPosition('booster');
+                document.getElementById('btn-landing').disabled = true;
+                document.getElementById('btn-catch').disabled = false;
+                break;
+                
+            case MISSION_PHASES.MECHAZILLA_CATCH:
+                // Switch to tower camera view for better catch visibility
+                setCameraPosition('tower');
+                document.getElementById('btn-catch').disabled = true;
+                break;
+                
+            case MISSION_PHASES.MISSION_COMPLETE:
+                document.getElementById('btn-landing').disabled = true;
+                document.getElementById('btn-catch').disabled = true;
+                break;
         }
-    } catch (error) {
-        console.error('Error starting Mechazilla catch:', error);
-    }
+    });
 }
 
 // Update mission status display
@@ -833,10 +755,12 @@ function updateTelemetry(data) {
     document.getElementById('velocity').textContent = `${data.velocity.toFixed(2)} m/s`;
     document.getElementById('acceleration').textContent = `${data.acceleration.toFixed(2)} m/s²`;
     document.getElementById('attitude').textContent = `${data.attitude.toFixed(2)}°`;
+    document.getElementById('dynamic-pressure').textContent = `${data.dynamicPressure.toFixed(1)} kPa`;
+    document.getElementById('g-load').textContent = `${data.axialG.toFixed(2)} g`;
 }
 
 // Update mission timer
-function updateMissionTimer() {
+function updateMissionTimer(missionTime) {
     const hours = Math.floor(missionTime / 3600).toString().padStart(2, '0');
     const minutes = Math.floor((missionTime % 3600) / 60).toString().padStart(2, '0');
     const seconds = Math.floor(missionTime % 60).toString().padStart(2, '0');
@@ -844,16 +768,69 @@ function updateMissionTimer() {
     document.getElementById('mission-timer').textContent = `T+ ${hours}:${minutes}:${seconds}`;
 }
 
+// Update the simulated calendar date shown next to the mission timer
+function updateMissionDate(date) {
+    document.getElementById('mission-date').textContent = `${date.slice(0, 10)} ${date.slice(11, 19)} UTC`;
+}
+
+// Put Mars in the direction it is seen from the launch site, turned about its pole
+function placeMars(missionTime) {
+    const julianDate = simulationCore.getJulianDate(missionTime);
+    const earthFrame = simulationCore.physicsEngine.earthFrame;
+    const { position } = getRelativeState(PLANETS.mars, PLANETS.earth, julianDate);
+    
+    updateMars(
+        mars,
+        earthFrame.eciToLocalDirection(position, missionTime).normalize(),
+        earthFrame.eciToLocalDirection(getPlanetPole(PLANETS.mars), missionTime).normalize(),
+        getPlanetRotation(PLANETS.mars, julianDate)
+    );
+}
+
+// Show whether the ship is on the rails and the warp in effect
+function updateTimeWarp(timeWarp) {
+    document.getElementById('time-warp-status').textContent = timeWarp.onRails ?
+        `On rails, ${timeWarp.effective.toLocaleString()}x` :
+        'Integrating';
+}
+
+// Sweep half a year of departures from the chosen date against the arrivals they can reach
+function updatePorkchop() {
+    const start = new Date(document.getElementById('porkchop-departure').value);
+    if (isNaN(start.getTime())) return;
+    
+    const addDays = days => new Date(start.getTime() + days * 86400000);
+    porkchop = generatePorkchop({
+        departure: { start, end: addDays(180), step: 5 },
+        arrival: { start: addDays(120), end: addDays(540), step: 5 }
+    });
+    renderPorkchop();
+}
+
+// Draw the porkchop plot and describe its best transfer
+function renderPorkchop() {
+    if (!porkchop) return;
+    
+    drawPorkchop(document.getElementById('porkchop-canvas'), porkchop, {
+        quantity: document.getElementById('porkchop-quantity').value
+    });
+    const best = porkchop.best;
+    document.getElementById('porkchop-best').textContent = best ?
+        `Best: ${best.departureDate} to ${best.arrivalDate} (${best.timeOfFlight.toFixed(0)} days), ` +
+        `C3 ${best.c3.toFixed(1)} km²/s², v∞ ${best.arrivalVInfinity.toFixed(2)} km/s, ` +
+        `Δv ${best.totalDeltaV.toFixed(2)} km/s` :
+        'No transfers in this window';
+}
+
 // Animation loop
 function animate() {
     animationFrameId = requestAnimationFrame(animate);
-    const delta = clock.getDelta() * simulationSpeed;
+    const delta = clock.getDelta(); // Real time; the core applies the speed slider
     
-    // Update physics and models
-    if (isSimulationRunning) {
-        updateSimulation(delta);
-        missionTime += delta;
-        updateMissionTimer();
+    // Advance the simulation core in fixed steps and render the interpolated state
+    if (simulationCore) {
+        const snapshot = simulationCore.advance(delta);
+        renderSnapshot(snapshot, delta);
     }
     
     // Update camera
@@ -861,404 +838,111 @@ function animate() {
         cameraController.update(delta);
     }
     
-    // Update engine effects
-    updateEngineEffects(delta);
-    
     // Update controls
     if (controls) {
         controls.update();
     }
     
-    // Independent Starship ascent update if applicable
-    if (starshipAscending && physicsEngine) {
-        const starshipState = physicsEngine.updateStarshipAscent(delta);
-        if (starship && starshipState && starshipState.position) {
-            starship.position.copy(starshipState.position);
-            if (starshipState.quaternion) {
-                starship.quaternion.copy(starshipState.quaternion);
-            }
-
-            // Basic telemetry for Starship (can be expanded)
-            // console.log(`Starship Ascent: Alt: ${starshipState.position.y.toFixed(0)}m, Vel: ${starshipState.velocity.length().toFixed(1)}m/s, Fuel: ${starshipState.fuel.toFixed(0)}kg`);
-
-            // Update Starship engine effects
-            if (starshipEngineEffects && starshipState.thrust > 0) {
-                starshipEngineEffects.update(delta, starshipState.throttle);
-            }
-
-            if (starshipState.orbitReached) {
-                starshipAscending = false;
-                updateMissionStatus('Starship orbit reached!');
-                console.log("Starship orbit reached, starshipAscending set to false.");
-                // Potentially set a new phase or stop Starship updates
-            } else if (starshipState.fuel <= 0) {
-                starshipAscending = false;
-                updateMissionStatus('Starship out of fuel.');
-                console.log("Starship out of fuel, starshipAscending set to false.");
-            }
-        }
-    }
-
     // Render scene
     renderer.render(scene, camera);
-    
-    // Debug info (reduced frequency)
-    if (isSimulationRunning && currentPhase !== MISSION_PHASES.READY && Math.random() < 0.001) {
-        console.log(`Animation frame: Rocket Y position: ${superHeavy.position.y.toFixed(1)}m`);
-    }
 }
 
-// Update simulation based on current phase
-function updateSimulation(delta) {
-    // Update Mars rotation
+// Apply a simulation snapshot to the scene, camera and UI
+function renderSnapshot(snapshot, delta) {
+    // Place Mars where the ephemeris has it on the simulated date
     if (mars) {
-        updateMars(mars, delta);
+        placeMars(snapshot.missionTime);
     }
+    updateMissionDate(snapshot.date);
     
-    // Update engine effects
-    updateEngineEffects(delta);
-    
-    // Skip updates if simulation is paused or physics not ready
-    if (!isSimulationRunning && currentPhase !== MISSION_PHASES.READY) {
+    if (snapshot.phase === MISSION_PHASES.READY) {
+        updateEngineEffects(delta, snapshot);
         return;
     }
     
-    // Ensure physics engine is ready
-    if (!physicsEngine) {
-        console.warn('Physics engine not initialized yet');
-        return;
-    }
+    // Apply physics state to both vehicles
+    const boosterState = snapshot.vehicles.superHeavy;
+    const starshipState = snapshot.vehicles.starship;
     
-    // Apply simulation speed multiplier
-    delta *= simulationSpeed;
+    if (superHeavy) {
+        superHeavy.position.copy(boosterState.position);
+        superHeavy.quaternion.copy(boosterState.quaternion);
+    }
     
-    // Update mission timer
-    if (currentPhase !== MISSION_PHASES.READY) {
-        missionTime += delta;
-        updateMissionTimer();
+    if (starship) {
+        starship.position.copy(starshipState.position);
+        starship.quaternion.copy(starshipState.quaternion);
     }
     
-    // Use improved physics engine for all vehicle dynamics
-    let physicsState = {
-        position: superHeavy ? superHeavy.position : new THREE.Vector3(),
-        velocity: new THREE.Vector3(),
-        acceleration: new THREE.Vector3(),
-        quaternion: superHeavy ? superHeavy.quaternion : new THREE.Quaternion(),
-        eulerAngles: { x: 0, y: 0, z: 0 }
-    };
-    
-    // Update based on current mission phase
-    switch (currentPhase) {
-        case MISSION_PHASES.READY:
-            // Nothing to update in ready state
-            break;
-            
+    // Update camera tracking for the current phase
+    switch (snapshot.phase) {
         case MISSION_PHASES.LAUNCH:
-            // Use physics engine for launch
-            physicsState = physicsEngine.updateLaunch(delta);
-            
-            // Validate physics state
-            if (!physicsState || !physicsState.position) {
-                console.warn('Invalid physics state returned from updateLaunch');
-                break;
-            }
-            
-            // Apply physics to vehicle
-            superHeavy.position.copy(physicsState.position);
-            if (physicsState.quaternion) {
-                superHeavy.quaternion.copy(physicsState.quaternion);
-            }
-            
-            // Apply proper positioning to starship during launch (attached to booster)
-            if (starship) {
-                // Position starship on top of Super Heavy
-                const starshipOffset = new THREE.Vector3(0, (71/2) + (50/2) + 0.5, 0);
-                starship.position.copy(superHeavy.position).add(starshipOffset);
-                starship.quaternion.copy(superHeavy.quaternion);
-            }
-            
-            // Log current rocket position for debugging (less frequently)
-            if (Math.random() < 0.01) {
-                console.log(`UpdateSimulation: Rocket Y position: ${superHeavy.position.y.toFixed(1)}m, Velocity: ${physicsState.velocity.y.toFixed(1)}m/s`);
-            }
-            
-            // Update camera to track rocket during launch
-            if (cameraController.currentMode === 'tracking') {
-                cameraController.trackObject(superHeavy, delta);
-                
-                // Add slight camera shake based on thrust
-                const shakeIntensity = Math.min(physicsState.thrust / 100, 0.5);
-                cameraController.addShake(shakeIntensity * delta);
-            }
-            
-            // Update telemetry with null checks
-            updateTelemetry({
-                altitude: (physicsState.position ? physicsState.position.y : 0) / 1000, // km
-                velocity: physicsState.velocity ? physicsState.velocity.length() : 0,
-                acceleration: physicsState.acceleration ? physicsState.acceleration.length() : 0,
-                attitude: (physicsState.eulerAngles && physicsState.eulerAngles.z !== undefined) ? 
-                         (90 - physicsState.eulerAngles.z * (180/Math.PI)) : 0 // degrees
-            });
-            
-            // Transition to ascent phase after reaching certain height
-            if (physicsState.position.y > 30) { // Keep this for initial ascent transition, separation is in ASCENT phase
-
-                currentPhase = MISSION_PHASES.ASCENT;
-                updateMissionStatus('Ascent phase');
-                
-                // Switch to tracking camera if not already
-                if (cameraController.currentMode !== 'tracking') {
-                    setCameraPosition('tracking');
-                }
-            }
-            break;
-            
         case MISSION_PHASES.ASCENT:
-            // Continue ascent with physics engine
-            physicsState = physicsEngine.updateAscent(delta);
-            
-            // Validate physics state
-            if (!physicsState || !physicsState.position) {
-                console.warn('Invalid physics state returned from updateAscent');
-                break;
-            }
-            
-            // Apply physics to vehicle
-            superHeavy.position.copy(physicsState.position);
-            if (physicsState.quaternion) {
-                superHeavy.quaternion.copy(physicsState.quaternion);
-            }
-            
-            // Apply proper positioning to starship during ascent (attached to booster)
-            if (starship) {
-                // Position starship on top of Super Heavy (same as in launch phase)
-                const starshipOffset = new THREE.Vector3(0, (71/2) + (50/2) + 0.5, 0);
-                starship.position.copy(superHeavy.position).add(starshipOffset);
-                starship.quaternion.copy(superHeavy.quaternion);
-            }
-            
-            // Update camera tracking
             if (cameraController.currentMode === 'tracking') {
                 cameraController.trackObject(superHeavy, delta);
                 
-                // Reduce camera shake as altitude increases
-                const shakeIntensity = Math.min(physicsState.thrust / 200, 0.3);
+                // Camera shake with the fraction of rated thrust, reduced once the ascent is under way
+                const thrustFraction = boosterState.engineThrottle.reduce((sum, throttle) => sum + throttle, 0) /
+                    boosterState.engineThrottle.length;
+                const shakeIntensity = snapshot.phase === MISSION_PHASES.LAUNCH ?
+                    0.5 * thrustFraction :
+                    0.3 * thrustFraction;
                 cameraController.addShake(shakeIntensity * delta);
             }
-            
-            // Update telemetry with physics data
-            updateTelemetry({
-                altitude: physicsState.position.y / 1000, // km
-                velocity: physicsState.velocity.length(),
-                acceleration: physicsState.acceleration.length(),
-                attitude: (90 - physicsState.eulerAngles.z * (180/Math.PI)) // degrees
-            });
-            
-            // No automatic separation - only triggered by button press
-            // Ascent continues until user triggers stage separation
             break;
             
         case MISSION_PHASES.STAGE_SEPARATION:
-            // Use physics for separation
-            physicsState = physicsEngine.updateStageSeparation(delta);
-            
-            // Validate physics state
-            if (!physicsState || physicsState.error) {
-                console.warn('Invalid physics state returned from updateStageSeparation');
-                break;
-            }
-            
-            // Apply physics to both vehicles if state is valid
-            if (physicsState.boosterPosition && superHeavy) {
-                superHeavy.position.copy(physicsState.boosterPosition);
-                if (physicsState.boosterQuaternion) {
-                    superHeavy.quaternion.copy(physicsState.boosterQuaternion);
-                }
-            }
-            
-            if (physicsState.starshipPosition && starship) {
-                starship.position.copy(physicsState.starshipPosition);
-                if (physicsState.starshipQuaternion) {
-                    starship.quaternion.copy(physicsState.starshipQuaternion);
-                }
-            }
-            
-            // Update camera to show separation
             if (cameraController.currentMode === 'tracking') {
-                // Create a midpoint between the two vehicles to track
+                // Track the midpoint between the two vehicles
                 const midpoint = new THREE.Vector3().addVectors(
-                    physicsState.boosterPosition,
-                    physicsState.starshipPosition
+                    boosterState.position,
+                    starshipState.position
                 ).multiplyScalar(0.5);
                 
-                // Create a dummy object with all required properties for camera tracking
                 const dummyObj = { 
                     position: midpoint,
                     quaternion: new THREE.Quaternion()
                 };
                 
                 // Track with a wider field of view to see both vehicles
-                // Updated to match new trackObject signature (object, deltaTime, distance, height, offset)
                 cameraController.trackObject(dummyObj, delta, 150, 100, new THREE.Vector3(0, 0, 0));
-                
-                // Log camera status for debugging
-                console.log('Camera tracking separation, midpoint:', midpoint);
             }
-            
-            // Update telemetry for Starship
-            updateTelemetry({
-                altitude: physicsState.starshipPosition.y / 1000, // km
-                velocity: physicsState.starshipVelocity.length(),
-                acceleration: 2,
-                attitude: (90 - physicsState.starshipEulerAngles.z * (180/Math.PI)) // degrees
-            });
-            
-            // Transition to next phases after separation complete
-            if (physicsState.separationComplete) {
-                updateMissionStatus('Separation complete. Booster returning, Starship ascending.');
-                console.log('Separation complete detected in main.js, transitioning phases');
-
-                // Disable stage separation button (already done in triggerStageSeparation)
-                document.getElementById('btn-stage').disabled = true;
-                
-                // Enable landing button
-                document.getElementById('btn-landing').disabled = false;
-                
-                // Set main phase to booster return (Starship will need independent updates)
-                currentPhase = MISSION_PHASES.BOOSTER_RETURN; 
-                starshipAscending = true; // Starship begins its independent ascent
-                
-                // Switch camera to track booster
-                setCameraPosition('booster');
-                
-                console.log('Transition to BOOSTER_RETURN complete');
-            }
-            break;
-            
-        case MISSION_PHASES.STARSHIP_ASCENT:
-            // Starship continues to orbit with physics
-            physicsState = physicsEngine.updateStarshipAscent(delta);
-            
-            // Apply physics to Starship
-            starship.position.copy(physicsState.position);
-            starship.quaternion.copy(physicsState.quaternion);
-            
-            // Update telemetry with null checks
-            updateTelemetry({
-                altitude: (physicsState.position ? physicsState.position.y : 0) / 1000, // km
-                velocity: physicsState.velocity ? physicsState.velocity.length() : 0,
-                acceleration: physicsState.acceleration ? physicsState.acceleration.length() : 0,
-                attitude: (physicsState.eulerAngles && physicsState.eulerAngles.z !== undefined) ? 
-                         (90 - physicsState.eulerAngles.z * (180/Math.PI)) : 0 // degrees
-            });
             break;
             
         case MISSION_PHASES.BOOSTER_RETURN:
-            // Booster returns with physics
-            physicsState = physicsEngine.updateBoosterReturn(delta);
-            
-            // Apply physics to booster
-            superHeavy.position.copy(physicsState.position);
-            superHeavy.quaternion.copy(physicsState.quaternion);
-            
-            // Update camera tracking if in booster view
-            if (cameraController && cameraController.currentMode === 'booster') {
+            if (cameraController.currentMode === 'booster') {
                 cameraController.trackObject(superHeavy, delta);
             }
-            
-            // Update telemetry with null checks
-            updateTelemetry({
-                altitude: (physicsState.position ? physicsState.position.y : 0) / 1000, // km
-                velocity: physicsState.velocity ? physicsState.velocity.length() : 0,
-                acceleration: physicsState.acceleration ? physicsState.acceleration.length() : 0,
-                attitude: (physicsState.eulerAngles && physicsState.eulerAngles.z !== undefined) ? 
-                         (90 - physicsState.eulerAngles.z * (180/Math.PI)) : 0 // degrees
-            });
-            
-            // Allow manual transition to landing phase when altitude is low
-            // Automatic transition removed to give user control
             break;
             
         case MISSION_PHASES.BOOSTER_LANDING:
-            // Use improved physics for smooth landing
-            physicsState = physicsEngine.updateBoosterLanding(delta);
-            
-            // Validate physics state
-            if (!physicsState || !physicsState.position) {
-                console.warn('Invalid physics state returned from updateBoosterLanding');
-                break;
-            }
-            
-            // Apply physics to booster
-            superHeavy.position.copy(physicsState.position);
-            if (physicsState.quaternion) {
-                superHeavy.quaternion.copy(physicsState.quaternion);
-            }
-            
-            // Update camera for dramatic landing view
-            if (cameraController && (cameraController.currentMode === 'booster' || cameraController.currentMode === 'tracking')) {
+            if (cameraController.currentMode === 'booster' || cameraController.currentMode === 'tracking') {
                 cameraController.trackObject(superHeavy, delta);
                 
                 // Add subtle camera shake based on engine throttle
-                const shakeIntensity = Math.min(physicsState.throttle / 20, 0.2);
+                const shakeIntensity = Math.min(boosterState.throttle / 20, 0.2);
                 cameraController.addShake(shakeIntensity * delta);
             }
-            
-            // Update telemetry with null checks
-            updateTelemetry({
-                altitude: (physicsState.position ? physicsState.position.y : 0) / 1000, // km
-                velocity: physicsState.velocity ? physicsState.velocity.length() : 0,
-                acceleration: physicsState.acceleration ? physicsState.acceleration.length() : 0,
-                attitude: (physicsState.eulerAngles && physicsState.eulerAngles.z !== undefined) ? 
-                         (90 - physicsState.eulerAngles.z * (180/Math.PI)) : 0 // degrees
-            });
-            
-            // Landing complete - user can manually start Mechazilla catch
-            // Automatic transition removed to give user control
             break;
             
-        case MISSION_PHASES.MECHAZILLA_CATCH:
-            // Final approach with precision physics
-            physicsState = physicsEngine.updateMechazillaCatch(delta);
-            
-            // Validate physics state and apply if valid
-            if (physicsState && physicsState.position && superHeavy) {
-                superHeavy.position.copy(physicsState.position);
-                if (physicsState.quaternion) {
-                    superHeavy.quaternion.copy(physicsState.quaternion);
-                }
+        case MISSION_PHASES.STARSHIP_RETURN:
+            if (cameraController.currentMode === 'starship' || cameraController.currentMode === 'tracking') {
+                cameraController.trackObject(starship, delta);
+                
+                // Shake through the landing flip and burn
+                const shakeIntensity = Math.min(starshipState.throttle / 20, 0.2);
+                cameraController.addShake(shakeIntensity * delta);
             }
             break;
     }
-
-    // Independent Starship ascent update if applicable
-    if (starshipAscending && physicsEngine) {
-        const starshipState = physicsEngine.updateStarshipAscent(delta);
-        if (starship && starshipState && starshipState.position) {
-            starship.position.copy(starshipState.position);
-            if (starshipState.quaternion) {
-                starship.quaternion.copy(starshipState.quaternion);
-            }
-
-            // Basic telemetry for Starship (can be expanded)
-            // console.log(`Starship Ascent: Alt: ${starshipState.position.y.toFixed(0)}m, Vel: ${starshipState.velocity.length().toFixed(1)}m/s, Fuel: ${starshipState.fuel.toFixed(0)}kg`);
-
-            // Update Starship engine effects
-            if (starshipEngineEffects && starshipState.thrust > 0 && starshipState.throttle > 0) {
-                starshipEngineEffects.update(delta, starshipState.throttle);
-            }
-
-            if (starshipState.orbitReached) {
-                starshipAscending = false;
-                updateMissionStatus('Starship orbit reached!');
-                console.log("Starship orbit reached, starshipAscending set to false.");
-            } else if (starshipState.fuel <= 0) {
-                starshipAscending = false;
-                updateMissionStatus('Starship out of fuel.');
-                console.log("Starship out of fuel, starshipAscending set to false.");
-            }
-        }
-    }
+    
+    // Update engine effects
+    updateEngineEffects(delta, snapshot);
+    
+    // Update telemetry and mission timer
+    updateTelemetry(snapshot.telemetry);
+    updateMissionTimer(snapshot.missionTime);
+    updateTimeWarp(snapshot.timeWarp);
 }
 
 // Initialize the simulator when the page loads
@@ -1298,7 +982,5 @@ window.addEventListener('load', () => {
     }
 });
 
-// PhysicsEngine is imported from physics_engine.js
-
 // Export functions for testing
-export { init, animate, updateSimulation };
+export { init, animate, renderSnapshot };
@@ -0,0 +1,396 @@
+// Maneuver nodes for SpaceX Starship Simulator
+// Burns placed at a time or an orbital event, previewed on the orbit they lead to and flown by
+// an autopilot that steers the velocity change still owed until none is left
+import * as THREE from 'three';
+import { OrbitalMechanics } from './orbital_mechanics.js';
+import { EARTH_CONSTANTS } from './vehicle_dynamics.js';
+
+const DEGREES = Math.PI / 180;
+const TWO_PI = 2 * Math.PI;
+
+// Where on the orbit a node sits; a node may also sit at a mission time
+export const MANEUVER_EVENTS = {
+    TIME: 'time',
+    PERIAPSIS: 'periapsis',
+    APOAPSIS: 'apoapsis',
+    ASCENDING_NODE: 'ascending_node'
+};
+
+/**
+ * Prograde, normal and radial directions of an inertial state
+ * Prograde is along the velocity, normal along the orbit's angular momentum and radial out
+ * completes the set in the orbit's plane, square to prograde.
+ * @param {THREE.Vector3} position - ECI position in m
+ * @param {THREE.Vector3} velocity - ECI velocity in m/s
+ * @returns {Object} { prograde, normal, radial } unit ECI vectors
+ */
+export function getNodeFrame(position, velocity) {
+    const prograde = velocity.clone().normalize();
+    const normal = position.clone().cross(velocity).normalize();
+    const radial = prograde.clone().cross(normal);
+    return { prograde, normal, radial };
+}
+
+/**
+ * Maneuver node planner
+ * A node is planned from an inertial state: the coast to the node is Kepler propagation, the burn is
+ * taken as impulsive at the node for the preview, and its duration comes from the rocket equation
+ * on the engines that will fly it. Nodes planned one after another each start from the orbit the
+ * one before leaves behind.
+ */
+export class ManeuverPlanner {
+    /**
+     * @param {Object} options - Planner options
+     * @param {number} options.mu - Gravitational parameter in m³/s²
+     * @param {number} options.radius - Earth radius in m, for altitudes
+     */
+    constructor(options = {}) {
+        this.orbitalMechanics = new OrbitalMechanics({ mu: options.mu });
+        this.mu = this.orbitalMechanics.EARTH_MU;
+        this.radius = options.radius ?? EARTH_CONSTANTS.RADIUS;
+    }
+
+    /**
+     * Orbit of an inertial state
+     * @param {THREE.Vector3} position - ECI position in m
+     * @param {THREE.Vector3} velocity - ECI velocity in m/s
+     * @returns {Object} { semiMajorAxis (m), eccentricity, inclination (degrees), perigeeAltitude and
+     *   apogeeAltitude (m; apogee Infinity on an escape orbit), period (s, Infinity on an escape orbit) }
+     */
+    getOrbit(position, velocity) {
+        const elements = this.orbitalMechanics.stateVectorsToOrbitalElements(position, velocity);
+        const closed = elements.eccentricity < 1;
+        const a = elements.semiMajorAxis;
+        return {
+            semiMajorAxis: a,
+            eccentricity: elements.eccentricity,
+            inclination: elements.inclination / DEGREES,
+            perigeeAltitude: a * (1 - elements.eccentricity) - this.radius,
+            apogeeAltitude: closed ? a * (1 + elements.eccentricity) - this.radius : Infinity,
+            period: closed ? TWO_PI * Math.sqrt(a * a * a / this.mu) : Infinity
+        };
+    }
+
+    /**
+     * Time of the next orbital event
+     * @param {Object} elements - Orbital elements at the given time
+     * @param {string} event - MANEUVER_EVENTS value other than TIME
+     * @param {number} time - Time the elements hold at in seconds
+     * @param {number} earliest - The event is sought at or after this time
+     * @returns {number|null} Time of the event in seconds, null on an escape orbit
+     */
+    getEventTime(elements, event, time, earliest = time) {
+        const e = elements.eccentricity;
+        if (!(e < 1)) return null;
+
+        const targets = {
+            [MANEUVER_EVENTS.PERIAPSIS]: 0,
+            [MANEUVER_EVENTS.APOAPSIS]: Math.PI,
+            [MANEUVER_EVENTS.ASCENDING_NODE]: TWO_PI - elements.argumentOfPeriapsis
+        };
+        const meanAnomaly = trueAnomaly => {
+            const E = 2 * Math.atan(Math.sqrt((1 - e) / (1 + e)) * Math.tan(trueAnomaly / 2));
+            return E - e * Math.sin(E);
+        };
+
+        const meanMotion = Math.sqrt(this.mu / Math.pow(elements.semiMajorAxis, 3));
+        const period = TWO_PI / meanMotion;
+        const turn = meanAnomaly(targets[event]) - meanAnomaly(elements.trueAnomaly);
+        let eventTime = time + (((turn % TWO_PI) + TWO_PI) % TWO_PI) / meanMotion;
+        if (eventTime < earliest) {
+            eventTime += Math.ceil((earliest - eventTime) / period) * period;
+        }
+        return eventTime;
+    }
+
+    /**
+     * Duration of a burn and the propellant it takes
+     * @param {number} deltaV - Velocity change in m/s
+     * @param {number} mass - Mass at ignition in kg
+     * @param {number} thrust - Thrust in N
+     * @param {number} isp - Specific impulse in s
+     * @returns {Object} { duration (s), propellant (kg), finalMass (kg) }
+     */
+    getBurn(deltaV, mass, thrust, isp) {
+        const exhaustVelocity = isp * EARTH_CONSTANTS.STANDARD_GRAVITY;
+        const finalMass = mass * Math.exp(-deltaV / exhaustVelocity);
+        const propellant = mass - finalMass;
+        return { duration: propellant * exhaustVelocity / thrust, propellant, finalMass };
+    }
+
+    /**
+     * Plan a node
+     * @param {Object} spec - Node: { event (MANEUVER_EVENTS), time (mission s, for TIME), prograde, normal,
+     *   radial (m/s) }
+     * @param {Object} state - Where planning starts: { position, velocity (ECI), time (mission s), mass (kg) }
+     * @param {Object} engine - Engines that fly the burn: { thrust (N), isp (s) }
+     * @param {number} lead - Least time (s) from the start state to the burn's ignition
+     * @returns {Object|null} Node: { event, time, deltaV: { prograde, normal, radial, magnitude },
+     *   burnDuration, startTime, propellant, mass (at ignition) and finalMass (kg), orbit (preview, see
+     *   getOrbit), inertial: { position, velocity (at the node, before the burn), deltaV (ECI vector),
+     *   velocityAfter } }, or null if the event is never reached
+     */
+    plan(spec, state, engine, lead = 0) {
+        const deltaV = {
+            prograde: spec.prograde ?? 0,
+            normal: spec.normal ?? 0,
+            radial: spec.radial ?? 0
+        };
+        deltaV.magnitude = Math.sqrt(deltaV.prograde ** 2 + deltaV.normal ** 2 + deltaV.radial ** 2);
+        const burn = this.getBurn(deltaV.magnitude, state.mass, engine.thrust, engine.isp);
+
+        // Centered on the node, so ignition comes half the burn early
+        const earliest = state.time + lead + burn.duration / 2;
+        const elements = this.orbitalMechanics.stateVectorsToOrbitalElements(state.position, state.velocity);
+        const event = spec.event ?? MANEUVER_EVENTS.TIME;
+        const time = event === MANEUVER_EVENTS.TIME ?
+            Math.max(spec.time ?? earliest, earliest) :
+            this.getEventTime(elements, event, state.time, earliest);
+        if (time === null) return null;
+
+        const atNode = this.orbitalMechanics.calculatePositionAtTime(time - state.time, elements);
+        const position = new THREE.Vector3(atNode.position.x, atNode.position.y, atNode.position.z);
+        const velocity = new THREE.Vector3(atNode.velocity.x, atNode.velocity.y, atNode.velocity.z);
+        const frame = getNodeFrame(position, velocity);
+        const inertialDeltaV = frame.prograde.clone().multiplyScalar(deltaV.prograde)
+            .addScaledVector(frame.normal, deltaV.normal)
+            .addScaledVector(frame.radial, deltaV.radial);
+        const velocityAfter = velocity.clone().add(inertialDeltaV);
+
+        return {
+            event,
+            time,
+            deltaV,
+            burnDuration: burn.duration,
+            startTime: time - burn.duration / 2,
+            propellant: burn.propellant,
+            mass: state.mass,
+            finalMass: burn.finalMass,
+            orbit: this.getOrbit(position, velocityAfter),
+            inertial: { position, velocity, deltaV: inertialDeltaV, velocityAfter }
+        };
+    }
+
+    /**
+     * Two-node Hohmann transfer from the orbit the ship is on to a circular orbit
+     * Raising burns at periapsis and then at the transfer's apoapsis; lowering burns at apoapsis and
+     * then at the transfer's periapsis. Each burn is sized from the speed the ship has at that apsis,
+     * so the transfer works from an elliptical orbit as well as a circular one: the first puts the
+     * opposite apsis at the target radius and the second circularizes there.
+     * @param {Object} orbit - Orbit the transfer starts from (see getOrbit)
+     * @param {number} finalAltitude - Target altitude in m
+     * @returns {Array<Object>} Node specs for plan()
+     */
+    getHohmannNodes(orbit, finalAltitude) {
+        const target = this.radius + finalAltitude;
+        const periapsis = this.radius + orbit.perigeeAltitude;
+        const raising = target >= periapsis;
+        const start = raising ? periapsis : this.radius + orbit.apogeeAltitude;
+        const transferAxis = (start + target) / 2;
+        const speed = (r, a) => Math.sqrt(this.mu * (2 / r - 1 / a));
+
+        return [
+            {
+                event: raising ? MANEUVER_EVENTS.PERIAPSIS : MANEUVER_EVENTS.APOAPSIS,
+                prograde: speed(start, transferAxis) - speed(start, orbit.semiMajorAxis)
+            },
+            {
+                event: raising ? MANEUVER_EVENTS.APOAPSIS : MANEUVER_EVENTS.PERIAPSIS,
+                prograde: Math.sqrt(this.mu / target) - speed(target, transferAxis)
+            }
+        ];
+    }
+}
+
+/**
+ * Burn autopilot
+ * Holds a queue of planned nodes and flies the first. The velocity change still owed starts as the
+ * node's and loses what the engines deliver each step, measured in inertial space; the autopilot
+ * points along it, so errors in attitude or timing are steered out as the burn goes. The throttle
+ * comes back over the last throttleDownTime seconds of the burn and the engines cut off once what
+ * is owed is inside the tolerance, or inside half of what one step at the lowest throttle delivers
+ * if that is more, or has swung round behind the ship. What the thrusters' deadband leaves across
+ * the burn is not chased: it stays in the residual.
+ */
+export class BurnAutopilot {
+    /**
+     * @param {Object} options - Autopilot options
+     * @param {number} options.turnLead - Seconds before ignition at which the ship starts turning to the burn
+     * @param {number} options.alignment - Nose-to-burn angle (degrees) within which the engines may light
+     * @param {number} options.tolerance - Velocity change (m/s) left owed at which the burn is done
+     * @param {number} options.throttleDownTime - Seconds of burn at full thrust over which the throttle comes back
+     * @param {number} options.minThrottle - Lowest throttle the engines run at
+     */
+    constructor(options = {}) {
+        this.turnLead = options.turnLead ?? 120;
+        this.alignment = (options.alignment ?? 2) * DEGREES;
+        this.tolerance = options.tolerance ?? 0.05;
+        this.throttleDownTime = options.throttleDownTime ?? 2;
+        this.minThrottle = options.minThrottle ?? 0.4;
+        this.reset();
+    }
+
+    /**
+     * Clear every node
+     */
+    reset() {
+        this.nodes = [];
+        this.active = null;
+        this.completed = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Queue a planned node
+     * @param {Object} node - Node from ManeuverPlanner.plan
+     * @returns {Object} The node with its id
+     */
+    add(node) {
+        const queued = { id: this.nextId++, ...node };
+        this.nodes.push(queued);
+        return queued;
+    }
+
+    /**
+     * First node still to fly
+     * @returns {Object|null} Node or null
+     */
+    getNext() {
+        return this.nodes[0] ?? null;
+    }
+
+    /**
+     * Last node in the queue, the one new nodes are planned after
+     * @returns {Object|null} Node or null
+     */
+    getLast() {
+        return this.nodes[this.nodes.length - 1] ?? null;
+    }
+
+    /**
+     * Whether it is time to turn for the next node
+     * @param {number} time - Mission time in seconds
+     * @returns {boolean} True from turnLead seconds before its ignition
+     */
+    isDue(time) {
+        const next = this.getNext();
+        return next !== null && time >= next.startTime - this.turnLead;
+    }
+
+    /**
+     * Take the next node and start owing its velocity change
+     * @returns {Object} Active burn
+     */
+    start() {
+        const node = this.nodes.shift();
+        this.active = {
+            node,
+            remaining: node.inertial.deltaV.clone(), // m/s, ECI
+            ignitionTime: null,
+            cutoffTime: null
+        };
+        return this.active;
+    }
+
+    /**
+     * Steering and throttle for the active burn
+     * @param {number} time - Mission time in seconds
+     * @param {THREE.Vector3} nose - Nose direction, ECI
+     * @param {number} maxAcceleration - Acceleration at full throttle in m/s²
+     * @returns {Object} { direction (unit ECI vector to point the nose along), throttle (0 until lit) }
+     */
+    getCommand(time, nose, maxAcceleration) {
+        const active = this.active;
+        const direction = active.remaining.clone().normalize();
+        if (active.ignitionTime === null) {
+            if (time < active.node.startTime || nose.angleTo(direction) > this.alignment) {
+                return { direction, throttle: 0 };
+            }
+            active.ignitionTime = time;
+        }
+
+        const throttle = active.remaining.length() / (maxAcceleration * this.throttleDownTime);
+        return { direction, throttle: Math.min(1, Math.max(this.minThrottle, throttle)) };
+    }
+
+    /**
+     * Take off what the engines delivered this step
+     * @param {THREE.Vector3} deltaV - Velocity change from thrust this step, ECI, m/s
+     * @param {number} time - Mission time in seconds
+     * @param {number} nextDeltaV - Velocity change the engines would deliver next step at the lowest throttle
+     * @returns {boolean} True once the burn is over
+     */
+    record(deltaV, time, nextDeltaV = 0) {
+        const active = this.active;
+        active.remaining.sub(deltaV);
+        const planned = active.node.inertial.deltaV;
+        const done = active.remaining.length() <= Math.max(this.tolerance, nextDeltaV / 2) ||
+            active.remaining.dot(planned) <= 0;
+        if (done) {
+            active.cutoffTime = time;
+        }
+        return done;
+    }
+
+    /**
+     * Close out the active burn
+     * @param {Object} orbit - Orbit reached (see ManeuverPlanner.getOrbit)
+     * @param {Object} residual - Velocity change left owed: { prograde, normal, radial } in m/s
+     * @returns {Object} Completed burn (see getState)
+     */
+    finish(orbit, residual) {
+        const { node, ignitionTime, cutoffTime } = this.active;
+        const completed = {
+            id: node.id,
+            event: node.event,
+            time: node.time,
+            deltaV: { ...node.deltaV },
+            ignitionTime,
+            cutoffTime,
+            burnDuration: cutoffTime - ignitionTime,
+            residual: {
+                ...residual,
+                magnitude: Math.sqrt(residual.prograde ** 2 + residual.normal ** 2 + residual.radial ** 2)
+            },
+            plannedOrbit: { ...node.orbit },
+            orbit,
+            orbitError: {
+                perigeeAltitude: orbit.perigeeAltitude - node.orbit.perigeeAltitude,
+                apogeeAltitude: orbit.apogeeAltitude - node.orbit.apogeeAltitude,
+                inclination: orbit.inclination - node.orbit.inclination
+            }
+        };
+        this.completed.push(completed);
+        this.active = null;
+        return completed;
+    }
+
+    /**
+     * Autopilot state for telemetry
+     * @returns {Object} { nodes (queued: id, event, time, startTime, burnDuration, propellant, deltaV,
+     *   orbit), active (id, lit, remaining in m/s, or null), completed (id, event, time, deltaV,
+     *   ignitionTime, cutoffTime, burnDuration, residual { prograde, normal, radial, magnitude },
+     *   plannedOrbit, orbit and orbitError) } in s, m/s, kg, m and degrees
+     */
+    getState() {
+        const summary = node => ({
+            id: node.id,
+            event: node.event,
+            time: node.time,
+            startTime: node.startTime,
+            burnDuration: node.burnDuration,
+            propellant: node.propellant,
+            deltaV: { ...node.deltaV },
+            orbit: { ...node.orbit }
+        });
+        return {
+            nodes: this.nodes.map(summary),
+            active: this.active ? {
+                ...summary(this.active.node),
+                lit: this.active.ignitionTime !== null,
+                remaining: this.active.remaining.length()
+            } : null,
+            completed: this.completed.map(completed => ({ ...completed }))
+        };
+    }
+}
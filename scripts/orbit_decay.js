@@ -0,0 +1,281 @@
+// Orbital decay prediction for SpaceX Starship Simulator
+// How long an orbit lasts under drag, when it reaches entry interface and where it comes down,
+// with the Earth's oblateness (J2) and drag as optional perturbations
+import { OrbitalMechanics } from './orbital_mechanics.js';
+import { StandardAtmosphere } from './atmosphere.js';
+import { INTEGRATOR_TYPES, integrateState } from './integrators.js';
+
+const DEGREES = Math.PI / 180;
+const DAY = 86400; // s
+
+// Eccentric anomaly from the mean anomaly (Kepler's equation by Newton-Raphson)
+function solveKepler(meanAnomaly, eccentricity) {
+    let E = meanAnomaly;
+    let dE = 1;
+    for (let iteration = 0; iteration < 50 && Math.abs(dE) > 1e-12; iteration++) {
+        dE = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+        E -= dE;
+    }
+    return E;
+}
+
+/**
+ * Great-circle distance between two points on a sphere
+ * @param {Object} from - { latitude, longitude } in degrees
+ * @param {Object} to - { latitude, longitude } in degrees
+ * @param {number} radius - Sphere radius in m
+ * @returns {number} Distance in m
+ */
+export function getGreatCircleDistance(from, to, radius) {
+    const dLatitude = (to.latitude - from.latitude) * DEGREES;
+    const dLongitude = (to.longitude - from.longitude) * DEGREES;
+    const h = Math.sin(dLatitude / 2) ** 2 +
+        Math.cos(from.latitude * DEGREES) * Math.cos(to.latitude * DEGREES) * Math.sin(dLongitude / 2) ** 2;
+    return 2 * radius * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Predicts where and when an orbit decays
+ * While the perigee is above handoverPerigee, drag barely changes the orbit in a revolution, so
+ * the orbit shrinks several revolutions at a time at the rates drag sets averaged around it
+ * (Gauss's equations for a drag force along the velocity, through a non-rotating atmosphere);
+ * J2 turns the node and periapsis meanwhile but leaves the size and shape alone. Below it, and
+ * for a suborbital trajectory from the start, the path is integrated through the rotating
+ * atmosphere, with J2 gravity if enabled, to entry interface and on down to the ground, for no
+ * longer than maxDescentTime; a prediction that runs out says whether that or maxLifetime ended it.
+ * The vehicle is treated as a ballistic body: the lift a ship flies with in entry is not counted.
+ */
+export class DecayPredictor {
+    /**
+     * @param {EarthFrame} earthFrame - Launch site frame the vehicle flies in
+     * @param {Object} options - Prediction options
+     * @param {number} options.mu - Gravitational parameter in m³/s²
+     * @param {StandardAtmosphere} options.atmosphere - Atmosphere whose density drag is taken from
+     * @param {boolean} options.j2 - Include the Earth's oblateness
+     * @param {boolean} options.drag - Include atmospheric drag; without it only an orbit already
+     *   through the ground comes down
+     * @param {number} options.reentryAltitude - Altitude (m) that counts as reentry
+     * @param {number} options.handoverPerigee - Perigee altitude (m) below which the path is integrated
+     * @param {number} options.maxLifetime - Longest lifetime (s) looked for
+     * @param {number} options.maxDescentTime - Longest integrated descent (s)
+     * @param {number} options.samples - Points around an orbit its drag is averaged over
+     * @param {number} options.perigeeStep - Largest drop in perigee (m) between averaged steps
+     */
+    constructor(earthFrame, options = {}) {
+        this.earthFrame = earthFrame;
+        this.atmosphere = options.atmosphere || new StandardAtmosphere();
+        this.j2 = options.j2 ?? false;
+        this.drag = options.drag ?? true;
+        this.orbitalMechanics = new OrbitalMechanics({ mu: options.mu, j2: this.j2 });
+        this.reentryAltitude = options.reentryAltitude ?? 120000;
+        this.handoverPerigee = options.handoverPerigee ?? 150000;
+        this.maxLifetime = options.maxLifetime ?? 365 * DAY;
+        this.maxDescentTime = options.maxDescentTime ?? 10 * DAY;
+        this.samples = options.samples ?? 36;
+        this.perigeeStep = options.perigeeStep ?? 1000;
+    }
+
+    /**
+     * Predict the decay of a vehicle's orbit
+     * @param {Object} state - { position, velocity } local in m and m/s, and time (mission s)
+     * @param {Object} vehicle - { mass (kg), dragArea (drag coefficient times reference area, m²) }
+     * @param {Object} zone - Optional splashdown zone { latitude, longitude, radius } in degrees and m
+     * @returns {Object} { perturbations: { j2, drag }, decays, lifetime (s to reentry), reentryTime and
+     *   impactTime (mission s), impact ({ latitude, longitude }), revolutions (averaged before the
+     *   integrated descent), splashdown ({ ...zone, distance (m), inZone }), outlasted ('lifetime' or
+     *   'descent': whether maxLifetime or maxDescentTime ran out first, null if the orbit decays) };
+     *   the times and impact are null if the orbit outlasts either
+     */
+    predict(state, vehicle, zone = null) {
+        const ballistic = this.drag ? vehicle.dragArea / vehicle.mass : 0;
+        const inertial = this.earthFrame.localToEci(state.position, state.velocity, state.time);
+        const averaged = this.decayAveraged(inertial, ballistic);
+        const descentTime = state.time + averaged.elapsed;
+        const descent = averaged.state ?
+            this.descend(averaged.state, descentTime, ballistic, state.time + this.maxLifetime) :
+            null;
+
+        // An integrated descent gives up after maxDescentTime even where the lifetime has further to run
+        let outlasted = null;
+        if (!descent?.impact) {
+            outlasted = descent && descentTime + this.maxDescentTime < state.time + this.maxLifetime ?
+                'descent' : 'lifetime';
+        }
+
+        const prediction = {
+            perturbations: { j2: this.j2, drag: this.drag },
+            decays: Boolean(descent?.impact),
+            lifetime: descent?.reentryTime != null ? descent.reentryTime - state.time : null,
+            reentryTime: descent?.reentryTime ?? null,
+            impactTime: descent?.impactTime ?? null,
+            impact: descent?.impact ?? null,
+            revolutions: averaged.revolutions,
+            splashdown: null,
+            outlasted
+        };
+        if (zone && prediction.impact) {
+            const distance = getGreatCircleDistance(prediction.impact, zone, this.earthFrame.radius);
+            prediction.splashdown = { ...zone, distance, inZone: distance <= zone.radius };
+        }
+        return prediction;
+    }
+
+    /**
+     * Shrink an orbit under averaged drag until its perigee is down to handoverPerigee
+     * @param {Object} inertial - { position, velocity } in ECI
+     * @param {number} ballistic - Drag area over mass in m²/kg
+     * @returns {Object} { state ({ position, velocity } ECI at the handover, or null if the orbit
+     *   outlasts maxLifetime), elapsed (s), revolutions }
+     */
+    decayAveraged(inertial, ballistic) {
+        const mechanics = this.orbitalMechanics;
+        const elements = mechanics.stateVectorsToOrbitalElements(inertial.position, inertial.velocity);
+        let { semiMajorAxis: a, eccentricity: e, longitudeOfAscendingNode: node, argumentOfPeriapsis: periapsis } = elements;
+        if (!(e < 1) || a * (1 - e) - this.earthFrame.radius <= this.handoverPerigee) {
+            return { state: inertial, elapsed: 0, revolutions: 0 };
+        }
+
+        const E0 = 2 * Math.atan(Math.sqrt((1 - e) / (1 + e)) * Math.tan(elements.trueAnomaly / 2));
+        let meanAnomaly = E0 - e * Math.sin(E0);
+        let elapsed = 0;
+        let revolutions = 0;
+
+        while (a * (1 - e) - this.earthFrame.radius > this.handoverPerigee) {
+            const rates = this.getDecayRates(a, e, ballistic);
+            const perigeeRate = rates.semiMajorAxis * (1 - e) - a * rates.eccentricity;
+            if (!(perigeeRate < 0)) {
+                return { state: null, elapsed, revolutions };
+            }
+
+            // Whole revolutions, as many as keep the perigee's drop within a step
+            const period = 2 * Math.PI * Math.sqrt(Math.pow(a, 3) / mechanics.EARTH_MU);
+            const count = Math.max(1, Math.floor(this.perigeeStep / (-perigeeRate * period)));
+            const dt = count * period;
+            if (elapsed + dt > this.maxLifetime) {
+                return { state: null, elapsed, revolutions };
+            }
+
+            const j2 = this.j2 ? mechanics.calculateJ2Rates({ semiMajorAxis: a, eccentricity: e, inclination: elements.inclination }) :
+                { nodalRate: 0, apsidalRate: 0, meanAnomalyRate: 0 };
+            const middle = a + rates.semiMajorAxis * dt / 2;
+            meanAnomaly += (Math.sqrt(mechanics.EARTH_MU / Math.pow(middle, 3)) + j2.meanAnomalyRate) * dt;
+            node += j2.nodalRate * dt;
+            periapsis += j2.apsidalRate * dt;
+            a += rates.semiMajorAxis * dt;
+            e = Math.max(0, e + rates.eccentricity * dt);
+            elapsed += dt;
+            revolutions += count;
+        }
+
+        const E = solveKepler(Math.atan2(Math.sin(meanAnomaly), Math.cos(meanAnomaly)), e);
+        const state = mechanics.orbitalElementsToStateVectors({
+            semiMajorAxis: a,
+            eccentricity: e,
+            inclination: elements.inclination,
+            longitudeOfAscendingNode: node,
+            argumentOfPeriapsis: periapsis,
+            trueAnomaly: 2 * Math.atan(Math.sqrt((1 + e) / (1 - e)) * Math.tan(E / 2))
+        });
+        return { state, elapsed, revolutions };
+    }
+
+    /**
+     * Orbit-averaged rates of change of the semi-major axis and eccentricity under drag
+     * @param {number} a - Semi-major axis in m
+     * @param {number} e - Eccentricity
+     * @param {number} ballistic - Drag area over mass in m²/kg
+     * @returns {Object} { semiMajorAxis (m/s), eccentricity (1/s) }
+     */
+    getDecayRates(a, e, ballistic) {
+        const mu = this.orbitalMechanics.EARTH_MU;
+        let semiMajorAxis = 0;
+        let eccentricity = 0;
+
+        // Even steps in mean anomaly are even steps in time
+        for (let k = 0; k < this.samples; k++) {
+            const E = solveKepler(2 * Math.PI * k / this.samples, e);
+            const r = a * (1 - e * Math.cos(E));
+            const cosTrueAnomaly = (Math.cos(E) - e) / (1 - e * Math.cos(E));
+            const speed = Math.sqrt(mu * (2 / r - 1 / a));
+            const density = this.atmosphere.getDensity(r - this.earthFrame.radius);
+
+            semiMajorAxis -= ballistic * density * a * a * Math.pow(speed, 3) / mu;
+            eccentricity -= ballistic * density * speed * (e + cosTrueAnomaly);
+        }
+        return { semiMajorAxis: semiMajorAxis / this.samples, eccentricity: eccentricity / this.samples };
+    }
+
+    /**
+     * Integrate a trajectory down through the atmosphere
+     * @param {Object} inertial - { position, velocity } in ECI
+     * @param {number} time - Mission time in seconds
+     * @param {number} ballistic - Drag area over mass in m²/kg
+     * @param {number} endTime - Mission time to give up at
+     * @returns {Object} { reentryTime, impactTime (mission s or null), impact ({ latitude, longitude } or null) }
+     */
+    descend(inertial, time, ballistic, endTime) {
+        const radius = this.earthFrame.radius;
+        const spin = this.earthFrame.rotationRate;
+        const mu = this.orbitalMechanics.EARTH_MU;
+        const altitudeOf = position => Math.sqrt(position.x * position.x + position.y * position.y +
+            position.z * position.z) - radius;
+
+        const acceleration = (t, position, velocity) => {
+            const r = altitudeOf(position) + radius;
+            const gravity = -mu / (r * r * r);
+            const total = { x: gravity * position.x, y: gravity * position.y, z: gravity * position.z };
+            if (this.j2) {
+                const j2 = this.orbitalMechanics.calculateJ2Acceleration(position);
+                total.x += j2.x;
+                total.y += j2.y;
+                total.z += j2.z;
+            }
+            if (ballistic > 0) {
+                // Drag against the air, which turns with the Earth
+                const air = { x: velocity.x + spin * position.y, y: velocity.y - spin * position.x, z: velocity.z };
+                const speed = Math.sqrt(air.x * air.x + air.y * air.y + air.z * air.z);
+                const factor = -0.5 * this.atmosphere.getDensity(r - radius) * speed * ballistic;
+                total.x += factor * air.x;
+                total.y += factor * air.y;
+                total.z += factor * air.z;
+            }
+            return total;
+        };
+
+        let state = inertial;
+        let altitude = altitudeOf(state.position);
+        let reentryTime = altitude <= this.reentryAltitude ? time : null;
+        let stepSize;
+        const limit = Math.min(endTime, time + this.maxDescentTime);
+
+        while (time < limit) {
+            // Coarse steps in orbit, fine ones in the air where the crossings are timed
+            const dt = altitude > this.handoverPerigee ? 30 : 2;
+            const next = integrateState(INTEGRATOR_TYPES.RK45, state, time, dt, acceleration, { stepSize });
+            const nextAltitude = altitudeOf(next.position);
+            stepSize = next.stepSize;
+
+            if (reentryTime === null && nextAltitude <= this.reentryAltitude) {
+                reentryTime = time + dt * (altitude - this.reentryAltitude) / (altitude - nextAltitude);
+            }
+            if (nextAltitude <= 0) {
+                const fraction = altitude / (altitude - nextAltitude);
+                const lerp = (from, to) => from + (to - from) * fraction;
+                const impactTime = time + dt * fraction;
+                const position = {
+                    x: lerp(state.position.x, next.position.x),
+                    y: lerp(state.position.y, next.position.y),
+                    z: lerp(state.position.z, next.position.z)
+                };
+                const ecef = this.earthFrame.eciToEcef(position, next.velocity, impactTime);
+                const { latitude, longitude } = this.earthFrame.ecefToGeodetic(ecef.position);
+                return { reentryTime, impactTime, impact: { latitude, longitude } };
+            }
+
+            state = next;
+            altitude = nextAltitude;
+            time += dt;
+        }
+        return { reentryTime, impactTime: null, impact: null };
+    }
+}
@@ -0,0 +1,107 @@
+// On-rails orbit propagation for SpaceX Starship Simulator
+// Coasts a vehicle along its Kepler orbit while gravity is the only force worth counting, so a
+// step can cover minutes of orbit and time can be warped far past what integration could follow
+import { OrbitalMechanics } from './orbital_mechanics.js';
+
+/**
+ * Kepler propagator in the launch site's rotating frame
+ * Engaging takes the local position and velocity into the Earth-centered inertial frame and fixes
+ * the orbital elements there; from then on the state at any time is the Kepler solution carried
+ * back into the local frame, with the Earth turned underneath. A stop condition is checked along
+ * the arc at a fixed spacing and the first time it holds is found by bisection, so a coast can end
+ * exactly where the vehicle reaches the air or a burn is due.
+ */
+export class KeplerPropagator {
+    /**
+     * @param {EarthFrame} earthFrame - Launch site frame the vehicle flies in
+     * @param {Object} options - Propagation options
+     * @param {number} options.mu - Gravitational parameter in m³/s², matching the gravity model the
+     *   vehicle was integrated under
+     * @param {boolean} options.j2 - Let the node and periapsis drift under the Earth's oblateness
+     * @param {number} options.checkInterval - Seconds of coast between checks of the stop condition
+     * @param {number} options.timeTolerance - Seconds to which the time a coast stops at is found
+     */
+    constructor(earthFrame, options = {}) {
+        this.earthFrame = earthFrame;
+        this.orbitalMechanics = new OrbitalMechanics({ mu: options.mu, j2: options.j2 });
+        this.checkInterval = options.checkInterval ?? 10;
+        this.timeTolerance = options.timeTolerance ?? 1e-3;
+        this.reset();
+    }
+
+    /**
+     * Leave the rails
+     */
+    reset() {
+        this.elements = null;
+        this.epoch = null;
+    }
+
+    /**
+     * Whether a vehicle is on the rails
+     * @returns {boolean} True between engage() and reset()
+     */
+    isEngaged() {
+        return this.elements !== null;
+    }
+
+    /**
+     * Put a vehicle on the rails
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @param {THREE.Vector3|Object} velocity - Local (Earth-relative) velocity in m/s
+     * @param {number} time - Mission time in seconds
+     * @returns {boolean} True if the vehicle is on a closed orbit and now on the rails
+     */
+    engage(position, velocity, time) {
+        const inertial = this.earthFrame.localToEci(position, velocity, time);
+        const elements = this.orbitalMechanics.stateVectorsToOrbitalElements(inertial.position, inertial.velocity);
+        if (!(elements.eccentricity < 1) || !Object.values(elements).every(Number.isFinite)) {
+            return false;
+        }
+        this.elements = elements;
+        this.epoch = time;
+        return true;
+    }
+
+    /**
+     * State on the rails at a time
+     * @param {number} time - Mission time in seconds
+     * @returns {Object} { position, velocity } local, in m and m/s
+     */
+    getState(time) {
+        const inertial = this.orbitalMechanics.calculatePositionAtTime(time - this.epoch, this.elements);
+        return this.earthFrame.eciToLocal(inertial.position, inertial.velocity, time);
+    }
+
+    /**
+     * Coast along the orbit
+     * @param {number} time - Mission time at the start of the coast in seconds
+     * @param {number} duration - Longest coast in seconds
+     * @param {Function} stopWhen - Optional (state, time) => boolean; the coast ends the first time it holds
+     * @returns {Object} { elapsed (s), state ({ position, velocity } local at the end), stopped (true
+     *   if the stop condition ended the coast) }
+     */
+    propagate(time, duration, stopWhen = null) {
+        let elapsed = 0;
+        while (elapsed < duration) {
+            const next = Math.min(duration, elapsed + this.checkInterval);
+            const state = this.getState(time + next);
+            if (stopWhen && stopWhen(state, time + next)) {
+                // Narrow down the first time the condition holds
+                let low = elapsed;
+                let high = next;
+                while (high - low > this.timeTolerance) {
+                    const middle = (low + high) / 2;
+                    if (stopWhen(this.getState(time + middle), time + middle)) {
+                        high = middle;
+                    } else {
+                        low = middle;
+                    }
+                }
+                return { elapsed: high, state: this.getState(time + high), stopped: true };
+            }
+            elapsed = next;
+        }
+        return { elapsed, state: this.getState(time + elapsed), stopped: false };
+    }
+}
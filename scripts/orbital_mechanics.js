@@ -1,13 +1,21 @@
 // Orbital mechanics module for SpaceX Starship Simulator
 // Implements accurate orbital calculations and trajectory planning
 
+// Arc cosine that tolerates round-off just past ±1
+const safeAcos = value => Math.acos(Math.max(-1, Math.min(1, value)));
+
 class OrbitalMechanics {
-    constructor() {
+    // options.mu replaces the gravitational parameter, e.g. to match a gravity model's;
+    // options.j2 adds the secular drift from the Earth's oblateness to calculatePositionAtTime
+    constructor(options = {}) {
         // Constants
         this.G = 6.67430e-11; // Gravitational constant (m^3 kg^-1 s^-2)
         this.EARTH_MASS = 5.972e24; // kg
         this.EARTH_RADIUS = 6371000; // m
-        this.EARTH_MU = this.G * this.EARTH_MASS; // Standard gravitational parameter
+        this.EARTH_MU = options.mu ?? this.G * this.EARTH_MASS; // Standard gravitational parameter
+        this.EARTH_J2 = 1.08262668e-3; // Second zonal harmonic (oblateness)
+        this.EARTH_EQUATORIAL_RADIUS = 6378137; // m, reference radius of J2
+        this.j2 = options.j2 ?? false;
         
         // Orbital parameters
         this.semiMajorAxis = 0; // m
@@ -76,23 +84,25 @@ class OrbitalMechanics {
         const a = hMag * hMag / (this.EARTH_MU * (1 - e * e));
         
         // Inclination
-        const i = Math.acos(h.z / hMag);
+        const i = safeAcos(h.z / hMag);
         
-        // Longitude of ascending node
-        let omega = Math.acos(n.x / nMag);
+        // Longitude of ascending node (zero for an equatorial orbit, which has no node)
+        let omega = nMag > 0 ? safeAcos(n.x / nMag) : 0;
         if (n.y < 0) {
             omega = 2 * Math.PI - omega;
         }
         
-        // Argument of periapsis
-        let w = Math.acos((n.x * eVec.x + n.y * eVec.y + n.z * eVec.z) / (nMag * e));
-        if (eVec.z < 0) {
+        // Argument of periapsis; a perfectly circular orbit has no periapsis, so the node stands in
+        let w = nMag > 0 && e > 0 ? safeAcos((n.x * eVec.x + n.y * eVec.y + n.z * eVec.z) / (nMag * e)) : 0;
+        if (e > 0 && eVec.z < 0) {
             w = 2 * Math.PI - w;
         }
         
-        // True anomaly
-        let theta = Math.acos((eVec.x * position.x + eVec.y * position.y + eVec.z * position.z) / (e * r));
-        if (position.x * velocity.x + position.y * velocity.y + position.z * velocity.z < 0) {
+        // True anomaly (from the node on a circular orbit, past it while north of the equator)
+        let theta = e > 0 ?
+            safeAcos((eVec.x * position.x + eVec.y * position.y + eVec.z * position.z) / (e * r)) :
+            safeAcos((n.x * position.x + n.y * position.y) / (nMag * r));
+        if (e > 0 ? position.x * velocity.x + position.y * velocity.y + position.z * velocity.z < 0 : position.z < 0) {
             theta = 2 * Math.PI - theta;
         }
         
@@ -164,6 +174,36 @@ class OrbitalMechanics {
         return { position, velocity };
     }
     
+    // Secular J2 rates (rad/s): regression of the node, precession of periapsis and the change
+    // in mean motion, averaged over an orbit
+    calculateJ2Rates(elements) {
+        const { semiMajorAxis: a, eccentricity: e, inclination: i } = elements;
+        const n = Math.sqrt(this.EARTH_MU / Math.pow(a, 3));
+        const p = a * (1 - e * e);
+        const k = 1.5 * n * this.EARTH_J2 * Math.pow(this.EARTH_EQUATORIAL_RADIUS / p, 2);
+        const sin2i = Math.sin(i) * Math.sin(i);
+        
+        return {
+            nodalRate: -k * Math.cos(i),
+            apsidalRate: k * (2 - 2.5 * sin2i),
+            meanAnomalyRate: k * Math.sqrt(1 - e * e) * (1 - 1.5 * sin2i)
+        };
+    }
+    
+    // J2 acceleration (m/s²) at an Earth-centered position; +Z is the polar axis
+    calculateJ2Acceleration(position) {
+        const r2 = position.x * position.x + position.y * position.y + position.z * position.z;
+        const r = Math.sqrt(r2);
+        const factor = -1.5 * this.EARTH_J2 * this.EARTH_MU * Math.pow(this.EARTH_EQUATORIAL_RADIUS, 2) / Math.pow(r, 5);
+        const z2 = 5 * position.z * position.z / r2;
+        
+        return {
+            x: factor * position.x * (1 - z2),
+            y: factor * position.y * (1 - z2),
+            z: factor * position.z * (3 - z2)
+        };
+    }
+    
     // Calculate orbital maneuvers
     calculateHohmannTransfer(initialAltitude, finalAltitude) {
         const r1 = this.EARTH_RADIUS + initialAltitude;
@@ -215,29 +255,30 @@ class OrbitalMechanics {
         };
         
         // Calculate mean motion
-        const n = Math.sqrt(this.EARTH_MU / Math.pow(elements.semiMajorAxis, 3));
+        let n = Math.sqrt(this.EARTH_MU / Math.pow(elements.semiMajorAxis, 3));
         
         // Calculate initial mean anomaly
         const E0 = 2 * Math.atan(Math.sqrt((1 - elements.eccentricity) / (1 + elements.eccentricity)) * Math.tan(elements.trueAnomaly / 2));
         const M0 = E0 - elements.eccentricity * Math.sin(E0);
         
-        // Calculate mean anomaly at time t
-        const M = M0 + n * time;
-        
-        // Solve Kepler's equation for eccentric anomaly using Newton-Raphson method
-        let E = M;
-        let dE = 1;
-        while (Math.abs(dE) > 1e-8) {
-            dE = (E - elements.eccentricity * Math.sin(E) - M) / (1 - elements.eccentricity * Math.cos(E));
-            E -= dE;
+        // With J2 the node and periapsis drift and the mean motion changes
+        let node = elements.longitudeOfAscendingNode;
+        let periapsis = elements.argumentOfPeriapsis;
+        if (this.j2) {
+            const rates = this.calculateJ2Rates(elements);
+            node += rates.nodalRate * time;
+            periapsis += rates.apsidalRate * time;
+            n += rates.meanAnomalyRate;
         }
         
-        // Calculate true anomaly
-        const trueAnomaly = 2 * Math.atan(Math.sqrt((1 + elements.eccentricity) / (1 - elements.eccentricity)) * Math.tan(E / 2));
+        // Calculate true anomaly at time t
+        const trueAnomaly = this.calculateTrueAnomaly(M0 + n * time, elements.eccentricity);
         
         // Create new elements with updated true anomaly
         const newElements = {
             ...elements,
+            longitudeOfAscendingNode: node,
+            argumentOfPeriapsis: periapsis,
             trueAnomaly
         };
         
@@ -245,20 +286,47 @@ class OrbitalMechanics {
         return this.orbitalElementsToStateVectors(newElements);
     }
     
+    // True anomaly from the mean anomaly (both radians) on an elliptical orbit
+    calculateTrueAnomaly(meanAnomaly, eccentricity) {
+        // Wrap the mean anomaly to within half a turn of zero
+        const M = Math.atan2(Math.sin(meanAnomaly), Math.cos(meanAnomaly));
+        
+        // Solve Kepler's equation for eccentric anomaly using Newton-Raphson method
+        let E = M;
+        let dE = 1;
+        for (let iteration = 0; iteration < 50 && Math.abs(dE) > 1e-12; iteration++) {
+            dE = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+            E -= dE;
+        }
+        
+        return 2 * Math.atan(Math.sqrt((1 + eccentricity) / (1 - eccentricity)) * Math.tan(E / 2));
+    }
+    
     // Calculate orbital insertion burn
-    calculateOrbitalInsertion(altitude, inclination) {
+    // Insertion happens at perigee (altitude); apogeeAltitude defaults to a circular orbit
+    calculateOrbitalInsertion(altitude, inclination, apogeeAltitude = altitude) {
         // Calculate circular orbit velocity at desired altitude
         const r = this.EARTH_RADIUS + altitude;
         const v_orbit = Math.sqrt(this.EARTH_MU / r);
         
+        // Target orbit through perigee and apogee
+        const r_apogee = this.EARTH_RADIUS + Math.max(altitude, apogeeAltitude);
+        const a = (r + r_apogee) / 2;
+        const v_insertion = Math.sqrt(this.EARTH_MU * (2 / r - 1 / a));
+        
         // Simplified delta-v calculation (ignoring launch site latitude)
         // In a real simulator, this would account for Earth's rotation and launch site
-        const deltaV = v_orbit;
+        const deltaV = v_insertion;
         
         return {
             deltaV,
             orbitalVelocity: v_orbit,
-            orbitalPeriod: 2 * Math.PI * Math.sqrt(Math.pow(r, 3) / this.EARTH_MU)
+            orbitalPeriod: 2 * Math.PI * Math.sqrt(Math.pow(a, 3) / this.EARTH_MU),
+            insertionRadius: r,
+            insertionVelocity: v_insertion,
+            semiMajorAxis: a,
+            eccentricity: (r_apogee - r) / (r_apogee + r),
+            inclination
         };
     }
     
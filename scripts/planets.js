@@ -4,7 +4,7 @@ import { loadTextures } from './texture_loader.js';
 /**
  * Creates a realistic Mars planet with proper textures
  * @param {number} radius - Radius of the planet in units
- * @param {number} distance - Distance from the origin
+ * @param {number} distance - Distance from the origin; updateMars keeps Mars at it
  * @param {THREE.Texture} marsTexture - Optional pre-loaded Mars texture
  * @returns {THREE.Group} Mars object with proper rotation
  */
@@ -166,25 +166,27 @@ export function createMars(radius = 1000, distance = 50000, marsTexture = null)
     });
     const atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
     
-    // Position Mars
+    // Position Mars until updateMars puts it where the ephemeris has it
     marsGroup.position.set(distance, 0, -distance * 0.5);
+    marsGroup.userData.distance = distance;
     
     // Add Mars and atmosphere to group
     marsGroup.add(mars);
     marsGroup.add(atmosphere);
     
-    // Add rotation animation
-    marsGroup.rotation.y = Math.random() * Math.PI * 2;
-    
     return marsGroup;
 }
 
 /**
- * Updates Mars rotation
+ * Places Mars in the sky and turns it about its pole
+ * Mars stays at the distance it was created at, in the direction it is really seen in.
  * @param {THREE.Group} marsGroup - The Mars group to animate
- * @param {number} deltaTime - Time since last frame
+ * @param {THREE.Vector3} direction - Unit direction from the launch site to Mars (scene frame)
+ * @param {THREE.Vector3} pole - Unit direction of Mars's north pole (scene frame)
+ * @param {number} rotationAngle - Mars's prime meridian angle in radians
  */
-export function updateMars(marsGroup, deltaTime) {
-    // Mars rotates slower than Earth, about 24.6 hours
-    marsGroup.rotation.y += deltaTime * 0.05;
+export function updateMars(marsGroup, direction, pole, rotationAngle) {
+    marsGroup.position.copy(direction).multiplyScalar(marsGroup.userData.distance);
+    marsGroup.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), pole)
+        .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), rotationAngle));
 }
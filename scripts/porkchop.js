@@ -0,0 +1,195 @@
+// Interplanetary transfer windows for SpaceX Starship Simulator
+// Earth–Mars porkchop plots: every pairing of a departure and an arrival date is solved as a
+// Lambert transfer, giving the launch energy, the arrival speed and the total delta-v of each
+import { solveLambert } from './lambert.js';
+import { PLANETS, SUN_MU, toJulianDate, fromJulianDate, getPlanetState } from './ephemeris.js';
+
+// Planet data and dates now live in ephemeris.js; re-exported so imports from here keep working
+export { PLANETS, SUN_MU, ASTRONOMICAL_UNIT, toJulianDate, fromJulianDate, getPlanetState } from './ephemeris.js';
+
+const DAY = 86400; // s
+
+/**
+ * Quantities a porkchop plot maps, with their display labels and units
+ */
+export const PORKCHOP_QUANTITIES = {
+    c3: { label: 'C3', units: 'km²/s²' },
+    arrivalVInfinity: { label: 'Arrival v∞', units: 'km/s' },
+    totalDeltaV: { label: 'Total Δv', units: 'km/s' }
+};
+
+// YYYY-MM-DD of a Julian date
+function formatDate(julianDate) {
+    return fromJulianDate(julianDate).toISOString().slice(0, 10);
+}
+
+// Dates from start to end (inclusive) at a step in days, as Julian dates
+function getDates(range) {
+    const start = toJulianDate(range.start);
+    const end = toJulianDate(range.end);
+    const step = range.step ?? 5;
+    const dates = [];
+    for (let date = start; date <= end + 1e-9; date += step) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+// Burn from a circular orbit onto a hyperbola with a speed at infinity, or the reverse, in m/s
+function getHyperbolicBurn(planet, altitude, vInfinity) {
+    const r = planet.radius + altitude;
+    return Math.sqrt(vInfinity * vInfinity + 2 * planet.mu / r) - Math.sqrt(planet.mu / r);
+}
+
+const difference = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+
+/**
+ * Sweep departure and arrival dates for transfers between two planets
+ * Each pairing is solved as a prograde Lambert transfer of less than one revolution between the
+ * planets' centers where the ephemeris puts them on those dates. The departure burn leaves a
+ * circular parking orbit and the arrival burn, if captureAltitude is set, captures into a circular
+ * orbit; without it the ship enters directly and the total is the departure burn alone.
+ * @param {Object} options - Sweep options
+ * @param {Object} options.departure - { start, end } dates (Date or ISO string) and step in days
+ * @param {Object} options.arrival - { start, end } dates and step in days
+ * @param {Object} options.from - PLANETS entry departed from (default Earth)
+ * @param {Object} options.to - PLANETS entry arrived at (default Mars)
+ * @param {number} options.parkingAltitude - Parking orbit altitude at departure in m
+ * @param {number|null} options.captureAltitude - Capture orbit altitude at arrival in m, or null
+ * @param {number} options.minTimeOfFlight - Shortest transfer in days
+ * @returns {Object} { departureDates and arrivalDates (YYYY-MM-DD), timeOfFlight (days), c3
+ *   (km²/s²), arrivalVInfinity and totalDeltaV (km/s) grids indexed [departure][arrival] with null
+ *   where there is no transfer, and best, the transfer with the least total delta-v }
+ */
+export function generatePorkchop(options) {
+    const from = options.from || PLANETS.earth;
+    const to = options.to || PLANETS.mars;
+    const parkingAltitude = options.parkingAltitude ?? 200000;
+    const captureAltitude = options.captureAltitude === undefined ? 250000 : options.captureAltitude;
+    const minTimeOfFlight = options.minTimeOfFlight ?? 60;
+
+    const departures = getDates(options.departure).map(date => ({ date, state: getPlanetState(from, date) }));
+    const arrivals = getDates(options.arrival).map(date => ({ date, state: getPlanetState(to, date) }));
+
+    const grid = () => departures.map(() => arrivals.map(() => null));
+    const porkchop = {
+        from: from.name,
+        to: to.name,
+        departureDates: departures.map(departure => formatDate(departure.date)),
+        arrivalDates: arrivals.map(arrival => formatDate(arrival.date)),
+        parkingAltitude,
+        captureAltitude,
+        timeOfFlight: grid(),
+        c3: grid(),
+        arrivalVInfinity: grid(),
+        totalDeltaV: grid(),
+        best: null
+    };
+
+    departures.forEach((departure, i) => {
+        arrivals.forEach((arrival, j) => {
+            const timeOfFlight = arrival.date - departure.date;
+            if (timeOfFlight < minTimeOfFlight) return;
+
+            const transfer = solveLambert(departure.state.position, arrival.state.position, timeOfFlight * DAY, SUN_MU);
+            if (!transfer) return;
+
+            const departureVInfinity = difference(transfer.v1, departure.state.velocity);
+            const arrivalVInfinity = difference(transfer.v2, arrival.state.velocity);
+            const totalDeltaV = getHyperbolicBurn(from, parkingAltitude, departureVInfinity) +
+                (captureAltitude === null ? 0 : getHyperbolicBurn(to, captureAltitude, arrivalVInfinity));
+
+            porkchop.timeOfFlight[i][j] = timeOfFlight;
+            porkchop.c3[i][j] = departureVInfinity * departureVInfinity / 1e6;
+            porkchop.arrivalVInfinity[i][j] = arrivalVInfinity / 1000;
+            porkchop.totalDeltaV[i][j] = totalDeltaV / 1000;
+
+            if (!porkchop.best || totalDeltaV / 1000 < porkchop.best.totalDeltaV) {
+                porkchop.best = {
+                    departureIndex: i,
+                    arrivalIndex: j,
+                    departureDate: porkchop.departureDates[i],
+                    arrivalDate: porkchop.arrivalDates[j],
+                    timeOfFlight,
+                    c3: porkchop.c3[i][j],
+                    arrivalVInfinity: porkchop.arrivalVInfinity[i][j],
+                    totalDeltaV: porkchop.totalDeltaV[i][j]
+                };
+            }
+        });
+    });
+
+    return porkchop;
+}
+
+/**
+ * Draw a porkchop plot as a heat map
+ * Departure runs along the x axis and arrival up the y axis; cells run from blue at the grid's
+ * least value to red at maxValue, and cells past it or without a transfer are left dark. The
+ * best transfer is marked with a cross.
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Object} porkchop - Result of generatePorkchop
+ * @param {Object} options - Drawing options
+ * @param {string} options.quantity - PORKCHOP_QUANTITIES key (default totalDeltaV)
+ * @param {number} options.maxValue - Value drawn red (default twice the least)
+ */
+export function drawPorkchop(canvas, porkchop, options = {}) {
+    const quantity = options.quantity || 'totalDeltaV';
+    const { label, units } = PORKCHOP_QUANTITIES[quantity];
+    const values = porkchop[quantity];
+    const context = canvas.getContext('2d');
+    const margin = { left: 70, right: 10, top: 20, bottom: 30 };
+    const width = canvas.width - margin.left - margin.right;
+    const height = canvas.height - margin.top - margin.bottom;
+
+    context.fillStyle = '#111';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const finite = values.flat().filter(value => value !== null);
+    if (finite.length === 0) return;
+    const minValue = Math.min(...finite);
+    const maxValue = options.maxValue ?? minValue * 2;
+
+    // Cells
+    const cellWidth = width / porkchop.departureDates.length;
+    const cellHeight = height / porkchop.arrivalDates.length;
+    values.forEach((column, i) => {
+        column.forEach((value, j) => {
+            if (value === null || value > maxValue) return;
+            const fraction = (value - minValue) / Math.max(maxValue - minValue, 1e-9);
+            context.fillStyle = `hsl(${(1 - fraction) * 240}, 90%, 50%)`;
+            context.fillRect(margin.left + i * cellWidth, margin.top + height - (j + 1) * cellHeight,
+                Math.ceil(cellWidth), Math.ceil(cellHeight));
+        });
+    });
+
+    // Best transfer
+    if (porkchop.best) {
+        const x = margin.left + (porkchop.best.departureIndex + 0.5) * cellWidth;
+        const y = margin.top + height - (porkchop.best.arrivalIndex + 0.5) * cellHeight;
+        context.strokeStyle = '#fff';
+        context.lineWidth = 1.5;
+        context.beginPath();
+        context.moveTo(x - 6, y);
+        context.lineTo(x + 6, y);
+        context.moveTo(x, y - 6);
+        context.lineTo(x, y + 6);
+        context.stroke();
+    }
+
+    // Axes: first and last dates of each sweep, and the scale
+    context.fillStyle = '#ccc';
+    context.font = '10px sans-serif';
+    context.textAlign = 'left';
+    context.fillText(porkchop.departureDates[0], margin.left, canvas.height - 16);
+    context.textAlign = 'right';
+    context.fillText(porkchop.departureDates[porkchop.departureDates.length - 1], margin.left + width, canvas.height - 16);
+    context.textAlign = 'center';
+    context.fillText('Departure', margin.left + width / 2, canvas.height - 4);
+    context.textAlign = 'right';
+    context.fillText(porkchop.arrivalDates[porkchop.arrivalDates.length - 1], margin.left - 4, margin.top + 10);
+    context.fillText(porkchop.arrivalDates[0], margin.left - 4, margin.top + height);
+    context.fillText('Arrival', margin.left - 4, margin.top + height / 2);
+    context.textAlign = 'left';
+    context.fillText(`${label} ${minValue.toFixed(1)} to ${maxValue.toFixed(1)} ${units}`, margin.left, 12);
+}
@@ -0,0 +1,937 @@
+// Powered-descent guidance for SpaceX Starship Simulator
+// Fuel-optimal landing burns in the style of G-FOLD: the convexified landing problem is solved
+// as a small cone program and re-solved at a fixed rate during the burn
+import * as THREE from 'three';
+
+const DEGREES = Math.PI / 180;
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+export const DESCENT_PHASES = {
+    WAITING: 'waiting', // Falling, checking each cycle whether the burn can wait one more
+    BURN: 'burn', // Flying the planned thrust profile
+    TERMINAL: 'terminal', // Past the end of the plan: settle at the final descent rate
+    COMPLETE: 'complete' // Down at the target: engines off
+};
+
+/**
+ * Fuel-optimal powered-descent guidance
+ * The burn is discretized into nodes of constant thrust acceleration a_k. Lossless convexification
+ * replaces the non-convex lower thrust bound with a slack σ_k ≥ |a_k| bounded on both sides, so
+ * the problem below is a cone program whose optimum flies |a_k| = σ_k:
+ *   minimize   Σ m_k σ_k                     (propellant)
+ *   subject to |a_k| ≤ σ_k, Tmin/m_k ≤ σ_k ≤ Tmax/m_k
+ *              angle(a_k, up) ≤ maxTilt
+ *              every node inside the glide-slope cone above the target
+ *              position and velocity at the target at the time of flight
+ * The mass profile m_k and the drag on each node come from a reference trajectory: a steady braking
+ * burn while the time of flight is searched, then the chosen solution itself. The time of flight is
+ * searched for the least propellant, each candidate solved with ADMM. When no time of flight can reach the target,
+ * the horizontal end position is freed and the miss is minimized instead.
+ */
+export class PoweredDescentGuidance {
+    /**
+     * @param {Object} options - Guidance options
+     * @param {Array<number>} options.throttleRange - Engine throttle limits [min, max]
+     * @param {number} options.reserve - Fraction of full thrust kept out of the plan for corrections
+     * @param {number} options.glideSlope - Lowest elevation (degrees) above the target's horizon
+     * @param {number} options.maxTilt - Largest angle (degrees) of the thrust from the vertical
+     * @param {number} options.finalSpeed - Descent rate at the target in m/s
+     * @param {number} options.completionHeight - Height (m) above the target within which a stopped descent
+     *   ends the burn; stopped any higher, the engines go off and the burn is lit again further down
+     * @param {number} options.nodes - Thrust nodes in a plan
+     * @param {number} options.replanInterval - Seconds between re-plans during the burn
+     * @param {number} options.maxIterations - ADMM iteration limit per time of flight
+     * @param {number} options.tolerance - ADMM convergence tolerance, relative to the largest acceleration
+     */
+    constructor(options = {}) {
+        this.throttleRange = options.throttleRange || [0.4, 1.0];
+        this.reserve = options.reserve ?? 0.1;
+        this.glideSlope = (options.glideSlope ?? 20) * DEGREES;
+        this.maxTilt = (options.maxTilt ?? 25) * DEGREES;
+        this.finalSpeed = options.finalSpeed ?? 0;
+        this.completionHeight = options.completionHeight ?? 10;
+        this.nodes = options.nodes ?? 20;
+        this.replanInterval = options.replanInterval ?? 1;
+        this.maxIterations = options.maxIterations ?? 1000;
+        this.tolerance = options.tolerance ?? 1e-3;
+        this.missWeight = 100; // Cost of a square metre of miss against propellant when the target is out of reach
+        this.rho = 1; // ADMM penalty
+        this.relaxation = 1.6; // ADMM over-relaxation
+
+        this.target = new THREE.Vector3();
+        this.reset();
+    }
+
+    /**
+     * Start over for a new landing
+     * @param {THREE.Vector3} target - Landing point (optional, same frame as the vehicle state)
+     */
+    reset(target = null) {
+        if (target) {
+            this.target.copy(target);
+        }
+        this.phase = DESCENT_PHASES.WAITING;
+        this.elapsed = 0;
+        this.sincePlan = Infinity;
+        this.solution = null;
+        this.warmStart = null;
+        this.ignitionTime = null;
+        this.replans = 0;
+        this.command = { direction: null, throttle: 0 };
+    }
+
+    /**
+     * Advance the guidance
+     * @param {Object} state - Vehicle state
+     * @param {THREE.Vector3} state.position - Position in m
+     * @param {THREE.Vector3} state.velocity - Velocity in m/s
+     * @param {number} state.mass - Current mass in kg
+     * @param {THREE.Vector3} state.up - Unit vertical at the target
+     * @param {THREE.Vector3} state.gravity - Gravitational acceleration in m/s²
+     * @param {number} state.maxThrust - Thrust of the landing engines at full throttle in N
+     * @param {number} state.massFlow - Their propellant flow at full throttle in kg/s
+     * @param {number} state.propellant - Propellant the burn can draw on in kg
+     * @param {Function} state.drag - Optional (position, velocity) => drag force in N, for a planning model
+     *   that leaves the body's attitude out
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} { phase, direction (unit thrust direction or null), throttle (0-1) }
+     */
+    update(state, dt) {
+        this.elapsed += dt;
+        this.sincePlan += dt;
+
+        if (this.phase === DESCENT_PHASES.COMPLETE) {
+            return { phase: this.phase, direction: null, throttle: 0 };
+        }
+
+        if (this.phase === DESCENT_PHASES.WAITING) {
+            if (this.sincePlan < this.replanInterval || !this.isArmed(state)) {
+                return { phase: this.phase, direction: null, throttle: 0 };
+            }
+            this.sincePlan = 0;
+
+            // Light now if falling for one more cycle would leave no way down to the target. The plan
+            // leaves out drag, so while no landing is feasible yet keep falling to the last moment
+            // full thrust could still stop the descent: drag may yet bring the target into reach.
+            const step = this.replanInterval;
+            const coasted = {
+                ...state,
+                position: state.position.clone().addScaledVector(state.velocity, step)
+                    .addScaledVector(state.gravity, 0.5 * step * step),
+                velocity: state.velocity.clone().addScaledVector(state.gravity, step)
+            };
+            const wait = this.canLand(state) ? this.canLand(coasted) : this.getStoppingMargin(state) > 0;
+            if (wait) {
+                return { phase: this.phase, direction: null, throttle: 0 };
+            }
+
+            this.phase = DESCENT_PHASES.BURN;
+            this.ignitionTime = this.elapsed;
+            this.warmStart = null;
+            this.sincePlan = Infinity;
+        }
+
+        // Re-plan at a fixed rate while more than a cycle of the burn is left
+        const previous = this.solution;
+        if (this.phase === DESCENT_PHASES.BURN && this.sincePlan >= this.replanInterval &&
+            (!previous || previous.timeOfFlight - this.sincePlan > this.replanInterval)) {
+            this.solution = this.plan(state, previous);
+            this.sincePlan = 0;
+            this.replans++;
+        }
+
+        const solution = this.solution;
+        if (this.phase === DESCENT_PHASES.BURN && solution &&
+            this.sincePlan >= solution.timeOfFlight - solution.timeOfFlight / this.nodes) {
+            // Inside the last node the plan has nothing left to correct with
+            this.phase = DESCENT_PHASES.TERMINAL;
+        }
+
+        // Engines that cannot throttle below the weight would climb away from the target. Stopped short of
+        // it, fall again and light a new burn when one is needed
+        const height = state.position.clone().sub(this.target).dot(state.up);
+        const unplanned = this.phase === DESCENT_PHASES.TERMINAL || !solution;
+        if (this.phase !== DESCENT_PHASES.WAITING && unplanned && (height <= 0 || state.velocity.dot(state.up) >= 0)) {
+            if (height <= this.completionHeight) {
+                this.phase = DESCENT_PHASES.COMPLETE;
+            } else {
+                this.phase = DESCENT_PHASES.WAITING;
+                this.solution = null;
+                this.sincePlan = Infinity;
+            }
+            this.command = { direction: null, throttle: 0 };
+            return { phase: this.phase, ...this.command };
+        }
+
+        // Without a plan, brake toward the final descent rate and try again next cycle
+        const acceleration = unplanned ?
+            this.getTerminalAcceleration(state) :
+            solution.accelerations[Math.min(this.nodes - 1, Math.floor(this.sincePlan / solution.timeStep))];
+
+        const thrust = acceleration.length() * state.mass;
+        this.command = {
+            direction: acceleration.clone().normalize(),
+            throttle: Math.max(this.throttleRange[0], Math.min(this.throttleRange[1], thrust / state.maxThrust))
+        };
+        return { phase: this.phase, ...this.command };
+    }
+
+    /**
+     * Move the target, e.g. to divert a burn that cannot reach the first one
+     * A burn in progress carries on and re-plans for the new target on the next update; a finished
+     * one waits to be lit again.
+     * @param {THREE.Vector3} target - Landing point (same frame as the vehicle state)
+     */
+    setTarget(target) {
+        this.target.copy(target);
+        this.solution = null;
+        this.sincePlan = Infinity;
+        if (this.phase === DESCENT_PHASES.TERMINAL) {
+            this.phase = DESCENT_PHASES.BURN;
+        } else if (this.phase === DESCENT_PHASES.COMPLETE) {
+            this.phase = DESCENT_PHASES.WAITING;
+        }
+    }
+
+    /**
+     * Start the burn now rather than at the last moment, for a vehicle already committed to it
+     * The next update plans from the state it is given.
+     */
+    ignite() {
+        if (this.phase !== DESCENT_PHASES.WAITING) return;
+
+        this.phase = DESCENT_PHASES.BURN;
+        this.ignitionTime = this.elapsed;
+        this.warmStart = null;
+        this.sincePlan = Infinity;
+    }
+
+    /**
+     * Whether some time of flight brings a state down on the target within the constraints
+     * @param {Object} state - Vehicle state (see update)
+     * @returns {boolean} True if a landing is feasible
+     */
+    canLand(state) {
+        const problem = this.createProblem(state);
+        return this.searchTimeOfFlight(problem, 'fuel', problem.minTime, problem.maxTime, 6, 0) !== null;
+    }
+
+    /**
+     * Whether the vehicle is low and fast enough that the burn may be close
+     * Keeps the feasibility checks to the last few cycles before ignition.
+     * @param {Object} state - Vehicle state (see update)
+     * @returns {boolean} True to start checking
+     */
+    isArmed(state) {
+        const height = state.position.clone().sub(this.target).dot(state.up);
+        return this.getStoppingMargin(state) <= height / 2;
+    }
+
+    /**
+     * Height left above the target once full planned thrust, lit after one more cycle, stops the descent
+     * @param {Object} state - Vehicle state (see update)
+     * @returns {number} Margin in m; zero or less means the burn must start now
+     */
+    getStoppingMargin(state) {
+        const height = state.position.clone().sub(this.target).dot(state.up);
+        const descentRate = -state.velocity.dot(state.up);
+        const deceleration = this.getThrustLimits(state).max / state.mass - state.gravity.length();
+        if (descentRate <= 0) return height;
+        if (deceleration <= 0) return -Infinity;
+
+        return height - descentRate * descentRate / (2 * deceleration) - descentRate * this.replanInterval;
+    }
+
+    /**
+     * Thrust the plan may use
+     * @param {Object} state - Vehicle state (see update)
+     * @returns {Object} { min, max } in N
+     */
+    getThrustLimits(state) {
+        return {
+            min: state.maxThrust * this.throttleRange[0],
+            max: state.maxThrust * Math.min(this.throttleRange[1], 1 - this.reserve)
+        };
+    }
+
+    /**
+     * Acceleration that settles onto the final descent rate once the plan has run out
+     * @param {Object} state - Vehicle state (see update)
+     * @returns {THREE.Vector3} Thrust acceleration in m/s²
+     */
+    getTerminalAcceleration(state) {
+        const targetVelocity = state.up.clone().multiplyScalar(-this.finalSpeed);
+        const acceleration = targetVelocity.sub(state.velocity).divideScalar(2).sub(state.gravity);
+        if (state.drag) {
+            acceleration.addScaledVector(state.drag(state.position, state.velocity), -1 / state.mass);
+        }
+
+        // Never brake less than it takes to be down to the final descent rate at the target height
+        const height = state.position.clone().sub(this.target).dot(state.up);
+        const descentRate = -state.velocity.dot(state.up);
+        const braking = height > 0 && descentRate > this.finalSpeed ?
+            (descentRate * descentRate - this.finalSpeed * this.finalSpeed) / (2 * height) : 0;
+
+        // Stay inside the tilt limit
+        const vertical = Math.max(acceleration.dot(state.up), state.gravity.length() * 0.5,
+            braking + state.gravity.length());
+        const horizontal = acceleration.clone().addScaledVector(state.up, -acceleration.dot(state.up));
+        const maxHorizontal = vertical * Math.tan(this.maxTilt);
+        if (horizontal.length() > maxHorizontal) {
+            horizontal.setLength(maxHorizontal);
+        }
+        return horizontal.addScaledVector(state.up, vertical);
+    }
+
+    /**
+     * Plan the rest of the burn from a state
+     * @param {Object} state - Vehicle state (see update)
+     * @param {Object} previous - Last plan; its time of flight narrows the search
+     * @returns {Object|null} Plan { mode ('fuel' or 'error'), timeOfFlight, timeStep, fuel, landingError,
+     *   accelerations, throttles, positions } or null if the target altitude cannot be reached
+     */
+    plan(state, previous = null) {
+        const problem = this.createProblem(state);
+
+        let best = null;
+        if (previous && previous.mode === 'fuel') {
+            const expected = previous.timeOfFlight - this.sincePlan;
+            best = this.searchTimeOfFlight(problem, 'fuel', expected * 0.85, expected * 1.15, 3);
+        }
+        if (!best) {
+            best = this.searchTimeOfFlight(problem, 'fuel', problem.minTime, problem.maxTime, 6);
+        }
+        if (!best) {
+            best = this.searchTimeOfFlight(problem, 'error', problem.minTime, problem.maxTime, 6);
+        }
+        if (!best) return null;
+
+        // Re-solve with the mass and drag profiles of the chosen burn
+        problem.masses = this.getMassProfile(problem, best.x, best.timeOfFlight);
+        problem.drag = this.getDragProfile(problem, best.x, best.timeOfFlight);
+        const refined = this.solveFixedTime(problem, best.mode, best.timeOfFlight);
+        return this.createPlan(problem, refined.converged ? refined : best);
+    }
+
+    /**
+     * Set up the landing problem in target coordinates: components 0 and 1 horizontal, 2 up
+     * @param {Object} state - Vehicle state (see update)
+     * @returns {Object} Problem data
+     */
+    createProblem(state) {
+        const up = state.up.clone().normalize();
+        const east = new THREE.Vector3(0, 0, 1).cross(up);
+        if (east.lengthSq() < 1e-6) east.set(1, 0, 0).cross(up);
+        east.normalize();
+        const north = up.clone().cross(east);
+        const basis = [east, north, up];
+        const toFrame = vector => basis.map(axis => vector.dot(axis));
+        const fromFrame = components => basis[0].clone().multiplyScalar(components[0])
+            .addScaledVector(basis[1], components[1]).addScaledVector(basis[2], components[2]);
+
+        const limits = this.getThrustLimits(state);
+        const exhaustVelocity = state.maxThrust / state.massFlow;
+        const position = toFrame(state.position.clone().sub(this.target));
+        const velocity = toFrame(state.velocity);
+        const gravity = toFrame(state.gravity);
+        const finalVelocity = [0, 0, -this.finalSpeed];
+
+        // Bounds on the time of flight from the vertical and horizontal velocity to be removed
+        const g = -gravity[2];
+        const maxAcceleration = limits.max / (state.mass - Math.min(state.propellant, state.mass * 0.5));
+        const minAcceleration = limits.min / state.mass;
+        const dragAcceleration = state.drag ? state.drag(state.position, state.velocity).length() / state.mass : 0;
+        const verticalChange = finalVelocity[2] - velocity[2];
+        const horizontalChange = Math.hypot(velocity[0], velocity[1]);
+        const minTime = Math.max(
+            verticalChange / (maxAcceleration + dragAcceleration - g),
+            horizontalChange / (maxAcceleration * Math.sin(this.maxTilt)),
+            0.5
+        );
+        const hover = minAcceleration * Math.cos(this.maxTilt) - g;
+        const propellantTime = state.propellant / (state.massFlow * this.throttleRange[0]);
+        const maxTime = Math.max(minTime * 1.1, Math.min(
+            propellantTime,
+            hover > 0 ? verticalChange / hover : Infinity,
+            minTime * 4 + 10
+        ));
+
+        const problem = {
+            basis, position, velocity, gravity, finalVelocity, exhaustVelocity, limits,
+            mass: state.mass,
+            propellant: state.propellant,
+            dragForce: state.drag ? (r, v) => toFrame(state.drag(fromFrame(r).add(this.target), fromFrame(v))) : null,
+            minTime: minTime * 0.9,
+            maxTime: maxTime * 1.1
+        };
+        problem.masses = new Array(this.nodes).fill(state.mass);
+        problem.drag = null;
+        return problem;
+    }
+
+    /**
+     * Search the time of flight for the least propellant: a coarse scan, then golden-section refinement
+     * @param {Object} problem - Problem data
+     * @param {string} mode - 'fuel' (hit the target) or 'error' (least miss)
+     * @param {number} minTime - Shortest time of flight to try in s
+     * @param {number} maxTime - Longest time of flight to try in s
+     * @param {number} samples - Points in the coarse scan
+     * @param {number} refinements - Golden-section steps after the scan
+     * @returns {Object|null} Best converged solution, or null if none converged
+     */
+    searchTimeOfFlight(problem, mode, minTime, maxTime, samples, refinements = 4) {
+        const cost = solution => mode === 'fuel' ? solution.fuel : solution.landingError;
+        const evaluate = time => {
+            problem.masses = this.getMassProfile(problem, null, time);
+            problem.drag = this.getDragProfile(problem, null, time);
+            const solution = this.solveFixedTime(problem, mode, time);
+            return solution.converged ? solution : null;
+        };
+
+        const times = [];
+        for (let i = 0; i < samples; i++) {
+            times.push(minTime + (maxTime - minTime) * i / (samples - 1));
+        }
+        const results = times.map(evaluate);
+        let bestIndex = -1;
+        results.forEach((result, i) => {
+            if (result && (bestIndex < 0 || cost(result) < cost(results[bestIndex]))) bestIndex = i;
+        });
+        if (bestIndex < 0) return null;
+
+        // Refine between the neighbours of the best sample
+        let best = results[bestIndex];
+        let low = times[Math.max(0, bestIndex - 1)];
+        let high = times[Math.min(samples - 1, bestIndex + 1)];
+        for (let i = 0; i < refinements; i++) {
+            const a = high - GOLDEN * (high - low);
+            const b = low + GOLDEN * (high - low);
+            const resultA = evaluate(a);
+            const resultB = evaluate(b);
+            const costA = resultA ? cost(resultA) : Infinity;
+            const costB = resultB ? cost(resultB) : Infinity;
+            if (costA <= costB) {
+                high = b;
+                if (resultA && costA < cost(best)) best = resultA;
+            } else {
+                low = a;
+                if (resultB && costB < cost(best)) best = resultB;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Mass at each node for a thrust profile
+     * @param {Object} problem - Problem data
+     * @param {Float64Array} x - Solution vector, or null for a burn at mid throttle
+     * @param {number} timeOfFlight - Time of flight in s
+     * @returns {Array<number>} Mass at the start of each node in kg
+     */
+    getMassProfile(problem, x, timeOfFlight) {
+        const N = this.nodes;
+        const dt = timeOfFlight / N;
+        const masses = [];
+        let mass = problem.mass;
+        for (let k = 0; k < N; k++) {
+            masses.push(mass);
+            const acceleration = x ?
+                Math.hypot(x[3 * k], x[3 * k + 1], x[3 * k + 2]) :
+                (problem.limits.min + problem.limits.max) / 2 / mass;
+            mass *= Math.exp(-acceleration * dt / problem.exhaustVelocity);
+        }
+        return masses;
+    }
+
+    /**
+     * Drag acceleration on each node along a reference trajectory
+     * @param {Object} problem - Problem data, with the mass profile already set
+     * @param {Float64Array} x - Solution vector to fly, or null for a steady change from the initial
+     *   to the final velocity
+     * @param {number} timeOfFlight - Time of flight in s
+     * @returns {Array<Array<number>>|null} Acceleration at the middle of each node in target coordinates,
+     *   or null without a drag model
+     */
+    getDragProfile(problem, x, timeOfFlight) {
+        if (!problem.dragForce) return null;
+
+        const N = this.nodes;
+        const dt = timeOfFlight / N;
+        const steady = [0, 1, 2].map(c => (problem.finalVelocity[c] - problem.velocity[c]) / timeOfFlight);
+        const position = [...problem.position];
+        const velocity = [...problem.velocity];
+        const profile = [];
+        for (let k = 0; k < N; k++) {
+            // Without drag over the first half of the node, which is what is being estimated
+            const change = [0, 1, 2].map(c => x ? x[3 * k + c] + problem.gravity[c] : steady[c]);
+            const middle = [0, 1, 2].map(c => position[c] + velocity[c] * dt / 2);
+            const drag = problem.dragForce(middle, velocity.map((v, c) => v + change[c] * dt / 2))
+                .map(force => force / problem.masses[k]);
+            profile.push(drag);
+
+            // The steady reference leaves out how the drag is carried; a solution flies its own thrust
+            for (let c = 0; c < 3; c++) {
+                const total = x ? change[c] + drag[c] : steady[c];
+                position[c] += velocity[c] * dt + 0.5 * total * dt * dt;
+                velocity[c] += total * dt;
+            }
+        }
+        return profile;
+    }
+
+    /**
+     * Solve the landing problem for one time of flight with ADMM
+     * The variables are x = [a_0 .. a_N-1, σ_0 .. σ_N-1]. The end state is an equality constraint
+     * solved exactly in the x-update; the thrust cone and bounds, the tilt cone and the glide-slope
+     * cone are each a copy of (part of) x projected onto its set. The x-update splits into one small
+     * system per component of a, sharing a matrix, and a diagonal one for σ.
+     * @param {Object} problem - Problem data
+     * @param {string} mode - 'fuel' or 'error'
+     * @param {number} timeOfFlight - Time of flight in s
+     * @returns {Object} { converged, x, mode, timeOfFlight, fuel, landingError, iterations }
+     */
+    solveFixedTime(problem, mode, timeOfFlight) {
+        const N = this.nodes;
+        const n = 4 * N;
+        const dt = timeOfFlight / N;
+        const rho = this.rho;
+        const scale = 2 / (timeOfFlight * timeOfFlight); // Positions to the size of accelerations
+        const { position: r0, velocity: v0, gravity: g, finalVelocity } = problem;
+        const drag = problem.drag || new Array(N).fill([0, 0, 0]);
+
+        // Scaled position at node k: free fall with drag plus Σ_j<k dt²(k - j - ½) a_j
+        const freeFall = (k, c) => {
+            let sum = r0[c] + k * dt * v0[c] + 0.5 * (k * dt) * (k * dt) * g[c];
+            for (let j = 0; j < k; j++) sum += dt * dt * (k - j - 0.5) * drag[j][c];
+            return sum * scale;
+        };
+        const glideRows = [];
+        for (let k = 1; k < N; k++) {
+            const row = new Float64Array(k);
+            for (let j = 0; j < k; j++) row[j] = dt * dt * (k - j - 0.5) * scale;
+            glideRows.push(row);
+        }
+        const endRow = new Float64Array(N);
+        for (let j = 0; j < N; j++) endRow[j] = dt * dt * (N - j - 0.5) * scale;
+        const glideSize = 3 * (N - 1);
+        const glideOffset = new Float64Array(glideSize);
+        for (let k = 1; k < N; k++) {
+            for (let c = 0; c < 3; c++) glideOffset[3 * (k - 1) + c] = freeFall(k, c);
+        }
+        const endOffset = [0, 1, 2].map(c => freeFall(N, c));
+        const velocityChange = [0, 1, 2].map(c => {
+            const dragChange = drag.reduce((sum, node) => sum + node[c] * dt, 0);
+            return (finalVelocity[c] - v0[c] - timeOfFlight * g[c] - dragChange) / timeOfFlight;
+        });
+
+        // x-update matrix [2ρI + ρ Σ rᵀr over glide rows, Gᵀ; G, 0] with the end velocity and, when
+        // pinned, the end position; a free horizontal end position (least-miss mode) is penalized instead
+        const missWeight = this.missWeight / (scale * scale);
+        const factorSystem = pinned => {
+            const size = N + (pinned ? 2 : 1);
+            const kkt = new Float64Array(size * size);
+            for (let i = 0; i < N; i++) kkt[i * size + i] = 2 * rho;
+            glideRows.forEach(row => {
+                for (let i = 0; i < row.length; i++) {
+                    for (let j = 0; j < row.length; j++) kkt[i * size + j] += rho * row[i] * row[j];
+                }
+            });
+            for (let i = 0; i < N; i++) {
+                kkt[N * size + i] = kkt[i * size + N] = dt / timeOfFlight;
+                if (pinned) {
+                    kkt[(N + 1) * size + i] = kkt[i * size + N + 1] = endRow[i];
+                } else {
+                    for (let j = 0; j < N; j++) kkt[i * size + j] += missWeight * endRow[i] * endRow[j];
+                }
+            }
+            return factorize(kkt, size);
+        };
+        const pinnedSystem = factorSystem(true);
+        const freeSystem = mode === 'error' ? factorSystem(false) : null;
+        const systems = [0, 1, 2].map(c => (mode === 'error' && c < 2) ? freeSystem : pinnedSystem);
+
+        // Objective: propellant, Σ m_k σ_k, normalized to the starting mass; bounds from the mass profile
+        // and the propellant on board
+        const cost = problem.masses.map(mass => mass / problem.mass);
+        const sigmaMin = problem.masses.map(mass => problem.limits.min / mass);
+        const sigmaMax = problem.masses.map(mass => problem.limits.max / mass);
+        const burned = problem.masses.map(mass => mass * dt / problem.exhaustVelocity); // Propellant per unit σ
+        const tanTilt = Math.tan(this.maxTilt);
+
+        // The glide slope guards the ground around the target; when the target is out of reach
+        // only the floor at the target's height is kept
+        const tanGlide = mode === 'fuel' ? 1 / Math.tan(this.glideSlope) : Infinity;
+
+        // ADMM state: x, copies z (thrust cone, σ bounds, tilt, glide slope) and scaled duals u
+        const x = new Float64Array(n);
+        const z1 = new Float64Array(n);
+        const z2 = new Float64Array(N);
+        const z3 = new Float64Array(3 * N);
+        const z4 = new Float64Array(glideSize);
+        const warm = this.warmStart && this.warmStart.length === n ? this.warmStart : null;
+        if (warm) {
+            z1.set(warm);
+            z2.set(warm.subarray(3 * N));
+            z3.set(warm.subarray(0, 3 * N));
+        }
+        const u1 = new Float64Array(n);
+        const u2 = new Float64Array(N);
+        const u3 = new Float64Array(3 * N);
+        const u4 = new Float64Array(glideSize);
+        const relaxed1 = new Float64Array(n);
+        const relaxed2 = new Float64Array(N);
+        const relaxed3 = new Float64Array(3 * N);
+        const relaxed4 = new Float64Array(glideSize);
+        const previous4 = new Float64Array(glideSize);
+        const glide = new Float64Array(glideSize);
+        const change = new Float64Array(n);
+        const b = new Float64Array(N + 2);
+        const tolerance = this.tolerance * sigmaMax[N - 1] * Math.sqrt(n);
+        const alpha = this.relaxation;
+
+        let converged = false;
+        let iteration = 0;
+        let checkedPrimal = Infinity;
+        for (; iteration < this.maxIterations; iteration++) {
+            // x-update, one component of a at a time, then σ
+            for (let c = 0; c < 3; c++) {
+                for (let j = 0; j < N; j++) {
+                    const i = 3 * j + c;
+                    b[j] = rho * (z1[i] - u1[i] + z3[i] - u3[i]);
+                }
+                for (let r = 0; r < N - 1; r++) {
+                    const i = 3 * r + c;
+                    const value = rho * (z4[i] - u4[i] - glideOffset[i]);
+                    const row = glideRows[r];
+                    for (let j = 0; j < row.length; j++) b[j] += row[j] * value;
+                }
+                b[N] = velocityChange[c];
+                if (systems[c] === pinnedSystem) {
+                    b[N + 1] = -endOffset[c];
+                } else {
+                    for (let j = 0; j < N; j++) b[j] -= missWeight * endRow[j] * endOffset[c];
+                }
+                solveFactored(systems[c], b);
+
+                for (let j = 0; j < N; j++) x[3 * j + c] = b[j];
+                for (let r = 0; r < N - 1; r++) {
+                    const row = glideRows[r];
+                    let sum = glideOffset[3 * r + c];
+                    for (let j = 0; j < row.length; j++) sum += row[j] * b[j];
+                    glide[3 * r + c] = sum;
+                }
+            }
+            for (let k = 0; k < N; k++) {
+                const i = 3 * N + k;
+                x[i] = (rho * (z1[i] - u1[i] + z2[k] - u2[k]) - cost[k]) / (2 * rho);
+            }
+
+            // z-updates: over-relaxed copies projected onto their sets; change collects Σ Mᵀ(z - z_old)
+            change.fill(0);
+            for (let i = 0; i < n; i++) {
+                relaxed1[i] = alpha * x[i] + (1 - alpha) * z1[i];
+                change[i] -= z1[i];
+                z1[i] = relaxed1[i] + u1[i];
+            }
+            for (let k = 0; k < N; k++) projectThrustCone(z1, 3 * k, 3 * N + k);
+            for (let k = 0; k < N; k++) {
+                relaxed2[k] = alpha * x[3 * N + k] + (1 - alpha) * z2[k];
+                change[3 * N + k] -= z2[k];
+                z2[k] = relaxed2[k] + u2[k];
+            }
+            projectBudget(z2, sigmaMin, sigmaMax, burned, problem.propellant);
+            for (let i = 0; i < 3 * N; i++) {
+                relaxed3[i] = alpha * x[i] + (1 - alpha) * z3[i];
+                change[i] -= z3[i];
+                z3[i] = relaxed3[i] + u3[i];
+            }
+            for (let k = 0; k < N; k++) projectVerticalCone(z3, 3 * k, tanTilt);
+            previous4.set(z4);
+            for (let i = 0; i < glideSize; i++) {
+                relaxed4[i] = alpha * glide[i] + (1 - alpha) * z4[i];
+                z4[i] = relaxed4[i] + u4[i];
+            }
+            for (let k = 0; k < N - 1; k++) projectVerticalCone(z4, 3 * k, tanGlide);
+
+            // u-updates and residuals
+            let primal = 0;
+            for (let i = 0; i < n; i++) {
+                u1[i] += relaxed1[i] - z1[i];
+                primal += (x[i] - z1[i]) ** 2;
+                change[i] += z1[i];
+            }
+            for (let k = 0; k < N; k++) {
+                u2[k] += relaxed2[k] - z2[k];
+                primal += (x[3 * N + k] - z2[k]) ** 2;
+                change[3 * N + k] += z2[k];
+            }
+            for (let i = 0; i < 3 * N; i++) {
+                u3[i] += relaxed3[i] - z3[i];
+                primal += (x[i] - z3[i]) ** 2;
+                change[i] += z3[i];
+            }
+            for (let r = 0; r < N - 1; r++) {
+                const row = glideRows[r];
+                for (let c = 0; c < 3; c++) {
+                    const i = 3 * r + c;
+                    u4[i] += relaxed4[i] - z4[i];
+                    primal += (glide[i] - z4[i]) ** 2;
+                    const step = z4[i] - previous4[i];
+                    for (let j = 0; j < row.length; j++) change[3 * j + c] += row[j] * step;
+                }
+            }
+            let dual = 0;
+            for (let i = 0; i < n; i++) dual += change[i] * change[i];
+
+            primal = Math.sqrt(primal);
+            if (primal < tolerance && rho * Math.sqrt(dual) < tolerance) {
+                converged = true;
+                break;
+            }
+
+            // An infeasible problem leaves the primal residual stuck well above the tolerance
+            if (iteration % 50 === 49 && iteration >= 200) {
+                if (primal > 10 * tolerance && primal > 0.95 * checkedPrimal) break;
+                checkedPrimal = primal;
+            }
+        }
+
+        // A relaxed solution that flies below σ is not a real burn: the engines cannot throttle that low
+        if (converged) {
+            for (let k = 0; k < N; k++) {
+                if (x[3 * N + k] - Math.hypot(x[3 * k], x[3 * k + 1], x[3 * k + 2]) > 0.01 * sigmaMax[k]) {
+                    converged = false;
+                    break;
+                }
+            }
+        }
+        if (converged) {
+            this.warmStart = x.slice();
+        }
+
+        const masses = this.getMassProfile(problem, x, timeOfFlight);
+        const finalMass = masses[N - 1] * Math.exp(
+            -Math.hypot(x[3 * N - 3], x[3 * N - 2], x[3 * N - 1]) * dt / problem.exhaustVelocity
+        );
+        const miss = [0, 1].map(c => {
+            let sum = endOffset[c];
+            for (let j = 0; j < N; j++) sum += endRow[j] * x[3 * j + c];
+            return sum / scale;
+        });
+
+        return {
+            converged,
+            x,
+            mode,
+            timeOfFlight,
+            fuel: problem.mass - finalMass,
+            landingError: mode === 'error' ? Math.hypot(miss[0], miss[1]) : 0,
+            iterations: iteration
+        };
+    }
+
+    /**
+     * Turn a solution into a plan in the vehicle's frame
+     * @param {Object} problem - Problem data
+     * @param {Object} solution - Fixed-time solution
+     * @returns {Object} Plan (see plan)
+     */
+    createPlan(problem, solution) {
+        const N = this.nodes;
+        const dt = solution.timeOfFlight / N;
+        const [e0, e1, e2] = problem.basis;
+        const toVehicleFrame = (a, b, c) => e0.clone().multiplyScalar(a).addScaledVector(e1, b).addScaledVector(e2, c);
+        const x = solution.x;
+        const masses = this.getMassProfile(problem, x, solution.timeOfFlight);
+        const maxThrust = problem.limits.max / Math.min(this.throttleRange[1], 1 - this.reserve);
+
+        const accelerations = [];
+        const throttles = [];
+        const positions = [toVehicleFrame(...problem.position).add(this.target)];
+        const position = [...problem.position];
+        const velocity = [...problem.velocity];
+        for (let k = 0; k < N; k++) {
+            const a = [x[3 * k], x[3 * k + 1], x[3 * k + 2]];
+            accelerations.push(toVehicleFrame(...a));
+            throttles.push(Math.hypot(...a) * masses[k] / maxThrust);
+            for (let c = 0; c < 3; c++) {
+                const total = a[c] + problem.gravity[c] + (problem.drag ? problem.drag[k][c] : 0);
+                position[c] += velocity[c] * dt + 0.5 * total * dt * dt;
+                velocity[c] += total * dt;
+            }
+            positions.push(toVehicleFrame(...position).add(this.target));
+        }
+
+        return {
+            mode: solution.mode,
+            timeOfFlight: solution.timeOfFlight,
+            timeStep: dt,
+            fuel: solution.fuel,
+            landingError: solution.landingError,
+            accelerations,
+            throttles,
+            positions,
+            planTime: this.elapsed
+        };
+    }
+
+    /**
+     * Guidance status for telemetry
+     * @returns {Object} { phase, mode, timeToGo, fuel, landingError, throttle, ignitionTime, replans }
+     */
+    getState() {
+        const solution = this.solution;
+        return {
+            phase: this.phase,
+            mode: solution ? solution.mode : null,
+            timeToGo: solution ? Math.max(0, solution.timeOfFlight - (this.elapsed - solution.planTime)) : null,
+            fuel: solution ? solution.fuel : null,
+            landingError: solution ? solution.landingError : null,
+            throttle: this.command.throttle,
+            ignitionTime: this.ignitionTime,
+            replans: this.replans
+        };
+    }
+}
+
+/**
+ * Project (a, σ) at the given offsets onto the cone |a| ≤ σ, in place
+ * @param {Float64Array} values - Vector holding a (3 components) and σ
+ * @param {number} aIndex - Index of a
+ * @param {number} sigmaIndex - Index of σ
+ */
+function projectThrustCone(values, aIndex, sigmaIndex) {
+    const norm = Math.hypot(values[aIndex], values[aIndex + 1], values[aIndex + 2]);
+    const sigma = values[sigmaIndex];
+    if (norm <= sigma) return;
+    if (norm <= -sigma) {
+        values.fill(0, aIndex, aIndex + 3);
+        values[sigmaIndex] = 0;
+        return;
+    }
+    const scale = (norm + sigma) / 2;
+    for (let c = 0; c < 3; c++) values[aIndex + c] *= scale / norm;
+    values[sigmaIndex] = scale;
+}
+
+/**
+ * Project a 3-vector onto the cone about +component 2 with |horizontal| ≤ tanHalfAngle · vertical, in place
+ * @param {Float64Array} values - Vector holding the 3-vector
+ * @param {number} index - Index of its first component
+ * @param {number} tanHalfAngle - Tangent of the cone's half angle
+ */
+function projectVerticalCone(values, index, tanHalfAngle) {
+    const horizontal = Math.hypot(values[index], values[index + 1]);
+    const vertical = values[index + 2];
+    if (tanHalfAngle === Infinity) {
+        // A half angle of 90° leaves the half-space above the apex
+        values[index + 2] = Math.max(0, vertical);
+        return;
+    }
+    if (horizontal <= vertical * tanHalfAngle) return;
+    if (horizontal * tanHalfAngle <= -vertical) {
+        values.fill(0, index, index + 3);
+        return;
+    }
+    // Onto the nearest generator of the cone
+    const cos = 1 / Math.sqrt(1 + tanHalfAngle * tanHalfAngle);
+    const sin = tanHalfAngle * cos;
+    const along = horizontal * sin + vertical * cos;
+    values[index] *= along * sin / horizontal;
+    values[index + 1] *= along * sin / horizontal;
+    values[index + 2] = along * cos;
+}
+
+/**
+ * Project onto the box lower ≤ σ ≤ upper cut by the budget Σ w_k σ_k ≤ budget, in place
+ * The projection clamps σ - λw to the box for the smallest multiplier λ ≥ 0 that meets the budget,
+ * found by bisection.
+ * @param {Float64Array} values - Point to project
+ * @param {Array<number>} lower - Lower bounds
+ * @param {Array<number>} upper - Upper bounds
+ * @param {Array<number>} weights - Positive budget weights
+ * @param {number} budget - Budget
+ */
+function projectBudget(values, lower, upper, weights, budget) {
+    const size = values.length;
+    const spent = lambda => {
+        let sum = 0;
+        for (let k = 0; k < size; k++) {
+            sum += weights[k] * Math.max(lower[k], Math.min(upper[k], values[k] - lambda * weights[k]));
+        }
+        return sum;
+    };
+
+    let low = 0;
+    let high = 0;
+    if (spent(0) > budget) {
+        // Past this multiplier every σ sits on its lower bound
+        for (let k = 0; k < size; k++) high = Math.max(high, (values[k] - lower[k]) / weights[k]);
+        for (let i = 0; i < 50 && high - low > 1e-12 * high; i++) {
+            const middle = (low + high) / 2;
+            if (spent(middle) > budget) low = middle;
+            else high = middle;
+        }
+    }
+    for (let k = 0; k < size; k++) {
+        values[k] = Math.max(lower[k], Math.min(upper[k], values[k] - high * weights[k]));
+    }
+}
+
+/**
+ * LU-factorize a dense square matrix with partial pivoting
+ * @param {Float64Array} matrix - Row-major matrix, overwritten by the factors
+ * @param {number} size - Rows (and columns)
+ * @returns {Object} { lu, pivots, size }
+ */
+function factorize(matrix, size) {
+    const pivots = new Int32Array(size);
+    for (let k = 0; k < size; k++) {
+        let pivot = k;
+        for (let i = k + 1; i < size; i++) {
+            if (Math.abs(matrix[i * size + k]) > Math.abs(matrix[pivot * size + k])) pivot = i;
+        }
+        pivots[k] = pivot;
+        if (pivot !== k) {
+            for (let j = 0; j < size; j++) {
+                const swap = matrix[k * size + j];
+                matrix[k * size + j] = matrix[pivot * size + j];
+                matrix[pivot * size + j] = swap;
+            }
+        }
+        const diagonal = matrix[k * size + k];
+        if (diagonal === 0) continue;
+        for (let i = k + 1; i < size; i++) {
+            const factor = (matrix[i * size + k] /= diagonal);
+            if (factor === 0) continue;
+            for (let j = k + 1; j < size; j++) matrix[i * size + j] -= factor * matrix[k * size + j];
+        }
+    }
+    return { lu: matrix, pivots, size };
+}
+
+/**
+ * Solve with LU factors, in place
+ * @param {Object} factors - Result of factorize
+ * @param {Float64Array} b - Right-hand side, overwritten by the solution
+ */
+function solveFactored({ lu, pivots, size }, b) {
+    for (let k = 0; k < size; k++) {
+        const pivot = pivots[k];
+        if (pivot !== k) {
+            const swap = b[k];
+            b[k] = b[pivot];
+            b[pivot] = swap;
+        }
+    }
+    for (let i = 0; i < size; i++) {
+        let sum = b[i];
+        for (let j = 0; j < i; j++) sum -= lu[i * size + j] * b[j];
+        b[i] = sum;
+    }
+    for (let i = size - 1; i >= 0; i--) {
+        let sum = b[i];
+        for (let j = i + 1; j < size; j++) sum -= lu[i * size + j] * b[j];
+        b[i] = sum / lu[i * size + i];
+    }
+}
@@ -0,0 +1,81 @@
+// Propellant tank model for SpaceX Starship Simulator
+// Separate LOX and methane main and header tanks, drained at the engines' mixture ratio
+import { METHALOX } from './vehicle_specs.js';
+
+export const PROPELLANT_FEEDS = {
+    MAIN: 'main', // Ascent and boost-back burns
+    HEADER: 'header' // Landing burns
+};
+
+/**
+ * Create tank state from vehicle tank specifications, each tank filled to capacity
+ * @param {Object} tankSpecs - Tanks keyed by id (see vehicle_specs.js)
+ * @param {number} diameter - Vehicle diameter in m, used by tanks that do not give their own
+ * @param {number} mountHeight - Body Y of the vehicle base (e.g. -length / 2)
+ * @returns {Array<Object>} Tanks
+ */
+export function createTanks(tankSpecs, diameter, mountHeight = 0) {
+    return Object.entries(tankSpecs).map(([id, specs]) => ({
+        id: id,
+        propellant: specs.propellant, // 'lox' or 'ch4'
+        feed: specs.feed, // PROPELLANT_FEEDS value
+        capacity: specs.capacity, // kg
+        mass: specs.capacity, // kg remaining
+        density: METHALOX[specs.propellant].density, // kg/m³
+        radius: (specs.diameter || diameter) / 2, // m
+        bottom: mountHeight + specs.base // Body Y of the tank floor
+    }));
+}
+
+/**
+ * Propellant left in a set of tanks
+ * @param {Array<Object>} tanks - Tanks
+ * @param {string} feed - Only count tanks on this feed, or null for all
+ * @returns {number} Propellant mass in kg
+ */
+export function getPropellantMass(tanks, feed = null) {
+    return tanks
+        .filter(tank => !feed || tank.feed === feed)
+        .reduce((sum, tank) => sum + tank.mass, 0);
+}
+
+/**
+ * Whether a feed still has both oxidizer and fuel
+ * @param {Array<Object>} tanks - Tanks
+ * @param {string} feed - PROPELLANT_FEEDS value
+ * @returns {boolean} True if the feed's LOX and methane tanks are not empty
+ */
+export function hasPropellant(tanks, feed) {
+    const feedTanks = tanks.filter(tank => tank.feed === feed);
+    return ['lox', 'ch4'].every(propellant =>
+        feedTanks.some(tank => tank.propellant === propellant && tank.mass > 0));
+}
+
+/**
+ * Split a propellant mass into oxidizer and fuel at the mixture ratio
+ * @param {number} mass - Propellant mass (or mass flow)
+ * @returns {Object} { lox, ch4 } in the same units
+ */
+export function splitPropellant(mass) {
+    const lox = mass * METHALOX.mixtureRatio / (1 + METHALOX.mixtureRatio);
+    return { lox: lox, ch4: mass - lox };
+}
+
+/**
+ * Drain propellant from the tanks on one feed
+ * @param {Array<Object>} tanks - Tanks
+ * @param {string} feed - PROPELLANT_FEEDS value
+ * @param {number} mass - Propellant mass burned in kg (oxidizer plus fuel)
+ * @returns {boolean} False if the feed ran out of oxidizer or fuel
+ */
+export function drawPropellant(tanks, feed, mass) {
+    const demand = splitPropellant(mass);
+
+    tanks.filter(tank => tank.feed === feed).forEach(tank => {
+        const drawn = Math.min(tank.mass, demand[tank.propellant]);
+        tank.mass -= drawn;
+        demand[tank.propellant] -= drawn;
+    });
+
+    return hasPropellant(tanks, feed);
+}
@@ -0,0 +1,261 @@
+// Reaction control for SpaceX Starship Simulator
+// Cold-gas and hot-gas thrusters that hold and turn the vehicles where the flaps, grid fins and
+// engines cannot, fired in pulses no shorter than the valves allow from their own propellant
+import * as THREE from 'three';
+import { allocateWithinBounds } from './control_allocation.js';
+import { calculateTorque } from './rigid_body.js';
+import { EARTH_CONSTANTS } from './vehicle_dynamics.js';
+
+const DEGREES = Math.PI / 180;
+
+export const RCS_TYPES = {
+    COLD_GAS: 'cold_gas', // Pressurized nitrogen blown through a nozzle
+    HOT_GAS: 'hot_gas' // Gaseous methane and oxygen burned in small thrusters
+};
+
+/**
+ * Lay out an RCS's thrusters on the hull
+ * Each pod has four thrusters a quarter turn apart, by azimuth from body +X toward the third axis,
+ * pushing in toward the long axis: fired against each other across two pods they turn the vehicle
+ * about its transverse axes, fired together they push it sideways. Pods with roll set add a
+ * clockwise and an anticlockwise thruster at azimuths 0 and 180°.
+ * @param {Object} specs - RCS specs (see vehicle_specs.js)
+ * @param {number} diameter - Hull diameter in m
+ * @param {string} longAxis - Body axis the vehicle's nose lies along, 'y' or 'z'
+ * @returns {Array<Object>} Thrusters: { id, position (m, body frame), direction (unit push on the
+ *   vehicle, body frame) }
+ */
+export function createThrusters(specs, diameter, longAxis = 'y') {
+    const radius = diameter / 2;
+    const thrusters = [];
+    specs.pods.forEach(pod => {
+        const at = azimuth => new THREE.Vector3(Math.cos(azimuth), 0, Math.sin(azimuth));
+        [0, 1, 2, 3].forEach(quarter => {
+            const radial = at(quarter * Math.PI / 2);
+            thrusters.push({
+                id: `${pod.id}_${quarter + 1}`,
+                position: radial.clone().multiplyScalar(radius).setY(pod.station),
+                direction: radial.clone().negate()
+            });
+        });
+        if (pod.roll) {
+            [0, Math.PI].forEach((azimuth, side) => {
+                const tangent = new THREE.Vector3(-Math.sin(azimuth), 0, Math.cos(azimuth));
+                [1, -1].forEach((sense, n) => thrusters.push({
+                    id: `${pod.id}_roll_${side * 2 + n + 1}`,
+                    position: at(azimuth).multiplyScalar(radius).setY(pod.station),
+                    direction: tangent.clone().multiplyScalar(sense)
+                }));
+            });
+        }
+    });
+
+    // Nose along +Z: a quarter turn about +X carries +Y onto +Z
+    if (longAxis === 'z') {
+        const noseZ = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
+        thrusters.forEach(thruster => {
+            thruster.position.applyQuaternion(noseZ);
+            thruster.direction.applyQuaternion(noseZ);
+        });
+    }
+    return thrusters;
+}
+
+/**
+ * Reaction control system
+ * A commanded body torque is shared over the thrusters as duty cycles (the fraction of each step a
+ * valve should be open) by the same bounded least-norm allocation as the control surfaces, with
+ * duties between 0 and 1. Each valve accumulates the on-time it is owed and opens once it is owed
+ * half a minimum pulse; an open valve stays open for at least the minimum impulse bit and for as
+ * long as the demand keeps up, and what it gives over the owed time is held against the next pulse.
+ * Small commands come out as sparse pulses and large ones as steady firing, both delivering the
+ * commanded torque on average. Firing draws the system's own propellant; once it is gone the
+ * valves stay shut.
+ */
+export class ReactionControlSystem {
+    /**
+     * @param {Object} specs - RCS specs (see vehicle_specs.js): { type (RCS_TYPES value), thrust (N per
+     *   thruster), isp (s), minimumImpulseBit (N·s), propellantMass (kg), pods }
+     * @param {Object} options - Layout and attitude hold options
+     * @param {number} options.diameter - Hull diameter in m
+     * @param {string} options.longAxis - Body axis the vehicle's nose lies along, 'y' (default) or 'z'
+     * @param {number} options.attitudeDeadband - Attitude error (degrees) a hold lets the vehicle drift through
+     * @param {number} options.rateDeadband - Rate error (degrees/s) a hold lets go uncorrected
+     * @param {number} options.maxRate - Largest turn rate (degrees/s) a hold commands
+     */
+    constructor(specs, options = {}) {
+        if (!Object.values(RCS_TYPES).includes(specs.type)) {
+            console.warn(`Unknown RCS type: ${specs.type}`);
+        }
+        this.type = specs.type;
+        this.thrust = specs.thrust;
+        this.isp = specs.isp;
+        this.minimumOnTime = specs.minimumImpulseBit / specs.thrust; // s
+        this.capacity = specs.propellantMass;
+        this.thrusters = createThrusters(specs, options.diameter, options.longAxis);
+        this.attitudeDeadband = (options.attitudeDeadband ?? 1) * DEGREES;
+        this.rateDeadband = (options.rateDeadband ?? 0.05) * DEGREES;
+        this.maxRate = (options.maxRate ?? 2) * DEGREES;
+        this.attitudeGain = 0.1; // 1/s, attitude error beyond the deadband to commanded rate
+        this.rateGain = 2; // 1/s, rate error to angular acceleration
+        this.reset();
+    }
+
+    /**
+     * Close every valve and refill the propellant
+     */
+    reset() {
+        this.propellant = this.capacity;
+        this.valves = Object.fromEntries(this.thrusters.map(thruster => [thruster.id, { demand: 0, pulse: 0 }]));
+        this.firing = [];
+        this.force = new THREE.Vector3();
+        this.torque = new THREE.Vector3();
+        this.pulses = 0;
+        this.totalImpulse = 0;
+    }
+
+    /**
+     * Set the propellant on board
+     * @param {number} mass - Propellant in kg, limited to the tank's capacity
+     */
+    load(mass) {
+        this.propellant = Math.max(0, Math.min(this.capacity, mass));
+    }
+
+    /**
+     * Body torque of each thruster firing at full thrust
+     * @param {THREE.Vector3} centerOfMass - Center of mass in the body frame
+     * @returns {Array<THREE.Vector3>} Torque in N·m, in thruster order
+     */
+    getMoments(centerOfMass) {
+        return this.thrusters.map(thruster =>
+            calculateTorque(thruster.position, thruster.direction.clone().multiplyScalar(this.thrust), centerOfMass));
+    }
+
+    /**
+     * Largest angular acceleration the thrusters give about an axis
+     * @param {THREE.Vector3} axis - Unit body axis
+     * @param {THREE.Matrix3} inertia - Inertia tensor about the center of mass
+     * @param {THREE.Vector3} centerOfMass - Center of mass in the body frame
+     * @returns {number} Angular acceleration in rad/s²
+     */
+    getAngularAcceleration(axis, inertia, centerOfMass) {
+        const moments = this.getMoments(centerOfMass);
+        const duties = moments.map(() => 0);
+        const reach = moments.reduce((sum, moment) => sum + moment.length(), 0);
+        allocateWithinBounds(axis.clone().multiplyScalar(reach), moments, duties, moments.map(() => ({ low: 0, high: 1 })));
+
+        const torque = moments.reduce((sum, moment, i) => sum.addScaledVector(moment, duties[i]), new THREE.Vector3());
+        return Math.max(0, torque.dot(axis)) / axis.clone().applyMatrix3(inertia).dot(axis);
+    }
+
+    /**
+     * Torque that holds or turns the vehicle toward an attitude
+     * A phase-plane law: outside the attitude deadband the vehicle turns toward the commanded
+     * attitude, easing in as it nears the deadband and never faster than half the thrusters'
+     * authority can stop it in the angle left; inside it the rates are brought to zero. Rate
+     * errors within the rate deadband are left alone, so a settled vehicle drifts between
+     * occasional pulses instead of chattering.
+     * @param {THREE.Quaternion} attitude - Current attitude
+     * @param {THREE.Quaternion} commanded - Attitude to hold
+     * @param {THREE.Vector3} angularVelocity - Body rates in rad/s
+     * @param {THREE.Matrix3} inertia - Inertia tensor about the center of mass
+     * @param {THREE.Vector3} centerOfMass - Center of mass in the body frame
+     * @returns {THREE.Vector3} Commanded body torque in N·m
+     */
+    getHoldTorque(attitude, commanded, angularVelocity, inertia, centerOfMass = new THREE.Vector3()) {
+        // Attitude error as a body-frame rotation, the short way round
+        const error = attitude.clone().invert().multiply(commanded);
+        if (error.w < 0) {
+            error.set(-error.x, -error.y, -error.z, -error.w);
+        }
+        const angle = 2 * Math.acos(Math.min(1, error.w));
+        const axis = new THREE.Vector3(error.x, error.y, error.z);
+
+        const rateCommand = new THREE.Vector3();
+        if (angle > this.attitudeDeadband && axis.lengthSq() > 0) {
+            axis.normalize();
+            const acceleration = this.getAngularAcceleration(axis, inertia, centerOfMass);
+            const outside = angle - this.attitudeDeadband;
+            rateCommand.copy(axis).multiplyScalar(
+                Math.min(this.maxRate, this.attitudeGain * outside, Math.sqrt(acceleration * angle)));
+        }
+
+        const rateError = rateCommand.sub(angularVelocity);
+        if (rateError.length() <= this.rateDeadband) {
+            return new THREE.Vector3();
+        }
+        return rateError.multiplyScalar(this.rateGain).applyMatrix3(inertia);
+    }
+
+    /**
+     * Fire the thrusters for one step
+     * @param {THREE.Vector3} torque - Commanded body torque in N·m
+     * @param {number} dt - Time step in seconds
+     * @param {THREE.Vector3} centerOfMass - Center of mass in the body frame
+     * @returns {Object} { force, torque } in N and N·m, body frame, averaged over the step
+     */
+    fire(torque, dt, centerOfMass = new THREE.Vector3()) {
+        const moments = this.getMoments(centerOfMass);
+        const duties = moments.map(() => 0);
+        if (this.propellant > 0 && torque.lengthSq() > 0) {
+            allocateWithinBounds(torque, moments, duties, moments.map(() => ({ low: 0, high: 1 })));
+        }
+
+        const massFlow = this.thrust / (this.isp * EARTH_CONSTANTS.STANDARD_GRAVITY);
+        const force = new THREE.Vector3();
+        const achieved = new THREE.Vector3();
+        const firing = [];
+        this.thrusters.forEach((thruster, i) => {
+            const valve = this.valves[thruster.id];
+
+            // On-time owed builds up while the thruster is wanted and is forgotten when it is not
+            valve.demand = duties[i] > 0 ? valve.demand + duties[i] * dt : 0;
+            if (valve.pulse <= 0 && valve.demand >= this.minimumOnTime / 2) {
+                valve.pulse = Math.max(this.minimumOnTime, valve.demand);
+                this.pulses++;
+            } else if (valve.pulse > 0) {
+                valve.pulse = Math.max(valve.pulse, valve.demand);
+            }
+
+            const onTime = Math.min(dt, valve.pulse, this.propellant / massFlow);
+            if (!(onTime > 0)) {
+                valve.pulse = 0;
+                return;
+            }
+            valve.pulse -= onTime;
+            // A pulse longer than was owed leaves a credit the next ones have to work off
+            valve.demand -= onTime;
+            this.propellant = Math.max(0, this.propellant - massFlow * onTime);
+            this.totalImpulse += this.thrust * onTime;
+
+            force.addScaledVector(thruster.direction, this.thrust * onTime / dt);
+            achieved.addScaledVector(moments[i], onTime / dt);
+            firing.push(thruster.id);
+        });
+
+        this.firing = firing;
+        this.force.copy(force);
+        this.torque.copy(achieved);
+        return { force, torque: achieved };
+    }
+
+    /**
+     * RCS state for telemetry
+     * @returns {Object} { type, propellant (kg), depleted, firing (ids of thrusters fired on the last
+     *   step), pulses (valve openings so far), totalImpulse (N·s), force and torque (body frame, N and
+     *   N·m, last step) }
+     */
+    getState() {
+        return {
+            type: this.type,
+            propellant: this.propellant,
+            depleted: this.propellant <= 0,
+            firing: [...this.firing],
+            pulses: this.pulses,
+            totalImpulse: this.totalImpulse,
+            force: this.force.clone(),
+            torque: this.torque.clone()
+        };
+    }
+}
@@ -1,95 +1,238 @@
 // Reentry and landing simulation module for SpaceX Starship Simulator
 // Implements heat shield effects, aerodynamic control, and landing sequence
+import * as THREE from 'three';
+import { INTEGRATOR_TYPES, integrateState, isIntegratorType } from './integrators.js';
+import { calculateMassProperties, integrateAttitude } from './rigid_body.js';
+import { VehicleDynamics } from './vehicle_dynamics.js';
+import { STARSHIP_SPECS } from './vehicle_specs.js';
+import { SHIP_AERO_TABLE } from './aero_tables.js';
+import { AeroDatabase } from './aero_database.js';
+import { PoweredDescentGuidance } from './powered_descent.js';
+import { ControlAllocator } from './control_allocation.js';
+import { ReactionControlSystem } from './rcs.js';
+import { HeatShield } from './aerothermal.js';
+import { PROPELLANT_FEEDS, createTanks, drawPropellant, getPropellantMass, hasPropellant } from './propellant_tanks.js';
+
+const DEGREES = Math.PI / 180;
 
 class ReentrySimulation {
-    constructor() {
-        // Constants
-        this.EARTH_RADIUS = 6371000; // m
-        this.G = 6.67430e-11; // Gravitational constant (m^3 kg^-1 s^-2)
-        this.EARTH_MASS = 5.972e24; // kg
-        this.EARTH_MU = this.G * this.EARTH_MASS; // Standard gravitational parameter
-        
-        // Atmospheric model constants
-        this.SCALE_HEIGHT = 8500; // m
-        this.AIR_DENSITY_SEA_LEVEL = 1.225; // kg/m^3
+    // options.earthFrame flies the ship in that launch site's rotating frame, with the pad at its
+    // origin; without it positions are Earth-centered and the Earth does not turn
+    constructor(options = {}) {
+        // Shared gravity, atmosphere, aerodynamics, propulsion and thermal models
+        this.dynamics = options.earthFrame ?
+            new VehicleDynamics({ frame: 'rotating', earthFrame: options.earthFrame }) :
+            new VehicleDynamics({ frame: 'spherical' });
+        this.EARTH_RADIUS = this.dynamics.gravity.radius; // m
         
         // Vehicle properties
-        this.mass = 120000; // kg (dry mass of Starship)
-        this.crossSectionalArea = Math.PI * Math.pow(9 / 2, 2); // m^2 (based on 9m diameter)
-        this.dragCoefficient = 0.3; // Base drag coefficient
-        this.liftCoefficient = 0.1; // Base lift coefficient
-        
-        // Heat shield properties
-        this.heatShieldArea = this.crossSectionalArea * 0.6; // m^2 (approximate area covered by heat shield)
-        this.heatShieldEmissivity = 0.8; // Emissivity of heat shield material
-        this.heatShieldConductivity = 0.1; // W/(m·K) (thermal conductivity)
-        this.heatShieldThickness = 0.1; // m
-        this.stefanBoltzmannConstant = 5.67e-8; // W/(m^2·K^4)
+        this.dryMass = STARSHIP_SPECS.dryMass; // kg (dry mass of Starship)
+        this.length = STARSHIP_SPECS.length; // m
+        this.diameter = STARSHIP_SPECS.diameter; // m
+        this.crossSectionalArea = STARSHIP_SPECS.crossSectionalArea; // m^2 (based on 9m diameter)
+        this.dragCoefficient = STARSHIP_SPECS.dragCoefficient; // Nose-first drag coefficient
+        this.broadsideDragCoefficient = STARSHIP_SPECS.broadsideDragCoefficient; // Belly-first drag coefficient
+        this.liftCoefficient = STARSHIP_SPECS.liftCoefficient; // Peak lift coefficient
+        this.aeroDatabase = new AeroDatabase(SHIP_AERO_TABLE); // Mach and angle-of-attack coefficients
+        
+        // Landing engines: the three sea-level Raptors, lumped into one
+        const seaLevelEngines = STARSHIP_SPECS.engines.seaLevel;
+        this.engine = {
+            thrust: seaLevelEngines.thrust * seaLevelEngines.count, // N at sea level, of the engines still running
+            isp: seaLevelEngines.isp, // s at sea level
+            vacuumIsp: seaLevelEngines.vacuumIsp // s
+        };
+        this.engineMount = new THREE.Vector3(0, 0, -this.length / 2); // m, body frame
+        this.gimbalRange = seaLevelEngines.gimbalRange * DEGREES; // rad
+        
+        // Orbital burns: the three fixed vacuum Raptors, lumped the same way. The propulsion model
+        // scales thrust from a sea-level rating, which for these nozzles is only a reference point
+        const vacuumEngines = STARSHIP_SPECS.engines.vacuum;
+        this.vacuumEngine = {
+            thrust: vacuumEngines.thrust * vacuumEngines.count, // N, sea-level rating (6.6 MN in vacuum)
+            isp: vacuumEngines.isp, // s, sea-level rating
+            vacuumIsp: vacuumEngines.vacuumIsp // s
+        };
+        
+        // Cold-gas thrusters for attitude outside the atmosphere, on their own nitrogen
+        this.rcs = new ReactionControlSystem(STARSHIP_SPECS.rcs, { diameter: this.diameter, longAxis: 'z' });
+        this.rcsForce = new THREE.Vector3(); // N, local frame, from the last step's firing
+        
+        // Propellant: main tanks for the deorbit burn, header tanks for landing
+        this.tanks = createTanks(STARSHIP_SPECS.tanks, this.diameter);
+        this.loadPropellant();
+        
+        // Flaps: two forward and two aft, force along the belly normal growing with the sine of deflection
+        this.flapArea = 10; // m^2 (approximate area of each flap)
+        this.flapLeverArm = 4; // m (approximate distance from center of mass)
+        this.flapMaxDeflection = STARSHIP_SPECS.flaps.maxDeflection * DEGREES; // rad
+        this.flapTrim = this.flapMaxDeflection / 2; // rad, where allocated flaps sit with no torque commanded
+        this.flapHingeArm = STARSHIP_SPECS.flaps.hingeArm; // m
+        
+        // One allocator moves the flaps and the engine gimbal
+        const flap = id => ({
+            id,
+            minAngle: 0,
+            maxAngle: this.flapMaxDeflection,
+            trim: this.flapTrim,
+            slewRate: STARSHIP_SPECS.flaps.slewRate * DEGREES,
+            group: 'flaps'
+        });
+        const gimbal = id => ({
+            id,
+            minAngle: -this.gimbalRange,
+            maxAngle: this.gimbalRange,
+            slewRate: seaLevelEngines.gimbalRate * DEGREES
+        });
+        this.controlAllocator = new ControlAllocator([
+            flap('flap_forward_left'), flap('flap_forward_right'), flap('flap_aft_left'), flap('flap_aft_right'),
+            gimbal('gimbal_pitch'), gimbal('gimbal_yaw')
+        ], { powerBudgets: { flaps: STARSHIP_SPECS.flaps.actuatorPower } });
+        
+        // Heat shield: tile regions over the belly (body -Y), bare steel on the lee side
+        this.heatShield = new HeatShield(STARSHIP_SPECS.heatShield, { longAxis: 'z', thermal: this.dynamics.thermal });
         
         // State variables
         this.position = { x: 0, y: 0, z: 0 }; // m
         this.velocity = { x: 0, y: 0, z: 0 }; // m/s
         this.acceleration = { x: 0, y: 0, z: 0 }; // m/s^2
         this.orientation = { roll: 0, pitch: 0, yaw: 0 }; // radians
-        this.angularVelocity = { roll: 0, pitch: 0, yaw: 0 }; // radians/s
+        this.angularVelocity = { roll: 0, pitch: 0, yaw: 0 }; // radians/s (body rates)
         
-        // Thermal state
-        this.heatShieldTemperature = 293; // K (ambient temperature)
-        this.heatRate = 0; // W/m^2
-        this.totalHeatLoad = 0; // J/m^2
+        // Thermal state, summed up over the heat shield's regions
+        this.heatShieldTemperature = 293; // K, hottest region
+        this.heatRate = 0; // W/m^2, at the stagnation point
+        this.totalHeatLoad = 0; // J/m^2, largest of any region
         
         // Control variables
-        this.flapAngle = { forward: { left: 0, right: 0 }, aft: { left: 0, right: 0 } }; // radians
+        this.flapAngle = this.getFlapAngles(this.controlAllocator.getAngles()); // radians, at trim
         this.engineThrottle = 0; // 0 to 1
+        this.engineGimbal = { pitch: 0, yaw: 0 }; // radians, positive turns the nose up / to +yaw
+        this.propellantFeed = PROPELLANT_FEEDS.HEADER;
         
         // Landing variables
-        this.landingTargetPosition = { x: 0, y: 0, z: 0 }; // m
+        this.landingTargetPosition = options.earthFrame ?
+            { x: 0, y: 0, z: 0 } :
+            { x: 0, y: this.EARTH_RADIUS, z: 0 }; // m, pad below the reentry start
         this.distanceToTarget = 0; // m
         this.landingBurnStartAltitude = 2000; // m
         this.touchdownVelocity = 0; // m/s
+        
+        // Fuel-optimal landing burn on the sea-level engines; the burn lasts only seconds, so it
+        // keeps more thrust in hand and re-plans twice as often as the booster's
+        this.landingGuidance = new PoweredDescentGuidance({
+            throttleRange: seaLevelEngines.throttleRange,
+            reserve: 0.2,
+            replanInterval: 0.5,
+            finalSpeed: 2
+        });
+        const pad = this.landingTargetPosition;
+        this.landingGuidance.reset(new THREE.Vector3(pad.x, pad.y, pad.z));
+        
+        // Numerical integration of position and velocity
+        this.integrator = INTEGRATOR_TYPES.SEMI_IMPLICIT_EULER;
+        this.integratorOptions = {};
+        this.integratorStepSize = undefined; // RK45 substep carried between updates
+    }
+    
+    // Select the numerical integrator (one of INTEGRATOR_TYPES)
+    setIntegrator(type) {
+        if (!isIntegratorType(type)) {
+            console.warn(`Unknown integrator type: ${type}`);
+            return false;
+        }
+        
+        this.integrator = type;
+        this.integratorStepSize = undefined;
+        return true;
+    }
+    
+    // Thrust left to the lumped engines after engine outs: health (0 to 1) keyed by engine id, e.g.
+    // seaLevel_0, with 0 for an engine out; engines not listed are healthy. The lumped engines stay
+    // on the centerline, so a lost engine costs thrust but adds no torque.
+    setEngineHealth(health = {}) {
+        const getThrust = (type, specs) => Array.from({ length: specs.count }, (_, i) => health[`${type}_${i}`] ?? 1)
+            .reduce((sum, fraction) => sum + specs.thrust * fraction, 0);
+        const seaLevelEngines = STARSHIP_SPECS.engines.seaLevel;
+        this.engine.thrust = getThrust('seaLevel', seaLevelEngines);
+        this.engineHealth = this.engine.thrust / (seaLevelEngines.thrust * seaLevelEngines.count); // Of the landing thrust
+        this.vacuumEngine.thrust = getThrust('vacuum', STARSHIP_SPECS.engines.vacuum);
+    }
+    
+    // Fill the tanks: propellant masses keyed by tank id, by default a ship back from orbit with
+    // empty main tanks and full headers
+    loadPropellant(masses = null) {
+        this.tanks.forEach(tank => {
+            const fallback = tank.feed === PROPELLANT_FEEDS.HEADER ? tank.capacity : 0;
+            tank.mass = Math.max(0, Math.min(tank.capacity, masses?.[tank.id] ?? fallback));
+        });
+        this.updateMass();
+    }
+    
+    // Total mass: dry, methalox in the tanks and the RCS's nitrogen
+    updateMass() {
+        this.mass = this.dryMass + getPropellantMass(this.tanks) + this.rcs.propellant; // kg
     }
     
     // Calculate air density at given altitude
     calculateAirDensity(altitude) {
-        return this.AIR_DENSITY_SEA_LEVEL * Math.exp(-altitude / this.SCALE_HEIGHT);
+        return this.dynamics.atmosphere.getDensity(altitude);
     }
     
     // Calculate gravitational acceleration at given altitude
     calculateGravity(altitude) {
-        const distance = this.EARTH_RADIUS + altitude;
-        return this.EARTH_MU / (distance * distance);
+        return this.dynamics.gravity.getMagnitude(altitude);
+    }
+    
+    // Aerodynamic coefficients for the shared aerodynamics model (Starship's aero database)
+    getAerodynamicCoefficients() {
+        return {
+            database: this.aeroDatabase,
+            referenceArea: this.crossSectionalArea,
+            referenceLength: this.length
+        };
     }
     
-    // Calculate aerodynamic forces (drag and lift)
+    // Replace the aero database, e.g. with a table loaded by AeroDatabase.parse
+    setAeroDatabase(database) {
+        this.aeroDatabase = database;
+    }
+    
+    // Calculate aerodynamic forces (drag and lift) for a given angle of attack
     calculateAerodynamicForces(velocity, altitude, angleOfAttack) {
-        const airDensity = this.calculateAirDensity(altitude);
+        const aerodynamics = this.dynamics.aerodynamics;
+        const coefficients = this.getAerodynamicCoefficients();
+        const conditions = this.dynamics.atmosphere.getConditions(altitude);
+        const airDensity = conditions.density;
         const velocityMagnitude = Math.sqrt(
             velocity.x * velocity.x + 
             velocity.y * velocity.y + 
             velocity.z * velocity.z
         );
+        const mach = velocityMagnitude / conditions.speedOfSound;
         
-        // Adjust coefficients based on angle of attack
-        const adjustedDragCoefficient = this.dragCoefficient * (1 + 0.5 * Math.sin(angleOfAttack));
-        const adjustedLiftCoefficient = this.liftCoefficient * Math.sin(2 * angleOfAttack);
+        // Coefficients at this Mach number and angle of attack
+        const adjustedDragCoefficient = aerodynamics.getDragCoefficient(coefficients, angleOfAttack, mach);
+        const adjustedLiftCoefficient = aerodynamics.getLiftCoefficient(coefficients, angleOfAttack, mach);
+        const dynamicPressure = aerodynamics.getDynamicPressure(airDensity, velocityMagnitude);
         
         // Calculate drag force magnitude
-        const dragForceMagnitude = 0.5 * airDensity * Math.pow(velocityMagnitude, 2) * 
-                                 adjustedDragCoefficient * this.crossSectionalArea;
+        const dragForceMagnitude = dynamicPressure * adjustedDragCoefficient * this.crossSectionalArea;
         
         // Calculate lift force magnitude
-        const liftForceMagnitude = 0.5 * airDensity * Math.pow(velocityMagnitude, 2) * 
-                                adjustedLiftCoefficient * this.crossSectionalArea;
+        const liftForceMagnitude = dynamicPressure * adjustedLiftCoefficient * this.crossSectionalArea;
         
         // Calculate drag force components (opposite to velocity direction)
-        const dragForce = {
-            x: -dragForceMagnitude * velocity.x / velocityMagnitude,
-            y: -dragForceMagnitude * velocity.y / velocityMagnitude,
-            z: -dragForceMagnitude * velocity.z / velocityMagnitude
-        };
+        const dragForce = { x: 0, y: 0, z: 0 };
+        if (velocityMagnitude > 0) {
+            dragForce.x = -dragForceMagnitude * velocity.x / velocityMagnitude;
+            dragForce.y = -dragForceMagnitude * velocity.y / velocityMagnitude;
+            dragForce.z = -dragForceMagnitude * velocity.z / velocityMagnitude;
+        }
         
-        // Calculate lift force direction (perpendicular to velocity and roll axis)
-        // This is a simplified model; a real simulator would use a more complex aerodynamic model
+        // Calculate lift force direction (horizontal, perpendicular to velocity)
+        // Without an attitude this is an approximation; the integrated trajectory
+        // takes lift along the body axis from the shared dynamics model
         const liftDirection = {
             x: -velocity.z,
             y: 0,
@@ -132,42 +275,26 @@ class ReentrySimulation {
         };
     }
     
-    // Calculate aerodynamic heating
-    calculateAerodynamicHeating(velocity, altitude) {
-        const airDensity = this.calculateAirDensity(altitude);
-        const velocityMagnitude = Math.sqrt(
-            velocity.x * velocity.x + 
-            velocity.y * velocity.y + 
-            velocity.z * velocity.z
-        );
-        
-        // Sutton-Graves heating equation (simplified)
-        const heatRate = 1.83e-4 * Math.sqrt(airDensity) * Math.pow(velocityMagnitude, 3);
-        
-        // Update heat shield temperature using lumped capacitance model
-        const heatShieldMass = this.heatShieldArea * this.heatShieldThickness * 2000; // kg (assuming density of 2000 kg/m^3)
-        const heatShieldSpecificHeat = 1000; // J/(kg·K)
-        
-        // Heat input
-        const heatInput = heatRate * this.heatShieldArea;
-        
-        // Heat radiation (Stefan-Boltzmann law)
-        const heatRadiation = this.heatShieldEmissivity * this.stefanBoltzmannConstant * 
-                             this.heatShieldArea * Math.pow(this.heatShieldTemperature, 4);
-        
-        // Net heat and temperature change
-        const netHeat = heatInput - heatRadiation;
-        const deltaTemperature = netHeat / (heatShieldMass * heatShieldSpecificHeat);
-        
-        // Update temperature and heat load
-        this.heatShieldTemperature += deltaTemperature;
-        this.heatRate = heatRate;
-        this.totalHeatLoad += heatRate;
+    // Heat the heat shield's regions for one step, each by how squarely it faces the flow at the
+    // current attitude
+    calculateAerodynamicHeating(velocity, altitude, deltaTime = 1) {
+        const airVelocity = new THREE.Vector3(velocity.x, velocity.y, velocity.z)
+            .applyQuaternion(this.orientationToQuaternion(this.orientation).invert());
+        const heating = this.heatShield.update({
+            density: this.calculateAirDensity(altitude),
+            airVelocity,
+            ambientTemperature: this.dynamics.atmosphere.getTemperature(altitude)
+        }, deltaTime);
+        
+        this.heatRate = heating.stagnationHeatFlux;
+        this.heatShieldTemperature = this.heatShield.getMaxTemperature();
+        this.totalHeatLoad = this.heatShield.getMaxHeatLoad();
         
         return {
-            heatRate,
+            heatRate: this.heatRate,
             heatShieldTemperature: this.heatShieldTemperature,
-            totalHeatLoad: this.totalHeatLoad
+            totalHeatLoad: this.totalHeatLoad,
+            burnThrough: heating.burnThrough
         };
     }
     
@@ -181,8 +308,8 @@ class ReentrySimulation {
         );
         
         // Simplified model for flap forces
-        const flapArea = 10; // m^2 (approximate area of each flap)
-        const flapLeverArm = 4; // m (approximate distance from center of mass)
+        const flapArea = this.flapArea;
+        const flapLeverArm = this.flapLeverArm;
         
         // Calculate forces for each flap
         const forwardLeftForce = 0.5 * airDensity * Math.pow(velocityMagnitude, 2) * 
@@ -200,7 +327,8 @@ class ReentrySimulation {
         // Calculate torques
         const rollTorque = (forwardLeftForce - forwardRightForce + aftLeftForce - aftRightForce) * flapLeverArm;
         const pitchTorque = (forwardLeftForce + forwardRightForce - aftLeftForce - aftRightForce) * flapLeverArm;
-        const yawTorque = 0; // Simplified model doesn't include yaw control from flaps
+        // Opposite corners pushing together twist the ship about its belly normal
+        const yawTorque = (forwardLeftForce - forwardRightForce - aftLeftForce + aftRightForce) * flapLeverArm;
         
         return {
             torque: {
@@ -217,23 +345,80 @@ class ReentrySimulation {
         };
     }
     
-    // Calculate engine thrust forces
-    calculateEngineForces(throttle, orientation) {
-        const maxThrust = 1200000 * 9.81; // N (approx. 1,200 metric tons)
-        const thrustMagnitude = maxThrust * throttle;
-        
-        // Convert orientation to direction vector
-        const pitch = orientation.pitch;
-        const yaw = orientation.yaw;
+    // Move the flaps and engine gimbal toward commanded control torques {roll, pitch, yaw} through
+    // the control allocator, which keeps each one to its stops and slew rate and the flaps to their
+    // drive's power; returns { flapAngle, engineGimbal } for update and the torque they deliver
+    allocateControls(torque, throttle, altitude, deltaTime) {
+        const airDensity = this.calculateAirDensity(altitude);
+        const velocity = this.velocity;
+        const speedSquared = velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z;
+        const flapForce = 0.5 * airDensity * speedSquared * this.flapArea; // one flap at 90°
+        const flapMoment = flapForce * this.flapLeverArm;
+        const hingeMoment = flapForce * this.flapHingeArm;
+        
+        const pressure = this.dynamics.atmosphere.getConditions(altitude).pressure;
+        const thrust = throttle > 0 ? this.dynamics.propulsion.getThrust(this.engine, pressure, throttle) : 0;
+        const gimbalMoment = thrust * -this.engineMount.z;
+        
+        // Moments as (roll, pitch, yaw), each flap signed as in calculateControlForces
+        const flap = (roll, pitch, yaw) => ({
+            moment: new THREE.Vector3(roll, pitch, yaw).multiplyScalar(flapMoment),
+            hingeMoment
+        });
+        const { angles, torque: achieved } = this.controlAllocator.allocate(new THREE.Vector3(torque.roll, torque.pitch, torque.yaw), {
+            flap_forward_left: flap(1, 1, 1),
+            flap_forward_right: flap(-1, 1, -1),
+            flap_aft_left: flap(1, -1, -1),
+            flap_aft_right: flap(-1, -1, 1),
+            gimbal_pitch: { moment: new THREE.Vector3(0, gimbalMoment, 0) },
+            gimbal_yaw: { moment: new THREE.Vector3(0, 0, gimbalMoment) }
+        }, deltaTime);
         
-        // Calculate thrust components
-        const thrustComponents = {
-            x: thrustMagnitude * Math.sin(yaw) * Math.cos(pitch),
-            y: thrustMagnitude * Math.sin(pitch),
-            z: thrustMagnitude * Math.cos(yaw) * Math.cos(pitch)
+        return {
+            flapAngle: this.getFlapAngles(angles),
+            engineGimbal: { pitch: angles.gimbal_pitch, yaw: angles.gimbal_yaw },
+            torque: { roll: achieved.x, pitch: achieved.y, yaw: achieved.z }
         };
+    }
+    
+    // Flap angles as update takes them, from allocator angles keyed by actuator id
+    getFlapAngles(angles) {
+        return {
+            forward: { left: angles.flap_forward_left, right: angles.flap_forward_right },
+            aft: { left: angles.flap_aft_left, right: angles.flap_aft_right }
+        };
+    }
+    
+    // Engines lit by the throttle: the vacuum Raptors when selected, otherwise the sea-level ones
+    getActiveEngine() {
+        return this.vacuumEngines ? this.vacuumEngine : this.engine;
+    }
+    
+    // Lumped engine for the shared propulsion model, mounted at the tail and tilted by the gimbal;
+    // the vacuum Raptors do not gimbal
+    getEngineInput() {
+        const gimbal = this.vacuumEngines ? { pitch: 0, yaw: 0 } : this.engineGimbal;
+        return {
+            ...this.getActiveEngine(),
+            throttle: this.engineThrottle,
+            direction: new THREE.Vector3(-Math.sin(gimbal.yaw), -Math.sin(gimbal.pitch), 1)
+                .normalize(),
+            position: this.engineMount
+        };
+    }
+    
+    // Calculate engine thrust forces along the vehicle's nose
+    calculateEngineForces(throttle, orientation, altitude = 0) {
+        const pressure = this.dynamics.atmosphere.getConditions(altitude).pressure;
+        const thrustMagnitude = throttle > 0 ?
+            this.dynamics.propulsion.getThrust(this.getActiveEngine(), pressure, throttle) : 0;
+        const direction = new THREE.Vector3(0, 0, 1).applyQuaternion(this.orientationToQuaternion(orientation));
         
-        return thrustComponents;
+        return {
+            x: thrustMagnitude * direction.x,
+            y: thrustMagnitude * direction.y,
+            z: thrustMagnitude * direction.z
+        };
     }
     
     // Calculate distance to landing target
@@ -252,107 +437,220 @@ class ReentrySimulation {
         return altitude < this.landingBurnStartAltitude && verticalVelocity < 0;
     }
     
-    // Calculate landing burn throttle
+    // Landing guidance state (see PoweredDescentGuidance.update) for a position and velocity
+    getDescentState(position, velocity) {
+        const statePosition = new THREE.Vector3(position.x, position.y, position.z);
+        const pressure = this.dynamics.getEnvironment(statePosition).pressure;
+        const coefficients = this.getAerodynamicCoefficients();
+        return {
+            position: statePosition,
+            velocity: new THREE.Vector3(velocity.x, velocity.y, velocity.z),
+            mass: this.mass,
+            up: this.dynamics.getLocalUp(this.landingGuidance.target),
+            gravity: this.dynamics.getGravityAcceleration(statePosition),
+            maxThrust: this.dynamics.propulsion.getThrust(this.engine, pressure),
+            massFlow: this.dynamics.propulsion.getMassFlow(this.engine),
+            propellant: getPropellantMass(this.tanks, PROPELLANT_FEEDS.HEADER),
+            drag: (dragPosition, dragVelocity) => {
+                const environment = this.dynamics.getEnvironment(dragPosition);
+                if (!(environment.density > 0)) return new THREE.Vector3();
+                return this.dynamics.aerodynamics.calculateForces({
+                    airVelocity: dragVelocity,
+                    axis: null,
+                    density: environment.density,
+                    mach: dragVelocity.length() / environment.speedOfSound,
+                    coefficients
+                }).drag;
+            }
+        };
+    }
+    
+    // Calculate landing burn throttle at an altitude straight above the pad from a fuel-optimal plan;
+    // zero while the burn can still wait, full when there is no plan left to fly
     calculateLandingBurnThrottle(altitude, velocity) {
-        // Calculate time to impact assuming constant velocity
-        const timeToImpact = altitude / -velocity.y;
-        
-        // Calculate required deceleration
-        const requiredDeceleration = velocity.y / timeToImpact + this.calculateGravity(altitude);
-        
-        // Calculate required thrust
-        const requiredThrust = this.mass * requiredDeceleration;
-        
-        // Calculate throttle (0 to 1)
-        const maxThrust = 1200000 * 9.81; // N
-        let throttle = requiredThrust / maxThrust;
+        const guidance = this.landingGuidance;
+        const position = guidance.target.clone()
+            .addScaledVector(this.dynamics.getLocalUp(guidance.target), altitude);
+        const state = this.getDescentState(position, velocity);
+        
+        const plan = guidance.plan(state);
+        if (!plan) {
+            return guidance.getStoppingMargin(state) > 0 ? 0 : 1;
+        }
+        return Math.max(0, Math.min(1, plan.throttles[0]));
+    }
+    
+    // Controls for the landing burn: the guidance lights it, throttles it and points the nose
+    // (the thrust axis) along its thrust; returns { engineThrottle, orientation } for update
+    calculateLandingBurnControls(deltaTime) {
+        const steering = this.landingGuidance.update(this.getDescentState(this.position, this.velocity), deltaTime);
+        if (!steering.direction) {
+            return { engineThrottle: 0, orientation: this.orientation };
+        }
         
-        // Clamp throttle between 0 and 1
-        throttle = Math.max(0, Math.min(1, throttle));
+        const attitude = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), steering.direction);
+        return {
+            engineThrottle: steering.throttle,
+            orientation: this.quaternionToOrientation(attitude)
+        };
+    }
+    
+    // Convert roll/pitch/yaw to a quaternion; the nose (roll axis) is body +Z,
+    // pitch rotates about body -X and yaw about body +Y
+    orientationToQuaternion(orientation) {
+        return new THREE.Quaternion().setFromEuler(
+            new THREE.Euler(-orientation.pitch, orientation.yaw, orientation.roll, 'YXZ')
+        );
+    }
+    
+    // Inertia tensor about the center of mass, with the nose along body +Z
+    getInertia() {
+        return calculateMassProperties({
+            dryMass: this.mass,
+            propellantMass: 0,
+            length: this.length,
+            diameter: this.diameter,
+            longAxis: 'z'
+        }).inertia;
+    }
+    
+    // Convert a quaternion back to roll/pitch/yaw (the inverse of orientationToQuaternion)
+    quaternionToOrientation(quaternion) {
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+        return { roll: euler.z, pitch: -euler.x, yaw: euler.y };
+    }
+    
+    // Integrate rigid-body attitude under control torques {roll, pitch, yaw}
+    updateAttitude(torque, deltaTime) {
+        const inertia = this.getInertia();
+        
+        const body = {
+            quaternion: this.orientationToQuaternion(this.orientation),
+            angularVelocity: new THREE.Vector3(
+                -this.angularVelocity.pitch,
+                this.angularVelocity.yaw,
+                this.angularVelocity.roll
+            )
+        };
+        const bodyTorque = new THREE.Vector3(-torque.pitch, torque.yaw, torque.roll);
+        
+        integrateAttitude(body, bodyTorque, inertia, deltaTime);
+        
+        // Back to roll/pitch/yaw, staying continuous with the previous angles
+        const euler = new THREE.Euler().setFromQuaternion(body.quaternion, 'YXZ');
+        const unwrap = (angle, reference) =>
+            angle + 2 * Math.PI * Math.round((reference - angle) / (2 * Math.PI));
+        this.orientation = {
+            roll: unwrap(euler.z, this.orientation.roll),
+            pitch: unwrap(-euler.x, this.orientation.pitch),
+            yaw: unwrap(euler.y, this.orientation.yaw)
+        };
+        this.angularVelocity = {
+            roll: body.angularVelocity.z,
+            pitch: -body.angularVelocity.x,
+            yaw: body.angularVelocity.y
+        };
+    }
+    
+    // Calculate altitude above the surface for a position
+    calculateAltitude(position) {
+        return this.dynamics.getAltitude(position);
+    }
+    
+    // Unit vector along the vehicle's nose for the current orientation
+    getNoseAxis() {
+        return new THREE.Vector3(0, 0, 1).applyQuaternion(this.orientationToQuaternion(this.orientation));
+    }
+    
+    // Calculate angle of attack between velocity and the vehicle's pointing direction
+    calculateAngleOfAttack(velocity) {
+        return this.dynamics.aerodynamics.getAngleOfAttack(
+            new THREE.Vector3(velocity.x, velocity.y, velocity.z),
+            this.getNoseAxis()
+        );
+    }
+    
+    // Calculate translational acceleration (aerodynamics, engines, RCS, gravity) at a given state
+    calculateTranslationalAcceleration(position, velocity) {
+        const forces = this.dynamics.calculateForces({
+            mass: this.mass,
+            position,
+            velocity,
+            attitude: this.orientationToQuaternion(this.orientation),
+            axis: this.getNoseAxis(),
+            engines: [this.getEngineInput()],
+            aerodynamics: this.getAerodynamicCoefficients()
+        });
+        
+        forces.total.add(this.rcsForce);
         
-        return throttle;
+        return {
+            x: forces.total.x / this.mass,
+            y: forces.total.y / this.mass,
+            z: forces.total.z / this.mass
+        };
     }
     
-    // Update simulation for one time step
+    // Update simulation for one time step; controls.rcsTorque {roll, pitch, yaw} is the torque
+    // asked of the RCS thrusters and controls.vacuumEngines puts the throttle on the vacuum Raptors
     update(deltaTime, controls) {
         // Apply controls
         this.flapAngle = controls.flapAngle || this.flapAngle;
-        this.engineThrottle = controls.engineThrottle || this.engineThrottle;
+        this.engineThrottle = controls.engineThrottle ?? this.engineThrottle;
         this.orientation = controls.orientation || this.orientation;
+        this.engineGimbal = controls.engineGimbal || this.engineGimbal;
+        this.propellantFeed = controls.propellantFeed || this.propellantFeed;
+        this.vacuumEngines = controls.vacuumEngines ?? false;
         
         // Calculate altitude (distance from Earth's surface)
-        const positionMagnitude = Math.sqrt(
-            this.position.x * this.position.x + 
-            this.position.y * this.position.y + 
-            this.position.z * this.position.z
-        );
-        const altitude = positionMagnitude - this.EARTH_RADIUS;
+        const altitude = this.calculateAltitude(this.position);
         
-        // Calculate angle of attack (simplified)
-        const velocityMagnitude = Math.sqrt(
-            this.velocity.x * this.velocity.x + 
-            this.velocity.y * this.velocity.y + 
-            this.velocity.z * this.velocity.z
-        );
-        
-        // Dot product of velocity and orientation vectors
-        const angleOfAttack = Math.acos(
-            (this.velocity.x * Math.cos(this.orientation.yaw) * Math.cos(this.orientation.pitch) +
-             this.velocity.y * Math.sin(this.orientation.pitch) +
-             this.velocity.z * Math.sin(this.orientation.yaw) * Math.cos(this.orientation.pitch)) / 
-            velocityMagnitude
-        );
+        // The engines flame out once their feed runs dry
+        if (this.engineThrottle > 0 && !hasPropellant(this.tanks, this.propellantFeed)) {
+            this.engineThrottle = 0;
+        }
         
         // Calculate forces
-        const gravity = this.calculateGravity(altitude);
-        const aerodynamicForces = this.calculateAerodynamicForces(this.velocity, altitude, angleOfAttack);
         const controlForces = this.calculateControlForces(this.velocity, altitude, this.flapAngle);
-        const engineForces = this.calculateEngineForces(this.engineThrottle, this.orientation);
+        const propulsion = this.dynamics.calculateThrust(
+            [this.getEngineInput()], this.dynamics.atmosphere.getConditions(altitude).pressure
+        );
+        const rcsTorque = controls.rcsTorque || { roll: 0, pitch: 0, yaw: 0 };
+        const rcs = this.rcs.fire(new THREE.Vector3(-rcsTorque.pitch, rcsTorque.yaw, rcsTorque.roll), deltaTime);
+        this.rcsForce = rcs.force.applyQuaternion(this.orientationToQuaternion(this.orientation));
+        const torque = {
+            roll: controlForces.torque.roll + propulsion.torque.z + rcs.torque.z,
+            pitch: controlForces.torque.pitch - propulsion.torque.x - rcs.torque.x,
+            yaw: controlForces.torque.yaw + propulsion.torque.y + rcs.torque.y
+        };
         
         // Calculate heating
-        const heating = this.calculateAerodynamicHeating(this.velocity, altitude);
-        
-        // Calculate total force
-        const totalForce = {
-            x: aerodynamicForces.total.x + engineForces.x,
-            y: aerodynamicForces.total.y + engineForces.y - this.mass * gravity,
-            z: aerodynamicForces.total.z + engineForces.z
-        };
+        const heating = this.calculateAerodynamicHeating(this.velocity, altitude, deltaTime);
         
         // Calculate acceleration (F = ma)
-        this.acceleration = {
-            x: totalForce.x / this.mass,
-            y: totalForce.y / this.mass,
-            z: totalForce.z / this.mass
-        };
-        
-        // Update velocity (v = v0 + a*t)
-        this.velocity.x += this.acceleration.x * deltaTime;
-        this.velocity.y += this.acceleration.y * deltaTime;
-        this.velocity.z += this.acceleration.z * deltaTime;
-        
-        // Update position (p = p0 + v*t)
-        this.position.x += this.velocity.x * deltaTime;
-        this.position.y += this.velocity.y * deltaTime;
-        this.position.z += this.velocity.z * deltaTime;
-        
-        // Calculate angular acceleration from torques
-        const momentOfInertia = 1000000; // kg·m^2 (simplified)
-        const angularAcceleration = {
-            roll: controlForces.torque.roll / momentOfInertia,
-            pitch: controlForces.torque.pitch / momentOfInertia,
-            yaw: controlForces.torque.yaw / momentOfInertia
-        };
+        this.acceleration = this.calculateTranslationalAcceleration(this.position, this.velocity);
+        
+        // Integrate position and velocity
+        const result = integrateState(
+            this.integrator,
+            { position: this.position, velocity: this.velocity },
+            0,
+            deltaTime,
+            (t, position, velocity) => this.calculateTranslationalAcceleration(position, velocity),
+            { ...this.integratorOptions, acceleration: this.acceleration, stepSize: this.integratorStepSize }
+        );
+        Object.assign(this.position, result.position);
+        Object.assign(this.velocity, result.velocity);
+        this.integratorStepSize = result.stepSize;
         
-        // Update angular velocity
-        this.angularVelocity.roll += angularAcceleration.roll * deltaTime;
-        this.angularVelocity.pitch += angularAcceleration.pitch * deltaTime;
-        this.angularVelocity.yaw += angularAcceleration.yaw * deltaTime;
+        // Rotate as a rigid body under the flap, gimbal and thruster torques
+        this.updateAttitude(torque, deltaTime);
         
-        // Update orientation
-        this.orientation.roll += this.angularVelocity.roll * deltaTime;
-        this.orientation.pitch += this.angularVelocity.pitch * deltaTime;
-        this.orientation.yaw += this.angularVelocity.yaw * deltaTime;
+        // Burn propellant from the selected feed; the thrusters have already drawn theirs
+        if (propulsion.massFlow > 0) {
+            drawPropellant(this.tanks, this.propellantFeed, propulsion.massFlow * deltaTime);
+        }
+        this.updateMass();
         
         // Calculate distance to target
         this.calculateDistanceToTarget();
@@ -376,6 +674,8 @@ class ReentrySimulation {
             altitude: altitude,
             heatShieldTemperature: this.heatShieldTemperature,
             heatRate: this.heatRate,
+            burnThrough: heating.burnThrough,
+            mass: this.mass,
             distanceToTarget: this.distanceToTarget,
             touchdownVelocity: this.touchdownVelocity
         };
@@ -383,23 +683,28 @@ class ReentrySimulation {
     
     // Initialize reentry from orbital parameters
     initializeReentry(altitude, velocity, orientation) {
+        const pad = this.landingTargetPosition;
+        const up = this.dynamics.getLocalUp(pad);
         this.position = {
-            x: 0,
-            y: this.EARTH_RADIUS + altitude,
-            z: 0
+            x: pad.x + up.x * altitude,
+            y: pad.y + up.y * altitude,
+            z: pad.z + up.z * altitude
         };
         
         this.velocity = velocity;
         this.orientation = orientation;
+        this.heatShield.reset();
         this.heatShieldTemperature = 293; // K (ambient temperature)
         this.heatRate = 0;
         this.totalHeatLoad = 0;
         this.touchdownVelocity = 0;
+        this.landingGuidance.reset();
     }
     
     // Set landing target
     setLandingTarget(x, y, z) {
         this.landingTargetPosition = { x, y, z };
+        this.landingGuidance.reset(new THREE.Vector3(x, y, z));
     }
     
     // Reset the reentry simulation
@@ -409,13 +714,24 @@ class ReentrySimulation {
         this.acceleration = { x: 0, y: 0, z: 0 };
         this.orientation = { roll: 0, pitch: 0, yaw: 0 };
         this.angularVelocity = { roll: 0, pitch: 0, yaw: 0 };
+        this.heatShield.reset();
         this.heatShieldTemperature = 293;
         this.heatRate = 0;
         this.totalHeatLoad = 0;
-        this.flapAngle = { forward: { left: 0, right: 0 }, aft: { left: 0, right: 0 } };
+        this.controlAllocator.reset();
+        this.rcs.reset();
+        this.rcsForce = new THREE.Vector3();
+        this.flapAngle = this.getFlapAngles(this.controlAllocator.getAngles());
         this.engineThrottle = 0;
+        this.engineGimbal = { pitch: 0, yaw: 0 };
+        this.vacuumEngines = false;
+        this.setEngineHealth();
+        this.propellantFeed = PROPELLANT_FEEDS.HEADER;
+        this.loadPropellant();
         this.distanceToTarget = 0;
         this.touchdownVelocity = 0;
+        this.integratorStepSize = undefined;
+        this.landingGuidance.reset();
     }
 }
 
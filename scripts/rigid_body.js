@@ -0,0 +1,195 @@
+// Rigid-body attitude dynamics for SpaceX Starship Simulator
+// Quaternion attitude, Euler's equations with a full inertia tensor, and the
+// mass properties of a cylindrical stage whose propellant drains during flight
+import * as THREE from 'three';
+
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+
+/**
+ * Calculate mass properties of a cylindrical stage
+ * Dry structure is modeled as a thin-walled cylinder along the full length;
+ * propellant is a solid column settled at the bottom of the tank section, or one
+ * column per tank when the tanks are given.
+ * @param {Object} props - Stage properties
+ * @param {number} props.dryMass - Structure mass in kg
+ * @param {number} props.propellantMass - Current propellant mass in kg
+ * @param {number} props.propellantCapacity - Full propellant load in kg (defaults to propellantMass)
+ * @param {number} props.length - Stage length in m
+ * @param {number} props.diameter - Stage diameter in m
+ * @param {number} props.tankFraction - Fraction of the length, from the base, occupied by tanks (default 0.8)
+ * @param {string} props.longAxis - Body axis along the vehicle's length: 'x', 'y' or 'z' (default 'y')
+ * @param {Array<Object>} props.tanks - Separate tanks { mass, bottom, radius, density }, with bottom the
+ *   tank floor along the long axis; when given they replace the single propellant column
+ * @returns {Object} { mass, centerOfMass, inertia } with the center of mass relative to the
+ *   geometric center and the inertia tensor (THREE.Matrix3) about the center of mass
+ */
+export function calculateMassProperties(props) {
+    const {
+        dryMass,
+        propellantMass,
+        propellantCapacity = propellantMass,
+        length,
+        diameter,
+        tankFraction = 0.8,
+        longAxis = 'y',
+        tanks = null
+    } = props;
+
+    const radius = diameter / 2;
+
+    // Propellant columns: height and center along the long axis (base at -length/2)
+    let columns;
+    if (tanks) {
+        columns = tanks.map(tank => {
+            const height = tank.mass / (tank.density * Math.PI * tank.radius * tank.radius);
+            return { mass: tank.mass, radius: tank.radius, height, center: tank.bottom + height / 2 };
+        });
+    } else {
+        const fill = propellantCapacity > 0 ? Math.min(1, propellantMass / propellantCapacity) : 0;
+        const height = fill * tankFraction * length;
+        columns = [{ mass: propellantMass, radius, height, center: -length / 2 + height / 2 }];
+    }
+
+    const propellant = columns.reduce((sum, column) => sum + column.mass, 0);
+    const mass = dryMass + propellant;
+    const centerOffset = mass > 0 ?
+        columns.reduce((sum, column) => sum + column.mass * column.center, 0) / mass : 0;
+
+    // Axial moment: thin shell (m r²) plus solid columns (m r² / 2)
+    const axial = dryMass * radius * radius +
+        columns.reduce((sum, column) => sum + column.mass * column.radius * column.radius / 2, 0);
+
+    // Transverse moment about the combined center of mass (parallel axis theorem)
+    const shellTransverse = dryMass * (radius * radius / 2 + length * length / 12) +
+        dryMass * centerOffset * centerOffset;
+    const columnTransverse = columns.reduce((sum, column) => sum +
+        column.mass * (3 * column.radius * column.radius + column.height * column.height) / 12 +
+        column.mass * Math.pow(column.center - centerOffset, 2), 0);
+    const transverse = shellTransverse + columnTransverse;
+
+    const diagonal = [transverse, transverse, transverse];
+    diagonal[AXIS_INDEX[longAxis]] = axial;
+
+    const centerOfMass = new THREE.Vector3();
+    centerOfMass.setComponent(AXIS_INDEX[longAxis], centerOffset);
+
+    return {
+        mass,
+        centerOfMass,
+        inertia: new THREE.Matrix3().set(
+            diagonal[0], 0, 0,
+            0, diagonal[1], 0,
+            0, 0, diagonal[2]
+        )
+    };
+}
+
+// Time derivative of [qx, qy, qz, qw, wx, wy, wz]
+function attitudeDerivative(y, torque, inertia, inverseInertia, inertiaRate) {
+    const [qx, qy, qz, qw, wx, wy, wz] = y;
+    const omega = new THREE.Vector3(wx, wy, wz);
+
+    // Euler's equations: I·ω̇ = τ − ω × (I·ω) − İ·ω
+    const angularMomentum = omega.clone().applyMatrix3(inertia);
+    const netTorque = torque.clone().sub(omega.clone().cross(angularMomentum));
+    if (inertiaRate) {
+        netTorque.sub(omega.clone().applyMatrix3(inertiaRate));
+    }
+    const angularAcceleration = netTorque.applyMatrix3(inverseInertia);
+
+    // Quaternion kinematics with body-frame rates: q̇ = ½ q ⊗ (ω, 0)
+    return [
+        0.5 * (qw * wx + qy * wz - qz * wy),
+        0.5 * (qw * wy + qz * wx - qx * wz),
+        0.5 * (qw * wz + qx * wy - qy * wx),
+        -0.5 * (qx * wx + qy * wy + qz * wz),
+        angularAcceleration.x,
+        angularAcceleration.y,
+        angularAcceleration.z
+    ];
+}
+
+/**
+ * Advance a rigid body's attitude over one time step (RK4)
+ * @param {Object} body - Object with quaternion (THREE.Quaternion, body to world)
+ *   and angularVelocity (THREE.Vector3, body frame, rad/s); both are updated in place
+ * @param {THREE.Vector3} torque - Net external torque in the body frame (N·m)
+ * @param {THREE.Matrix3} inertia - Inertia tensor about the center of mass (kg·m²)
+ * @param {number} dt - Time step in seconds
+ * @param {THREE.Matrix3} inertiaRate - Rate of change of the inertia tensor (optional)
+ * @returns {THREE.Vector3} Angular acceleration at the start of the step (body frame)
+ */
+export function integrateAttitude(body, torque, inertia, dt, inertiaRate = null) {
+    const inverseInertia = inertia.clone().invert();
+    const q = body.quaternion;
+    const w = body.angularVelocity;
+    const y = [q.x, q.y, q.z, q.w, w.x, w.y, w.z];
+
+    const offset = (k, h) => y.map((value, i) => value + k[i] * h);
+    const k1 = attitudeDerivative(y, torque, inertia, inverseInertia, inertiaRate);
+    const k2 = attitudeDerivative(offset(k1, dt / 2), torque, inertia, inverseInertia, inertiaRate);
+    const k3 = attitudeDerivative(offset(k2, dt / 2), torque, inertia, inverseInertia, inertiaRate);
+    const k4 = attitudeDerivative(offset(k3, dt), torque, inertia, inverseInertia, inertiaRate);
+
+    const next = y.map((value, i) => value + dt * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) / 6);
+
+    q.set(next[0], next[1], next[2], next[3]).normalize();
+    w.set(next[4], next[5], next[6]);
+
+    return new THREE.Vector3(k1[4], k1[5], k1[6]);
+}
+
+/**
+ * Calculate angular momentum in the world frame
+ * @param {Object} body - Object with quaternion and body-frame angularVelocity
+ * @param {THREE.Matrix3} inertia - Inertia tensor about the center of mass
+ * @returns {THREE.Vector3} Angular momentum (kg·m²/s)
+ */
+export function calculateAngularMomentum(body, inertia) {
+    return body.angularVelocity.clone().applyMatrix3(inertia).applyQuaternion(body.quaternion);
+}
+
+/**
+ * Calculate the torque of a force applied at a point
+ * @param {THREE.Vector3} point - Application point relative to the body origin
+ * @param {THREE.Vector3} force - Force vector (same frame as point)
+ * @param {THREE.Vector3} centerOfMass - Center of mass relative to the body origin
+ * @returns {THREE.Vector3} Torque about the center of mass
+ */
+export function calculateTorque(point, force, centerOfMass) {
+    return point.clone().sub(centerOfMass).cross(force);
+}
+
+/**
+ * Set Euler angles from a quaternion, choosing the equivalent angle set closest
+ * to a reference so angles stay continuous (no ±π jumps or branch flips)
+ * @param {THREE.Euler} euler - Euler angles to update (its order is used)
+ * @param {THREE.Quaternion} quaternion - Attitude
+ * @param {THREE.Euler} reference - Previous angles to stay close to
+ * @returns {THREE.Euler} The updated euler
+ */
+export function setEulerFromQuaternionNear(euler, quaternion, reference) {
+    const primary = new THREE.Euler().setFromQuaternion(quaternion, euler.order);
+
+    // Every Tait-Bryan rotation has a second representation (a + π, π − b, c + π)
+    const candidates = [
+        [primary.x, primary.y, primary.z],
+        [primary.x + Math.PI, Math.PI - primary.y, primary.z + Math.PI]
+    ];
+    const target = [reference.x, reference.y, reference.z];
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        // Unwrap each angle to within π of the reference
+        const unwrapped = candidate.map((angle, i) =>
+            angle + 2 * Math.PI * Math.round((target[i] - angle) / (2 * Math.PI)));
+        const distance = unwrapped.reduce((sum, angle, i) => sum + Math.pow(angle - target[i], 2), 0);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = unwrapped;
+        }
+    }
+
+    return euler.set(best[0], best[1], best[2], euler.order);
+}
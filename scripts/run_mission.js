@@ -0,0 +1,340 @@
+// Command-line runner for headless Starship missions
+// Usage: node scripts/run_mission.js [--rate 100] [--max-time 7200] [--interval 1] [--staging-altitude 60000] [--integrator rk4]
+//            [--atmosphere day.csv] [--temperature-offset 15] [--aero-table ship=ship_aero.csv]
+//            [--launch-site starbase|kennedy|28.6,-80.6] [--target-orbit 200,200[,26]]
+//            [--q-bucket 15,22,0.6] [--acceleration-limit 4]
+//            [--staging-reserve 0.15] [--engine-failure superHeavy:outer_3@40[:thrust_loss[:0.5]]] [--random-failure-rate 0.0001]
+//            [--flip-altitude 2000] [--actuator-stuck superHeavy:grid_fin_2@380] [--time-warp 1000]
+//            [--maneuver apoapsis:20,0,0] [--maneuver hohmann:300] [--perturbations j2,drag]
+//            [--splashdown 20,-160,500] [--landing-pad -24.58,41.36] [--epoch 2026-10-01T12:00:00Z]
+// Writes one JSON snapshot per line to stdout and a mission summary to stderr
+import { readFileSync } from 'fs';
+import { runMission, MAX_TIME_WARP } from './simulation_core.js';
+import { parseAtmosphereTable } from './atmosphere.js';
+import { AeroDatabase } from './aero_database.js';
+import { MANEUVER_EVENTS } from './maneuver_planner.js';
+
+/**
+ * Parse command-line flags into run options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} Run options
+ */
+function parseArgs(args) {
+    const flags = {
+        '--rate': 'physicsRate',
+        '--max-time': 'maxMissionTime',
+        '--interval': 'snapshotInterval',
+        '--staging-altitude': 'stagingAltitude',
+        '--staging-reserve': 'stagingReserve',
+        '--catch-altitude': 'catchAltitude',
+        '--random-failure-rate': 'randomFailureRate'
+    };
+
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        // Integrator applies to both vehicles
+        if (args[i] === '--integrator') {
+            options.integrators = { superHeavy: args[i + 1], starship: args[i + 1] };
+            continue;
+        }
+
+        // Launch-day atmosphere: a table file and/or a temperature offset from standard
+        if (args[i] === '--atmosphere') {
+            options.atmosphere = { ...options.atmosphere, table: parseAtmosphereTable(readFileSync(args[i + 1], 'utf8')) };
+            continue;
+        }
+        if (args[i] === '--temperature-offset') {
+            const temperatureOffset = parseFloat(args[i + 1]);
+            if (!Number.isFinite(temperatureOffset)) {
+                throw new Error(`Invalid argument: ${args[i]} ${args[i + 1] ?? ''}`);
+            }
+            options.atmosphere = { ...options.atmosphere, temperatureOffset };
+            continue;
+        }
+
+        // Launch site by name or as latitude,longitude in degrees
+        if (args[i] === '--launch-site') {
+            options.launchSite = parseLaunchSite(args[i + 1]);
+            continue;
+        }
+
+        // Insertion target as perigee,apogee in km and optionally the inclination in degrees
+        if (args[i] === '--target-orbit') {
+            options.ascentGuidance = { target: parseTargetOrbit(args[i + 1]) };
+            continue;
+        }
+
+        // Max-Q throttle bucket as onset,full dynamic pressure in kPa and the throttle at full depth
+        if (args[i] === '--q-bucket') {
+            const [onset, full, minThrottle] = (args[i + 1] || '').split(',').map(parseFloat);
+            if (!(onset >= 0 && full > onset && minThrottle > 0 && minThrottle <= 1)) {
+                throw new Error(`Invalid q bucket: ${args[i + 1] ?? ''} (expected onset,full,minThrottle in kPa)`);
+            }
+            options.loads = {
+                ...options.loads,
+                bucket: { onsetPressure: onset * 1000, fullPressure: full * 1000, minThrottle }
+            };
+            continue;
+        }
+        if (args[i] === '--acceleration-limit') {
+            const accelerationLimit = parseFloat(args[i + 1]);
+            if (!(accelerationLimit > 0)) {
+                throw new Error(`Invalid argument: ${args[i]} ${args[i + 1] ?? ''}`);
+            }
+            options.loads = { ...options.loads, accelerationLimit };
+            continue;
+        }
+
+        // Repeatable: replace one configuration's aero database (stack, booster or ship) per flag
+        if (args[i] === '--aero-table') {
+            const [configuration, path] = (args[i + 1] || '').split('=');
+            if (!['stack', 'booster', 'ship'].includes(configuration) || !path) {
+                throw new Error(`Invalid aero table: ${args[i + 1] ?? ''} (expected stack|booster|ship=file)`);
+            }
+            options.aeroTables = {
+                ...options.aeroTables,
+                [configuration]: AeroDatabase.parse(readFileSync(path, 'utf8'), configuration)
+            };
+            continue;
+        }
+
+        // Altitude in m at which the returning ship starts its landing flip
+        if (args[i] === '--flip-altitude') {
+            const flipAltitude = parseFloat(args[i + 1]);
+            if (!(flipAltitude > 0)) {
+                throw new Error(`Invalid argument: ${args[i]} ${args[i + 1] ?? ''}`);
+            }
+            options.shipReturn = { ...options.shipReturn, flipAltitude };
+            continue;
+        }
+
+        // Warp for the ship's coasts on the rails
+        if (args[i] === '--time-warp') {
+            const timeWarp = parseFloat(args[i + 1]);
+            if (!(timeWarp >= 1 && timeWarp <= MAX_TIME_WARP)) {
+                throw new Error(`Invalid time warp: ${args[i + 1] ?? ''} (expected 1 to ${MAX_TIME_WARP})`);
+            }
+            options.timeWarp = timeWarp;
+            continue;
+        }
+
+        // Repeatable: one maneuver node per flag, flown in order once the ship is in orbit
+        if (args[i] === '--maneuver') {
+            options.maneuvers = [...(options.maneuvers || []), parseManeuver(args[i + 1])];
+            continue;
+        }
+
+        // Perturbations for the ship's decay prediction: j2 and/or drag, or none
+        if (args[i] === '--perturbations') {
+            const models = (args[i + 1] || '').split(',');
+            if (!models.every(model => ['j2', 'drag', 'none'].includes(model))) {
+                throw new Error(`Invalid perturbations: ${args[i + 1] ?? ''} (expected j2,drag or none)`);
+            }
+            options.shipReturn = {
+                ...options.shipReturn,
+                perturbations: { j2: models.includes('j2'), drag: models.includes('drag') }
+            };
+            continue;
+        }
+
+        // Planned splashdown zone the ship's predicted impact is checked against
+        if (args[i] === '--splashdown') {
+            options.shipReturn = { ...options.shipReturn, splashdownZone: parseSplashdownZone(args[i + 1]) };
+            continue;
+        }
+
+        // Landing pad the ship's entry and landing burn steer for
+        if (args[i] === '--landing-pad') {
+            options.shipReturn = { ...options.shipReturn, landingPad: parseLandingPad(args[i + 1]) };
+            continue;
+        }
+
+        // Calendar date at T+0, as an ISO date and time
+        if (args[i] === '--epoch') {
+            if (isNaN(Date.parse(args[i + 1]))) {
+                throw new Error(`Invalid epoch: ${args[i + 1] ?? ''} (expected an ISO date such as 2026-10-01T12:00:00Z)`);
+            }
+            options.epoch = args[i + 1];
+            continue;
+        }
+
+        // Repeatable: one scheduled engine failure per flag
+        if (args[i] === '--engine-failure') {
+            options.engineFailures = [...(options.engineFailures || []), parseEngineFailure(args[i + 1])];
+            continue;
+        }
+
+        // Repeatable: one actuator jammed in place per flag
+        if (args[i] === '--actuator-stuck') {
+            options.actuatorFailures = [...(options.actuatorFailures || []), parseActuatorFailure(args[i + 1])];
+            continue;
+        }
+
+        const key = flags[args[i]];
+        const value = parseFloat(args[i + 1]);
+
+        if (!key || !Number.isFinite(value)) {
+            throw new Error(`Invalid argument: ${args[i]} ${args[i + 1] ?? ''}`);
+        }
+        options[key] = value;
+    }
+
+    return options;
+}
+
+/**
+ * Parse a launch site given by name or as latitude,longitude
+ * @param {string} value - Site name or coordinates in degrees
+ * @returns {string|Object} SimulationCore launchSite option
+ */
+function parseLaunchSite(value = '') {
+    if (!value.includes(',')) {
+        if (!value) throw new Error('Invalid launch site: expected a name or latitude,longitude');
+        return value;
+    }
+
+    const [latitude, longitude] = value.split(',').map(parseFloat);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90) {
+        throw new Error(`Invalid launch site: ${value} (expected latitude,longitude in degrees)`);
+    }
+    return { name: value, latitude, longitude };
+}
+
+/**
+ * Parse an insertion target of the form perigee,apogee[,inclination]
+ * @param {string} value - Altitudes in km and inclination in degrees
+ * @returns {Object} AscentGuidance target in m and degrees
+ */
+function parseTargetOrbit(value = '') {
+    const [perigee, apogee, inclination] = value.split(',').map(parseFloat);
+    if (!Number.isFinite(perigee) || !Number.isFinite(apogee) || apogee < perigee ||
+        (inclination !== undefined && !(inclination >= 0 && inclination <= 180))) {
+        throw new Error(`Invalid target orbit: ${value} (expected perigee,apogee[,inclination] in km and degrees)`);
+    }
+
+    const target = { perigeeAltitude: perigee * 1000, apogeeAltitude: apogee * 1000 };
+    if (inclination !== undefined) target.inclination = inclination;
+    return target;
+}
+
+/**
+ * Parse a scheduled engine failure of the form vehicle:engine@time[:type[:thrustFraction]]
+ * The engine may be * for a random burning engine.
+ * @param {string} value - Failure description
+ * @returns {Object} Failure for SimulationCore's engineFailures option
+ */
+function parseEngineFailure(value = '') {
+    const [target, timing] = value.split('@');
+    const [vehicleId, engineId] = (target || '').split(':');
+    const [time, type, thrustFraction] = (timing || '').split(':');
+
+    const failure = {
+        vehicleId,
+        engineId: engineId === '*' ? null : engineId,
+        time: parseFloat(time)
+    };
+    if (type) failure.type = type;
+    if (thrustFraction) failure.thrustFraction = parseFloat(thrustFraction);
+
+    if (!vehicleId || !engineId || !Number.isFinite(failure.time)) {
+        throw new Error(`Invalid engine failure: ${value} (expected vehicle:engine@time[:type[:thrustFraction]])`);
+    }
+    return failure;
+}
+
+/**
+ * Parse a maneuver node of the form event:prograde[,normal[,radial]] or hohmann:altitude
+ * The event is periapsis, apoapsis, ascending_node or a mission time in seconds.
+ * @param {string} value - Node description, velocity changes in m/s and the altitude in km
+ * @returns {Object} Node for SimulationCore's maneuvers option
+ */
+function parseManeuver(value = '') {
+    const [event, components] = value.split(':');
+    if (event === 'hohmann') {
+        const altitude = parseFloat(components);
+        if (!(altitude > 0)) {
+            throw new Error(`Invalid maneuver: ${value} (expected hohmann:altitude in km)`);
+        }
+        return { hohmannAltitude: altitude * 1000 };
+    }
+
+    const [prograde, normal = 0, radial = 0] = (components || '').split(',').map(parseFloat);
+    const time = parseFloat(event);
+    const timed = Number.isFinite(time);
+    if ((!timed && !Object.values(MANEUVER_EVENTS).includes(event)) || event === MANEUVER_EVENTS.TIME ||
+        ![prograde, normal, radial].every(Number.isFinite)) {
+        throw new Error(`Invalid maneuver: ${value} (expected periapsis|apoapsis|ascending_node|time:prograde[,normal[,radial]])`);
+    }
+    return timed ?
+        { event: MANEUVER_EVENTS.TIME, time, prograde, normal, radial } :
+        { event, prograde, normal, radial };
+}
+
+/**
+ * Parse a splashdown zone of the form latitude,longitude,radius
+ * @param {string} value - Zone center in degrees and radius in km
+ * @returns {Object} ShipReturn splashdownZone in degrees and m
+ */
+function parseSplashdownZone(value = '') {
+    const [latitude, longitude, radius] = value.split(',').map(parseFloat);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || !(radius > 0)) {
+        throw new Error(`Invalid splashdown zone: ${value} (expected latitude,longitude,radius in degrees and km)`);
+    }
+    return { latitude, longitude, radius: radius * 1000 };
+}
+
+/**
+ * Parse a landing pad of the form latitude,longitude
+ * @param {string} value - Pad position in degrees
+ * @returns {Object} ShipReturn landingPad in degrees
+ */
+function parseLandingPad(value = '') {
+    const [latitude, longitude] = value.split(',').map(parseFloat);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90) {
+        throw new Error(`Invalid landing pad: ${value} (expected latitude,longitude in degrees)`);
+    }
+    return { latitude, longitude };
+}
+
+/**
+ * Parse a stuck actuator of the form vehicle:actuator@time
+ * @param {string} value - Failure description
+ * @returns {Object} Failure for SimulationCore's actuatorFailures option
+ */
+function parseActuatorFailure(value = '') {
+    const [target, time] = value.split('@');
+    const [vehicleId, actuatorId] = (target || '').split(':');
+
+    const failure = { vehicleId, actuatorId, time: parseFloat(time) };
+    if (!vehicleId || !actuatorId || !Number.isFinite(failure.time)) {
+        throw new Error(`Invalid actuator failure: ${value} (expected vehicle:actuator@time)`);
+    }
+    return failure;
+}
+
+// Physics modules report progress with console.log; keep stdout for snapshots only
+console.log = (...args) => console.error(...args);
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    const result = runMission({
+        ...options,
+        onSnapshot: snapshot => process.stdout.write(JSON.stringify(snapshot) + '\n')
+    });
+
+    console.error(JSON.stringify({
+        completed: result.completed,
+        missionTime: result.missionTime,
+        finalPhase: result.finalPhase,
+        finalStatus: result.finalStatus,
+        outcome: result.outcome,
+        shipOutcome: result.shipOutcome,
+        driftReport: result.driftReport,
+        events: result.events
+    }, null, 2));
+
+    process.exitCode = result.outcome === 'caught' && result.shipOutcome === 'landed' ? 0 : 1;
+} catch (error) {
+    console.error('Mission run failed:', error.message);
+    process.exitCode = 2;
+}
@@ -0,0 +1,68 @@
+// Command-line porkchop plot generator for Earth–Mars transfer windows
+// Usage: node scripts/run_porkchop.js [--departure 2026-08-01,2027-02-01[,5]] [--arrival 2027-03-01,2028-01-01[,5]]
+//            [--parking-altitude 200] [--capture-altitude 250|none] [--min-time-of-flight 60]
+// Writes the porkchop grids as JSON to stdout and the best transfer to stderr
+import { generatePorkchop } from './porkchop.js';
+
+/**
+ * Parse command-line flags into porkchop options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} generatePorkchop options
+ */
+function parseArgs(args) {
+    const options = {
+        departure: { start: '2026-08-01', end: '2027-02-01', step: 5 },
+        arrival: { start: '2027-03-01', end: '2028-01-01', step: 5 }
+    };
+
+    for (let i = 0; i < args.length; i += 2) {
+        // Date sweeps as start,end[,step in days]
+        if (args[i] === '--departure' || args[i] === '--arrival') {
+            options[args[i].slice(2)] = parseDateRange(args[i + 1]);
+            continue;
+        }
+
+        // Capture orbit altitude in km, or none for a direct entry
+        if (args[i] === '--capture-altitude' && args[i + 1] === 'none') {
+            options.captureAltitude = null;
+            continue;
+        }
+
+        const key = {
+            '--parking-altitude': 'parkingAltitude',
+            '--capture-altitude': 'captureAltitude',
+            '--min-time-of-flight': 'minTimeOfFlight'
+        }[args[i]];
+        const value = parseFloat(args[i + 1]);
+        if (!key || !(value >= 0)) {
+            throw new Error(`Invalid argument: ${args[i]} ${args[i + 1] ?? ''}`);
+        }
+        options[key] = key === 'minTimeOfFlight' ? value : value * 1000;
+    }
+
+    return options;
+}
+
+/**
+ * Parse a date sweep of the form start,end[,step]
+ * @param {string} value - ISO dates and the step in days
+ * @returns {Object} { start, end, step }
+ */
+function parseDateRange(value = '') {
+    const [start, end, step = '5'] = value.split(',');
+    const range = { start, end, step: parseFloat(step) };
+    if (isNaN(Date.parse(start)) || isNaN(Date.parse(end)) || Date.parse(end) < Date.parse(start) || !(range.step > 0)) {
+        throw new Error(`Invalid date range: ${value} (expected start,end[,step] as YYYY-MM-DD and days)`);
+    }
+    return range;
+}
+
+try {
+    const porkchop = generatePorkchop(parseArgs(process.argv.slice(2)));
+    process.stdout.write(JSON.stringify(porkchop) + '\n');
+    console.error(JSON.stringify({ best: porkchop.best }, null, 2));
+    process.exitCode = porkchop.best ? 0 : 1;
+} catch (error) {
+    console.error('Porkchop run failed:', error.message);
+    process.exitCode = 2;
+}
@@ -0,0 +1,986 @@
+// Ship return for SpaceX Starship Simulator
+// Deorbit, belly-first entry on the flaps, the subsonic belly-flop and the landing flip,
+// flown on the ReentrySimulation model
+import * as THREE from 'three';
+import { ReentrySimulation } from './reentry_simulation.js';
+import { OrbitalMechanics } from './orbital_mechanics.js';
+import { KeplerPropagator } from './orbit_propagator.js';
+import { DecayPredictor, getGreatCircleDistance } from './orbit_decay.js';
+import { ManeuverPlanner, BurnAutopilot, MANEUVER_EVENTS, getNodeFrame } from './maneuver_planner.js';
+import { PROPELLANT_FEEDS, getPropellantMass } from './propellant_tanks.js';
+import { INTEGRATOR_TYPES, integrateState } from './integrators.js';
+
+const DEGREES = Math.PI / 180;
+
+const toVector = vector => new THREE.Vector3(vector.x, vector.y, vector.z);
+
+// Turns the reentry model's body frame (nose along +Z) into the physics engine's (nose along +Y)
+const NOSE_Y_FROM_Z = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
+
+export const RETURN_PHASES = {
+    ORBIT: 'orbit', // Coasting after insertion, turning to the deorbit burn attitude
+    MANEUVER: 'maneuver', // Flying a planned maneuver node on the vacuum Raptors
+    DEORBIT: 'deorbit', // Retrograde burn lowering perigee into the atmosphere
+    COAST: 'coast', // Falling to entry interface, held at the entry attitude
+    ENTRY: 'entry', // Hypersonic, belly-first at the entry angle of attack
+    BELLY_FLOP: 'belly_flop', // Subsonic, falling broadside with the nose on the horizon
+    FLIP: 'flip', // Engines lit, swinging nose-up
+    LANDING_BURN: 'landing_burn', // Powered descent to the ground below
+    LANDED: 'landed',
+    CRASHED: 'crashed',
+    BURNED_THROUGH: 'burned_through' // Lost in flight when a heat-shield region went past its limit
+};
+
+// Smallest value of a function of one variable, taken to have a single minimum between low and high
+function minimizeGoldenSection(f, low, high, iterations) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let left = high - ratio * (high - low);
+    let right = low + ratio * (high - low);
+    let leftValue = f(left);
+    let rightValue = f(right);
+    for (let i = 0; i < iterations; i++) {
+        if (leftValue < rightValue) {
+            high = right;
+            right = left;
+            rightValue = leftValue;
+            left = high - ratio * (high - low);
+            leftValue = f(left);
+        } else {
+            low = left;
+            left = right;
+            leftValue = rightValue;
+            right = low + ratio * (high - low);
+            rightValue = f(right);
+        }
+    }
+    return leftValue < rightValue ? { x: left, value: leftValue } : { x: right, value: rightValue };
+}
+
+/**
+ * Nose and top of the ship for a belly-first entry
+ * @param {THREE.Vector3} velocity - Local (air-relative) velocity
+ * @param {THREE.Vector3} up - Local vertical
+ * @param {number} angleOfAttack - Angle of attack in rad
+ * @param {number} bank - Bank of the lift in rad, positive to the left of the direction of flight
+ * @returns {Object} { nose, top } unit vectors (local)
+ */
+function getEntryAxes(velocity, up, angleOfAttack, bank) {
+    const direction = velocity.clone().normalize();
+    const above = up.clone().addScaledVector(direction, -up.dot(direction)).normalize();
+    const left = above.clone().cross(direction);
+    const lift = above.multiplyScalar(Math.cos(bank)).addScaledVector(left, Math.sin(bank));
+    return {
+        nose: direction.clone().multiplyScalar(Math.cos(angleOfAttack)).addScaledVector(lift, Math.sin(angleOfAttack)),
+        top: lift.clone().multiplyScalar(Math.cos(angleOfAttack)).addScaledVector(direction, -Math.sin(angleOfAttack))
+    };
+}
+
+/**
+ * Flies Starship home from orbit
+ * The deorbit burn runs retrograde until the perigee is down to deorbitPerigee. Outside the
+ * atmosphere the cold-gas RCS turns and holds the ship, and the burn waits until it has the nose
+ * on retrograde; once the engines are lit, and from entry interface on, an attitude controller
+ * turns commanded attitudes into roll, pitch and yaw torques that ReentrySimulation.allocateControls
+ * spreads over the four flaps and the engine gimbal, with the RCS making up what they leave unmet
+ * when the allocation saturates. Given a landing pad, the entry is flown ahead every few seconds and
+ * the lift banked to bring the glide down on the pad, and the landing burn diverts from the point
+ * the ship's own path carries it to toward the pad; the touchdown reports the miss distance from the
+ * pad. Without one the burn aims at that point and the touchdown is reported by where it came down.
+ * Flipping late leaves the burn too little height to stop in and the ship hits the ground; flipping
+ * early leaves it hovering above a plan it has already run out of, with engines that cannot throttle
+ * below its weight. The heat shield is heated region by region on the way down; the ship is lost the
+ * moment one burns through.
+ *
+ * Maneuver nodes planned in orbit are flown first, in order, by a burn autopilot on the vacuum
+ * Raptors and the main tanks; the deorbit burn waits until the last is done and deorbitDelay more
+ * seconds have passed.
+ *
+ * Waiting in orbit and falling to entry interface, once the engines are off, the thrusters have
+ * settled the ship at its hold attitude and drag is too small to count, the ship goes on the rails:
+ * it coasts on its Kepler orbit held at that attitude, however long the step, instead of being
+ * integrated. It comes off them to turn for a maneuver or the deorbit burn, at entry interface or
+ * when drag builds up.
+ *
+ * On reaching orbit, after each maneuver and after the deorbit burn, the ship's orbit is run forward
+ * to predict when it would decay to entry interface with no further burns and where it would come
+ * down, against a planned splashdown zone if one is given.
+ */
+export class ShipReturn {
+    /**
+     * @param {EarthFrame} earthFrame - Launch site frame the physics engine flies in
+     * @param {Object} options - Return options
+     * @param {number} options.deorbitDelay - Seconds in orbit before the deorbit burn may light
+     * @param {number} options.deorbitPerigee - Perigee altitude (m) the deorbit burn aims for
+     * @param {number} options.entryInterface - Altitude (m) where the flaps take over the attitude
+     * @param {number} options.entryAngleOfAttack - Angle of attack (degrees) held through entry
+     * @param {number} options.bellyFlopMach - Mach number below which the ship falls belly-first
+     * @param {number} options.flipAltitude - Altitude (m) of the ship's center when the flip starts on
+     *   every landing engine
+     * @param {number} options.flipRate - Largest turn rate (degrees/s) of the flip
+     * @param {number} options.flipThrottle - Engine throttle through the flip
+     * @param {number} options.landingSpeed - Fastest touchdown (m/s) the legs survive
+     * @param {number} options.landingTilt - Largest tilt (degrees) from the vertical at touchdown
+     * @param {number} options.railsDrag - Drag deceleration (m/s²) above which the ship is integrated
+     *   instead of coasting on the rails
+     * @param {Object} options.burnAutopilot - BurnAutopilot options: turnLead (s), alignment (degrees),
+     *   tolerance (m/s), throttleDownTime (s) and minThrottle
+     * @param {Object} options.perturbations - { j2, drag } perturbations for the decay prediction, J2
+     *   also on the rails (default drag only)
+     * @param {Object} options.splashdownZone - Planned splashdown zone { latitude, longitude, radius } in
+     *   degrees and m the predicted impact is checked against
+     * @param {Object} options.landingPad - Landing pad { latitude, longitude } in degrees the entry and
+     *   landing burn steer for, or null to come down wherever the ship's path leads
+     * @param {number} options.maxBank - Largest bank (degrees) of the lift while steering for the pad
+     */
+    constructor(earthFrame, options = {}) {
+        this.earthFrame = earthFrame;
+        this.deorbitDelay = options.deorbitDelay ?? 60;
+        this.deorbitPerigee = options.deorbitPerigee ?? 20000;
+        this.entryInterface = options.entryInterface ?? 120000;
+        this.entryAngleOfAttack = (options.entryAngleOfAttack ?? 70) * DEGREES;
+        this.bellyFlopMach = options.bellyFlopMach ?? 0.8;
+        this.flipAltitude = options.flipAltitude ?? 2000;
+        this.flipRate = (options.flipRate ?? 30) * DEGREES;
+        this.flipThrottle = options.flipThrottle ?? 0.4;
+        this.landingSpeed = options.landingSpeed ?? 6;
+        this.landingTilt = (options.landingTilt ?? 10) * DEGREES;
+        this.railsDrag = options.railsDrag ?? 1e-4;
+        this.perturbations = { j2: false, drag: true, ...options.perturbations };
+        this.splashdownZone = options.splashdownZone || null;
+        this.landingPad = options.landingPad || null;
+        this.maxBank = (options.maxBank ?? 60) * DEGREES;
+        this.entryGuidanceCycle = 10; // s between entry predictions when steering for the pad
+        this.bankRate = 0.5 * DEGREES; // rad/s, fastest change of bank
+        this.bankRolloutMach = 3; // Mach below which the bank is rolled out, level for the belly-flop
+        this.bankReversalMargin = 2000; // m the pad may lie across the unbanked glide before the bank reverses
+        this.entryRate = 5 * DEGREES; // Largest turn rate on the flaps alone
+        this.flipTolerance = 10 * DEGREES; // Tilt at which the landing burn takes over from the flip
+        this.burnAlignment = 5 * DEGREES; // Nose-to-retrograde angle at which the deorbit burn may light
+        this.attitudeGain = 2; // 1/s, attitude error to commanded rate
+        this.rateGain = 4; // 1/s, rate error to angular acceleration
+
+        this.reentry = new ReentrySimulation({ earthFrame });
+        // Orbits under the same gravity the ship is integrated in
+        const mu = this.reentry.dynamics.gravity.mu;
+        this.orbitalMechanics = new OrbitalMechanics({ mu });
+        this.propagator = new KeplerPropagator(earthFrame, { mu, j2: this.perturbations.j2 });
+        this.decayPredictor = new DecayPredictor(earthFrame, {
+            mu,
+            atmosphere: this.reentry.dynamics.atmosphere,
+            ...this.perturbations,
+            reentryAltitude: this.entryInterface
+        });
+        this.maneuverPlanner = new ManeuverPlanner({ mu, radius: earthFrame.radius });
+        this.autopilot = new BurnAutopilot(options.burnAutopilot);
+        this.reset();
+    }
+
+    /**
+     * Clear the return for a new mission
+     */
+    reset() {
+        this.phase = null;
+        this.phaseTime = 0;
+        this.missionTime = 0;
+        this.heading = null; // Horizontal direction of flight (local), held from the belly-flop on
+        this.perigeeAltitude = null;
+        this.deorbitDeltaV = 0;
+        this.ventedPropellant = 0;
+        this.entryBank = null; // Bank toward the pad { bank, target, time, planTime (of the target) }
+        this.aimPoint = null; // Surface point the landing burn aims at: the pad or as near it as the burn reaches
+        this.touchdown = null;
+        this.burnThrough = null;
+        this.railsTime = 0; // s coasted on the rails
+        this.railsRelease = null; // Why the ship last came off the rails
+        this.decayPrediction = null;
+        this.propagator.reset();
+        this.autopilot.reset();
+        this.reentry.reset();
+    }
+
+    /**
+     * Take over the ship in orbit
+     * @param {Object} state - Ship state in the local frame
+     * @param {THREE.Vector3} state.position - Position in m
+     * @param {THREE.Vector3} state.velocity - Velocity in m/s
+     * @param {THREE.Quaternion} state.quaternion - Attitude of the physics vehicle (nose along body +Y)
+     * @param {Object} state.tanks - Propellant in kg keyed by tank id
+     * @param {Object} state.engineHealth - Fraction of rated thrust keyed by engine id, 0 for an engine
+     *   out (defaults to every engine healthy)
+     * @param {number} state.rcsPropellant - RCS propellant in kg (defaults to full)
+     * @param {number} missionTime - Mission time in seconds
+     */
+    start(state, missionTime) {
+        this.reset();
+        const reentry = this.reentry;
+        reentry.rcs.load(state.rcsPropellant ?? reentry.rcs.capacity);
+        reentry.loadPropellant(state.tanks);
+        reentry.setEngineHealth(state.engineHealth);
+        reentry.position = { x: state.position.x, y: state.position.y, z: state.position.z };
+        reentry.velocity = { x: state.velocity.x, y: state.velocity.y, z: state.velocity.z };
+        reentry.orientation = reentry.quaternionToOrientation(state.quaternion.clone().multiply(NOSE_Y_FROM_Z));
+        this.missionTime = missionTime;
+        this.setPhase(RETURN_PHASES.ORBIT);
+        this.predictDecay();
+    }
+
+    /**
+     * Whether the ship is down, landed or crashed, or lost to burn-through
+     * @returns {boolean} True once the return is over
+     */
+    isComplete() {
+        return this.phase === RETURN_PHASES.LANDED || this.phase === RETURN_PHASES.CRASHED ||
+            this.phase === RETURN_PHASES.BURNED_THROUGH;
+    }
+
+    /**
+     * Switch return phase
+     * @param {string} phase - RETURN_PHASES value
+     */
+    setPhase(phase) {
+        this.phase = phase;
+        this.phaseTime = 0;
+    }
+
+    /**
+     * Whether the ship is coasting on its Kepler orbit
+     * @returns {boolean} True while on the rails
+     */
+    isOnRails() {
+        return this.propagator.isEngaged();
+    }
+
+    /**
+     * Advance the return
+     * On the rails the step is coasted; if they end partway, the rest of it is flown.
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} Return state (see getState)
+     */
+    update(dt) {
+        if (!this.phase || this.isComplete()) {
+            return this.getState();
+        }
+
+        if (this.isOnRails()) {
+            dt -= this.coast(dt).elapsed;
+            if (!(dt > 0)) {
+                return this.getState();
+            }
+        }
+
+        this.missionTime += dt;
+        this.phaseTime += dt;
+
+        const reentry = this.reentry;
+        const altitude = reentry.calculateAltitude(reentry.position);
+        const step = reentry.update(dt, this.getControls(altitude, dt));
+        if (step.burnThrough) {
+            this.burnThrough = { ...step.burnThrough, altitude, missionTime: this.missionTime };
+            this.setPhase(RETURN_PHASES.BURNED_THROUGH);
+            reentry.engineThrottle = 0;
+            return this.getState();
+        }
+        if (this.phase === RETURN_PHASES.MANEUVER && this.autopilot.active.ignitionTime !== null) {
+            this.recordManeuverBurn(altitude, dt);
+        }
+        if (this.phase === RETURN_PHASES.DEORBIT) {
+            const thrust = reentry.calculateEngineForces(reentry.engineThrottle, reentry.orientation, altitude);
+            this.deorbitDeltaV += Math.sqrt(thrust.x * thrust.x + thrust.y * thrust.y + thrust.z * thrust.z) /
+                reentry.mass * dt;
+        }
+        this.checkTouchdown();
+        this.checkRails();
+
+        return this.getState();
+    }
+
+    /**
+     * Plan a maneuver node and queue it for the autopilot
+     * The node goes on the orbit the ship will be on by then: the one the last queued node leaves
+     * it on, or the one it is on now.
+     * @param {Object} spec - { event (MANEUVER_EVENTS, default a timed node), time (mission s, for a timed
+     *   node), prograde, normal, radial (m/s) }
+     * @returns {Object|null} Queued node with its id (see ManeuverPlanner.plan), or null if it cannot be planned
+     */
+    planManeuver(spec) {
+        const reentry = this.reentry;
+        if (this.phase !== RETURN_PHASES.ORBIT && this.phase !== RETURN_PHASES.MANEUVER) {
+            console.warn('Maneuver nodes can only be planned in orbit');
+            return null;
+        }
+        if (!Object.values(MANEUVER_EVENTS).includes(spec.event ?? MANEUVER_EVENTS.TIME)) {
+            console.warn(`Unknown maneuver event ${spec.event}`);
+            return null;
+        }
+
+        const last = this.autopilot.getLast() || this.autopilot.active?.node || null;
+        const start = last ?
+            { position: last.inertial.position, velocity: last.inertial.velocityAfter, time: last.time, mass: last.finalMass } :
+            {
+                ...this.earthFrame.localToEci(reentry.position, reentry.velocity, this.missionTime),
+                time: this.missionTime,
+                mass: reentry.mass
+            };
+        const lead = this.autopilot.turnLead + (last ? last.burnDuration / 2 : 0);
+        const node = this.maneuverPlanner.plan(spec, start, this.getBurnEngine(), lead);
+        if (!node || !(node.deltaV.magnitude > 0)) {
+            console.warn('Maneuver node has no burn or is never reached');
+            return null;
+        }
+
+        const queued = [...this.autopilot.nodes, this.autopilot.active?.node].filter(Boolean);
+        const available = getPropellantMass(reentry.tanks, PROPELLANT_FEEDS.MAIN) -
+            queued.reduce((total, queuedNode) => total + queuedNode.propellant, 0);
+        if (node.propellant > available) {
+            console.warn(`Maneuver node needs ${(node.propellant / 1000).toFixed(1)} t of propellant, ` +
+                `${(Math.max(0, available) / 1000).toFixed(1)} t left in the main tanks`);
+        }
+        return this.autopilot.add(node);
+    }
+
+    /**
+     * Plan a Hohmann transfer from the orbit the ship will be on to a circular orbit
+     * @param {number} altitude - Target altitude in m
+     * @returns {Array<Object>} Queued nodes
+     */
+    planHohmannTransfer(altitude) {
+        const reentry = this.reentry;
+        const last = this.autopilot.getLast() || this.autopilot.active?.node || null;
+        let orbit = last?.orbit;
+        if (!orbit) {
+            const inertial = this.earthFrame.localToEci(reentry.position, reentry.velocity, this.missionTime);
+            orbit = this.maneuverPlanner.getOrbit(inertial.position, inertial.velocity);
+        }
+        return this.maneuverPlanner.getHohmannNodes(orbit, altitude)
+            .map(spec => this.planManeuver(spec))
+            .filter(Boolean);
+    }
+
+    /**
+     * Vacuum Raptors as the planner and autopilot see them
+     * @returns {Object} { thrust (N in vacuum), isp (s in vacuum) }
+     */
+    getBurnEngine() {
+        const reentry = this.reentry;
+        return {
+            thrust: reentry.dynamics.propulsion.getThrust(reentry.vacuumEngine, 0),
+            isp: reentry.vacuumEngine.vacuumIsp
+        };
+    }
+
+    /**
+     * Steer and throttle the active maneuver burn, holding the ship on the thrusters
+     * @returns {Object} Controls for ReentrySimulation.update
+     */
+    flyManeuver() {
+        const reentry = this.reentry;
+        const up = reentry.dynamics.getLocalUp(reentry.position);
+        const nose = this.earthFrame.localToEciDirection(reentry.getNoseAxis(), this.missionTime);
+        const command = this.autopilot.getCommand(this.missionTime, nose, this.getBurnEngine().thrust / reentry.mass);
+        const direction = this.earthFrame.eciToLocalDirection(command.direction, this.missionTime);
+
+        return {
+            ...this.hold(this.getAttitude(direction, up)),
+            engineThrottle: command.throttle,
+            vacuumEngines: true,
+            propellantFeed: PROPELLANT_FEEDS.MAIN
+        };
+    }
+
+    /**
+     * Count this step's thrust against the active burn and end it once it is done or the main
+     * tanks run dry
+     * @param {number} altitude - Altitude of the ship's center in m
+     * @param {number} dt - Time step in seconds
+     */
+    recordManeuverBurn(altitude, dt) {
+        const reentry = this.reentry;
+        const thrust = reentry.calculateEngineForces(reentry.engineThrottle, reentry.orientation, altitude);
+        const deltaV = this.earthFrame.localToEciDirection(thrust, this.missionTime).multiplyScalar(dt / reentry.mass);
+        const nextDeltaV = this.getBurnEngine().thrust * this.autopilot.minThrottle / reentry.mass * dt;
+        const done = this.autopilot.record(deltaV, this.missionTime, nextDeltaV);
+        if (!done && getPropellantMass(reentry.tanks, PROPELLANT_FEEDS.MAIN) > 0) return;
+
+        // Residual in the node's own directions
+        const { node, remaining } = this.autopilot.active;
+        const frame = getNodeFrame(node.inertial.position, node.inertial.velocity);
+        const inertial = this.earthFrame.localToEci(reentry.position, reentry.velocity, this.missionTime);
+        this.autopilot.finish(this.maneuverPlanner.getOrbit(inertial.position, inertial.velocity), {
+            prograde: remaining.dot(frame.prograde),
+            normal: remaining.dot(frame.normal),
+            radial: remaining.dot(frame.radial)
+        });
+        reentry.engineThrottle = 0;
+        this.setPhase(RETURN_PHASES.ORBIT);
+        this.predictDecay();
+    }
+
+    /**
+     * Predict when and where the ship's orbit decays if it flies no more burns
+     * The ship counts as falling belly-first, as the rails' drag check has it.
+     * @returns {Object} Prediction (see DecayPredictor.predict) with the missionTime it was made at
+     */
+    predictDecay() {
+        const reentry = this.reentry;
+        this.decayPrediction = {
+            ...this.decayPredictor.predict(
+                { position: reentry.position, velocity: reentry.velocity, time: this.missionTime },
+                { mass: reentry.mass, dragArea: reentry.broadsideDragCoefficient * reentry.crossSectionalArea },
+                this.splashdownZone
+            ),
+            missionTime: this.missionTime
+        };
+        return this.decayPrediction;
+    }
+
+    /**
+     * Seconds the ship may go on waiting in orbit
+     * @returns {number} Time until it has to turn for the next maneuver node or, with none queued,
+     *   until the deorbit burn is due
+     */
+    getOrbitWait() {
+        const next = this.autopilot.getNext();
+        return next ? next.startTime - this.autopilot.turnLead - this.missionTime : this.deorbitDelay - this.phaseTime;
+    }
+
+    /**
+     * Put the ship on the rails if nothing but gravity is acting on it
+     */
+    checkRails() {
+        const reentry = this.reentry;
+        const coasting = this.phase === RETURN_PHASES.COAST ||
+            (this.phase === RETURN_PHASES.ORBIT && this.getOrbitWait() > 0);
+        if (!coasting || reentry.engineThrottle > 0 || reentry.rcs.firing.length > 0 ||
+            this.getDragAcceleration(reentry.position, reentry.velocity) > this.railsDrag) {
+            return;
+        }
+        this.propagator.engage(reentry.position, reentry.velocity, this.missionTime);
+    }
+
+    /**
+     * Coast on the rails
+     * The ship is held at its attitude for the phase and moved along its orbit. The coast stops
+     * short where it has to turn for a maneuver or the deorbit burn, at entry interface or where
+     * drag builds up, and the ship comes off the rails there.
+     * @param {number} duration - Longest coast in seconds
+     * @returns {Object} { elapsed (s coasted), released (why the ship came off the rails, or null) }
+     */
+    coast(duration) {
+        const reentry = this.reentry;
+        const span = this.phase === RETURN_PHASES.ORBIT ? Math.min(duration, Math.max(0, this.getOrbitWait())) : duration;
+        const result = this.propagator.propagate(this.missionTime, span, state =>
+            reentry.calculateAltitude(state.position) <= this.entryInterface ||
+            this.getDragAcceleration(state.position, state.velocity) > this.railsDrag);
+
+        this.missionTime += result.elapsed;
+        this.phaseTime += result.elapsed;
+        this.railsTime += result.elapsed;
+        const { position, velocity } = result.state;
+        reentry.position = { x: position.x, y: position.y, z: position.z };
+        reentry.velocity = { x: velocity.x, y: velocity.y, z: velocity.z };
+        reentry.angularVelocity = { roll: 0, pitch: 0, yaw: 0 };
+        reentry.rcsForce = new THREE.Vector3();
+
+        const up = reentry.dynamics.getLocalUp(reentry.position);
+        reentry.orientation = reentry.quaternionToOrientation(this.phase === RETURN_PHASES.ORBIT ?
+            this.getAttitude(this.getRetrograde(), up) :
+            this.getEntryAttitude(velocity, up));
+        reentry.acceleration = reentry.calculateTranslationalAcceleration(reentry.position, reentry.velocity);
+
+        let released = null;
+        if (result.stopped) {
+            released = reentry.calculateAltitude(reentry.position) <= this.entryInterface ? 'entry_interface' : 'drag';
+        } else if (this.phase === RETURN_PHASES.ORBIT && this.getOrbitWait() <= 1e-6) {
+            released = this.autopilot.getNext() ? 'maneuver' : 'deorbit_burn';
+        }
+        if (released) {
+            this.propagator.reset();
+            this.railsRelease = released;
+        }
+        return { elapsed: result.elapsed, released };
+    }
+
+    /**
+     * Drag deceleration on the ship falling belly-first
+     * @param {THREE.Vector3|Object} position - Local position in m
+     * @param {THREE.Vector3|Object} velocity - Local (air-relative) velocity in m/s
+     * @returns {number} Deceleration in m/s²
+     */
+    getDragAcceleration(position, velocity) {
+        const reentry = this.reentry;
+        const density = reentry.dynamics.getEnvironment(position).density;
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+        return reentry.dynamics.aerodynamics.getDynamicPressure(density, speed) *
+            reentry.broadsideDragCoefficient * reentry.crossSectionalArea / reentry.mass;
+    }
+
+    /**
+     * Retrograde direction: against the ship's velocity through inertial space
+     * @returns {THREE.Vector3} Unit direction (local)
+     */
+    getRetrograde() {
+        const reentry = this.reentry;
+        const inertial = this.earthFrame.localToEci(reentry.position, reentry.velocity, this.missionTime);
+        return this.earthFrame.eciToLocalDirection(inertial.velocity, this.missionTime).normalize().negate();
+    }
+
+    /**
+     * Controls for this step, moving on to the next phase where due
+     * @param {number} altitude - Altitude of the ship's center in m
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} Controls for ReentrySimulation.update
+     */
+    getControls(altitude, dt) {
+        const reentry = this.reentry;
+        const velocity = new THREE.Vector3(reentry.velocity.x, reentry.velocity.y, reentry.velocity.z);
+        const up = reentry.dynamics.getLocalUp(reentry.position);
+
+        switch (this.phase) {
+            case RETURN_PHASES.MANEUVER:
+                return this.flyManeuver();
+
+            case RETURN_PHASES.ORBIT:
+            case RETURN_PHASES.DEORBIT: {
+                const inertial = this.earthFrame.localToEci(reentry.position, velocity, this.missionTime);
+                this.perigeeAltitude = this.getPerigeeAltitude(inertial.position, inertial.velocity);
+                if (this.perigeeAltitude > this.deorbitPerigee) {
+                    const retrograde = this.getRetrograde();
+                    const attitude = this.getAttitude(retrograde, up);
+
+                    // Maneuver nodes come first
+                    if (this.phase === RETURN_PHASES.ORBIT && this.autopilot.isDue(this.missionTime)) {
+                        this.autopilot.start();
+                        this.setPhase(RETURN_PHASES.MANEUVER);
+                        return this.flyManeuver();
+                    }
+
+                    // Turn to the burn attitude on the thrusters; light up once it is reached and due
+                    if (this.phase === RETURN_PHASES.ORBIT) {
+                        if (this.getOrbitWait() > 0 ||
+                            reentry.getNoseAxis().angleTo(retrograde) > this.burnAlignment) {
+                            return this.hold(attitude);
+                        }
+                        this.setPhase(RETURN_PHASES.DEORBIT);
+                    }
+                    return {
+                        ...this.steer(attitude, this.entryRate, 1, altitude, dt),
+                        propellantFeed: PROPELLANT_FEEDS.MAIN
+                    };
+                }
+                // Burn over: vent what is left in the main tanks, the landing runs on the headers
+                this.ventedPropellant = getPropellantMass(reentry.tanks, PROPELLANT_FEEDS.MAIN);
+                reentry.loadPropellant(Object.fromEntries(reentry.tanks.map(tank =>
+                    [tank.id, tank.feed === PROPELLANT_FEEDS.MAIN ? 0 : tank.mass])));
+                this.setPhase(RETURN_PHASES.COAST);
+                this.predictDecay();
+                // Falls through to the coast
+            }
+
+            case RETURN_PHASES.COAST:
+                if (altitude > this.entryInterface) {
+                    return this.hold(this.getEntryAttitude(velocity, up));
+                }
+                this.setPhase(RETURN_PHASES.ENTRY);
+                // Falls through to fly the entry
+
+            case RETURN_PHASES.ENTRY: {
+                const environment = reentry.dynamics.getEnvironment(reentry.position);
+                if (velocity.length() / environment.speedOfSound >= this.bellyFlopMach) {
+                    return this.steer(this.getEntryAttitude(velocity, up), this.entryRate, 0, altitude, dt);
+                }
+                this.setPhase(RETURN_PHASES.BELLY_FLOP);
+                // Falls through to the belly-flop
+            }
+
+            case RETURN_PHASES.BELLY_FLOP:
+                if (altitude > this.getFlipAltitude()) {
+                    return this.steer(this.getAttitude(this.heading, up), this.entryRate, 0, altitude, dt);
+                }
+                this.setPhase(RETURN_PHASES.FLIP);
+                // Falls through to the flip
+
+            case RETURN_PHASES.FLIP: {
+                const nose = reentry.getNoseAxis();
+                if (nose.dot(up) < Math.cos(this.flipTolerance)) {
+                    return this.steer(this.getVerticalAttitude(up), this.flipRate, this.flipThrottle, altitude, dt);
+                }
+                this.startLandingBurn(velocity, up);
+                // Falls through to the landing burn
+            }
+
+            case RETURN_PHASES.LANDING_BURN: {
+                const steering = reentry.landingGuidance.update(
+                    reentry.getDescentState(reentry.position, reentry.velocity), dt
+                );
+                const attitude = steering.direction ?
+                    this.getAttitude(steering.direction, this.heading.clone().negate()) :
+                    this.getVerticalAttitude(up);
+                return this.steer(attitude, this.flipRate, steering.throttle, altitude, dt);
+            }
+        }
+
+        return { engineThrottle: 0 };
+    }
+
+    /**
+     * Altitude to start the flip at
+     * flipAltitude is set for the full landing thrust; with engines out the burn after the flip
+     * stops the ship more slowly, so the flip starts higher in proportion.
+     * @returns {number} Altitude in m, Infinity if the engines left cannot hold the ship up
+     */
+    getFlipAltitude() {
+        const reentry = this.reentry;
+        const gravity = reentry.calculateGravity(0);
+        const deceleration = reentry.engine.thrust / reentry.mass - gravity;
+        if (deceleration <= 0) return Infinity;
+        const fullDeceleration = reentry.engine.thrust / reentry.engineHealth / reentry.mass - gravity;
+        return this.flipAltitude * Math.max(1, fullDeceleration / deceleration);
+    }
+
+    /**
+     * Pick the landing burn's aim point and commit to the burn
+     * Braking at full thrust would carry the ship to a point the guidance has to divert little to
+     * reach. With a pad, the aim moves from there toward the pad, a quarter of the way to the
+     * furthest point a landing is still feasible on.
+     * @param {THREE.Vector3} velocity - Local velocity in m/s
+     * @param {THREE.Vector3} up - Local vertical
+     */
+    startLandingBurn(velocity, up) {
+        const reentry = this.reentry;
+        const position = new THREE.Vector3(reentry.position.x, reentry.position.y, reentry.position.z);
+        const state = reentry.getDescentState(position, velocity);
+        const deceleration = Math.max(1, state.maxThrust / state.mass - state.gravity.length());
+        const brakingTime = velocity.length() / deceleration;
+        const drift = velocity.clone().addScaledVector(up, -velocity.dot(up)).multiplyScalar(brakingTime / 2);
+        const reached = reentry.dynamics.projectToSurface(position.clone().add(drift));
+
+        // Center at touchdown above a surface point
+        const aimAt = point => {
+            this.aimPoint = point;
+            const target = point.clone().addScaledVector(up, reentry.length / 2);
+            reentry.setLandingTarget(target.x, target.y, target.z);
+        };
+        const pad = this.getPadPosition();
+        if (!pad) {
+            aimAt(reached);
+        } else {
+            // Bisect for the furthest point on the way to the pad the burn can still land on. The plan
+            // tilts the thrust at once where the ship has to swing over to it, so only a quarter of
+            // that divert is taken
+            const reaches = fraction => {
+                aimAt(reentry.dynamics.projectToSurface(reached.clone().lerp(pad, fraction)));
+                return reentry.landingGuidance.canLand(reentry.getDescentState(position, velocity));
+            };
+            let low = 0;
+            let high = 1;
+            for (let i = 0; i < 10; i++) {
+                const fraction = (low + high) / 2;
+                if (reaches(fraction)) low = fraction;
+                else high = fraction;
+            }
+            reaches(low / 4);
+        }
+        reentry.landingGuidance.ignite();
+        this.setPhase(RETURN_PHASES.LANDING_BURN);
+    }
+
+    /**
+     * Landing pad on the ground, in the local frame
+     * @returns {THREE.Vector3|null} Pad position in m, or null without a pad
+     */
+    getPadPosition() {
+        return this.landingPad ? this.earthFrame.geodeticToLocal(this.landingPad) : null;
+    }
+
+    /**
+     * Bank of the lift toward the landing pad during entry
+     * Every entryGuidanceCycle seconds the entry is flown ahead to the flip. Banking tilts the lift
+     * out of the vertical, shortening the glide and pushing the ship toward the lower wing: the size
+     * of the bank is searched for the glide that comes down level with the pad, and its side is the
+     * one the pad lies to from the unbanked glide, reversed only once the pad is bankReversalMargin
+     * over the other side. The bank rolls toward its target at bankRate.
+     * @returns {number} Bank in rad, positive to the left of the direction of flight
+     */
+    getBankAngle() {
+        const pad = this.getPadPosition();
+        if (!pad || this.phase !== RETURN_PHASES.ENTRY) return 0;
+
+        const previous = this.entryBank || { bank: 0, target: 0, time: this.missionTime, planTime: -Infinity };
+        let { target, planTime } = previous;
+        const reentry = this.reentry;
+        const mach = toVector(reentry.velocity).length() / reentry.dynamics.getEnvironment(reentry.position).speedOfSound;
+        if (mach < this.bankRolloutMach) {
+            target = 0;
+        } else if (this.missionTime - planTime >= this.entryGuidanceCycle) {
+            // Downrange and crossrange of the pad from where a glide at a bank comes down
+            const unbanked = this.predictEntry(0);
+            const up = reentry.dynamics.getLocalUp(pad);
+            const along = unbanked.velocity.clone().addScaledVector(up, -unbanked.velocity.dot(up)).normalize();
+            const left = new THREE.Vector3().crossVectors(up, along);
+            const crossrange = pad.clone().sub(unbanked.position).dot(left);
+
+            let side = target < 0 ? -1 : 1;
+            if (crossrange * side < -this.bankReversalMargin) side = -side;
+            const size = minimizeGoldenSection(bank =>
+                Math.abs(pad.clone().sub(this.predictEntry(side * bank).position).dot(along)), 0, this.maxBank, 8);
+            target = side * size.x;
+            planTime = this.missionTime;
+        }
+
+        // A sudden reversal would upset the attitude hold on the flaps
+        const step = this.bankRate * (this.missionTime - previous.time);
+        const bank = previous.bank + Math.max(-step, Math.min(step, target - previous.bank));
+        this.entryBank = { bank, target, time: this.missionTime, planTime };
+        return bank;
+    }
+
+    /**
+     * Fly the entry ahead as a point mass at the entry angle of attack, banked until bankRolloutMach
+     * @param {number} bank - Bank in rad, positive to the left
+     * @returns {Object} { position, velocity } (local) on reaching the flip altitude
+     */
+    predictEntry(bank) {
+        const reentry = this.reentry;
+        const aerodynamics = reentry.getAerodynamicCoefficients();
+        const step = 5; // s
+        const acceleration = (t, position, velocity) => {
+            const direction = toVector(velocity);
+            const mach = direction.length() / reentry.dynamics.getEnvironment(position).speedOfSound;
+            const { nose } = getEntryAxes(direction, reentry.dynamics.getLocalUp(position), this.entryAngleOfAttack,
+                mach >= this.bankRolloutMach ? bank : 0);
+            return reentry.dynamics.calculateForces({ mass: reentry.mass, position, velocity, axis: nose, aerodynamics })
+                .total.divideScalar(reentry.mass);
+        };
+
+        let state = { position: reentry.position, velocity: reentry.velocity };
+        for (let time = 0; time < 3600 && reentry.calculateAltitude(state.position) > this.flipAltitude; time += step) {
+            state = integrateState(INTEGRATOR_TYPES.RK4, state, time, step, acceleration);
+        }
+        return { position: toVector(state.position), velocity: toVector(state.velocity) };
+    }
+
+    /**
+     * Perigee altitude of an inertial state
+     * @param {THREE.Vector3} position - ECI position in m
+     * @param {THREE.Vector3} velocity - ECI velocity in m/s
+     * @returns {number} Perigee altitude in m
+     */
+    getPerigeeAltitude(position, velocity) {
+        const elements = this.orbitalMechanics.stateVectorsToOrbitalElements(position, velocity);
+        return elements.semiMajorAxis * (1 - elements.eccentricity) - this.earthFrame.radius;
+    }
+
+    /**
+     * Attitude with the nose along a direction and the top of the ship toward another
+     * @param {THREE.Vector3} nose - Nose direction (local)
+     * @param {THREE.Vector3} top - Rough direction for the top of the ship, away from the belly
+     * @returns {THREE.Quaternion} Attitude in the reentry model's body frame
+     */
+    getAttitude(nose, top) {
+        const z = nose.clone().normalize();
+        let y = top.clone().addScaledVector(z, -top.dot(z));
+        if (y.lengthSq() < 1e-8) {
+            // Top along the nose: any perpendicular will do
+            y = new THREE.Vector3(1, 0, 0).cross(z);
+            if (y.lengthSq() < 1e-8) y = new THREE.Vector3(0, 1, 0).cross(z);
+        }
+        y.normalize();
+        const x = y.clone().cross(z);
+        return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+    }
+
+    /**
+     * Belly-first entry attitude: the nose pitched up from the velocity by the entry angle of attack,
+     * the lift banked toward the landing pad if there is one
+     * @param {THREE.Vector3} velocity - Local (air-relative) velocity
+     * @param {THREE.Vector3} up - Local vertical
+     * @returns {THREE.Quaternion} Commanded attitude
+     */
+    getEntryAttitude(velocity, up) {
+        const horizontal = velocity.clone().addScaledVector(up, -velocity.dot(up));
+        if (horizontal.lengthSq() > 1) {
+            this.heading = horizontal.normalize();
+        }
+
+        const { nose, top } = getEntryAxes(velocity, up, this.entryAngleOfAttack, this.getBankAngle());
+        return this.getAttitude(nose, top);
+    }
+
+    /**
+     * Nose-up attitude for the flip and landing, belly toward the direction of flight
+     * @param {THREE.Vector3} up - Local vertical
+     * @returns {THREE.Quaternion} Commanded attitude
+     */
+    getVerticalAttitude(up) {
+        return this.getAttitude(up, this.heading.clone().negate());
+    }
+
+    /**
+     * Hold or turn toward an attitude on the RCS alone, engines off
+     * @param {THREE.Quaternion} commanded - Commanded attitude
+     * @returns {Object} Controls for ReentrySimulation.update
+     */
+    hold(commanded) {
+        const reentry = this.reentry;
+        const rate = reentry.angularVelocity;
+        const bodyTorque = reentry.rcs.getHoldTorque(
+            reentry.orientationToQuaternion(reentry.orientation),
+            commanded,
+            new THREE.Vector3(-rate.pitch, rate.yaw, rate.roll),
+            reentry.getInertia()
+        );
+
+        return {
+            engineThrottle: 0,
+            propellantFeed: PROPELLANT_FEEDS.HEADER,
+            rcsTorque: { roll: bodyTorque.z, pitch: -bodyTorque.x, yaw: bodyTorque.y }
+        };
+    }
+
+    /**
+     * Turn toward a commanded attitude
+     * A rate loop around an attitude loop gives the torque, which ReentrySimulation.allocateControls
+     * shares out between the flaps and, when the engines are lit, their gimbal; when they cannot
+     * deliver it the RCS is asked for the rest.
+     * @param {THREE.Quaternion} commanded - Commanded attitude
+     * @param {number} maxRate - Largest commanded turn rate in rad/s
+     * @param {number} throttle - Engine throttle
+     * @param {number} altitude - Altitude of the ship's center in m
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} Controls for ReentrySimulation.update
+     */
+    steer(commanded, maxRate, throttle, altitude, dt) {
+        const reentry = this.reentry;
+        const attitude = reentry.orientationToQuaternion(reentry.orientation);
+
+        // Attitude error as a body-frame rotation vector, the short way round
+        const error = attitude.clone().invert().multiply(commanded);
+        if (error.w < 0) {
+            error.set(-error.x, -error.y, -error.z, -error.w);
+        }
+        const angle = 2 * Math.acos(Math.min(1, error.w));
+        const axis = new THREE.Vector3(error.x, error.y, error.z);
+        const rateCommand = axis.lengthSq() > 0 ?
+            axis.normalize().multiplyScalar(Math.min(maxRate, this.attitudeGain * angle)) :
+            new THREE.Vector3();
+
+        const rate = reentry.angularVelocity;
+        const bodyTorque = rateCommand
+            .sub(new THREE.Vector3(-rate.pitch, rate.yaw, rate.roll))
+            .multiplyScalar(this.rateGain)
+            .applyMatrix3(reentry.getInertia());
+        const torque = { roll: bodyTorque.z, pitch: -bodyTorque.x, yaw: bodyTorque.y };
+        const { flapAngle, engineGimbal, torque: achieved } = reentry.allocateControls(torque, throttle, altitude, dt);
+        const saturated = reentry.controlAllocator.saturated;
+
+        return {
+            engineThrottle: throttle,
+            propellantFeed: PROPELLANT_FEEDS.HEADER,
+            flapAngle,
+            engineGimbal,
+            rcsTorque: {
+                roll: saturated ? torque.roll - achieved.roll : 0,
+                pitch: saturated ? torque.pitch - achieved.pitch : 0,
+                yaw: saturated ? torque.yaw - achieved.yaw : 0
+            }
+        };
+    }
+
+    /**
+     * End the return when the tail reaches the ground
+     */
+    checkTouchdown() {
+        const reentry = this.reentry;
+        const height = reentry.calculateAltitude(reentry.position) - reentry.length / 2;
+        if (height > 0) return;
+
+        const up = reentry.dynamics.getLocalUp(reentry.position);
+        const velocity = new THREE.Vector3(reentry.velocity.x, reentry.velocity.y, reentry.velocity.z);
+        const tilt = Math.acos(Math.max(-1, Math.min(1, reentry.getNoseAxis().dot(up))));
+        const position = new THREE.Vector3(reentry.position.x, reentry.position.y, reentry.position.z);
+        const { latitude, longitude } = this.earthFrame.localToGeodetic(position);
+        this.touchdown = {
+            speed: velocity.length(),
+            tilt: tilt / DEGREES,
+            latitude,
+            longitude,
+            missDistance: this.landingPad ?
+                getGreatCircleDistance({ latitude, longitude }, this.landingPad, this.earthFrame.radius) : null,
+            missionTime: this.missionTime
+        };
+
+        const landed = this.phase === RETURN_PHASES.LANDING_BURN &&
+            this.touchdown.speed <= this.landingSpeed && tilt <= this.landingTilt;
+        this.setPhase(landed ? RETURN_PHASES.LANDED : RETURN_PHASES.CRASHED);
+
+        // Down on the surface: engines off and the ship at rest where it came down
+        reentry.engineThrottle = 0;
+        reentry.velocity = { x: 0, y: 0, z: 0 };
+        reentry.angularVelocity = { roll: 0, pitch: 0, yaw: 0 };
+        const surface = reentry.dynamics.projectToSurface(position).addScaledVector(up, reentry.length / 2);
+        reentry.position = { x: surface.x, y: surface.y, z: surface.z };
+    }
+
+    /**
+     * Attitude of the ship as the physics engine holds it, nose along body +Y
+     * @returns {THREE.Quaternion} Attitude in the local frame
+     */
+    getQuaternion() {
+        return this.reentry.orientationToQuaternion(this.reentry.orientation)
+            .multiply(NOSE_Y_FROM_Z.clone().invert());
+    }
+
+    /**
+     * Return state for telemetry
+     * @returns {Object} { phase, altitude, mach, angleOfAttack, dynamicPressure, heatRate,
+     *   heatShieldTemperature, heatShield (see HeatShield.getState), burnThrough (the region, layer,
+     *   temperature, limit, altitude and missionTime of the first burn-through, or null), flapAngles,
+     *   throttle, controlAllocation (see ControlAllocator.getState),
+     *   rcs (see ReactionControlSystem.getState), propellant, perigeeAltitude, deorbitDeltaV,
+     *   ventedPropellant, landingPad, aimPoint (of the landing burn), touchdown ({ speed, tilt, latitude,
+     *   longitude, missDistance (from the pad, null without one), missionTime }), onRails, railsTime (s
+     *   coasted on the rails),
+     *   railsRelease (why the ship last came off them: maneuver, deorbit_burn, entry_interface or drag),
+     *   maneuvers (see BurnAutopilot.getState) } in m, degrees, Pa, W/m², K, kg and m/s
+     */
+    getState() {
+        const reentry = this.reentry;
+        const velocity = new THREE.Vector3(reentry.velocity.x, reentry.velocity.y, reentry.velocity.z);
+        const environment = reentry.dynamics.getEnvironment(reentry.position);
+        const flap = angle => angle / DEGREES;
+
+        return {
+            phase: this.phase,
+            altitude: environment.altitude,
+            mach: velocity.length() / environment.speedOfSound,
+            angleOfAttack: velocity.lengthSq() > 0 ? reentry.calculateAngleOfAttack(reentry.velocity) / DEGREES : 0,
+            dynamicPressure: reentry.dynamics.aerodynamics.getDynamicPressure(environment.density, velocity.length()),
+            heatRate: reentry.heatRate,
+            heatShieldTemperature: reentry.heatShieldTemperature,
+            heatShield: reentry.heatShield.getState(),
+            burnThrough: this.burnThrough ? { ...this.burnThrough } : null,
+            flapAngles: {
+                forward: { left: flap(reentry.flapAngle.forward.left), right: flap(reentry.flapAngle.forward.right) },
+                aft: { left: flap(reentry.flapAngle.aft.left), right: flap(reentry.flapAngle.aft.right) }
+            },
+            throttle: reentry.engineThrottle,
+            controlAllocation: reentry.controlAllocator.getState(),
+            rcs: reentry.rcs.getState(),
+            propellant: {
+                main: getPropellantMass(reentry.tanks, PROPELLANT_FEEDS.MAIN),
+                header: getPropellantMass(reentry.tanks, PROPELLANT_FEEDS.HEADER)
+            },
+            perigeeAltitude: this.perigeeAltitude,
+            deorbitDeltaV: this.deorbitDeltaV,
+            ventedPropellant: this.ventedPropellant,
+            landingPad: this.landingPad ? { ...this.landingPad } : null,
+            aimPoint: this.aimPoint ? this.aimPoint.clone() : null,
+            touchdown: this.touchdown ? { ...this.touchdown } : null,
+            onRails: this.isOnRails(),
+            railsTime: this.railsTime,
+            railsRelease: this.railsRelease,
+            maneuvers: this.autopilot.getState(),
+            decay: this.decayPrediction
+        };
+    }
+}
@@ -0,0 +1,1161 @@
+// Headless simulation core for SpaceX Starship Simulator
+// Owns the mission phase machine and physics so a mission can run without a browser
+import * as THREE from 'three';
+import { ImprovedPhysicsEngine } from './improved_physics.js';
+import { StandardAtmosphere } from './atmosphere.js';
+import { EarthFrame, LAUNCH_SITES } from './earth_frame.js';
+import { EngineFailureInjector } from './engine_failures.js';
+import { AscentLoadManager } from './ascent_loads.js';
+import { getEngineThrottle, isEngineAvailable } from './engine_cluster.js';
+import { MechazillaCatchSimulation } from './mechazilla_catch.js';
+import { ShipReturn, RETURN_PHASES } from './ship_return.js';
+import { ACTUATOR_FAILURES } from './control_allocation.js';
+import { toJulianDate, getEarthRotationAngle } from './ephemeris.js';
+
+// Mission phases
+export const MISSION_PHASES = {
+    READY: 'ready',
+    LAUNCH: 'launch',
+    ASCENT: 'ascent',
+    STAGE_SEPARATION: 'stage_separation',
+    BOOSTER_RETURN: 'booster_return',
+    STARSHIP_ASCENT: 'starship_ascent',
+    BOOSTER_LANDING: 'booster_landing',
+    MECHAZILLA_CATCH: 'mechazilla_catch',
+    STARSHIP_RETURN: 'starship_return', // Booster done, Starship still coming home
+    MISSION_COMPLETE: 'mission_complete'
+};
+
+// Fastest time warp on the rails, in simulated seconds per second of fixed steps
+export const MAX_TIME_WARP = 100000;
+
+// Calendar date at T+0 unless the epoch option gives another
+export const DEFAULT_EPOCH = '2026-10-01T12:00:00Z';
+
+// Vehicle centers on the pad (Super Heavy is 69m tall, Starship sits on top)
+const SUPER_HEAVY_PAD_POSITION = new THREE.Vector3(0, 34.5, 0);
+const STARSHIP_PAD_POSITION = new THREE.Vector3(0, 69 + 25, 0);
+
+// Mechazilla tower position
+const MECHAZILLA_POSITION = new THREE.Vector3(-120, 0, 0);
+
+// Latitude and longitude for status messages, e.g. 23.51°S 34.90°E
+function formatCoordinates({ latitude, longitude }) {
+    return `${Math.abs(latitude).toFixed(2)}°${latitude < 0 ? 'S' : 'N'} ` +
+        `${Math.abs(longitude).toFixed(2)}°${longitude < 0 ? 'W' : 'E'}`;
+}
+
+/**
+ * DOM-free mission simulation core
+ * Steps the mission phase machine and the ImprovedPhysicsEngine and emits state snapshots.
+ * The browser app renders these snapshots; Node scripts can run whole missions with it.
+ */
+export class SimulationCore {
+    /**
+     * Create a new simulation core
+     * @param {Object} options - Core options
+     * @param {boolean} options.autoSequence - Trigger staging, landing and catch automatically
+     * @param {boolean} options.autoStaging - Stage at staging altitude or booster reserve even without
+     *   autoSequence, so the guided ascent continues to orbit (the stage button can still stage early)
+     * @param {number} options.stagingAltitude - Booster altitude (m) for automatic stage separation
+     * @param {number} options.stagingReserve - Booster propellant fraction held back for boostback and
+     *   landing; automatic separation happens early if the booster falls short of staging altitude
+     * @param {number} options.catchAltitude - Booster altitude (m) for automatic Mechazilla catch
+     * @param {number} options.physicsRate - Fixed physics update rate in Hz
+     * @param {number} options.maxFrameTime - Longest real-time frame (s) simulated by advance()
+     * @param {Object} options.integrators - Integrator type per vehicle, e.g. { superHeavy: 'rk4' }
+     * @param {Array<Object>} options.engineFailures - Scheduled engine failures, e.g.
+     *   { time: 40, vehicleId: 'superHeavy', engineId: 'outer_3', type: 'shutdown' }
+     * @param {number} options.randomFailureRate - Random engine failures per burning engine per second
+     * @param {Array<Object>} options.actuatorFailures - Actuators to jam where they stand, e.g.
+     *   { time: 380, vehicleId: 'superHeavy', actuatorId: 'grid_fin_2' }; the ship's flaps and gimbal
+     *   (flap_forward_left, gimbal_pitch, ...) only jam once its return is flying
+     * @param {Object} options.atmosphere - Launch-day atmosphere: { temperatureOffset } in K for a hot
+     *   or cold day and/or a custom { table } (see StandardAtmosphere)
+     * @param {Object} options.aeroTables - Aero databases replacing the defaults, keyed by stack,
+     *   booster or ship
+     * @param {string|Object} options.launchSite - LAUNCH_SITES key or { latitude, longitude, altitude }
+     *   in degrees and m (default Starbase)
+     * @param {Object} options.ascentGuidance - Ascent guidance options, e.g. the insertion
+     *   { target: { perigeeAltitude, apogeeAltitude, inclination } } in m and degrees
+     * @param {Object} options.loads - AscentLoadManager options: bucket { onsetPressure, fullPressure,
+     *   minThrottle }, accelerationLimit (g), breakupFactor and limits { superHeavy, starship }
+     * @param {Object} options.boostback - BoostbackGuidance options: coastTime, flipRate (degrees/s),
+     *   burnAlignment, cycleTime, cutoffLead and missTolerance
+     * @param {Object} options.poweredDescent - PoweredDescentGuidance options for the booster's landing burn:
+     *   glideSlope and maxTilt (degrees), reserve, nodes and replanInterval (s)
+     * @param {Object} options.shipReturn - ShipReturn options: deorbitDelay (s), deorbitPerigee,
+     *   entryInterface and flipAltitude (m), entryAngleOfAttack (degrees), bellyFlopMach, railsDrag,
+     *   perturbations { j2, drag } for the decay prediction, splashdownZone { latitude, longitude, radius },
+     *   landingPad { latitude, longitude }, ...
+     * @param {number} options.timeWarp - Time warp (1 to MAX_TIME_WARP) applied while the ship is on the rails
+     * @param {Array<Object>} options.maneuvers - Maneuver nodes planned once Starship is in orbit, each
+     *   { event, time, prograde, normal, radial } (see ShipReturn.planManeuver) or { hohmannAltitude } in m
+     *   for a Hohmann transfer
+     * @param {Date|string} options.epoch - Calendar date at T+0 (default DEFAULT_EPOCH); it sets the
+     *   Earth's rotation angle and where the ephemeris puts the planets
+     */
+    constructor(options = {}) {
+        this.options = {
+            autoSequence: false,
+            autoStaging: true,
+            stagingAltitude: 60000,
+            stagingReserve: 0.15,
+            catchAltitude: 200,
+            physicsRate: 100,
+            maxFrameTime: 0.25,
+            ...options
+        };
+
+        // Physics always advances in fixed steps so results do not depend on frame rate
+        this.fixedTimeStep = 1 / this.options.physicsRate;
+        this.timeScale = 1.0;
+        this.setTimeWarp(this.options.timeWarp ?? 1);
+        this.epoch = this.getEpoch();
+
+        this.physicsEngine = new ImprovedPhysicsEngine({
+            atmosphere: new StandardAtmosphere(this.options.atmosphere),
+            aeroTables: this.options.aeroTables,
+            earthFrame: new EarthFrame({
+                site: this.getLaunchSite(),
+                rotationAngle: getEarthRotationAngle(toJulianDate(this.epoch))
+            }),
+            ascentGuidance: this.options.ascentGuidance,
+            boostback: this.options.boostback,
+            poweredDescent: this.options.poweredDescent
+        });
+        this.mechazillaCatch = new MechazillaCatchSimulation();
+        this.shipReturn = new ShipReturn(this.physicsEngine.earthFrame, this.options.shipReturn);
+        this.failureInjector = new EngineFailureInjector(this.physicsEngine, {
+            failures: this.options.engineFailures,
+            randomFailureRate: this.options.randomFailureRate,
+            onFailure: failure => this.emit('failure', failure)
+        });
+        this.loadManager = new AscentLoadManager(this.physicsEngine, {
+            ...this.options.loads,
+            onEvent: event => this.emit('load', event)
+        });
+
+        // Event listeners keyed by event name (phase, status, snapshot, failure, load)
+        this.listeners = {};
+
+        this.reset();
+    }
+
+    /**
+     * Register an event listener
+     * @param {string} eventName - Event name (phase, status, snapshot, failure, load)
+     * @param {Function} callback - Listener callback
+     * @returns {Function} Function that removes the listener
+     */
+    on(eventName, callback) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(callback);
+
+        return () => {
+            this.listeners[eventName] = this.listeners[eventName].filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Emit an event to all registered listeners
+     * @param {string} eventName - Event name
+     * @param {*} payload - Event payload
+     */
+    emit(eventName, payload) {
+        const listeners = this.listeners[eventName];
+        if (!listeners) return;
+
+        listeners.forEach(listener => listener(payload));
+    }
+
+    /**
+     * Configure vehicle parameters used for the mission
+     */
+    configureVehicles() {
+        const physicsEngine = this.physicsEngine;
+
+        // Super Heavy dry mass; propellant loads come from the tank specs on reset
+        physicsEngine.vehicles.superHeavy.mass = 200000;
+
+        // Per-vehicle numerical integrators
+        for (const [vehicleId, type] of Object.entries(this.options.integrators || {})) {
+            physicsEngine.setIntegrator(vehicleId, type);
+        }
+    }
+
+    /**
+     * Reset the mission to the ready state
+     */
+    reset() {
+        this.missionTime = 0;
+        this.phase = MISSION_PHASES.READY;
+        this.status = 'Ready for launch';
+        this.starshipAscending = false;
+        this.starshipReturning = false;
+        this.outcome = null; // caught, booster_on_ground, crashed, breakup or burned_through once the mission ends
+        this.shipOutcome = null; // landed, crashed or burned_through once Starship's return is over
+        this.stageSeparationTime = null;
+        this.lastPhysicsState = null;
+
+        // Fixed-step accumulator and the two most recent steps for render interpolation
+        this.accumulator = 0;
+        this.previousSnapshot = null;
+        this.currentSnapshot = null;
+
+        this.configureVehicles();
+        this.physicsEngine.reset();
+        this.physicsEngine.driftMonitor.setPhase(this.phase);
+        this.physicsEngine.setLandingTarget(MECHAZILLA_POSITION);
+        this.mechazillaCatch.reset();
+        this.shipReturn.reset();
+        this.failureInjector.reset();
+        this.pendingActuatorFailures = (this.options.actuatorFailures || []).map(failure => ({ ...failure }));
+        this.loadManager.reset();
+
+        this.physicsEngine.vehicles.superHeavy.position.copy(SUPER_HEAVY_PAD_POSITION);
+        this.physicsEngine.vehicles.starship.position.copy(STARSHIP_PAD_POSITION);
+    }
+
+    /**
+     * Change the mission phase and notify listeners
+     * @param {string} phase - New mission phase
+     */
+    setPhase(phase) {
+        if (this.phase === phase) return;
+
+        const previousPhase = this.phase;
+        this.phase = phase;
+        this.physicsEngine.driftMonitor.setPhase(phase);
+        this.emit('phase', { phase, previousPhase, missionTime: this.missionTime });
+    }
+
+    /**
+     * Update the mission status message and notify listeners
+     * @param {string} status - Status message
+     */
+    setStatus(status) {
+        this.status = status;
+        this.emit('status', { status, missionTime: this.missionTime });
+    }
+
+    /**
+     * Start the launch sequence
+     * @returns {boolean} True if the launch started
+     */
+    launch() {
+        if (this.phase !== MISSION_PHASES.READY) return false;
+
+        console.log('Starting launch sequence...');
+
+        // Reset physics engine to ensure clean state
+        this.reset();
+
+        // Light all 33 Raptors and throttle up
+        this.physicsEngine.startEngines('superHeavy');
+        this.physicsEngine.setThrottle('superHeavy', 1.0);
+
+        this.setPhase(MISSION_PHASES.LAUNCH);
+        this.setStatus('Launch sequence initiated');
+
+        return true;
+    }
+
+    /**
+     * Whether the booster is down to the propellant it needs to fly home
+     * After engine outs the booster can run short before reaching staging altitude.
+     * @returns {boolean} True if booster propellant is at or below the staging reserve
+     */
+    isBoosterAtReserve() {
+        const booster = this.physicsEngine.vehicles.superHeavy;
+        return booster.fuel <= booster.fuelCapacity * this.options.stagingReserve;
+    }
+
+    /**
+     * Trigger stage separation
+     * @returns {boolean} True if separation started
+     */
+    triggerStageSeparation() {
+        if (this.phase !== MISSION_PHASES.ASCENT) return false;
+
+        console.log('Stage separation triggered');
+
+        // Make sure Starship sits on top of Super Heavy with the same velocity
+        this.physicsEngine.syncStackedStarship();
+        this.stageSeparationTime = this.missionTime;
+
+        this.setPhase(MISSION_PHASES.STAGE_SEPARATION);
+        this.setStatus('Stage separation in progress');
+
+        return true;
+    }
+
+    /**
+     * Start the booster landing sequence
+     * @returns {boolean} True if the landing sequence started
+     */
+    startLandingSequence() {
+        if (this.phase !== MISSION_PHASES.BOOSTER_RETURN) {
+            console.warn('Cannot start landing sequence - not in booster return phase');
+            return false;
+        }
+        if (!this.physicsEngine.boostbackGuidance.isComplete()) {
+            console.warn('Cannot start landing sequence - boostback burn still in progress');
+            return false;
+        }
+
+        console.log('Starting booster landing sequence');
+
+        const physicsEngine = this.physicsEngine;
+
+        // Set necessary landing parameters if not already set
+        if (!physicsEngine.landingStartAltitude) {
+            physicsEngine.landingStartAltitude = 5000; // Meters
+            physicsEngine.touchdownSpeed = 2;         // Meters per second
+        }
+
+        // Initial throttle for descent
+        physicsEngine.setThrottle('superHeavy', 0.3);
+
+        // Hand the booster over to the landing phase machine
+        physicsEngine.landingPhase = 'coast';
+        physicsEngine.landingParams.phaseStartTime = physicsEngine.simulationTime;
+        physicsEngine.landingParams.currentPhaseTime = 0;
+
+        this.setPhase(MISSION_PHASES.BOOSTER_LANDING);
+        this.setStatus('Booster landing sequence initiated');
+
+        return true;
+    }
+
+    /**
+     * Start the Mechazilla catch sequence
+     * @returns {boolean} True if the catch sequence started
+     */
+    startMechazillaCatch() {
+        if (this.phase !== MISSION_PHASES.BOOSTER_LANDING) {
+            console.warn('Cannot start Mechazilla catch - not in booster landing phase');
+            return false;
+        }
+
+        console.log('Starting Mechazilla catch sequence');
+
+        const booster = this.physicsEngine.vehicles.superHeavy;
+
+        // Reset and prepare the catch system
+        this.mechazillaCatch.reset();
+        this.mechazillaCatch.initialize();
+        this.mechazillaCatch.startTracking(booster.position, booster.velocity);
+        this.mechazillaCatch.prepareForCatch();
+
+        this.setPhase(MISSION_PHASES.MECHAZILLA_CATCH);
+        this.setStatus('Mechazilla catch sequence initiated');
+
+        return true;
+    }
+
+    /**
+     * Set the simulation speed applied by advance()
+     * @param {number} timeScale - Simulated seconds per real second
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = Math.max(0, timeScale);
+    }
+
+    /**
+     * Set the time warp for coasting on the rails
+     * Each fixed step then covers this many steps' worth of orbit. Warp only applies on the rails;
+     * the rest of the mission always runs at 1x. It is kept while the ship is off them and picks up
+     * again when the ship is back on.
+     * @param {number} timeWarp - Warp factor, 1 to MAX_TIME_WARP
+     */
+    setTimeWarp(timeWarp) {
+        this.timeWarp = Math.min(MAX_TIME_WARP, Math.max(1, timeWarp || 1));
+    }
+
+    /**
+     * Time warp in effect
+     * @returns {number} The warp set while the ship flies alone on the rails, otherwise 1
+     */
+    getTimeWarp() {
+        return this.phase === MISSION_PHASES.STARSHIP_RETURN && this.shipReturn.isOnRails() ? this.timeWarp : 1;
+    }
+
+    /**
+     * Advance the simulation by one real-time frame using fixed physics steps.
+     * A faster speed runs more fixed steps per frame, so the trajectory is the same at any speed.
+     * @param {number} frameDelta - Real time since the last frame in seconds
+     * @returns {Object} Snapshot interpolated between the last two physics steps
+     */
+    advance(frameDelta) {
+        if (this.phase === MISSION_PHASES.READY || this.phase === MISSION_PHASES.MISSION_COMPLETE) {
+            this.accumulator = 0;
+            return this.currentSnapshot || this.getSnapshot();
+        }
+
+        if (!this.currentSnapshot) {
+            this.currentSnapshot = this.getSnapshot();
+        }
+
+        // Clamp long frames (e.g. a background tab) instead of simulating them in one burst
+        const realDelta = Math.min(Math.max(frameDelta, 0), this.options.maxFrameTime);
+        this.accumulator += realDelta * this.timeScale;
+
+        while (this.accumulator >= this.fixedTimeStep && !this.isComplete()) {
+            this.previousSnapshot = this.currentSnapshot;
+            this.currentSnapshot = this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
+
+        if (!this.previousSnapshot || this.isComplete()) {
+            return this.currentSnapshot;
+        }
+
+        const alpha = this.accumulator / this.fixedTimeStep;
+        return interpolateSnapshots(this.previousSnapshot, this.currentSnapshot, alpha);
+    }
+
+    /**
+     * Advance the simulation by one step
+     * @param {number} deltaTime - Time step in seconds
+     * @returns {Object} State snapshot after the step
+     */
+    step(deltaTime) {
+        if (this.phase === MISSION_PHASES.READY || this.phase === MISSION_PHASES.MISSION_COMPLETE) {
+            return this.getSnapshot();
+        }
+
+        const timeWarp = this.getTimeWarp();
+        if (timeWarp > 1) {
+            return this.stepOnRails(deltaTime * timeWarp);
+        }
+
+        this.missionTime += deltaTime;
+
+        const physicsEngine = this.physicsEngine;
+        let physicsState = null;
+
+        this.failureInjector.update(this.missionTime, deltaTime);
+        this.updateActuatorFailures();
+
+        switch (this.phase) {
+            case MISSION_PHASES.LAUNCH:
+                physicsState = physicsEngine.updateLaunch(deltaTime);
+                this.physicsEngine.syncStackedStarship();
+
+                // Transition to ascent phase once clear of the pad
+                if (physicsEngine.getAltitude(physicsEngine.vehicles.superHeavy) > 30) {
+                    this.setPhase(MISSION_PHASES.ASCENT);
+                    this.setStatus('Ascent phase');
+                }
+                break;
+
+            case MISSION_PHASES.ASCENT:
+                physicsState = physicsEngine.updateAscent(deltaTime, this.loadManager.getThrottle('superHeavy', 0.9));
+                this.physicsEngine.syncStackedStarship();
+
+                if ((this.options.autoSequence || this.options.autoStaging) &&
+                    (physicsEngine.getAltitude(physicsEngine.vehicles.superHeavy) >= this.options.stagingAltitude ||
+                    this.isBoosterAtReserve())) {
+                    this.triggerStageSeparation();
+                }
+                break;
+
+            case MISSION_PHASES.STAGE_SEPARATION:
+                physicsState = physicsEngine.updateStageSeparation(deltaTime);
+
+                if (!physicsState || physicsState.error) {
+                    console.warn('Invalid physics state returned from updateStageSeparation');
+                    break;
+                }
+
+                if (physicsState.separationComplete) {
+                    const staging = physicsState.hotStaging;
+                    const approach = staging.recontact ? 'ship came back onto the vent ring' :
+                        staging.minimumClearance === null ? 'gap never closed' :
+                            `closest approach ${staging.minimumClearance.toFixed(1)} m after pulling away`;
+                    // The peak load is always the one at release; the time to clear shows what the booster's thrust did
+                    this.setStatus(`Separation ${staging.clean ? 'clean' : 'not clean'} after ` +
+                        `${staging.clearTime.toFixed(1)} s, opening at ${staging.openingRate.toFixed(1)} m/s: ${approach}, ` +
+                        `peak plume load ${(staging.peakPlumeLoad / 1e6).toFixed(1)} MN. Booster returning, Starship ascending.`);
+
+                    // Booster returns while Starship continues independently
+                    this.setPhase(MISSION_PHASES.BOOSTER_RETURN);
+                    this.starshipAscending = true;
+                }
+                break;
+
+            case MISSION_PHASES.STARSHIP_ASCENT:
+                physicsState = physicsEngine.updateStarshipAscent(deltaTime);
+                break;
+
+            case MISSION_PHASES.BOOSTER_RETURN:
+                physicsState = physicsEngine.updateBoosterReturn(deltaTime);
+
+                if (physicsState.returnPhase === 'approach' && this.lastPhysicsState?.returnPhase !== 'approach') {
+                    const boostback = physicsState.boostback;
+                    this.setStatus(`Boostback complete. Predicted impact ${(boostback.missDistance / 1000).toFixed(2)} km ` +
+                        `from the tower, ${(boostback.propellantMargin / 1000).toFixed(0)} t propellant margin.`);
+                }
+
+                if (this.options.autoSequence && physicsState.returnPhase === 'approach') {
+                    this.startLandingSequence();
+                }
+                break;
+
+            case MISSION_PHASES.BOOSTER_LANDING:
+                physicsState = physicsEngine.updateBoosterLanding(deltaTime);
+
+                if (this.options.autoSequence && physicsState.altitude <= this.options.catchAltitude) {
+                    this.startMechazillaCatch();
+                }
+                break;
+
+            case MISSION_PHASES.MECHAZILLA_CATCH:
+                physicsState = physicsEngine.updateMechazillaCatch(deltaTime);
+
+                if (physicsState && physicsState.catchComplete && !this.outcome) {
+                    this.completeMission('caught', 'Booster caught by Mechazilla');
+                }
+                break;
+
+            case MISSION_PHASES.STARSHIP_RETURN:
+                // Only the ship is flying; it is stepped below
+                break;
+        }
+
+        // A booster whose heat shield has burned through is lost on the way down
+        const burnThrough = physicsState?.heatShield?.burnThrough;
+        if (this.phase === MISSION_PHASES.BOOSTER_LANDING && !this.outcome && burnThrough) {
+            this.completeMission('burned_through', `Booster lost to heat-shield burn-through at ${burnThrough.region}`);
+        }
+
+        // A booster resting on the ground can no longer be caught; the ground stops it dead, so judge
+        // the landing by the speed it hit at
+        if ((this.phase === MISSION_PHASES.BOOSTER_LANDING || this.phase === MISSION_PHASES.MECHAZILLA_CATCH) &&
+            !this.outcome && this.isBoosterAtRest()) {
+            const impactSpeed = this.physicsEngine.vehicles.superHeavy.impactSpeed;
+            if (impactSpeed > this.physicsEngine.landingParams.crashSpeed) {
+                this.completeMission('crashed', `Booster destroyed hitting the ground at ${impactSpeed.toFixed(1)} m/s`);
+            } else {
+                this.completeMission('booster_on_ground',
+                    `Booster came to rest on the ground, touching down at ${impactSpeed.toFixed(1)} m/s`);
+            }
+        }
+
+        this.lastPhysicsState = physicsState;
+
+        // Independent Starship ascent after separation, then its return from orbit
+        if (this.starshipAscending) {
+            this.updateStarshipAscent(deltaTime);
+        } else if (this.starshipReturning) {
+            this.updateStarshipReturn(deltaTime);
+        }
+
+        this.updateLoads();
+
+        const snapshot = this.getSnapshot();
+        this.emit('snapshot', snapshot);
+
+        return snapshot;
+    }
+
+    /**
+     * Advance a warped step with the ship coasting on the rails
+     * @param {number} duration - Seconds to coast
+     * @returns {Object} State snapshot after the step
+     */
+    stepOnRails(duration) {
+        const coast = this.shipReturn.coast(duration);
+        this.missionTime += coast.elapsed;
+        this.mirrorStarshipReturn(this.shipReturn.getState());
+
+        if (coast.released) {
+            this.setStatus(`Time warp off: ${coast.released.replace('_', ' ')} at ` +
+                `${(this.shipReturn.getState().altitude / 1000).toFixed(1)} km`);
+        }
+
+        const snapshot = this.getSnapshot();
+        this.emit('snapshot', snapshot);
+
+        return snapshot;
+    }
+
+    /**
+     * End the booster's flight with an outcome
+     * If Starship's insertion burn is still running, the mission ends when the burn does; if the ship
+     * is on its way back from orbit, it ends when the ship is down.
+     * @param {string} outcome - Mission outcome
+     * @param {string} status - Status message
+     */
+    completeMission(outcome, status) {
+        this.outcome = outcome;
+        if (this.starshipReturning) {
+            this.setPhase(MISSION_PHASES.STARSHIP_RETURN);
+        } else if (!this.starshipAscending) {
+            this.setPhase(MISSION_PHASES.MISSION_COMPLETE);
+        }
+        this.setStatus(status);
+    }
+
+    /**
+     * Check the loads on the vehicles under power on ascent and end the flight of one that breaks up
+     */
+    updateLoads() {
+        const ascending = [];
+        if (this.phase === MISSION_PHASES.LAUNCH || this.phase === MISSION_PHASES.ASCENT) {
+            ascending.push('superHeavy');
+        }
+        if (this.starshipAscending) {
+            ascending.push('starship');
+        }
+
+        const breakup = this.loadManager.update(this.missionTime, ascending);
+        if (!breakup) return;
+
+        const status = `Vehicle breakup: ${breakup.load} ${breakup.value.toFixed(2)} against a limit of ${breakup.limit}`;
+        if (breakup.vehicleId === 'superHeavy') {
+            this.completeMission('breakup', status);
+        } else {
+            // The booster flies on; the mission ends with its outcome
+            this.physicsEngine.shutdownEngines('starship');
+            this.starshipAscending = false;
+            this.setStatus(`Starship lost. ${status}`);
+            if (this.outcome) {
+                this.setPhase(MISSION_PHASES.MISSION_COMPLETE);
+            }
+        }
+    }
+
+    /**
+     * Jam any scheduled actuators that are due
+     */
+    updateActuatorFailures() {
+        const due = this.pendingActuatorFailures.filter(failure => failure.time <= this.missionTime &&
+            (failure.vehicleId !== 'starship' || this.starshipReturning));
+        if (due.length === 0) return;
+
+        this.pendingActuatorFailures = this.pendingActuatorFailures.filter(failure => !due.includes(failure));
+        due.forEach(({ vehicleId, actuatorId }) => {
+            const allocator = this.getControlAllocator(vehicleId);
+            if (!allocator || !allocator.failActuator(actuatorId, ACTUATOR_FAILURES.STUCK)) return;
+
+            console.warn(`Actuator failure on ${vehicleId}: ${actuatorId} (${ACTUATOR_FAILURES.STUCK})`);
+            this.emit('failure', { missionTime: this.missionTime, vehicleId, actuatorId, type: ACTUATOR_FAILURES.STUCK });
+        });
+    }
+
+    /**
+     * Get the control allocator driving a vehicle's aerodynamic surfaces and gimbal
+     * @param {string} vehicleId - 'superHeavy' (grid fins) or 'starship' (flaps and gimbal on its return)
+     * @returns {ControlAllocator|null} Allocator, or null for an unknown vehicle
+     */
+    getControlAllocator(vehicleId) {
+        if (vehicleId === 'superHeavy') return this.physicsEngine.gridFinControl;
+        if (vehicleId === 'starship') return this.shipReturn.reentry.controlAllocator;
+
+        console.warn(`Cannot fail actuator: unknown vehicle ${vehicleId}`);
+        return null;
+    }
+
+    /**
+     * Check whether the booster is resting on the ground
+     * @returns {boolean} True if the booster is on the ground and not moving
+     */
+    isBoosterAtRest() {
+        const booster = this.physicsEngine.vehicles.superHeavy;
+        return this.physicsEngine.getAltitude(booster) <= 0 && booster.velocity.lengthSq() < 0.01;
+    }
+
+    /**
+     * Update the independent Starship ascent
+     * @param {number} deltaTime - Time step in seconds
+     */
+    updateStarshipAscent(deltaTime) {
+        const starshipState = this.physicsEngine.updateStarshipAscent(
+            deltaTime, this.loadManager.getThrottle('starship', 1.0)
+        );
+        if (!starshipState) return;
+
+        const insertion = starshipState.guidance.insertion;
+        if (starshipState.orbitReached) {
+            this.starshipAscending = false;
+            this.setStatus(`Starship orbit reached! ${(insertion.perigeeAltitude / 1000).toFixed(1)} x ` +
+                `${(insertion.apogeeAltitude / 1000).toFixed(1)} km at ${insertion.inclination.toFixed(2)}°`);
+            this.startStarshipReturn();
+        } else if (insertion) {
+            this.starshipAscending = false;
+            this.setStatus('Starship engine cutoff short of orbit.');
+        } else if (starshipState.fuel <= 0) {
+            this.starshipAscending = false;
+            this.setStatus('Starship out of fuel.');
+        }
+
+        // The booster finished first; the mission was waiting for the ship
+        if (!this.starshipAscending && this.outcome) {
+            this.setPhase(this.starshipReturning ? MISSION_PHASES.STARSHIP_RETURN : MISSION_PHASES.MISSION_COMPLETE);
+        }
+    }
+
+    /**
+     * Hand Starship over from the physics engine to the return simulation
+     */
+    startStarshipReturn() {
+        const starship = this.physicsEngine.vehicles.starship;
+        this.shipReturn.start({
+            position: starship.position,
+            velocity: starship.velocity,
+            quaternion: new THREE.Quaternion().setFromEuler(starship.rotation),
+            tanks: Object.fromEntries(starship.tanks.map(tank => [tank.id, tank.mass])),
+            // Engines held off to balance an engine out still work; the return lumps them on the centerline
+            engineHealth: Object.fromEntries(starship.engines.map(engine =>
+                [engine.id, engine.failed ? 0 : engine.health])),
+            rcsPropellant: starship.rcs.propellant
+        }, this.missionTime);
+        this.starshipReturning = true;
+        this.setStatus(this.getDecayStatus(this.shipReturn.decayPrediction));
+
+        (this.options.maneuvers || []).forEach(spec => {
+            if (spec.hohmannAltitude !== undefined) {
+                this.planHohmannTransfer(spec.hohmannAltitude);
+            } else {
+                this.planManeuver(spec);
+            }
+        });
+    }
+
+    /**
+     * Predict when and where Starship's orbit decays if it flies no more burns
+     * @returns {Object|null} Prediction (see ShipReturn.predictDecay), or null if the ship is not returning
+     */
+    predictDecay() {
+        if (!this.starshipReturning) return null;
+        const prediction = this.shipReturn.predictDecay();
+        this.setStatus(this.getDecayStatus(prediction));
+        return prediction;
+    }
+
+    /**
+     * Status message for a decay prediction
+     * @param {Object} prediction - ShipReturn decay prediction
+     * @returns {string} Status message
+     */
+    getDecayStatus(prediction) {
+        const models = [prediction.perturbations.j2 && 'J2', prediction.perturbations.drag && 'drag'].filter(Boolean);
+        const label = `Decay prediction (${models.join(', ') || 'two-body'})`;
+        if (!prediction.decays) {
+            const predictor = this.shipReturn.decayPredictor;
+            return prediction.outlasted === 'descent' ?
+                `${label}: no reentry within the ${(predictor.maxDescentTime / 86400).toFixed(0)}-day descent window` :
+                `${label}: no reentry within ${(predictor.maxLifetime / 86400).toFixed(0)} days`;
+        }
+
+        const lifetime = prediction.lifetime;
+        const duration = lifetime < 7200 ? `${(lifetime / 60).toFixed(0)} min` :
+            lifetime < 172800 ? `${(lifetime / 3600).toFixed(1)} h` : `${(lifetime / 86400).toFixed(1)} days`;
+        let status = `${label}: reentry at T+${prediction.reentryTime.toFixed(0)} s (in ${duration}), impact ` +
+            formatCoordinates(prediction.impact);
+        if (prediction.splashdown) {
+            status += `, ${(prediction.splashdown.distance / 1000).toFixed(0)} km from the splashdown zone ` +
+                `(${prediction.splashdown.inZone ? 'inside' : 'outside'})`;
+        }
+        return status;
+    }
+
+    /**
+     * Plan a maneuver node for Starship in orbit
+     * @param {Object} spec - Node (see ShipReturn.planManeuver)
+     * @returns {Object|null} Planned node, or null if it cannot be planned
+     */
+    planManeuver(spec) {
+        const node = this.starshipReturning ? this.shipReturn.planManeuver(spec) : null;
+        if (node) {
+            this.setStatus(this.getManeuverPlanStatus(node));
+        }
+        return node;
+    }
+
+    /**
+     * Plan a Hohmann transfer for Starship in orbit
+     * @param {number} altitude - Target circular orbit altitude in m
+     * @returns {Array<Object>} Planned nodes
+     */
+    planHohmannTransfer(altitude) {
+        const nodes = this.starshipReturning ? this.shipReturn.planHohmannTransfer(altitude) : [];
+        nodes.forEach(node => this.setStatus(this.getManeuverPlanStatus(node)));
+        return nodes;
+    }
+
+    /**
+     * Status message for a newly planned maneuver node
+     * @param {Object} node - Planned node
+     * @returns {string} Status message
+     */
+    getManeuverPlanStatus(node) {
+        return `Maneuver ${node.id} planned at T+${node.time.toFixed(0)} s (${node.event.replace('_', ' ')}): ` +
+            `${node.deltaV.magnitude.toFixed(1)} m/s, ${node.burnDuration.toFixed(1)} s burn, orbit ` +
+            `${(node.orbit.perigeeAltitude / 1000).toFixed(1)} x ${(node.orbit.apogeeAltitude / 1000).toFixed(1)} km`;
+    }
+
+    /**
+     * Update Starship's return from orbit and mirror it onto the physics vehicle for rendering
+     * @param {number} deltaTime - Time step in seconds
+     */
+    updateStarshipReturn(deltaTime) {
+        const previousPhase = this.shipReturn.phase;
+        const previousDecay = this.shipReturn.decayPrediction;
+        const returnState = this.shipReturn.update(deltaTime);
+        this.mirrorStarshipReturn(returnState);
+
+        if (returnState.phase !== previousPhase) {
+            this.setStatus(this.getShipReturnStatus(returnState));
+        }
+        if (returnState.decay !== previousDecay) {
+            this.setStatus(this.getDecayStatus(returnState.decay));
+        }
+
+        if (this.shipReturn.isComplete()) {
+            this.starshipReturning = false;
+            this.shipOutcome = returnState.phase;
+            if (this.outcome) {
+                this.setPhase(MISSION_PHASES.MISSION_COMPLETE);
+            }
+        }
+    }
+
+    /**
+     * Copy the returning ship's state onto the physics vehicle, which the renderer draws
+     * @param {Object} returnState - ShipReturn state
+     */
+    mirrorStarshipReturn(returnState) {
+        const reentry = this.shipReturn.reentry;
+        const starship = this.physicsEngine.vehicles.starship;
+        starship.position.set(reentry.position.x, reentry.position.y, reentry.position.z);
+        starship.velocity.set(reentry.velocity.x, reentry.velocity.y, reentry.velocity.z);
+        starship.acceleration.set(reentry.acceleration.x, reentry.acceleration.y, reentry.acceleration.z);
+        starship.rotation.setFromQuaternion(this.shipReturn.getQuaternion());
+        starship.throttle = returnState.throttle;
+        starship.tanks.forEach(tank => {
+            tank.mass = reentry.tanks.find(returnTank => returnTank.id === tank.id)?.mass ?? tank.mass;
+        });
+        starship.fuel = returnState.propellant.main + returnState.propellant.header;
+    }
+
+    /**
+     * Status message for the return phase the ship has just entered
+     * @param {Object} returnState - ShipReturn state
+     * @returns {string} Status message
+     */
+    getShipReturnStatus(returnState) {
+        const touchdown = returnState.touchdown;
+        switch (returnState.phase) {
+            case RETURN_PHASES.MANEUVER: {
+                const node = returnState.maneuvers.active;
+                return `Starship maneuver ${node.id}: ${node.deltaV.magnitude.toFixed(1)} m/s on the vacuum Raptors`;
+            }
+            case RETURN_PHASES.ORBIT: {
+                const burn = returnState.maneuvers.completed[returnState.maneuvers.completed.length - 1];
+                return `Maneuver ${burn.id} complete: ${burn.residual.magnitude.toFixed(2)} m/s residual, orbit ` +
+                    `${(burn.orbit.perigeeAltitude / 1000).toFixed(1)} x ${(burn.orbit.apogeeAltitude / 1000).toFixed(1)} km`;
+            }
+            case RETURN_PHASES.DEORBIT:
+                return 'Starship deorbit burn';
+            case RETURN_PHASES.COAST:
+                return `Deorbit burn complete: ${returnState.deorbitDeltaV.toFixed(1)} m/s, perigee ` +
+                    `${(returnState.perigeeAltitude / 1000).toFixed(1)} km`;
+            case RETURN_PHASES.ENTRY:
+                return 'Starship entry interface';
+            case RETURN_PHASES.BELLY_FLOP:
+                return 'Starship subsonic, belly-flop';
+            case RETURN_PHASES.FLIP:
+                return 'Starship landing flip';
+            case RETURN_PHASES.LANDING_BURN:
+                return 'Starship landing burn';
+            case RETURN_PHASES.LANDED:
+                return `Starship landed at ${touchdown.speed.toFixed(1)} m/s, ${formatCoordinates(touchdown)}` +
+                    (touchdown.missDistance === null ? '' : `, ${(touchdown.missDistance / 1000).toFixed(2)} km from the pad`);
+            case RETURN_PHASES.CRASHED:
+                return `Starship lost on impact at ${touchdown.speed.toFixed(1)} m/s, ${touchdown.tilt.toFixed(1)}° tilt`;
+            case RETURN_PHASES.BURNED_THROUGH: {
+                const burnThrough = returnState.burnThrough;
+                return `Starship lost to heat-shield burn-through at ${burnThrough.region} ` +
+                    `(${burnThrough.layer} ${burnThrough.temperature.toFixed(0)} K against ${burnThrough.limit} K), ` +
+                    `${(burnThrough.altitude / 1000).toFixed(1)} km`;
+            }
+            default:
+                return `Starship ${returnState.phase}`;
+        }
+    }
+
+    /**
+     * Resolve the launchSite option
+     * @returns {Object} Launch site { latitude, longitude, altitude }
+     */
+    getLaunchSite() {
+        const site = this.options.launchSite;
+        if (typeof site === 'string') {
+            if (!LAUNCH_SITES[site]) {
+                console.warn(`Unknown launch site ${site}, launching from Starbase`);
+                return LAUNCH_SITES.starbase;
+            }
+            return LAUNCH_SITES[site];
+        }
+        return site || LAUNCH_SITES.starbase;
+    }
+
+    /**
+     * Resolve the epoch option
+     * @returns {Date} Calendar date at T+0
+     */
+    getEpoch() {
+        const epoch = new Date(this.options.epoch ?? DEFAULT_EPOCH);
+        if (isNaN(epoch.getTime())) {
+            console.warn(`Invalid epoch ${this.options.epoch}, starting at ${DEFAULT_EPOCH}`);
+            return new Date(DEFAULT_EPOCH);
+        }
+        return epoch;
+    }
+
+    /**
+     * Calendar date at a mission time
+     * @param {number} missionTime - Mission time in seconds (defaults to now)
+     * @returns {Date} Date
+     */
+    getDate(missionTime = this.missionTime) {
+        return new Date(this.epoch.getTime() + missionTime * 1000);
+    }
+
+    /**
+     * Julian date at a mission time, for the ephemeris
+     * @param {number} missionTime - Mission time in seconds (defaults to now)
+     * @returns {number} Julian date in days
+     */
+    getJulianDate(missionTime = this.missionTime) {
+        return toJulianDate(this.getDate(missionTime));
+    }
+
+    /**
+     * Capture the state of one vehicle
+     * @param {Object} vehicle - Physics vehicle
+     * @returns {Object} Vehicle snapshot
+     */
+    getVehicleSnapshot(vehicle) {
+        const earthFrame = this.physicsEngine.earthFrame;
+        const returned = vehicle === this.physicsEngine.vehicles.starship && this.shipReturn.phase !== null;
+        return {
+            position: vehicle.position.clone(),
+            velocity: vehicle.velocity.clone(),
+            acceleration: vehicle.acceleration.clone(),
+            quaternion: new THREE.Quaternion().setFromEuler(vehicle.rotation),
+            eulerAngles: {
+                x: vehicle.rotation.x,
+                y: vehicle.rotation.y,
+                z: vehicle.rotation.z
+            },
+            throttle: vehicle.throttle,
+            thrust: this.physicsEngine.getThrust(vehicle),
+            // Per-engine thrust capability in engine order; 0 for failed or held-off engines
+            engineHealth: vehicle.engines.map(engine => isEngineAvailable(engine) ? engine.health : 0),
+            // Per-engine fraction of rated thrust produced now, start and shutdown transients included
+            engineThrottle: vehicle.engines.map(getEngineThrottle),
+            fuel: vehicle.fuel,
+            // Propellant left in each tank (kg) and the tanks feeding the engines
+            tanks: Object.fromEntries(vehicle.tanks.map(tank => [tank.id, tank.mass])),
+            propellantFeed: vehicle.propellantFeed,
+            // Thrusters firing and RCS propellant left; from orbit on the ship flies the return's RCS
+            rcs: (returned ? this.shipReturn.reentry.rcs : vehicle.rcs).getState(),
+            // Region temperatures and heat loads; from orbit on the ship's shield is the return's
+            heatShield: (returned ? this.shipReturn.reentry.heatShield : vehicle.heatShield).getState(),
+            // Ground track and speed in the Earth-centered inertial frame
+            geodetic: earthFrame.localToGeodetic(vehicle.position),
+            inertialSpeed: earthFrame.localToEci(vehicle.position, vehicle.velocity, this.missionTime).velocity.length()
+        };
+    }
+
+    /**
+     * Get the vehicle whose telemetry is shown for the current phase
+     * @returns {Object} Physics vehicle
+     */
+    getTelemetryVehicle() {
+        const vehicles = this.physicsEngine.vehicles;
+        return this.phase === MISSION_PHASES.STAGE_SEPARATION || this.phase === MISSION_PHASES.STARSHIP_ASCENT ||
+            this.phase === MISSION_PHASES.STARSHIP_RETURN ? vehicles.starship : vehicles.superHeavy;
+    }
+
+    /**
+     * Pitch of a vehicle's long axis above the local horizon
+     * @param {Object} vehicle - Physics vehicle
+     * @returns {number} Pitch in degrees, 90 when vertical
+     */
+    getPitchAngle(vehicle) {
+        const axis = new THREE.Vector3(0, 1, 0).applyEuler(vehicle.rotation);
+        const up = this.physicsEngine.dynamics.getLocalUp(vehicle.position);
+        return 90 - Math.acos(Math.max(-1, Math.min(1, axis.dot(up)))) * (180 / Math.PI);
+    }
+
+    /**
+     * Loads on the telemetry vehicle while it is monitored
+     * @param {Object} vehicle - Physics vehicle
+     * @returns {Object} { dynamicPressure (kPa), qAlpha (kPa·deg), axialG, lateralG }, zero when not monitored
+     */
+    getLoadTelemetry(vehicle) {
+        const loads = this.loadManager.loads[this.physicsEngine.getVehicleId(vehicle)];
+        if (!loads) {
+            return { dynamicPressure: 0, qAlpha: 0, axialG: 0, lateralG: 0 };
+        }
+
+        return {
+            dynamicPressure: loads.dynamicPressure / 1000,
+            qAlpha: loads.qAlpha / 1000 * (180 / Math.PI),
+            axialG: loads.axialG,
+            lateralG: loads.lateralG
+        };
+    }
+
+    /**
+     * Get the current simulation state
+     * @returns {Object} State snapshot
+     */
+    getSnapshot() {
+        const vehicles = this.physicsEngine.vehicles;
+        const telemetryVehicle = this.getTelemetryVehicle();
+
+        return {
+            missionTime: this.missionTime,
+            date: this.getDate().toISOString(),
+            phase: this.phase,
+            status: this.status,
+            outcome: this.outcome,
+            stageSeparationTime: this.stageSeparationTime,
+            starshipAscending: this.starshipAscending,
+            starshipReturning: this.starshipReturning,
+            shipOutcome: this.shipOutcome,
+            vehicles: {
+                superHeavy: this.getVehicleSnapshot(vehicles.superHeavy),
+                starship: this.getVehicleSnapshot(vehicles.starship)
+            },
+            telemetry: {
+                altitude: this.physicsEngine.getAltitude(telemetryVehicle) / 1000, // km
+                velocity: telemetryVehicle.velocity.length(),
+                acceleration: telemetryVehicle.acceleration.length(),
+                attitude: this.getPitchAngle(telemetryVehicle), // degrees
+                ...this.getLoadTelemetry(telemetryVehicle)
+            },
+            guidance: this.physicsEngine.ascentGuidance.getState(),
+            loads: this.loadManager.getState(),
+            hotStaging: this.physicsEngine.hotStaging.getState(),
+            boostback: this.physicsEngine.boostbackGuidance.getState(),
+            poweredDescent: this.physicsEngine.poweredDescent.getState(),
+            gridFins: this.physicsEngine.gridFinControl.getState(),
+            landingPhase: this.physicsEngine.landingPhase,
+            catchState: this.mechazillaCatch.getState(),
+            shipReturn: this.shipReturn.getState(),
+            timeWarp: {
+                requested: this.timeWarp,
+                effective: this.getTimeWarp(),
+                onRails: this.shipReturn.isOnRails()
+            }
+        };
+    }
+
+    /**
+     * Check whether the mission has ended
+     * @returns {boolean} True when the mission is complete
+     */
+    isComplete() {
+        return this.phase === MISSION_PHASES.MISSION_COMPLETE;
+    }
+}
+
+/**
+ * Interpolate vehicle poses between two consecutive physics snapshots for rendering
+ * @param {Object} previous - Snapshot from the earlier physics step
+ * @param {Object} current - Snapshot from the latest physics step
+ * @param {number} alpha - Fraction of a step elapsed since the latest snapshot (0-1)
+ * @returns {Object} Interpolated snapshot
+ */
+export function interpolateSnapshots(previous, current, alpha) {
+    const vehicles = {};
+
+    Object.entries(current.vehicles).forEach(([id, vehicle]) => {
+        const previousVehicle = previous.vehicles[id];
+        vehicles[id] = {
+            ...vehicle,
+            position: previousVehicle.position.clone().lerp(vehicle.position, alpha),
+            quaternion: previousVehicle.quaternion.clone().slerp(vehicle.quaternion, alpha)
+        };
+    });
+
+    return {
+        ...current,
+        missionTime: previous.missionTime + (current.missionTime - previous.missionTime) * alpha,
+        vehicles
+    };
+}
+
+/**
+ * Run a full mission headlessly with automatic sequencing
+ * @param {Object} options - Run options
+ * @param {number} options.physicsRate - Fixed physics update rate in Hz
+ * @param {number} options.maxMissionTime - Mission time limit in seconds
+ * @param {number} options.snapshotInterval - Mission seconds between recorded snapshots
+ * @param {Function} options.onSnapshot - Called with each recorded snapshot; when given, snapshots
+ *   are streamed to it and not kept in the result
+ * @param {Object} options.integrators - Integrator type per vehicle
+ * @param {number} options.timeWarp - Time warp while the ship coasts on the rails
+ * @param {Date|string} options.epoch - Calendar date at T+0
+ * @returns {Object} Mission result with the recorded snapshots (empty when onSnapshot is given)
+ *   and the integrator drift report
+ */
+export function runMission(options = {}) {
+    const {
+        maxMissionTime = 7200,
+        snapshotInterval = 1,
+        onSnapshot = null,
+        ...coreOptions
+    } = options;
+
+    const core = new SimulationCore({ autoSequence: true, ...coreOptions });
+    const snapshots = [];
+    const events = [];
+
+    core.on('phase', event => events.push({ type: 'phase', ...event }));
+    core.on('status', event => events.push({ type: 'status', ...event }));
+    core.on('failure', ({ type, ...event }) => events.push({ type: 'failure', failureType: type, ...event }));
+    core.on('load', ({ type, ...event }) => events.push({ type: 'load', loadType: type, ...event }));
+
+    // Streamed snapshots are not kept, so long or warped runs do not grow without bound
+    const record = onSnapshot || (snapshot => snapshots.push(snapshot));
+
+    core.launch();
+    record(core.getSnapshot());
+
+    let nextSnapshotTime = snapshotInterval;
+    while (!core.isComplete() && core.missionTime < maxMissionTime) {
+        const snapshot = core.step(core.fixedTimeStep);
+
+        // A warped step can cover many intervals; it is recorded once
+        if (core.missionTime >= nextSnapshotTime) {
+            record(snapshot);
+            nextSnapshotTime += snapshotInterval *
+                Math.max(1, Math.ceil((core.missionTime - nextSnapshotTime) / snapshotInterval));
+        }
+    }
+
+    const finalSnapshot = core.getSnapshot();
+    record(finalSnapshot);
+
+    return {
+        completed: core.isComplete(),
+        missionTime: core.missionTime,
+        finalPhase: core.phase,
+        finalStatus: core.status,
+        outcome: core.outcome,
+        shipOutcome: core.shipOutcome,
+        driftReport: core.physicsEngine.getDriftReport(),
+        events,
+        snapshots
+    };
+}
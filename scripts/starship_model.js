@@ -1209,3 +1209,56 @@ function createTowerFramework(width, height) {
   
   return framework;
 }
+
+/**
+ * Creates the RCS plumes for a vehicle, one per thruster, all hidden until it fires
+ * @param {Array<Object>} thrusters - Thruster layout from createThrusters in rcs.js (nose along +Y)
+ * @param {string} type - RCS type: 'cold_gas' puffs white, 'hot_gas' burns orange
+ * @returns {THREE.Group} Group of plume meshes named by thruster id
+ */
+export function createRcsPlumes(thrusters, type) {
+  const plumes = new THREE.Group();
+  plumes.name = 'rcsPlumes';
+  
+  const hotGas = type === 'hot_gas';
+  const length = hotGas ? 5 : 3; // meters
+  const material = new THREE.MeshBasicMaterial({
+    color: hotGas ? 0xffa040 : 0xe8f0ff,
+    transparent: true,
+    opacity: hotGas ? 0.7 : 0.45,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    side: THREE.DoubleSide
+  });
+  
+  // Cone with its tip at the nozzle, widening along -Y
+  const geometry = new THREE.ConeGeometry(length * 0.2, length, 12, 1, true);
+  geometry.translate(0, -length / 2, 0);
+  
+  thrusters.forEach(thruster => {
+    const plume = new THREE.Mesh(geometry, material);
+    plume.name = thruster.id;
+    plume.position.copy(thruster.position);
+    // Exhaust leaves opposite to the push on the vehicle
+    plume.quaternion.setFromUnitVectors(new THREE.Vector3(0, -1, 0), thruster.direction.clone().negate());
+    plume.visible = false;
+    plumes.add(plume);
+  });
+  
+  return plumes;
+}
+
+/**
+ * Shows the plumes of the thrusters that fired on the last step, flickering their length
+ * @param {THREE.Group} plumes - Group from createRcsPlumes
+ * @param {Array<string>} firing - Ids of the thrusters firing
+ */
+export function updateRcsPlumes(plumes, firing = []) {
+  const lit = new Set(firing);
+  plumes.children.forEach(plume => {
+    plume.visible = lit.has(plume.name);
+    if (plume.visible) {
+      plume.scale.y = 0.8 + Math.random() * 0.4;
+    }
+  });
+}
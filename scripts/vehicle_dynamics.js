@@ -0,0 +1,514 @@
+// Vehicle dynamics for SpaceX Starship Simulator
+// Gravity, atmosphere, aerodynamics, propulsion and thermal force models shared
+// by every physics engine, so launch, reentry and landing use the same physics
+import * as THREE from 'three';
+import { StandardAtmosphere } from './atmosphere.js';
+
+export const EARTH_CONSTANTS = {
+    RADIUS: 6371000, // m (mean radius)
+    MU: 3.986004418e14, // m³/s² (standard gravitational parameter)
+    STANDARD_GRAVITY: 9.80665, // m/s² (defines specific impulse)
+    ROTATION_RATE: 7.2921159e-5, // rad/s (sidereal)
+    SEA_LEVEL_PRESSURE: 101325 // Pa
+};
+
+const STEFAN_BOLTZMANN = 5.670374e-8; // W/(m²·K⁴)
+
+// Accept THREE.Vector3 or plain {x, y, z}
+function toVector3(value) {
+    return new THREE.Vector3(value.x, value.y, value.z);
+}
+
+/**
+ * Point-mass (inverse-square) gravity
+ */
+export class GravityModel {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {number} options.mu - Gravitational parameter in m³/s²
+     * @param {number} options.radius - Body radius in m
+     */
+    constructor(options = {}) {
+        this.mu = options.mu ?? EARTH_CONSTANTS.MU;
+        this.radius = options.radius ?? EARTH_CONSTANTS.RADIUS;
+    }
+
+    /**
+     * Gravitational acceleration at an altitude
+     * @param {number} altitude - Altitude in meters
+     * @returns {number} Acceleration in m/s²
+     */
+    getMagnitude(altitude) {
+        const distance = this.radius + altitude;
+        return this.mu / (distance * distance);
+    }
+
+    /**
+     * Gravitational potential at an altitude
+     * @param {number} altitude - Altitude in meters
+     * @returns {number} Specific potential energy in J/kg
+     */
+    getPotential(altitude) {
+        return -this.mu / (this.radius + altitude);
+    }
+}
+
+/**
+ * Body drag, lift and pitching moment for a slender vehicle
+ * Coefficients come from an aero database (see aero_database.js) when one is given.
+ * Otherwise drag rises from the axial coefficient to the broadside coefficient with
+ * sin²(α) and lift follows CL·sin(2α). Lift acts in the plane of the body axis and the
+ * air-relative velocity.
+ */
+export class AerodynamicsModel {
+    /**
+     * Dynamic pressure
+     * @param {number} density - Air density in kg/m³
+     * @param {number} speed - Air-relative speed in m/s
+     * @returns {number} Dynamic pressure in Pa
+     */
+    getDynamicPressure(density, speed) {
+        return 0.5 * density * speed * speed;
+    }
+
+    /**
+     * Angle between the body axis and the air-relative velocity
+     * @param {THREE.Vector3} airVelocity - Air-relative velocity
+     * @param {THREE.Vector3} axis - Unit vector along the vehicle's nose (world frame)
+     * @returns {number} Angle of attack in radians, 0 to π
+     */
+    getAngleOfAttack(airVelocity, axis) {
+        const speed = airVelocity.length();
+        if (speed === 0 || !axis) return 0;
+
+        return Math.acos(Math.max(-1, Math.min(1, airVelocity.dot(axis) / speed)));
+    }
+
+    /**
+     * Drag coefficient at a flight condition
+     * @param {Object} coefficients - { database, dragIncrement } or { dragCoefficient, broadsideDragCoefficient }
+     * @param {number} angleOfAttack - Angle of attack in radians
+     * @param {number} mach - Mach number (used with a database)
+     * @returns {number} Drag coefficient
+     */
+    getDragCoefficient(coefficients, angleOfAttack, mach = 0) {
+        if (coefficients.database) {
+            return coefficients.database.getCoefficients(mach, angleOfAttack).CD + (coefficients.dragIncrement || 0);
+        }
+        const axial = coefficients.dragCoefficient;
+        const broadside = coefficients.broadsideDragCoefficient ?? axial;
+        return axial + (broadside - axial) * Math.pow(Math.sin(angleOfAttack), 2);
+    }
+
+    /**
+     * Lift coefficient at a flight condition
+     * @param {Object} coefficients - { database } or { liftCoefficient }
+     * @param {number} angleOfAttack - Angle of attack in radians
+     * @param {number} mach - Mach number (used with a database)
+     * @returns {number} Lift coefficient (negative past 90°)
+     */
+    getLiftCoefficient(coefficients, angleOfAttack, mach = 0) {
+        if (coefficients.database) {
+            return coefficients.database.getCoefficients(mach, angleOfAttack).CL;
+        }
+        return (coefficients.liftCoefficient || 0) * Math.sin(2 * angleOfAttack);
+    }
+
+    /**
+     * Pitching moment coefficient at a flight condition
+     * @param {Object} coefficients - { database }; without one the body has no pitching moment
+     * @param {number} angleOfAttack - Angle of attack in radians
+     * @param {number} mach - Mach number
+     * @returns {number} Moment coefficient about the geometric center, positive raising α
+     */
+    getMomentCoefficient(coefficients, angleOfAttack, mach = 0) {
+        return coefficients.database ? coefficients.database.getCoefficients(mach, angleOfAttack).Cm : 0;
+    }
+
+    /**
+     * Calculate drag and lift forces and the pitching moment
+     * @param {Object} params - Force inputs
+     * @param {THREE.Vector3} params.airVelocity - Air-relative velocity (world frame)
+     * @param {THREE.Vector3} params.axis - Unit vector along the nose, or null for drag only
+     * @param {number} params.density - Air density in kg/m³
+     * @param {number} params.mach - Mach number (for database lookups)
+     * @param {Object} params.coefficients - { database, dragIncrement, referenceArea, referenceLength,
+     *   referencePoint } or { dragCoefficient, broadsideDragCoefficient, liftCoefficient, referenceArea }
+     * @returns {Object} { drag, lift, moment, dynamicPressure, angleOfAttack } with the moment (world frame)
+     *   about the reference point (the geometric center by default)
+     */
+    calculateForces(params) {
+        const { airVelocity, axis, density, coefficients, mach = 0 } = params;
+        const speed = airVelocity.length();
+        const drag = new THREE.Vector3();
+        const lift = new THREE.Vector3();
+        const moment = new THREE.Vector3();
+
+        const dynamicPressure = this.getDynamicPressure(density, speed);
+        const angleOfAttack = this.getAngleOfAttack(airVelocity, axis);
+        if (speed === 0) {
+            return { drag, lift, moment, dynamicPressure, angleOfAttack };
+        }
+
+        const flowDirection = airVelocity.clone().divideScalar(speed);
+        const force = dynamicPressure * coefficients.referenceArea;
+
+        drag.copy(flowDirection).multiplyScalar(-force * this.getDragCoefficient(coefficients, angleOfAttack, mach));
+
+        // Lift acts along the part of the body axis perpendicular to the flow
+        if (axis) {
+            const liftDirection = axis.clone().addScaledVector(flowDirection, -axis.dot(flowDirection));
+            if (liftDirection.lengthSq() > 1e-12) {
+                lift.copy(liftDirection.normalize())
+                    .multiplyScalar(force * this.getLiftCoefficient(coefficients, angleOfAttack, mach));
+            }
+
+            // Positive Cm turns the nose away from the flow
+            const pitchAxis = flowDirection.clone().cross(axis);
+            if (pitchAxis.lengthSq() > 1e-12 && coefficients.referenceLength) {
+                moment.copy(pitchAxis.normalize()).multiplyScalar(
+                    force * coefficients.referenceLength * this.getMomentCoefficient(coefficients, angleOfAttack, mach)
+                );
+            }
+        }
+
+        return { drag, lift, moment, dynamicPressure, angleOfAttack };
+    }
+}
+
+/**
+ * Rocket engine performance between sea level and vacuum
+ * Engines are rated by sea-level thrust and specific impulse; mass flow is
+ * fixed by throttle, so thrust scales with the ambient-pressure Isp.
+ */
+export class PropulsionModel {
+    /**
+     * Specific impulse at an ambient pressure
+     * @param {Object} engine - { isp, vacuumIsp } in seconds
+     * @param {number} pressure - Ambient pressure in Pa
+     * @returns {number} Specific impulse in seconds
+     */
+    getSpecificImpulse(engine, pressure) {
+        const vacuumIsp = engine.vacuumIsp ?? engine.isp;
+        const pressureRatio = Math.max(0, Math.min(1, pressure / EARTH_CONSTANTS.SEA_LEVEL_PRESSURE));
+        return vacuumIsp + (engine.isp - vacuumIsp) * pressureRatio;
+    }
+
+    /**
+     * Propellant mass flow
+     * @param {Object} engine - { thrust, isp } rated at sea level
+     * @param {number} throttle - Throttle setting 0-1
+     * @returns {number} Mass flow in kg/s
+     */
+    getMassFlow(engine, throttle = 1) {
+        return engine.thrust * throttle / (engine.isp * EARTH_CONSTANTS.STANDARD_GRAVITY);
+    }
+
+    /**
+     * Thrust at an ambient pressure
+     * @param {Object} engine - { thrust, isp, vacuumIsp } rated at sea level
+     * @param {number} pressure - Ambient pressure in Pa
+     * @param {number} throttle - Throttle setting 0-1
+     * @returns {number} Thrust in N
+     */
+    getThrust(engine, pressure, throttle = 1) {
+        return this.getMassFlow(engine, throttle) * EARTH_CONSTANTS.STANDARD_GRAVITY *
+            this.getSpecificImpulse(engine, pressure);
+    }
+}
+
+/**
+ * Stagnation-point convective heating and a radiatively cooled heat shield
+ */
+export class ThermalModel {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {number} options.suttonGravesConstant - Heating constant for air, kg^0.5/m
+     * @param {number} options.noseRadius - Effective nose radius in m
+     * @param {number} options.emissivity - Default surface emissivity
+     * @param {number} options.arealHeatCapacity - Default heat capacity per unit area in J/(m²·K)
+     */
+    constructor(options = {}) {
+        this.suttonGravesConstant = options.suttonGravesConstant ?? 1.83e-4;
+        this.noseRadius = options.noseRadius ?? 1; // m
+        this.emissivity = options.emissivity ?? 0.8;
+        this.arealHeatCapacity = options.arealHeatCapacity ?? 2e5; // 10 cm of tile at 2000 kg/m³, 1000 J/(kg·K)
+    }
+
+    /**
+     * Convective heat flux (Sutton-Graves)
+     * @param {number} density - Air density in kg/m³
+     * @param {number} speed - Air-relative speed in m/s
+     * @param {number} noseRadius - Nose radius in m (optional)
+     * @returns {number} Heat flux in W/m²
+     */
+    getHeatFlux(density, speed, noseRadius = this.noseRadius) {
+        return this.suttonGravesConstant * Math.sqrt(density / noseRadius) * Math.pow(speed, 3);
+    }
+
+    /**
+     * Advance a lumped surface temperature over one time step
+     * @param {number} temperature - Current surface temperature in Kelvin
+     * @param {number} heatFlux - Incoming heat flux in W/m²
+     * @param {number} ambientTemperature - Temperature the surface radiates against in Kelvin
+     * @param {number} deltaTime - Time step in seconds
+     * @param {Object} surface - Optional { emissivity, arealHeatCapacity }
+     * @returns {number} New surface temperature in Kelvin
+     */
+    updateTemperature(temperature, heatFlux, ambientTemperature, deltaTime, surface = {}) {
+        const emissivity = surface.emissivity ?? this.emissivity;
+        const arealHeatCapacity = surface.arealHeatCapacity ?? this.arealHeatCapacity;
+
+        const radiated = emissivity * STEFAN_BOLTZMANN *
+            (Math.pow(temperature, 4) - Math.pow(ambientTemperature, 4));
+        const next = temperature + (heatFlux - radiated) * deltaTime / arealHeatCapacity;
+
+        // Radiative cooling stops at the ambient temperature
+        return temperature >= ambientTemperature ? Math.max(ambientTemperature, next) : next;
+    }
+}
+
+/**
+ * Composable vehicle dynamics
+ * Combines the force models and the world geometry:
+ * - 'flat': launch-site frame, altitude is position.y and up is +Y
+ * - 'spherical': Earth-centered frame, altitude is the distance from the center minus the radius
+ * - 'rotating': the launch site's Earth-fixed frame on a spherical, rotating Earth (see EarthFrame);
+ *   up is +Y at the pad, gravity includes the centrifugal term and forces include Coriolis
+ */
+export class VehicleDynamics {
+    /**
+     * @param {Object} options - Frame and optional model overrides
+     * @param {string} options.frame - 'flat' (default), 'spherical' or 'rotating'
+     * @param {EarthFrame} options.earthFrame - Launch site and Earth rotation (required for 'rotating')
+     * @param {GravityModel} options.gravity
+     * @param {StandardAtmosphere} options.atmosphere
+     * @param {AerodynamicsModel} options.aerodynamics
+     * @param {PropulsionModel} options.propulsion
+     * @param {ThermalModel} options.thermal
+     */
+    constructor(options = {}) {
+        this.frame = options.frame || 'flat';
+        this.earthFrame = options.earthFrame || null;
+        if (this.frame === 'rotating' && !this.earthFrame) {
+            throw new Error('The rotating frame needs an EarthFrame');
+        }
+        this.gravity = options.gravity || new GravityModel();
+        this.atmosphere = options.atmosphere || new StandardAtmosphere();
+        this.aerodynamics = options.aerodynamics || new AerodynamicsModel();
+        this.propulsion = options.propulsion || new PropulsionModel();
+        this.thermal = options.thermal || new ThermalModel();
+    }
+
+    /**
+     * Altitude above the surface
+     * @param {THREE.Vector3|Object} position - Position in this frame
+     * @returns {number} Altitude in meters
+     */
+    getAltitude(position) {
+        if (this.frame === 'spherical') {
+            return Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z) -
+                this.gravity.radius;
+        }
+        if (this.frame === 'rotating') {
+            return this.earthFrame.getAltitude(position);
+        }
+        return position.y;
+    }
+
+    /**
+     * Local vertical
+     * @param {THREE.Vector3|Object} position - Position in this frame
+     * @returns {THREE.Vector3} Unit vector pointing up
+     */
+    getLocalUp(position) {
+        if (this.frame === 'spherical') {
+            return toVector3(position).normalize();
+        }
+        if (this.frame === 'rotating') {
+            return this.earthFrame.getLocalUp(position);
+        }
+        return new THREE.Vector3(0, 1, 0);
+    }
+
+    /**
+     * Point on the surface at a position's latitude and longitude
+     * @param {THREE.Vector3|Object} position - Position in this frame
+     * @returns {THREE.Vector3} Position at zero altitude
+     */
+    projectToSurface(position) {
+        if (this.frame === 'rotating') {
+            return this.earthFrame.projectToSurface(position);
+        }
+        if (this.frame === 'spherical') {
+            return toVector3(position).normalize().multiplyScalar(this.gravity.radius);
+        }
+        return new THREE.Vector3(position.x, 0, position.z);
+    }
+
+    /**
+     * Gravitational acceleration vector
+     * In the rotating frame this is effective gravity, including the centrifugal term.
+     * @param {THREE.Vector3|Object} position - Position in this frame
+     * @returns {THREE.Vector3} Acceleration in m/s²
+     */
+    getGravityAcceleration(position) {
+        const gravity = this.getLocalUp(position).multiplyScalar(-this.gravity.getMagnitude(this.getAltitude(position)));
+        if (this.frame === 'rotating') {
+            gravity.add(this.earthFrame.getCentrifugalAcceleration(position));
+        }
+        return gravity;
+    }
+
+    /**
+     * Gravitational potential (with the centrifugal potential in the rotating frame)
+     * @param {THREE.Vector3|Object} position - Position in this frame
+     * @returns {number} Specific potential energy in J/kg
+     */
+    getGravityPotential(position) {
+        const potential = this.gravity.getPotential(this.getAltitude(position));
+        if (this.frame === 'rotating') {
+            return potential + this.earthFrame.getCentrifugalPotential(position);
+        }
+        return potential;
+    }
+
+    /**
+     * Coriolis acceleration of the frame (zero unless it rotates)
+     * @param {THREE.Vector3|Object} velocity - Velocity in this frame
+     * @returns {THREE.Vector3} Acceleration in m/s²
+     */
+    getCoriolisAcceleration(velocity) {
+        if (this.frame === 'rotating') {
+            return this.earthFrame.getCoriolisAcceleration(velocity);
+        }
+        return new THREE.Vector3();
+    }
+
+    /**
+     * Environment at a position
+     * @param {THREE.Vector3|Object} position - Position in this frame
+     * @returns {Object} { altitude, gravity, density, temperature, pressure, speedOfSound, viscosity }
+     */
+    getEnvironment(position) {
+        const altitude = this.getAltitude(position);
+        return {
+            altitude,
+            gravity: this.gravity.getMagnitude(altitude),
+            ...this.atmosphere.getConditions(altitude)
+        };
+    }
+
+    /**
+     * Sum the thrust of individual engines
+     * Each engine pushes along its own (possibly gimbaled) axis from its mount point,
+     * so an off-center or unevenly throttled cluster produces a net torque.
+     * @param {Array<Object>} engines - { thrust, isp, vacuumIsp, throttle, direction, position } per engine,
+     *   rated at sea level; direction (defaults to +Y) and position are in the body frame
+     * @param {number} pressure - Ambient pressure in Pa
+     * @param {THREE.Vector3} centerOfMass - Body-frame center of mass (defaults to the origin)
+     * @returns {Object} { force, torque, massFlow } with force and torque in the body frame
+     */
+    calculateThrust(engines, pressure, centerOfMass = null) {
+        const force = new THREE.Vector3();
+        const torque = new THREE.Vector3();
+        let massFlow = 0;
+
+        for (const engine of engines) {
+            if (!(engine.throttle > 0)) continue;
+
+            const direction = engine.direction ? engine.direction.clone() : new THREE.Vector3(0, 1, 0);
+            const engineForce = direction.multiplyScalar(
+                this.propulsion.getThrust(engine, pressure, engine.throttle)
+            );
+            force.add(engineForce);
+            massFlow += this.propulsion.getMassFlow(engine, engine.throttle);
+
+            if (engine.position) {
+                const arm = engine.position.clone();
+                if (centerOfMass) arm.sub(centerOfMass);
+                torque.add(arm.cross(engineForce));
+            }
+        }
+
+        return { force, torque, massFlow };
+    }
+
+    /**
+     * Sum gravity, thrust and aerodynamic forces on a vehicle
+     * @param {Object} body - Vehicle description
+     * @param {number} body.mass - Total mass in kg
+     * @param {THREE.Vector3|Object} body.position - Position in this frame
+     * @param {THREE.Vector3|Object} body.velocity - Velocity in this frame
+     * @param {THREE.Quaternion} body.attitude - Body-to-world attitude (optional)
+     * @param {THREE.Vector3} body.axis - Unit vector along the nose in this frame (defaults to body +Y)
+     * @param {Array<Object>} body.engines - Engines as described in calculateThrust
+     * @param {THREE.Vector3} body.centerOfMass - Body-frame center of mass for the thrust and
+     *   aerodynamic torques (optional)
+     * @param {Object} body.aerodynamics - Coefficients as described in AerodynamicsModel.calculateForces
+     * @param {THREE.Vector3} body.windVelocity - Velocity of the surrounding air (optional)
+     * @returns {Object} { total, gravity, coriolis, thrust, thrustTorque, drag, lift, aeroTorque, massFlow,
+     *   environment, dynamicPressure, angleOfAttack, mach } with both torques in the body frame about the
+     *   center of mass
+     */
+    calculateForces(body) {
+        const environment = this.getEnvironment(body.position);
+        const attitude = body.attitude || new THREE.Quaternion();
+        const gravity = this.getGravityAcceleration(body.position).multiplyScalar(body.mass);
+        const coriolis = this.getCoriolisAcceleration(body.velocity).multiplyScalar(body.mass);
+
+        const propulsion = this.calculateThrust(body.engines || [], environment.pressure, body.centerOfMass);
+        const thrust = propulsion.force.applyQuaternion(attitude);
+
+        const airVelocity = toVector3(body.velocity);
+        if (body.windVelocity) {
+            airVelocity.sub(body.windVelocity);
+        }
+
+        const axis = body.axis || new THREE.Vector3(0, 1, 0).applyQuaternion(attitude);
+        const mach = airVelocity.length() / environment.speedOfSound;
+
+        const aero = body.aerodynamics ?
+            this.aerodynamics.calculateForces({
+                airVelocity,
+                axis,
+                density: environment.density,
+                mach,
+                coefficients: body.aerodynamics
+            }) :
+            {
+                drag: new THREE.Vector3(),
+                lift: new THREE.Vector3(),
+                moment: new THREE.Vector3(),
+                dynamicPressure: 0,
+                angleOfAttack: 0
+            };
+
+        // Aerodynamic loads act about the reference point (the geometric center unless the
+        // coefficients give one); move them to the center of mass
+        const worldToBody = attitude.clone().invert();
+        const aeroTorque = aero.moment.clone().applyQuaternion(worldToBody);
+        if (body.aerodynamics && (body.centerOfMass || body.aerodynamics.referencePoint)) {
+            const arm = (body.aerodynamics.referencePoint || new THREE.Vector3()).clone();
+            if (body.centerOfMass) arm.sub(body.centerOfMass);
+            const aeroForce = aero.drag.clone().add(aero.lift).applyQuaternion(worldToBody);
+            aeroTorque.add(arm.cross(aeroForce));
+        }
+
+        return {
+            total: gravity.clone().add(coriolis).add(thrust).add(aero.drag).add(aero.lift),
+            gravity,
+            coriolis,
+            thrust,
+            thrustTorque: propulsion.torque,
+            drag: aero.drag,
+            lift: aero.lift,
+            aeroTorque,
+            massFlow: propulsion.massFlow,
+            environment,
+            dynamicPressure: aero.dynamicPressure,
+            angleOfAttack: aero.angleOfAttack,
+            mach
+        };
+    }
+}
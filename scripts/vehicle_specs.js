@@ -0,0 +1,223 @@
+// Starship and Super Heavy specifications for SpaceX Starship Simulator
+// Shared by every physics engine so dimensions, masses, aerodynamics and
+// engine performance have a single source
+
+// Liquid oxygen and liquid methane, burned at a fixed oxidizer-to-fuel mass ratio
+export const METHALOX = {
+    mixtureRatio: 3.6, // O/F by mass
+    lox: { density: 1141 }, // kg/m³
+    ch4: { density: 422.8 } // kg/m³
+};
+
+const oxidizerMass = propellantMass => propellantMass * METHALOX.mixtureRatio / (1 + METHALOX.mixtureRatio);
+const fuelMass = propellantMass => propellantMass / (1 + METHALOX.mixtureRatio);
+
+const RAPTOR_SEA_LEVEL = {
+    thrust: 1845000, // N per engine at sea level (185 tf)
+    isp: 330, // seconds at sea level
+    vacuumIsp: 350, // seconds
+    throttleRange: [0.4, 1.0],
+    startupTime: 0.8, // seconds from ignition to rated thrust
+    shutdownTime: 0.4 // seconds of thrust tail-off
+};
+
+export const STARSHIP_SPECS = {
+    dryMass: 120000, // kg
+    propellantMass: 1200000, // kg (methalox, main and header tanks)
+    length: 50, // m
+    diameter: 9, // m
+    crossSectionalArea: Math.PI * Math.pow(4.5, 2), // m²
+    dragCoefficient: 0.82, // nose-first (ascent)
+    broadsideDragCoefficient: 1.4, // belly-first (reentry)
+    liftCoefficient: 0.1, // peak body lift, reached at 45° angle of attack
+    flaps: {
+        area: 32, // m² (4 flaps total)
+        maxDeflection: 70, // degrees
+        effectiveness: 0.8,
+        slewRate: 30, // degrees/s
+        hingeArm: 1, // m from the hinge line to the flap's center of pressure
+        actuatorPower: 400000 // W, electric drive shared by the four flaps
+    },
+    // Cold-gas nitrogen thrusters in pods at the nose and the tail; station is the pod's distance
+    // in m from the vehicle's center toward the nose
+    rcs: {
+        type: 'cold_gas',
+        thrust: 4000, // N per thruster
+        isp: 70, // seconds
+        minimumImpulseBit: 80, // N·s, the shortest pulse a valve delivers
+        propellantMass: 2000, // kg of nitrogen
+        pods: [
+            { id: 'forward', station: 20, roll: true },
+            { id: 'aft', station: -20 }
+        ]
+    },
+    // Tiles over the windward half, bare steel on the lee side (see aerothermal.js). Rows run from
+    // the nose back and lean toward the nose by their inclination in degrees; columns stand at
+    // azimuths in degrees from the belly. heating scales the stagnation flux where the surface curves
+    // tighter than the body (the nose and the chines) or the flaps' shocks meet the hull
+    heatShield: {
+        noseRadius: 9, // m, effective; belly-first the hull meets the flow far flatter than a 4.5 m nose would
+        leewardHeating: 0.03, // share of the stagnation flux in the separated flow on the lee side
+        distributionExponent: 1.5,
+        rows: [
+            { id: 'nose', inclination: 45, heating: 1.2 },
+            { id: 'forward', heating: 1 },
+            { id: 'mid', heating: 0.9 },
+            { id: 'aft', heating: 1.1 }
+        ],
+        columns: [
+            { id: 'windward', azimuth: 0 },
+            { id: 'chine_left', azimuth: 70, heating: 1.5 },
+            { id: 'chine_right', azimuth: -70, heating: 1.5 },
+            { id: 'leeward', azimuth: 180, tiled: false }
+        ],
+        tile: {
+            emissivity: 0.85,
+            arealHeatCapacity: 30000, // J/(m²·K)
+            conductance: 3, // W/(m²·K) through the tile and its felt
+            maxTemperature: 1900 // K
+        },
+        steel: {
+            emissivity: 0.6,
+            arealHeatCapacity: 16000, // J/(m²·K), 4 mm of stainless
+            maxTemperature: 1100 // K
+        }
+    },
+    // Ascent load limits; while stacked the stricter of the two vehicles' limits applies
+    structuralLimits: {
+        dynamicPressure: 35000, // Pa
+        qAlpha: 2500, // Pa·rad (about 143 kPa·deg)
+        axialG: 5, // g, sensed along the long axis
+        lateralG: 0.5 // g
+    },
+    // Main tanks hold everything but the landing propellant: LOX aft, methane forward.
+    // The LOX header sits in the nose and the methane header inside the main LOX tank.
+    // base is the tank floor's height above the vehicle base in m
+    tanks: {
+        mainLox: { propellant: 'lox', feed: 'main', capacity: oxidizerMass(1170000), base: 4 },
+        mainCh4: { propellant: 'ch4', feed: 'main', capacity: fuelMass(1170000), base: 17 },
+        headerLox: { propellant: 'lox', feed: 'header', capacity: oxidizerMass(30000), base: 41, diameter: 3 },
+        headerCh4: { propellant: 'ch4', feed: 'header', capacity: fuelMass(30000), base: 13, diameter: 2.5 }
+    },
+    engines: {
+        seaLevel: {
+            count: 3,
+            ...RAPTOR_SEA_LEVEL,
+            gimbaled: true,
+            gimbalRange: 15, // degrees
+            gimbalRate: 40, // degrees/s
+            restartCapable: true
+        },
+        vacuum: {
+            count: 3,
+            ...RAPTOR_SEA_LEVEL,
+            thrust: 1620000, // N per engine at sea level (2.2 MN in vacuum)
+            isp: 280, // seconds at sea level
+            vacuumIsp: 380, // seconds
+            gimbaled: false,
+            restartCapable: true
+        }
+    }
+};
+
+export const SUPER_HEAVY_SPECS = {
+    dryMass: 200000, // kg
+    propellantMass: 3400000, // kg (methalox, main and header tanks)
+    length: 69, // m
+    diameter: 9, // m
+    crossSectionalArea: Math.PI * Math.pow(4.5, 2), // m²
+    dragCoefficient: 0.6, // engines-first or nose-first
+    broadsideDragCoefficient: 1.2,
+    liftCoefficient: 0.1,
+    gridFins: {
+        area: 16, // m² (4 fins total)
+        maxDeflection: 45, // degrees
+        effectiveness: 1.2,
+        slewRate: 30, // degrees/s
+        hingeArm: 0.5, // m from the fin's pivot to its center of pressure
+        actuatorPower: 200000 // W, drive shared by the four fins
+    },
+    // Hot-gas methalox thrusters in one pod below the interstage
+    rcs: {
+        type: 'hot_gas',
+        thrust: 20000, // N per thruster
+        isp: 250, // seconds
+        minimumImpulseBit: 1000, // N·s
+        propellantMass: 2000, // kg of gaseous methane and oxygen
+        pods: [
+            { id: 'forward', station: 24, roll: true }
+        ]
+    },
+    // Hot-staging vent ring between the booster's forward dome and the ship's engines; the ship lights
+    // while sitting on it and part of its exhaust escapes sideways through the vents
+    ventRing: {
+        height: 1.5, // m
+        ventedFraction: 0.3 // share of the ship's plume momentum the vents let out instead of the dome taking it
+    },
+    // Tiles only on the base around the engines, which leads through entry; the rest is bare steel
+    heatShield: {
+        noseRadius: 4.5, // m
+        leewardHeating: 0.03,
+        distributionExponent: 1.5,
+        rows: [
+            { id: 'forward', heating: 0.6, tiled: false },
+            { id: 'aft', heating: 0.8, tiled: false },
+            { id: 'base', inclination: -90, heating: 1 }
+        ],
+        columns: [
+            { id: 'azimuth_0', azimuth: 0 },
+            { id: 'azimuth_90', azimuth: 90 },
+            { id: 'azimuth_180', azimuth: 180 },
+            { id: 'azimuth_270', azimuth: 270 }
+        ],
+        tile: {
+            emissivity: 0.85,
+            arealHeatCapacity: 30000, // J/(m²·K)
+            conductance: 3, // W/(m²·K)
+            maxTemperature: 2000 // K
+        },
+        steel: {
+            emissivity: 0.6,
+            arealHeatCapacity: 24000, // J/(m²·K), 6 mm of stainless
+            maxTemperature: 1100 // K
+        }
+    },
+    structuralLimits: {
+        dynamicPressure: 35000, // Pa
+        qAlpha: 3500, // Pa·rad (about 200 kPa·deg)
+        axialG: 5, // g
+        lateralG: 0.5 // g
+    },
+    // LOX aft and methane forward; the landing burn feeds from headers at the bottom
+    // and top of the LOX tank
+    tanks: {
+        mainLox: { propellant: 'lox', feed: 'main', capacity: oxidizerMass(3350000), base: 4 },
+        mainCh4: { propellant: 'ch4', feed: 'main', capacity: fuelMass(3350000), base: 41 },
+        headerLox: { propellant: 'lox', feed: 'header', capacity: oxidizerMass(50000), base: 4, diameter: 4 },
+        headerCh4: { propellant: 'ch4', feed: 'header', capacity: fuelMass(50000), base: 36, diameter: 3 }
+    },
+    engines: {
+        // Center and inner rings gimbal and relight for boostback and landing;
+        // the outer ring is fixed and only lights on the ground
+        center: {
+            count: 3,
+            ...RAPTOR_SEA_LEVEL,
+            gimbaled: true,
+            gimbalRange: 15, // degrees
+            restartCapable: true
+        },
+        inner: {
+            count: 10,
+            ...RAPTOR_SEA_LEVEL,
+            gimbaled: true,
+            gimbalRange: 15, // degrees
+            restartCapable: true
+        },
+        outer: {
+            count: 20,
+            ...RAPTOR_SEA_LEVEL,
+            gimbaled: false,
+            restartCapable: false
+        }
+    }
+};
@@ -0,0 +1,39 @@
+// Aerodynamic table checks for SpaceX Starship Simulator
+// Interpolation and the JSON and CSV loaders agreeing on the same table
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AeroDatabase } from '../scripts/aero_database.js';
+import { assertClose } from './helpers.js';
+
+const TABLE = {
+    name: 'sample',
+    mach: [0.5, 2],
+    alpha: [0, 90],
+    CD: [[0.5, 1.2], [0.9, 1.6]],
+    CL: [[0, 0.2], [0, 0.4]],
+    Cm: [[0, -0.1], [0, -0.2]]
+};
+const CSV = `mach,alpha,CD,CL,Cm
+0.5,0,0.5,0,0
+0.5,90,1.2,0.2,-0.1
+2,0,0.9,0,0
+2,90,1.6,0.4,-0.2`;
+
+test('coefficients interpolate across the grid and hold at its edges', () => {
+    const database = new AeroDatabase(TABLE);
+    const middle = database.getCoefficients(1.25, Math.PI / 4);
+
+    assertClose(middle.CD, 1.05, 1e-12, 'CD between the breakpoints');
+    assertClose(middle.CL, 0.15, 1e-12, 'CL between the breakpoints');
+    assert.deepEqual(database.getCoefficients(10, Math.PI), database.getCoefficients(2, Math.PI / 2));
+});
+
+test('JSON and CSV tables load under the name they are given', () => {
+    const json = AeroDatabase.parse(JSON.stringify(TABLE), 'ship');
+    const csv = AeroDatabase.parse(CSV, 'ship');
+
+    assert.equal(json.name, 'ship');
+    assert.equal(csv.name, 'ship');
+    assert.deepEqual(json.getCoefficients(1, 0.3), csv.getCoefficients(1, 0.3));
+    assert.equal(AeroDatabase.fromJSON(JSON.stringify(TABLE)).name, 'sample');
+});
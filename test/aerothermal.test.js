@@ -0,0 +1,58 @@
+// Heat shield checks for SpaceX Starship Simulator
+// Belly-first heating at steady entry conditions
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { HeatShield } from '../scripts/aerothermal.js';
+import { STARSHIP_SPECS } from '../scripts/vehicle_specs.js';
+
+// Thin, fast air meeting the belly (body +Z) square on
+const ENTRY_FLOW = { density: 1e-4, airVelocity: new THREE.Vector3(0, 0, 7000), ambientTemperature: 250 };
+
+/**
+ * Hold the shield in the entry flow
+ * @param {HeatShield} shield - Shield to heat
+ * @param {number} duration - Seconds to hold
+ * @returns {Object} Shield state at the end
+ */
+function soak(shield, duration) {
+    for (let time = 0; time < duration; time += 0.5) {
+        shield.update(ENTRY_FLOW, 0.5);
+    }
+    return shield.getState();
+}
+
+test('windward tiles run hotter than the lee side and keep the steel behind them cool', () => {
+    const state = soak(new HeatShield(STARSHIP_SPECS.heatShield), 400);
+    const windward = state.regions.forward_windward;
+    const leeward = state.regions.forward_leeward;
+
+    assert.equal(state.burnThrough, null);
+    assert.ok(windward.peakTemperature > 2 * leeward.peakTemperature,
+        `windward ${windward.peakTemperature.toFixed(0)} K, leeward ${leeward.peakTemperature.toFixed(0)} K`);
+    assert.ok(windward.heatLoad > leeward.heatLoad);
+
+    // The tile takes the heat; the steel behind it stays far below the tile's surface
+    assert.ok(windward.structureTemperature < windward.temperature / 2);
+    assert.ok(windward.structureTemperature < STARSHIP_SPECS.heatShield.steel.maxTemperature);
+    assert.ok(leeward.temperature < STARSHIP_SPECS.heatShield.steel.maxTemperature);
+});
+
+test('a surface pushed past its limit is reported as burn-through on the windward side', () => {
+    const specs = structuredClone(STARSHIP_SPECS.heatShield);
+    specs.tile.maxTemperature = 1300;
+    const state = soak(new HeatShield(specs), 400);
+
+    assert.ok(state.burnThrough);
+    assert.equal(state.burnThrough.layer, 'surface');
+    assert.match(state.burnThrough.region, /_windward$/);
+    assert.ok(state.burnThrough.temperature > state.burnThrough.limit);
+});
+
+test('no flow, no heating', () => {
+    const shield = new HeatShield(STARSHIP_SPECS.heatShield);
+    shield.update({ ...ENTRY_FLOW, airVelocity: new THREE.Vector3() }, 10);
+
+    assert.equal(shield.getState().stagnationHeatFlux, 0);
+    assert.ok(shield.getMaxTemperature() <= 293);
+});
@@ -0,0 +1,78 @@
+// Ascent load checks for SpaceX Starship Simulator
+// Max-Q throttle bucket and breakup on the first minutes of the default ascent
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationCore } from '../scripts/simulation_core.js';
+
+// Fly the ascent to a mission time, recording the booster's throttle and loads along the way
+function flyAscent(options, until) {
+    const core = new SimulationCore({ autoSequence: true, ...options });
+    const events = [];
+    const samples = [];
+    core.on('load', event => events.push(event));
+    core.launch();
+    while (core.missionTime < until && !core.isComplete()) {
+        const snapshot = core.step(core.fixedTimeStep);
+        const loads = core.loadManager.loads.superHeavy;
+        if (loads) {
+            samples.push({ missionTime: core.missionTime, throttle: snapshot.vehicles.superHeavy.throttle, ...loads });
+        }
+    }
+    return { core, events, samples };
+}
+
+test('booster throttles down through the max-Q bucket and back up after it', t => {
+    t.mock.method(console, 'log', () => {});
+    const { core, events, samples } = flyAscent({}, 110);
+    const { onsetPressure, minThrottle } = core.loadManager.bucket;
+
+    const maxQ = events.filter(event => event.type === 'max_q');
+    assert.equal(maxQ.length, 1);
+    const peak = samples.reduce((max, sample) => Math.max(max, sample.dynamicPressure), 0);
+    assert.equal(maxQ[0].value, peak);
+
+    // Full throttle below the bucket, deeper in it the higher the pressure, full again past it
+    const nominal = samples.find(sample => sample.missionTime > 20).throttle;
+    const inBucket = samples.filter(sample => sample.dynamicPressure > onsetPressure);
+    assert.ok(inBucket.length > 0);
+    const deepest = inBucket.reduce((min, sample) => sample.throttle < min.throttle ? sample : min);
+    assert.ok(deepest.throttle < nominal - 0.05, `throttle ${deepest.throttle} in the bucket`);
+    assert.ok(deepest.throttle >= minThrottle);
+    assert.ok(Math.abs(deepest.dynamicPressure - peak) < 0.05 * peak);
+    assert.equal(samples[samples.length - 1].throttle, nominal);
+});
+
+test('a load past its limit times the breakup factor ends the flight', t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const { core, events } = flyAscent({ loads: { limits: { superHeavy: { dynamicPressure: 5000 } } } }, 110);
+
+    assert.equal(core.outcome, 'breakup');
+    const breakup = core.loadManager.getState().breakup;
+    assert.equal(breakup.load, 'dynamicPressure');
+    assert.ok(breakup.value > 5000 * core.loadManager.breakupFactor);
+
+    // The exceedance is reported before the vehicle breaks up
+    const types = events.map(event => event.type);
+    assert.ok(types.indexOf('exceedance') < types.indexOf('breakup'));
+});
+
+test('throttle holds the acceleration limit', t => {
+    t.mock.method(console, 'log', () => {});
+    // Reached while drag is still building, so the throttle that just makes the limit falls under it next step
+    const accelerationLimit = 1.35;
+    const { core, samples } = flyAscent({ loads: { accelerationLimit } }, 150);
+    assert.equal(core.outcome, null);
+
+    // From the step the booster reaches the limit it never goes over, and the throttle eases rather than jumps
+    const limited = samples.slice(samples.findIndex(sample => sample.axialG >= 0.999 * accelerationLimit));
+    assert.ok(limited.filter(sample => Math.abs(sample.axialG - accelerationLimit) < 0.005).length > 1000);
+    for (let i = 1; i < limited.length; i++) {
+        assert.ok(limited[i].axialG < accelerationLimit + 0.005,
+            `${limited[i].axialG.toFixed(3)} g at T+${limited[i].missionTime.toFixed(2)}`);
+        assert.ok(Math.abs(limited[i].throttle - limited[i - 1].throttle) < 0.01,
+            `throttle ${limited[i - 1].throttle.toFixed(3)} to ${limited[i].throttle.toFixed(3)} ` +
+            `at T+${limited[i].missionTime.toFixed(2)}`);
+    }
+});
@@ -0,0 +1,35 @@
+// Atmosphere checks for SpaceX Starship Simulator
+// US Standard Atmosphere 1976 against its published tables
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StandardAtmosphere } from '../scripts/atmosphere.js';
+import { assertClose } from './helpers.js';
+
+test('standard atmosphere matches the US76 tables', () => {
+    const atmosphere = new StandardAtmosphere();
+
+    // Geometric altitude (m), temperature (K), pressure (Pa) and density (kg/m³)
+    const rows = [
+        [0, 288.15, 101325, 1.2250],
+        [10000, 223.25, 26500, 0.41351],
+        [30000, 226.51, 1197.0, 0.018410],
+        [50000, 270.65, 79.779, 1.0269e-3],
+        [100000, 195.08, 3.2011e-2, 5.604e-7]
+    ];
+    for (const [altitude, temperature, pressure, density] of rows) {
+        const conditions = atmosphere.getStandardConditions(altitude);
+        assertClose(conditions.temperature, temperature, 0.01, `temperature at ${altitude} m`);
+        assertClose(conditions.pressure, pressure, pressure * 1e-3, `pressure at ${altitude} m`);
+        assertClose(conditions.density, density, density * 1e-3, `density at ${altitude} m`);
+    }
+});
+
+test('a hot-day offset holds low down and fades out to meet the upper atmosphere at 86 km', () => {
+    const standard = new StandardAtmosphere();
+    const hot = new StandardAtmosphere({ temperatureOffset: 20 });
+
+    const at = (atmosphere, altitude) => atmosphere.getStandardConditions(altitude).temperature;
+    assertClose(at(hot, 10000) - at(standard, 10000), 20, 1e-9, 'offset in the troposphere');
+    assertClose(at(hot, 85999) - at(standard, 85999), 0, 0.01, 'offset just below 86 km');
+    assert.equal(at(hot, 90000), at(standard, 90000));
+});
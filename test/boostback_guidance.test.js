@@ -0,0 +1,84 @@
+// Boostback guidance checks for SpaceX Starship Simulator
+// The solved return arc and a point-mass boostback flown on the guidance's own commands
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { BoostbackGuidance, BOOSTBACK_PHASES } from '../scripts/boostback_guidance.js';
+import { EarthFrame } from '../scripts/earth_frame.js';
+import { VehicleDynamics } from '../scripts/vehicle_dynamics.js';
+import { assertClose } from './helpers.js';
+
+const dynamics = new VehicleDynamics({ frame: 'rotating', earthFrame: new EarthFrame() });
+const pad = new THREE.Vector3();
+
+// Booster just after separation: 70 km up, 60 km downrange and still flying away from the pad
+const separation = {
+    position: new THREE.Vector3(60000, 70000, 0),
+    velocity: new THREE.Vector3(1400, 500, 0),
+    mass: 300000
+};
+
+// Gravity and Coriolis acceleration in the pad frame, with thrust along a direction
+function getAcceleration(position, velocity, thrust) {
+    return dynamics.getGravityAcceleration(position).add(dynamics.getCoriolisAcceleration(velocity)).add(thrust);
+}
+
+test('solver finds the arc that comes down on the pad', () => {
+    const guidance = new BoostbackGuidance(dynamics);
+    guidance.reset(pad);
+    const { position, velocity, mass } = separation;
+    const solution = guidance.solveRequiredVelocity(position, velocity, mass, null);
+
+    assert.ok(solution.impact.missDistance <= guidance.missTolerance);
+
+    // The vertical velocity is kept and the booster heads back uprange
+    const up = dynamics.getLocalUp(position);
+    assertClose(solution.requiredVelocity.dot(up), velocity.dot(up), 1e-6, 'vertical velocity');
+    assert.ok(solution.requiredVelocity.x < 0);
+});
+
+test('boostback flips, burns and cuts off on an arc to the pad', () => {
+    // Engines that reach and lose thrust at once need no cutoff lead
+    const guidance = new BoostbackGuidance(dynamics, { cutoffLead: 0 });
+    guidance.reset(pad);
+    const burn = { thrust: 1e7, massFlow: 1e7 / 3200 };
+    const position = separation.position.clone();
+    const velocity = separation.velocity.clone();
+    let mass = separation.mass;
+    let thrust = 0;
+    const phases = [];
+
+    const dt = 0.05;
+    for (let time = 0; time < 600 && !guidance.isComplete(); time += dt) {
+        const command = guidance.update({
+            position,
+            velocity,
+            axis: velocity.clone().normalize(),
+            mass,
+            thrust,
+            burn,
+            propellant: 200000,
+            aerodynamics: null
+        }, dt);
+        if (phases[phases.length - 1] !== command.phase) phases.push(command.phase);
+
+        thrust = burn.thrust * command.throttle;
+        const push = command.direction ? command.direction.clone().multiplyScalar(thrust / mass) : new THREE.Vector3();
+        velocity.add(getAcceleration(position, velocity, push).multiplyScalar(dt));
+        position.addScaledVector(velocity, dt);
+        mass -= burn.massFlow * command.throttle * dt;
+    }
+
+    assert.deepEqual(phases, [BOOSTBACK_PHASES.COAST, BOOSTBACK_PHASES.FLIP, BOOSTBACK_PHASES.BURN, BOOSTBACK_PHASES.CUTOFF]);
+    assert.ok(guidance.getState().propellantMargin > 0);
+
+    // Coast down unpowered and see where the booster lands
+    const none = new THREE.Vector3();
+    while (dynamics.getAltitude(position) > 0) {
+        velocity.add(getAcceleration(position, velocity, none).multiplyScalar(dt));
+        position.addScaledVector(velocity, dt);
+    }
+    const miss = position.clone().sub(pad);
+    miss.addScaledVector(dynamics.getLocalUp(pad), -miss.dot(dynamics.getLocalUp(pad)));
+    assert.ok(miss.length() < 200, `landed ${miss.length().toFixed(0)} m from the pad`);
+});
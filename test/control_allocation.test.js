@@ -0,0 +1,81 @@
+// Control allocation checks for SpaceX Starship Simulator
+// Moments shared over rotary actuators within their stops, slew rates, power and failures
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ControlAllocator } from '../scripts/control_allocation.js';
+import { assertClose } from './helpers.js';
+
+const DEGREES = Math.PI / 180;
+
+// Two pitch surfaces, one roll-and-pitch surface and a yaw surface, each with a 30° stop
+function createAllocator(options = {}) {
+    return new ControlAllocator(['left', 'right', 'upper', 'lower'].map(id => ({
+        id,
+        minAngle: -30 * DEGREES,
+        maxAngle: 30 * DEGREES,
+        slewRate: 20 * DEGREES,
+        group: 'hydraulics'
+    })), options);
+}
+
+const arms = {
+    left: { moment: new THREE.Vector3(1e6, 0, 0), hingeMoment: 1e4 },
+    right: { moment: new THREE.Vector3(1e6, 0, 0), hingeMoment: 1e4 },
+    upper: { moment: new THREE.Vector3(5e5, 5e5, 0), hingeMoment: 1e4 },
+    lower: { moment: new THREE.Vector3(0, 0, 1e6), hingeMoment: 1e4 }
+};
+
+// Allocate the same command step after step until the actuators settle
+function settle(allocator, torque, steps = 200, dt = 0.02) {
+    let result;
+    for (let i = 0; i < steps; i++) {
+        result = allocator.allocate(torque, arms, dt);
+    }
+    return result;
+}
+
+test('a moment inside the actuators\' reach is met exactly', () => {
+    const allocator = createAllocator();
+    const torque = new THREE.Vector3(4e5, 1e5, -2e5);
+    const result = settle(allocator, torque);
+
+    assert.equal(result.saturated, false);
+    assert.ok(result.torque.distanceTo(torque) < 1, `achieved ${result.torque.toArray()}`);
+
+    // The two identical surfaces share their axis evenly
+    assertClose(result.angles.left, result.angles.right, 1e-9, 'left and right');
+});
+
+test('stops, slew rates and power budgets limit the deflections', () => {
+    // Beyond the stops: the surfaces sit at 30° and the shortfall is reported
+    const stopped = createAllocator();
+    const result = settle(stopped, new THREE.Vector3(5e6, 0, 0));
+    assert.equal(result.saturated, true);
+    assert.equal(stopped.getState().limits.deflection, true);
+    assertClose(result.angles.left, 30 * DEGREES, 1e-9, 'left at its stop');
+
+    // One step can move a surface no further than its slew rate allows
+    const slewing = createAllocator();
+    const step = slewing.allocate(new THREE.Vector3(0, 0, 8e5), arms, 0.02);
+    assertClose(step.angles.lower, 20 * DEGREES * 0.02, 1e-12, 'lower after one step');
+    assert.equal(slewing.getState().limits.rate, true);
+
+    // A drive short of power moves its surfaces more slowly still
+    const starved = createAllocator({ powerBudgets: { hydraulics: 5 } });
+    const slow = starved.allocate(new THREE.Vector3(0, 0, 8e5), arms, 0.02);
+    assert.ok(slow.angles.lower < step.angles.lower);
+    assert.equal(starved.getState().limits.power, true);
+    assert.ok(starved.getState().power.hydraulics <= 5 + 1e-9);
+});
+
+test('a stuck actuator holds its angle and the others make up for it', () => {
+    const allocator = createAllocator();
+    allocator.failActuator('left');
+    const torque = new THREE.Vector3(4e5, 0, 0);
+    const result = settle(allocator, torque);
+
+    assert.equal(result.angles.left, 0);
+    assert.ok(result.torque.distanceTo(torque) < 1);
+    assert.deepEqual(allocator.getState().stuck, ['left']);
+});
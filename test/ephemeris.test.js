@@ -0,0 +1,41 @@
+// Ephemeris checks for SpaceX Starship Simulator
+// Calendar conversions, planet distances on known dates and the Earth's rotation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ASTRONOMICAL_UNIT, fromJulianDate, getEarthRotationAngle, getPlanetState, getRelativeState, J2000, PLANETS,
+    toJulianDate
+} from '../scripts/ephemeris.js';
+import { assertClose } from './helpers.js';
+
+const DEGREES = Math.PI / 180;
+const length = vector => Math.sqrt(vector.x ** 2 + vector.y ** 2 + vector.z ** 2);
+
+test('Julian dates round-trip through the calendar', () => {
+    assert.equal(toJulianDate('2000-01-01T12:00:00Z'), J2000);
+    const date = new Date('2024-03-15T06:30:00Z');
+    assert.equal(fromJulianDate(toJulianDate(date)).getTime(), date.getTime());
+});
+
+test('planet distances match known dates', () => {
+    // Earth is near perihelion at the start of January
+    const earth = getPlanetState(PLANETS.earth, J2000);
+    assertClose(length(earth.position) / ASTRONOMICAL_UNIT, 0.9833, 0.001, 'Earth-Sun distance at J2000');
+
+    // Mars came closest on 2020-10-06, 0.415 AU away
+    const mars = getRelativeState(PLANETS.mars, PLANETS.earth, toJulianDate('2020-10-06T00:00:00Z'));
+    assertClose(length(mars.position) / ASTRONOMICAL_UNIT, 0.415, 0.005, 'Earth-Mars distance');
+
+    // At closest approach the distance has stopped changing
+    const closing = (mars.position.x * mars.velocity.x + mars.position.y * mars.velocity.y +
+        mars.position.z * mars.velocity.z) / length(mars.position);
+    assert.ok(Math.abs(closing) < 300, `range rate ${closing.toFixed(0)} m/s`);
+});
+
+test('Earth rotation angle advances a sidereal day per turn', () => {
+    assertClose(getEarthRotationAngle(J2000) / DEGREES, 280.46, 0.01, 'angle at J2000');
+
+    const siderealDay = 0.99726957; // days
+    const turned = getEarthRotationAngle(J2000 + siderealDay) - getEarthRotationAngle(J2000);
+    assertClose(turned, 0, 1e-6, 'angle after one sidereal day');
+});
@@ -0,0 +1,14 @@
+// Shared assertions for the SpaceX Starship Simulator tests
+import assert from 'node:assert/strict';
+
+/**
+ * Assert a value lies within a tolerance of the expected one
+ * @param {number} actual - Value under test
+ * @param {number} expected - Known answer
+ * @param {number} tolerance - Largest difference allowed
+ * @param {string} message - What the value is, for the failure message
+ */
+export function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
@@ -0,0 +1,107 @@
+// Hot-staging checks for SpaceX Starship Simulator
+// Separation flown along the booster's axis with the plume loads fed back into both vehicles
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { HotStaging, HOT_STAGING_PHASES, STACK_SEPARATION } from '../scripts/hot_staging.js';
+
+/**
+ * Fly a separation in one dimension, without gravity (it pulls both vehicles alike)
+ * @param {HotStaging} staging - Sequence under test
+ * @param {Object} ship - { ratedThrust (N), mass (kg), spoolTime (s to full thrust) }
+ * @returns {Array<Object>} Per-step samples of the sequence's state and the ship's thrust
+ */
+function flySeparation(staging, ship) {
+    const booster = { mass: 4e5, thrust: 2.4e7, position: 0, velocity: 0 }; // Center and inner rings lit
+    const shipState = { position: STACK_SEPARATION, velocity: 0 };
+    const axis = new THREE.Vector3(0, 1, 0);
+    const dt = 0.02;
+    const samples = [];
+    let lit = 0;
+
+    staging.start();
+    let command = { boosterThrottle: staging.boosterThrottle, shipThrottle: 0, plumeLoad: 0, shipLoad: 0, latched: true };
+    while (!staging.isComplete()) {
+        lit = command.shipThrottle > 0 ? lit + dt : 0;
+        const shipThrust = ship.ratedThrust * Math.min(1, lit / ship.spoolTime);
+
+        const boosterForce = booster.thrust * command.boosterThrottle - command.plumeLoad;
+        const shipForce = shipThrust + command.shipLoad;
+        if (command.latched) {
+            // The plume loads are internal to the latched stack
+            const acceleration = (booster.thrust * command.boosterThrottle + shipThrust) / (booster.mass + ship.mass);
+            booster.velocity += acceleration * dt;
+            shipState.velocity = booster.velocity;
+        } else {
+            booster.velocity += boosterForce / booster.mass * dt;
+            shipState.velocity += shipForce / ship.mass * dt;
+        }
+        booster.position += booster.velocity * dt;
+        shipState.position += shipState.velocity * dt;
+
+        command = staging.update({
+            boosterPosition: new THREE.Vector3(0, booster.position, 0),
+            boosterVelocity: new THREE.Vector3(0, booster.velocity, 0),
+            boosterAxis: axis,
+            shipPosition: new THREE.Vector3(0, shipState.position, 0),
+            shipVelocity: new THREE.Vector3(0, shipState.velocity, 0),
+            shipThrust,
+            shipRatedThrust: ship.ratedThrust
+        }, dt);
+        samples.push({ ...staging.getState(), shipThrust });
+    }
+    return samples;
+}
+
+test('ship lights on the ring, releases near full thrust and gets clear', () => {
+    const staging = new HotStaging();
+    const ratedThrust = 1.4e7;
+    const samples = flySeparation(staging, { ratedThrust, mass: 1.5e5, spoolTime: 1 });
+
+    const phases = samples.map(sample => sample.phase).filter((phase, i, all) => phase !== all[i - 1]);
+    assert.deepEqual(phases, [HOT_STAGING_PHASES.THROTTLE_DOWN, HOT_STAGING_PHASES.IGNITION,
+        HOT_STAGING_PHASES.SEPARATION, HOT_STAGING_PHASES.CLEAR]);
+
+    // Latched right up to the release thrust
+    for (const sample of samples.filter(sample => sample.latched)) {
+        assert.ok(sample.shipThrust < staging.releaseThrust * ratedThrust);
+    }
+
+    const final = samples.at(-1);
+    assert.equal(final.clean, true);
+    assert.equal(final.recontact, false);
+    assert.equal(final.minimumClearance, null, 'gap never closed, so there is no closest approach');
+    assert.ok(final.clearTime < staging.timeout);
+    assert.ok(final.peakPlumeLoad > final.plumeLoad, 'dome load should fall off as the ship pulls away');
+});
+
+test('plume load on the dome falls with clearance', () => {
+    const staging = new HotStaging();
+    const thrust = 1.4e7;
+    const loads = [0, 10, 30, 100].map(clearance => staging.getPlumeLoad(thrust, clearance));
+
+    for (let i = 1; i < loads.length; i++) {
+        assert.ok(loads[i] < loads[i - 1], `load at step ${i} did not fall`);
+    }
+    assert.ok(loads[0] <= thrust);
+});
+
+test('a ship too weak to outrun the booster times out unclean', () => {
+    const staging = new HotStaging();
+    const final = flySeparation(staging, { ratedThrust: 1e6, mass: 1.5e5, spoolTime: 1 }).at(-1);
+
+    assert.equal(final.phase, HOT_STAGING_PHASES.CLEAR);
+    assert.equal(final.clean, false);
+    assert.equal(final.recontact, true);
+    assert.ok(final.elapsed >= staging.timeout);
+});
+
+test('a ship that pulls away and falls back reports its closest approach', () => {
+    const staging = new HotStaging();
+    const final = flySeparation(staging, { ratedThrust: 3e6, mass: 1.5e5, spoolTime: 1 }).at(-1);
+
+    assert.equal(final.recontact, false);
+    assert.ok(final.minimumClearance > 0 && final.minimumClearance < staging.clearDistance,
+        `closest approach ${final.minimumClearance} m`);
+    assert.equal(final.clean, false);
+});
@@ -0,0 +1,20 @@
+// Integrator checks for SpaceX Starship Simulator
+// Energy, angular momentum and radius drift of each scheme on a circular orbit
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { benchmarkIntegrators, INTEGRATOR_TYPES } from '../scripts/integrators.js';
+
+test('integrators conserve a circular orbit to within their order', () => {
+    const report = Object.fromEntries(benchmarkIntegrators({ orbits: 1, timeStep: 1 })
+        .map(result => [result.integrator, result]));
+
+    // Explicit Euler spirals outward; the others hold the orbit
+    assert.ok(report[INTEGRATOR_TYPES.EULER].relativeEnergyDrift > 1e-3);
+    assert.ok(report[INTEGRATOR_TYPES.SEMI_IMPLICIT_EULER].relativeEnergyDrift < 1e-9);
+    assert.ok(report[INTEGRATOR_TYPES.SEMI_IMPLICIT_EULER].radiusError < 10);
+    for (const type of [INTEGRATOR_TYPES.RK4, INTEGRATOR_TYPES.RK45]) {
+        assert.ok(report[type].relativeEnergyDrift < 1e-10, `${type} energy drift`);
+        assert.ok(report[type].relativeAngularMomentumDrift < 1e-10, `${type} angular momentum drift`);
+        assert.ok(report[type].radiusError < 1e-3, `${type} radius error`);
+    }
+});
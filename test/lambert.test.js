@@ -0,0 +1,59 @@
+// Lambert solver checks for SpaceX Starship Simulator
+// Transfers between two positions against a published example and against Kepler propagation, and
+// the 2020 Earth-Mars window
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveLambert } from '../scripts/lambert.js';
+import { OrbitalMechanics } from '../scripts/orbital_mechanics.js';
+import * as ephemeris from '../scripts/ephemeris.js';
+import * as porkchopModule from '../scripts/porkchop.js';
+import { assertClose } from './helpers.js';
+
+const EARTH_MU = 3.986004418e14; // m³/s²
+
+test('Lambert solver matches Vallado example 7-5', () => {
+    const r1 = { x: 15945.34e3, y: 0, z: 0 };
+    const r2 = { x: 12214.83899e3, y: 10249.46731e3, z: 0 };
+    const transfer = solveLambert(r1, r2, 76 * 60, EARTH_MU);
+
+    assert.ok(transfer);
+    assertClose(transfer.v1.x, 2058.913, 0.01, 'v1.x');
+    assertClose(transfer.v1.y, 2915.965, 0.01, 'v1.y');
+    assertClose(transfer.v2.x, -3451.565, 0.01, 'v2.x');
+    assertClose(transfer.v2.y, 910.315, 0.01, 'v2.y');
+});
+
+test('coasting from the first position on the Lambert velocity arrives at the second', () => {
+    const mechanics = new OrbitalMechanics({ mu: EARTH_MU });
+    const r1 = { x: 7000e3, y: 0, z: 0 };
+    const r2 = { x: -2000e3, y: 8000e3, z: 3000e3 };
+    const timeOfFlight = 3000;
+    const transfer = solveLambert(r1, r2, timeOfFlight, EARTH_MU);
+
+    const elements = mechanics.stateVectorsToOrbitalElements(r1, transfer.v1);
+    const arrival = mechanics.calculatePositionAtTime(timeOfFlight, elements);
+    for (const axis of ['x', 'y', 'z']) {
+        assertClose(arrival.position[axis], r2[axis], 10, `position.${axis}`);
+        assertClose(arrival.velocity[axis], transfer.v2[axis], 0.01, `velocity.${axis}`);
+    }
+});
+
+test('porkchop finds the 2020 Mars window', () => {
+    const porkchop = porkchopModule.generatePorkchop({
+        departure: { start: '2020-05-01', end: '2020-10-01', step: 5 },
+        arrival: { start: '2020-11-01', end: '2021-08-01', step: 10 }
+    });
+    const best = porkchop.best;
+
+    // Perseverance left on 2020-07-30 and landed on 2021-02-18
+    assert.ok(best.departureDate >= '2020-07-01' && best.departureDate <= '2020-08-31', best.departureDate);
+    assert.ok(best.arrivalDate >= '2021-01-15' && best.arrivalDate <= '2021-03-31', best.arrivalDate);
+    assert.ok(best.c3 > 8 && best.c3 < 20, `C3 ${best.c3.toFixed(1)} km²/s²`);
+    assert.equal(porkchop.c3.length, porkchop.departureDates.length);
+});
+
+test('porkchop.js still exports the planets and dates it used to define', () => {
+    for (const name of ['PLANETS', 'SUN_MU', 'ASTRONOMICAL_UNIT', 'toJulianDate', 'fromJulianDate', 'getPlanetState']) {
+        assert.equal(porkchopModule[name], ephemeris[name], name);
+    }
+});
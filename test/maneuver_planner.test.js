@@ -0,0 +1,109 @@
+// Maneuver node checks for SpaceX Starship Simulator
+// Node timing, burn sizing, Hohmann previews and the autopilot flying a planned burn
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { BurnAutopilot, getNodeFrame, MANEUVER_EVENTS, ManeuverPlanner } from '../scripts/maneuver_planner.js';
+import { EARTH_CONSTANTS } from '../scripts/vehicle_dynamics.js';
+import { assertClose } from './helpers.js';
+
+const planner = new ManeuverPlanner({ mu: EARTH_CONSTANTS.MU });
+const ENGINE = { thrust: 1e6, isp: 380 };
+
+/**
+ * Inertial state on a circular equatorial orbit, at the +X axis
+ * @param {number} altitude - Altitude in m
+ * @returns {Object} { position, velocity, time, mass }
+ */
+function circularState(altitude) {
+    const radius = planner.radius + altitude;
+    return {
+        position: new THREE.Vector3(radius, 0, 0),
+        velocity: new THREE.Vector3(0, Math.sqrt(EARTH_CONSTANTS.MU / radius), 0),
+        time: 0,
+        mass: 1e5
+    };
+}
+
+test('burns follow the rocket equation and are centered on their node', () => {
+    const start = circularState(200000);
+    start.velocity.multiplyScalar(1.01); // Slightly elliptical, periapsis here
+    const node = planner.plan({ event: MANEUVER_EVENTS.APOAPSIS, prograde: 50 }, start, ENGINE);
+    const orbit = planner.getOrbit(start.position, start.velocity);
+
+    assertClose(node.time, orbit.period / 2, 1e-3, 'apoapsis time');
+    assertClose(node.startTime, node.time - node.burnDuration / 2, 1e-9, 'ignition time');
+
+    const exhaustVelocity = ENGINE.isp * EARTH_CONSTANTS.STANDARD_GRAVITY;
+    assertClose(exhaustVelocity * Math.log(node.mass / node.finalMass), 50, 1e-9, 'delta-v from the mass ratio');
+    assertClose(node.burnDuration, node.propellant * exhaustVelocity / ENGINE.thrust, 1e-9, 'burn duration');
+
+    // Prograde at apoapsis raises the perigee and leaves the apogee where it was
+    assert.ok(node.orbit.perigeeAltitude > orbit.perigeeAltitude + 50000);
+    assertClose(node.orbit.apogeeAltitude, orbit.apogeeAltitude, 10, 'apogee altitude');
+});
+
+test('Hohmann nodes from an elliptical orbit preview a circular orbit at the target altitude', () => {
+    const start = circularState(200000);
+    start.velocity.multiplyScalar(1.002); // Perigee here, apogee some 50 km up
+    const [first, second] = planner.getHohmannNodes(planner.getOrbit(start.position, start.velocity), 400000);
+
+    const transfer = planner.plan(first, start, ENGINE);
+    assert.equal(transfer.event, MANEUVER_EVENTS.PERIAPSIS);
+    assertClose(transfer.orbit.apogeeAltitude, 400000, 100, 'transfer apogee');
+
+    const after = {
+        position: transfer.inertial.position,
+        velocity: transfer.inertial.velocityAfter,
+        time: transfer.time,
+        mass: transfer.finalMass
+    };
+    const circularize = planner.plan(second, after, ENGINE);
+    assert.equal(circularize.event, MANEUVER_EVENTS.APOAPSIS);
+    assertClose(circularize.orbit.perigeeAltitude, 400000, 100, 'final perigee');
+    assertClose(circularize.orbit.apogeeAltitude, 400000, 100, 'final apogee');
+});
+
+test('autopilot flies a node to within its tolerance', () => {
+    const start = circularState(200000);
+    const autopilot = new BurnAutopilot();
+    autopilot.add(planner.plan({ event: MANEUVER_EVENTS.TIME, time: 30, prograde: 40, normal: 5 }, start, ENGINE));
+    const active = autopilot.start();
+
+    // Point mass under central gravity, nose turned instantly to the commanded direction
+    const dt = 0.01;
+    const position = start.position.clone();
+    const velocity = start.velocity.clone();
+    let mass = start.mass;
+    let time = 0;
+    let done = false;
+    while (!done && time < 120) {
+        const maxAcceleration = ENGINE.thrust / mass;
+        const command = autopilot.getCommand(time, active.remaining.clone().normalize(), maxAcceleration);
+        const deltaV = command.direction.clone().multiplyScalar(command.throttle * maxAcceleration * dt);
+        mass -= command.throttle * ENGINE.thrust / (ENGINE.isp * EARTH_CONSTANTS.STANDARD_GRAVITY) * dt;
+
+        const gravity = position.clone().multiplyScalar(-EARTH_CONSTANTS.MU / position.length() ** 3);
+        velocity.add(deltaV).addScaledVector(gravity, dt);
+        position.addScaledVector(velocity, dt);
+        time += dt;
+        if (command.throttle > 0) {
+            done = autopilot.record(deltaV, time, autopilot.minThrottle * maxAcceleration * dt);
+        }
+    }
+    assert.ok(done, 'burn never finished');
+
+    const frame = getNodeFrame(position, velocity);
+    const residual = {
+        prograde: active.remaining.dot(frame.prograde),
+        normal: active.remaining.dot(frame.normal),
+        radial: active.remaining.dot(frame.radial)
+    };
+    const burn = autopilot.finish(planner.getOrbit(position, velocity), residual);
+
+    assert.ok(burn.residual.magnitude <= autopilot.tolerance, `residual ${burn.residual.magnitude.toFixed(3)} m/s`);
+    assert.ok(Math.abs((burn.ignitionTime + burn.cutoffTime) / 2 - burn.time) < autopilot.throttleDownTime,
+        'burn not centered on its node');
+    assertClose(burn.orbitError.apogeeAltitude, 0, 2000, 'apogee against the preview');
+    assertClose(burn.orbitError.inclination, 0, 0.01, 'inclination against the preview');
+});
@@ -0,0 +1,89 @@
+// Headless mission check for SpaceX Starship Simulator
+// Flies the default mission from launch to the booster catch and the ship's landing
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMission, SimulationCore } from '../scripts/simulation_core.js';
+
+test('default mission catches the booster and lands the ship', t => {
+    // Physics modules report progress with console.log
+    t.mock.method(console, 'log', () => {});
+
+    const streamed = [];
+    const result = runMission({ snapshotInterval: 10, onSnapshot: snapshot => streamed.push(snapshot.missionTime) });
+
+    assert.equal(result.completed, true);
+    assert.equal(result.outcome, 'caught');
+    assert.equal(result.shipOutcome, 'landed');
+    assert.equal(streamed[0], 0);
+    assert.ok(streamed.length > 1);
+
+    // Streamed snapshots are handed over, not kept
+    assert.equal(result.snapshots.length, 0);
+});
+
+test('booster with inner engines lost sets down beside the tower instead of crashing', t => {
+    t.mock.method(console, 'log', () => {});
+
+    // Three of the landing engines fail on the way up; the rest cannot reach the arms
+    const engineFailures = ['inner_0', 'inner_1', 'inner_2']
+        .map(engineId => ({ time: 200, vehicleId: 'superHeavy', engineId }));
+    const result = runMission({ engineFailures, maxMissionTime: 520 });
+
+    // Hitting the ground too fast ends the flight as crashed
+    const landing = result.events.findLast(event => event.type === 'status' && event.status.startsWith('Booster'));
+    assert.equal(result.outcome, 'booster_on_ground', landing?.status);
+});
+
+test('ascent through the gusts is the same at 1x and 10x speed', t => {
+    t.mock.method(console, 'log', () => {});
+
+    // Booster position after each physics step, flown frame by frame at a simulation speed
+    const fly = timeScale => {
+        const core = new SimulationCore({ autoSequence: true });
+        const positions = [];
+        core.on('snapshot', snapshot => positions.push(snapshot.vehicles.superHeavy.position));
+        core.setTimeScale(timeScale);
+        core.launch();
+        while (core.missionTime < 120) {
+            core.advance(1 / 60);
+        }
+        return positions;
+    };
+    const realTime = fly(1);
+    const fast = fly(10);
+
+    const steps = Math.min(realTime.length, fast.length);
+    assert.ok(steps >= 12000);
+    assert.deepEqual(fast.slice(0, steps), realTime.slice(0, steps));
+});
+
+test('ship steered for a landing pad comes down near it', t => {
+    t.mock.method(console, 'log', () => {});
+
+    // Uprange and to the north of where the unsteered ship lands, 15 km away
+    const landingPad = { latitude: -24.58, longitude: 41.36 };
+    const core = new SimulationCore({ autoSequence: true, shipReturn: { landingPad } });
+    core.launch();
+    while (!core.isComplete()) {
+        core.step(core.fixedTimeStep);
+    }
+
+    const { touchdown } = core.shipReturn.getState();
+    assert.equal(core.shipOutcome, 'landed');
+    assert.ok(touchdown.missDistance < 3000, `landed ${(touchdown.missDistance / 1000).toFixed(2)} km from the pad`);
+    assert.match(core.status, /km from the pad$/);
+});
+
+test('ship with a landing engine lost on the way up lands on the other two', t => {
+    t.mock.method(console, 'log', () => {});
+
+    const engineFailures = [{ time: 300, vehicleId: 'starship', engineId: 'seaLevel_0' }];
+    const core = new SimulationCore({ autoSequence: true, engineFailures });
+    core.launch();
+    while (!core.isComplete()) {
+        core.step(core.fixedTimeStep);
+    }
+
+    assert.equal(core.shipReturn.reentry.engineHealth, 2 / 3);
+    assert.equal(core.shipOutcome, 'landed', core.status);
+});
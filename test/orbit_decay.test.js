@@ -0,0 +1,68 @@
+// Orbital decay checks for SpaceX Starship Simulator
+// Lifetimes of low orbits under drag and impacts of suborbital paths
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DecayPredictor } from '../scripts/orbit_decay.js';
+import { EarthFrame } from '../scripts/earth_frame.js';
+import { EARTH_CONSTANTS } from '../scripts/vehicle_dynamics.js';
+
+const DAY = 86400; // s
+const SHIP = { mass: 100000, dragArea: 80 };
+const earthFrame = new EarthFrame();
+
+/**
+ * Local state on an orbit in the equatorial plane, at perigee
+ * @param {number} perigeeAltitude - Perigee altitude in m
+ * @param {number} speedFactor - Speed as a fraction of circular speed at perigee
+ * @returns {Object} { position, velocity, time }
+ */
+function orbitState(perigeeAltitude, speedFactor = 1) {
+    const radius = earthFrame.radius + perigeeAltitude;
+    const speed = speedFactor * Math.sqrt(EARTH_CONSTANTS.MU / radius);
+    const local = earthFrame.eciToLocal({ x: radius, y: 0, z: 0 }, { x: 0, y: speed, z: 0 }, 0);
+    return { ...local, time: 0 };
+}
+
+test('a 200 km orbit decays within days and comes down somewhere on the ground', () => {
+    const predictor = new DecayPredictor(earthFrame, { mu: EARTH_CONSTANTS.MU });
+    const prediction = predictor.predict(orbitState(200000), SHIP);
+
+    assert.equal(prediction.decays, true);
+    assert.equal(prediction.outlasted, null);
+    assert.ok(prediction.lifetime > DAY && prediction.lifetime < 60 * DAY,
+        `lifetime ${(prediction.lifetime / DAY).toFixed(1)} days`);
+    assert.ok(prediction.revolutions > 0, 'averaged model never ran');
+    assert.ok(prediction.impactTime > prediction.reentryTime);
+    assert.ok(Math.abs(prediction.impact.latitude) < 1, 'equatorial orbit should come down near the equator');
+});
+
+test('without drag a clear orbit never comes down', () => {
+    const predictor = new DecayPredictor(earthFrame, { mu: EARTH_CONSTANTS.MU, drag: false });
+    const prediction = predictor.predict(orbitState(200000), SHIP);
+
+    assert.equal(prediction.decays, false);
+    assert.equal(prediction.impact, null);
+    assert.equal(prediction.lifetime, null);
+    assert.equal(prediction.outlasted, 'lifetime');
+});
+
+test('an orbit below the handover that outlasts the integrated descent says so', () => {
+    // Integrated from the start, and without drag still up when the descent window closes
+    const predictor = new DecayPredictor(earthFrame, { mu: EARTH_CONSTANTS.MU, drag: false, maxDescentTime: 3600 });
+    const prediction = predictor.predict(orbitState(140000), SHIP);
+
+    assert.equal(prediction.decays, false);
+    assert.equal(prediction.revolutions, 0);
+    assert.equal(prediction.outlasted, 'descent');
+});
+
+test('a suborbital path is integrated straight to its impact', () => {
+    const predictor = new DecayPredictor(earthFrame, { mu: EARTH_CONSTANTS.MU });
+    const prediction = predictor.predict(orbitState(150000, 0.9), SHIP, { latitude: 0, longitude: 0, radius: 1000e3 });
+
+    assert.equal(prediction.decays, true);
+    assert.equal(prediction.revolutions, 0);
+    assert.ok(prediction.lifetime < 3600);
+    assert.ok(prediction.splashdown.distance >= 0);
+    assert.equal(prediction.splashdown.inZone, prediction.splashdown.distance <= 1000e3);
+});
@@ -0,0 +1,90 @@
+// Kepler propagation checks for SpaceX Starship Simulator
+// Element round trips, propagation against direct integration of two-body motion, and coasting on
+// the rails in the launch site's frame
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { integrateState, INTEGRATOR_TYPES } from '../scripts/integrators.js';
+import { EarthFrame } from '../scripts/earth_frame.js';
+import { OrbitalMechanics } from '../scripts/orbital_mechanics.js';
+import { KeplerPropagator } from '../scripts/orbit_propagator.js';
+import { assertClose } from './helpers.js';
+
+const EARTH_MU = 3.986004418e14; // m³/s²
+
+test('Kepler propagation matches integration and returns after one period', () => {
+    const mechanics = new OrbitalMechanics({ mu: EARTH_MU });
+    const elements = {
+        semiMajorAxis: 7000e3,
+        eccentricity: 0.1,
+        inclination: 0.9,
+        longitudeOfAscendingNode: 1.2,
+        argumentOfPeriapsis: 0.5,
+        trueAnomaly: 0.3
+    };
+    const start = mechanics.orbitalElementsToStateVectors(elements);
+
+    // Elements survive the round trip through state vectors
+    const recovered = mechanics.stateVectorsToOrbitalElements(start.position, start.velocity);
+    for (const name of Object.keys(elements)) {
+        assertClose(recovered[name], elements[name], 1e-6 * Math.max(1, elements[name]), name);
+    }
+
+    // A third of an orbit agrees with RK4 integration of the same two-body motion
+    const period = 2 * Math.PI * Math.sqrt(Math.pow(elements.semiMajorAxis, 3) / EARTH_MU);
+    const gravity = (t, p) => {
+        const r3 = Math.pow(Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z), 3);
+        return { x: -EARTH_MU * p.x / r3, y: -EARTH_MU * p.y / r3, z: -EARTH_MU * p.z / r3 };
+    };
+    const steps = 1000;
+    let state = start;
+    for (let i = 0; i < steps; i++) {
+        state = integrateState(INTEGRATOR_TYPES.RK4, state, i * period / 3 / steps, period / 3 / steps, gravity);
+    }
+    const propagated = mechanics.calculatePositionAtTime(period / 3, elements);
+    for (const axis of ['x', 'y', 'z']) {
+        assertClose(propagated.position[axis], state.position[axis], 1, `position.${axis}`);
+        assertClose(propagated.velocity[axis], state.velocity[axis], 1e-3, `velocity.${axis}`);
+    }
+
+    // A full period brings the vehicle back to where it started
+    const returned = mechanics.calculatePositionAtTime(period, elements);
+    for (const axis of ['x', 'y', 'z']) {
+        assertClose(returned.position[axis], start.position[axis], 1e-3, `returned position.${axis}`);
+        assertClose(returned.velocity[axis], start.velocity[axis], 1e-6, `returned velocity.${axis}`);
+    }
+});
+
+test('coast on the rails stops where its condition first holds', () => {
+    const earthFrame = new EarthFrame();
+    const mechanics = new OrbitalMechanics({ mu: EARTH_MU });
+    const propagator = new KeplerPropagator(earthFrame, { mu: EARTH_MU });
+    const elements = {
+        semiMajorAxis: 7000e3,
+        eccentricity: 0.05,
+        inclination: 0.5,
+        longitudeOfAscendingNode: 0.2,
+        argumentOfPeriapsis: 1,
+        trueAnomaly: 0
+    };
+    const perigee = mechanics.orbitalElementsToStateVectors(elements);
+    const local = earthFrame.eciToLocal(perigee.position, perigee.velocity, 0);
+    assert.ok(propagator.engage(local.position, local.velocity, 0));
+
+    // Climbing until apogee, half a period after perigee
+    const falling = (state, time) => {
+        const inertial = earthFrame.localToEci(state.position, state.velocity, time);
+        return inertial.position.dot(inertial.velocity) < 0;
+    };
+    const period = 2 * Math.PI * Math.sqrt(Math.pow(elements.semiMajorAxis, 3) / EARTH_MU);
+    const coast = propagator.propagate(0, period, falling);
+
+    assert.equal(coast.stopped, true);
+    assertClose(coast.elapsed, period / 2, 2 * propagator.timeTolerance, 'time to apogee');
+    const apogee = earthFrame.localToEci(coast.state.position, coast.state.velocity, coast.elapsed);
+    assertClose(apogee.position.length(), elements.semiMajorAxis * (1 + elements.eccentricity), 1, 'apogee radius');
+
+    // An escape trajectory has no orbit to ride
+    const { x, y, z } = perigee.velocity;
+    const escaping = earthFrame.eciToLocal(perigee.position, { x: 1.5 * x, y: 1.5 * y, z: 1.5 * z }, 0);
+    assert.equal(propagator.engage(escaping.position, escaping.velocity, 0), false);
+});
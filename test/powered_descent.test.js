@@ -0,0 +1,71 @@
+// Powered-descent guidance checks for SpaceX Starship Simulator
+// Point-mass landing burns flown on the guidance's commands in a uniform gravity field
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PoweredDescentGuidance, DESCENT_PHASES } from '../scripts/powered_descent.js';
+
+const EXHAUST_VELOCITY = 3200; // m/s
+const up = new THREE.Vector3(0, 1, 0);
+const gravity = new THREE.Vector3(0, -9.81, 0);
+
+// Fly a landing burn until the vehicle reaches the ground or the guidance shuts down
+function flyLanding(guidance, start, maxThrust, dt = 0.05) {
+    const position = start.position.clone();
+    const velocity = start.velocity.clone();
+    let mass = start.mass;
+    const phases = [];
+
+    for (let time = 0; time < 300 && position.y > 0; time += dt) {
+        const massFlow = maxThrust / EXHAUST_VELOCITY;
+        const command = guidance.update({
+            position, velocity, mass, up, gravity, maxThrust, massFlow,
+            propellant: mass - start.dryMass
+        }, dt);
+        if (phases[phases.length - 1] !== command.phase) phases.push(command.phase);
+
+        const thrust = command.direction ? command.direction.clone().multiplyScalar(maxThrust * command.throttle / mass) :
+            new THREE.Vector3();
+        velocity.add(thrust.add(gravity).multiplyScalar(dt));
+        position.addScaledVector(velocity, dt);
+        mass -= massFlow * command.throttle * dt;
+    }
+    return { position, velocity, mass, phases };
+}
+
+test('landing burn lights late and sets down on the target', () => {
+    const guidance = new PoweredDescentGuidance({ finalSpeed: 2 });
+    guidance.reset(new THREE.Vector3());
+    const start = {
+        position: new THREE.Vector3(300, 4000, -200),
+        velocity: new THREE.Vector3(-10, -250, 5),
+        mass: 200000,
+        dryMass: 150000
+    };
+    const landing = flyLanding(guidance, start, 7e6);
+
+    assert.deepEqual(landing.phases.slice(0, 2), [DESCENT_PHASES.WAITING, DESCENT_PHASES.BURN]);
+    assert.ok(guidance.getState().ignitionTime > 0, 'lit at once instead of waiting');
+    assert.ok(landing.velocity.length() < 3, `touched down at ${landing.velocity.length().toFixed(1)} m/s`);
+    assert.ok(Math.hypot(landing.position.x, landing.position.z) < 2,
+        `touched down ${Math.hypot(landing.position.x, landing.position.z).toFixed(1)} m from the target`);
+    assert.ok(landing.mass > start.dryMass);
+});
+
+test('burn stopped short of the target with an engine out lights again lower down', () => {
+    // Three engines lost: the burn can no longer reach the target, and the rest cannot throttle below the weight
+    const guidance = new PoweredDescentGuidance({ finalSpeed: 2 });
+    guidance.reset(new THREE.Vector3());
+    const start = {
+        position: new THREE.Vector3(6000, 12300, 0),
+        velocity: new THREE.Vector3(390, -736, 0),
+        mass: 350000,
+        dryMass: 200000
+    };
+    const landing = flyLanding(guidance, start, 3.86 * 9.81 * start.mass);
+
+    const relit = landing.phases.indexOf(DESCENT_PHASES.WAITING, 1);
+    assert.ok(relit > 0 && landing.phases.indexOf(DESCENT_PHASES.BURN, relit) > relit,
+        `phases ${landing.phases.join(', ')}`);
+    assert.ok(landing.velocity.length() < 3, `touched down at ${landing.velocity.length().toFixed(1)} m/s`);
+});
@@ -0,0 +1,80 @@
+// Reaction control checks for SpaceX Starship Simulator
+// Minimum-impulse pulsing, propellant use and an attitude hold on a rigid body
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ReactionControlSystem } from '../scripts/rcs.js';
+import { EARTH_CONSTANTS } from '../scripts/vehicle_dynamics.js';
+import { STARSHIP_SPECS } from '../scripts/vehicle_specs.js';
+import { assertClose } from './helpers.js';
+
+const DEGREES = Math.PI / 180;
+const specs = STARSHIP_SPECS.rcs;
+
+test('small commands fire sparse minimum-impulse pulses', () => {
+    const rcs = new ReactionControlSystem(specs, { diameter: STARSHIP_SPECS.diameter });
+    const dt = 0.01;
+    const duration = 20;
+
+    // A twentieth of what one pair of thrusters gives about the pitch axis
+    const pair = rcs.getMoments(new THREE.Vector3()).reduce((max, moment) => Math.max(max, Math.abs(moment.x)), 0);
+    const torque = new THREE.Vector3(pair / 20, 0, 0);
+    let open = 0;
+    let steps = 0;
+    const delivered = new THREE.Vector3();
+    for (let time = 0; time < duration; time += dt) {
+        const achieved = rcs.fire(torque, dt).torque;
+        open += achieved.lengthSq() > 0 ? dt : 0;
+        delivered.add(achieved);
+        steps++;
+    }
+
+    const state = rcs.getState();
+    assert.ok(state.pulses > 0);
+    assert.ok(state.totalImpulse / state.pulses >= specs.minimumImpulseBit - 1e-6, 'pulse shorter than the valves allow');
+    assert.ok(open < duration / 2, 'valves open most of the time for a small command');
+
+    // Pulses longer than the command asks for are paid back, so the torque comes out right on average
+    assertClose(delivered.x / steps, torque.x, 0.1 * torque.x, 'mean torque');
+
+    // Propellant goes out at the thrusters' specific impulse
+    const used = specs.propellantMass - state.propellant;
+    assertClose(used, state.totalImpulse / (specs.isp * EARTH_CONSTANTS.STANDARD_GRAVITY), 1e-6, 'propellant used');
+});
+
+test('valves stay shut once the propellant is gone', () => {
+    const rcs = new ReactionControlSystem(specs, { diameter: STARSHIP_SPECS.diameter });
+    rcs.load(0);
+    const result = rcs.fire(new THREE.Vector3(1e6, 0, 0), 0.1);
+
+    assert.equal(result.torque.length(), 0);
+    assert.equal(rcs.getState().depleted, true);
+    assert.deepEqual(rcs.getState().firing, []);
+});
+
+test('attitude hold turns a rigid body into the deadband and keeps it there', () => {
+    const rcs = new ReactionControlSystem(specs, { diameter: STARSHIP_SPECS.diameter });
+    const inertia = new THREE.Matrix3().set(5e7, 0, 0, 0, 5e6, 0, 0, 0, 5e7);
+    const inverse = inertia.clone().invert();
+    const commanded = new THREE.Quaternion();
+    const attitude = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 1).normalize(), 10 * DEGREES);
+    const angularVelocity = new THREE.Vector3();
+
+    const dt = 0.01;
+    let worstAfterSettling = 0;
+    for (let time = 0; time < 200; time += dt) {
+        const hold = rcs.getHoldTorque(attitude, commanded, angularVelocity, inertia);
+        const { torque } = rcs.fire(hold, dt);
+        angularVelocity.add(torque.applyMatrix3(inverse).multiplyScalar(dt));
+
+        const turn = angularVelocity.clone().multiplyScalar(dt);
+        const spin = new THREE.Quaternion(turn.x / 2, turn.y / 2, turn.z / 2, 1).normalize();
+        attitude.multiply(spin).normalize();
+        if (time > 150) {
+            worstAfterSettling = Math.max(worstAfterSettling, attitude.angleTo(commanded));
+        }
+    }
+
+    assert.ok(worstAfterSettling < 1.5 * DEGREES, `drifted ${(worstAfterSettling / DEGREES).toFixed(2)}° off`);
+    assert.ok(angularVelocity.length() < 0.1 * DEGREES);
+});